@@ -0,0 +1,287 @@
+/**
+ * GTFS-Realtime Adapter - Data source backed by a GTFS-RT TripUpdates feed
+ *
+ * The feed is read from a URL or from a recorded file (protobuf, or JSON in the
+ * FeedMessage object format). GTFS-RT carries no names, so an optional static
+ * GTFS directory (stops.txt, routes.txt, trips.txt) is used to resolve stop
+ * names, line names and headsigns. Departures are mapped to the same shape as
+ * hafas-client returns them so the model can treat all sources alike.
+ */
+
+import { promises as fs, existsSync, readFileSync } from 'fs';
+import path from 'path';
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+// Re-read the feed at most every 30 seconds
+const DEFAULT_REFRESH_SECONDS = 30;
+
+/**
+ * Parse a CSV file from a static GTFS feed
+ * @param {string} filePath - Path to the CSV file
+ * @returns {Array<Object>} Rows keyed by header name (empty if the file is missing)
+ */
+function readGtfsCsv(filePath) {
+  if (!existsSync(filePath)) return [];
+
+  const rows = [];
+  const text = readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  let field = '';
+  let row = [];
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...data] = rows.filter(r => r.length > 1 || r[0]);
+  if (!header) return [];
+  return data.map(values => Object.fromEntries(header.map((key, i) => [key.trim(), values[i]])));
+}
+
+/**
+ * Load the static GTFS lookups needed to name stops, lines and directions
+ * @param {string} dir - Static GTFS directory
+ * @returns {Object} { stops, routes, trips } maps
+ */
+function loadStaticGtfs(dir) {
+  if (!dir) return { stops: new Map(), routes: new Map(), trips: new Map() };
+
+  return {
+    stops: new Map(readGtfsCsv(path.join(dir, 'stops.txt')).map(s => [s.stop_id, s])),
+    routes: new Map(readGtfsCsv(path.join(dir, 'routes.txt')).map(r => [r.route_id, r])),
+    trips: new Map(readGtfsCsv(path.join(dir, 'trips.txt')).map(t => [t.trip_id, t]))
+  };
+}
+
+/**
+ * Create a GTFS-Realtime data source
+ * @param {Object} options - Adapter options
+ * @param {string} [options.feedUrl] - URL of the TripUpdates feed
+ * @param {string} [options.feedFile] - Path to a recorded feed (.pb or .json)
+ * @param {string} [options.staticDir] - Directory with static GTFS files
+ * @param {number} [options.refreshSeconds] - Minimum seconds between feed reloads
+ * @returns {Object} Data source adapter
+ */
+function createGtfsRtAdapter(options = {}) {
+  if (!options.feedUrl && !options.feedFile) {
+    throw new Error('GTFS-RT data source needs GTFS_RT_URL or GTFS_RT_FILE');
+  }
+
+  const staticGtfs = loadStaticGtfs(options.staticDir);
+  const refreshMs = (options.refreshSeconds || DEFAULT_REFRESH_SECONDS) * 1000;
+  let feed = null;
+  let feedLoadedAt = 0;
+
+  /**
+   * Read and decode the feed (cached for refreshSeconds)
+   */
+  async function loadFeed() {
+    if (feed && Date.now() - feedLoadedAt < refreshMs) return feed;
+
+    let message;
+    if (options.feedFile) {
+      const content = await fs.readFile(options.feedFile);
+      message = options.feedFile.endsWith('.json')
+        ? FeedMessage.fromObject(JSON.parse(content.toString('utf8')))
+        : FeedMessage.decode(content);
+    } else {
+      const response = await fetch(options.feedUrl);
+      if (!response.ok) {
+        throw new Error(`GTFS-RT feed returned HTTP ${response.status}`);
+      }
+      message = FeedMessage.decode(new Uint8Array(await response.arrayBuffer()));
+    }
+
+    feed = FeedMessage.toObject(message, { longs: Number, enums: String, defaults: false });
+    feedLoadedAt = Date.now();
+    return feed;
+  }
+
+  /**
+   * Map a GTFS stop to a hafas-client style location
+   */
+  function toLocation(stopId) {
+    const stop = staticGtfs.stops.get(stopId);
+    return {
+      type: 'stop',
+      id: stopId,
+      name: stop ? stop.stop_name : stopId,
+      location: stop ? { type: 'location', latitude: Number(stop.stop_lat), longitude: Number(stop.stop_lon) } : null
+    };
+  }
+
+  /**
+   * Line and direction of a trip update
+   */
+  function describeTrip(tripUpdate) {
+    const trip = tripUpdate.trip || {};
+    const staticTrip = staticGtfs.trips.get(trip.tripId);
+    const routeId = trip.routeId || (staticTrip && staticTrip.route_id);
+    const route = staticGtfs.routes.get(routeId);
+    const updates = tripUpdate.stopTimeUpdate || [];
+    const lastStopId = updates.length > 0 ? updates[updates.length - 1].stopId : null;
+
+    return {
+      tripId: trip.tripId,
+      line: {
+        type: 'line',
+        id: routeId || null,
+        name: (route && (route.route_short_name || route.route_long_name)) || routeId || null,
+        product: 'bus'
+      },
+      direction: (staticTrip && staticTrip.trip_headsign) || (lastStopId ? toLocation(lastStopId).name : null),
+      cancelled: trip.scheduleRelationship === 'CANCELED'
+    };
+  }
+
+  /**
+   * Planned and real-time timestamps of a stop time event
+   */
+  function getEventTimes(event) {
+    if (!event || (!event.time && event.delay === undefined)) return null;
+    const when = event.time ? event.time * 1000 : null;
+    const delay = event.delay !== undefined ? event.delay : null;
+    return {
+      when: when ? new Date(when).toISOString() : null,
+      plannedWhen: when ? new Date(when - (delay || 0) * 1000).toISOString() : null,
+      delay
+    };
+  }
+
+  /**
+   * Whether a GTFS stop ID belongs to a station (the station itself or one of its platforms)
+   */
+  function belongsToStation(stopId, stationId) {
+    if (stopId === stationId) return true;
+    const stop = staticGtfs.stops.get(stopId);
+    return Boolean(stop && stop.parent_station === stationId);
+  }
+
+  return {
+    name: 'gtfs-rt',
+    label: 'GTFS-Realtime Feed',
+    isSimulated: false,
+
+    async checkAvailability() {
+      await loadFeed();
+    },
+
+    async locations(query, opts = {}) {
+      const q = query.toLowerCase();
+      return [...staticGtfs.stops.values()]
+        .filter(stop => (stop.stop_name || '').toLowerCase().includes(q))
+        // Prefer parent stations over individual platforms
+        .sort((a, b) => Number(b.location_type === '1') - Number(a.location_type === '1'))
+        .slice(0, opts.results || 10)
+        .map(stop => toLocation(stop.stop_id));
+    },
+
+    async departures(stationId, opts = {}) {
+      const { entity = [] } = await loadFeed();
+      const from = opts.when ? new Date(opts.when).getTime() : Date.now();
+      const until = from + (opts.duration || 120) * 60000;
+      const departures = [];
+
+      for (const { tripUpdate } of entity) {
+        if (!tripUpdate) continue;
+        const trip = describeTrip(tripUpdate);
+
+        for (const update of tripUpdate.stopTimeUpdate || []) {
+          if (!belongsToStation(update.stopId, stationId)) continue;
+
+          const times = getEventTimes(update.departure || update.arrival);
+          if (!times || !times.plannedWhen) continue;
+
+          const planned = new Date(times.plannedWhen).getTime();
+          if (planned < from || planned > until) continue;
+
+          const cancelled = trip.cancelled || update.scheduleRelationship === 'SKIPPED';
+          departures.push({
+            tripId: trip.tripId,
+            stop: toLocation(update.stopId),
+            plannedWhen: times.plannedWhen,
+            when: cancelled ? null : times.when,
+            delay: cancelled ? null : times.delay,
+            cancelled: cancelled || undefined,
+            platform: null,
+            plannedPlatform: null,
+            direction: trip.direction,
+            line: trip.line,
+            remarks: []
+          });
+        }
+      }
+
+      departures.sort((a, b) => new Date(a.plannedWhen) - new Date(b.plannedWhen));
+      return opts.results ? departures.slice(0, opts.results) : departures;
+    },
+
+    async trip(tripId) {
+      const { entity = [] } = await loadFeed();
+      const match = entity.find(e => e.tripUpdate && e.tripUpdate.trip && e.tripUpdate.trip.tripId === tripId);
+      if (!match) {
+        // Same code as hafas-client, so an unknown trip does not count as a failure of the feed
+        throw Object.assign(new Error(`Trip ${tripId} not found in GTFS-RT feed`), { code: 'NOT_FOUND' });
+      }
+
+      const trip = describeTrip(match.tripUpdate);
+      const stopovers = (match.tripUpdate.stopTimeUpdate || []).map(update => {
+        const arrival = getEventTimes(update.arrival) || {};
+        const departure = getEventTimes(update.departure) || {};
+        return {
+          stop: toLocation(update.stopId),
+          plannedArrival: arrival.plannedWhen || null,
+          arrival: arrival.when || null,
+          arrivalDelay: arrival.delay ?? null,
+          plannedDeparture: departure.plannedWhen || null,
+          departure: departure.when || null,
+          departureDelay: departure.delay ?? null,
+          cancelled: trip.cancelled || update.scheduleRelationship === 'SKIPPED' || undefined
+        };
+      });
+
+      return {
+        id: tripId,
+        direction: trip.direction,
+        line: trip.line,
+        cancelled: trip.cancelled || undefined,
+        stopovers,
+        remarks: []
+      };
+    }
+  };
+}
+
+export {
+  createGtfsRtAdapter,
+  readGtfsCsv
+};
@@ -0,0 +1,83 @@
+/**
+ * HAFAS Adapter - Data source backed by a hafas-client profile (default: saarfahrplan)
+ */
+
+import { createClient } from 'hafas-client';
+import { profile as saarfahrplanProfile } from 'hafas-client/p/saarfahrplan/index.js';
+
+const DEFAULT_USER_AGENT = 'R7Verspaetung-App (github.com/Luc8020/R7Versp-tung)';
+
+/**
+ * Create a HAFAS data source
+ * @param {Object} options - Adapter options
+ * @param {Object} [options.profile] - hafas-client profile (default: saarfahrplan)
+ * @param {string} [options.userAgent] - User agent sent to the HAFAS endpoint
+ * @param {Object} [options.client] - Pre-built hafas-client instance (mainly for tests)
+ * @returns {Object} Data source adapter
+ */
+function createHafasAdapter(options = {}) {
+  const client = options.client || createClient(options.profile || saarfahrplanProfile, options.userAgent || DEFAULT_USER_AGENT);
+
+  return {
+    name: 'hafas',
+    label: 'saarfahrplan HAFAS API',
+    isSimulated: false,
+
+    /**
+     * Check whether the upstream API answers
+     * @returns {Promise<void>} Rejects if not reachable
+     */
+    async checkAvailability() {
+      await client.locations('Saarbrücken', { results: 1 });
+    },
+
+    /**
+     * Search locations by name
+     * @param {string} query - Search text
+     * @param {Object} opts - hafas-client locations() options
+     * @returns {Promise<Array>} Locations
+     */
+    async locations(query, opts = {}) {
+      return await client.locations(query, opts);
+    },
+
+    /**
+     * Get departures at a station
+     * @param {string} stationId - HAFAS station ID
+     * @param {Object} opts - hafas-client departures() options
+     * @returns {Promise<Array>} Departures
+     */
+    async departures(stationId, opts = {}) {
+      const result = await client.departures(stationId, opts);
+      // hafas-client v6 returns { departures, realtimeDataUpdatedAt }
+      return Array.isArray(result) ? result : result.departures;
+    },
+
+    /**
+     * Get a single trip with all its stopovers
+     * @param {string} tripId - HAFAS trip ID
+     * @param {Object} opts - hafas-client trip() options
+     * @returns {Promise<Object>} Trip
+     */
+    async trip(tripId, opts = {}) {
+      const result = await client.trip(tripId, opts);
+      return result.trip || result;
+    },
+
+    /**
+     * Find journeys between two stations
+     * @param {string} from - HAFAS station ID of the origin
+     * @param {string} to - HAFAS station ID of the destination
+     * @param {Object} opts - hafas-client journeys() options
+     * @returns {Promise<Array>} Journeys
+     */
+    async journeys(from, to, opts = {}) {
+      const result = await client.journeys(from, to, opts);
+      return result.journeys || [];
+    }
+  };
+}
+
+export {
+  createHafasAdapter
+};
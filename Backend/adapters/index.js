@@ -0,0 +1,64 @@
+/**
+ * Data Source Adapters
+ *
+ * Every adapter implements the same interface, modelled on hafas-client:
+ *   - name, label, isSimulated
+ *   - checkAvailability()                 resolves if the source is usable
+ *   - locations(query, opts)              stations matching a name
+ *   - departures(stationId, opts)         departures at a station (array)
+ *   - trip(tripId, opts)                  a single trip with its stopovers
+ *   - journeys(from, to, opts)            journeys between two stations (optional,
+ *                                         not offered by the GTFS-Realtime adapter)
+ *
+ * The adapter is picked with the DATA_SOURCE environment variable. Any adapter
+ * can be wrapped by the recording adapter (RECORD_FILE), and the replay adapter
+ * (DATA_SOURCE=replay, REPLAY_FILE) serves such a recording instead of a live source.
+ */
+
+import { createHafasAdapter } from './hafasAdapter.js';
+import { createGtfsRtAdapter } from './gtfsRtAdapter.js';
+import { createSimulatorAdapter } from './simulatorAdapter.js';
+import { createRecordingAdapter } from './recordingAdapter.js';
+import { createReplayAdapter } from './replayAdapter.js';
+
+const DATA_SOURCES = ['hafas', 'gtfs-rt', 'simulator', 'replay'];
+
+/**
+ * Create the data source adapter selected by configuration
+ * @param {string} name - Adapter name ('hafas', 'gtfs-rt', 'simulator' or 'replay')
+ * @param {Object} options - Options passed to the adapter (merged with environment configuration)
+ * @returns {Object} Data source adapter
+ */
+function createDataSource(name = process.env.DATA_SOURCE || 'hafas', options = {}) {
+  switch (name) {
+    case 'hafas':
+      return createHafasAdapter(options);
+    case 'gtfs-rt':
+      return createGtfsRtAdapter({
+        feedUrl: process.env.GTFS_RT_URL,
+        feedFile: process.env.GTFS_RT_FILE,
+        staticDir: process.env.GTFS_STATIC_DIR,
+        refreshSeconds: parseInt(process.env.GTFS_RT_REFRESH_SECONDS, 10) || undefined,
+        ...options
+      });
+    case 'simulator':
+      return createSimulatorAdapter(options);
+    case 'replay':
+      return createReplayAdapter({
+        file: process.env.REPLAY_FILE,
+        ...options
+      });
+    default:
+      throw new Error(`Unknown data source "${name}" (expected one of: ${DATA_SOURCES.join(', ')})`);
+  }
+}
+
+export {
+  createDataSource,
+  createHafasAdapter,
+  createGtfsRtAdapter,
+  createSimulatorAdapter,
+  createRecordingAdapter,
+  createReplayAdapter,
+  DATA_SOURCES
+};
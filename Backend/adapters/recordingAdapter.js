@@ -0,0 +1,103 @@
+/**
+ * Recording Adapter - Writes every request to a data source and its response to disk
+ *
+ * Wraps another adapter. Each call of locations, departures, trip or journeys
+ * is appended as one JSON line to the recording file: the time of the request,
+ * the method, its arguments and the response (or the error). The replay
+ * adapter serves such a file in place of the live source.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { logger } from '../models/logger.js';
+
+const RECORDED_METHODS = ['locations', 'departures', 'trip', 'journeys'];
+
+/**
+ * Serialize a value with object keys in sorted order
+ * @param {*} value - Value (Dates are written as ISO strings)
+ * @returns {string} JSON
+ */
+function stableStringify(value) {
+  return JSON.stringify(value, (key, val) => {
+    if (val && typeof val === 'object' && !Array.isArray(val)) {
+      return Object.fromEntries(Object.keys(val).sort().map(k => [k, val[k]]));
+    }
+    return val;
+  });
+}
+
+/**
+ * Build the key a request is recorded and looked up under
+ * @param {string} method - Adapter method
+ * @param {Array} args - Arguments of the call (undefined options are left out)
+ * @returns {string} Request key
+ */
+function getRequestKey(method, args) {
+  return `${method}|${stableStringify(JSON.parse(JSON.stringify(args)))}`;
+}
+
+/**
+ * Wrap a data source so that every request is recorded
+ * @param {Object} source - Data source adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.file - Recording file (JSON Lines, appended to)
+ * @returns {Object} Data source adapter with the same interface
+ */
+function createRecordingAdapter(source, options = {}) {
+  const { file } = options;
+  if (!file) {
+    throw new Error('Recording needs a file (RECORD_FILE)');
+  }
+
+  // Appends are chained so entries are written in the order the responses arrived
+  let writing = fs.mkdir(path.dirname(file), { recursive: true });
+
+  /**
+   * Append an entry to the recording file
+   */
+  function write(entry) {
+    writing = writing
+      .then(() => fs.appendFile(file, JSON.stringify(entry) + '\n'))
+      .catch(error => logger.error('Error writing recording', { error: error.message }));
+    return writing;
+  }
+
+  /**
+   * Record the calls of one adapter method
+   */
+  function record(method) {
+    return async (...args) => {
+      const recordedAt = new Date();
+      const entry = {
+        recordedAt: recordedAt.toISOString(),
+        source: source.name,
+        method,
+        key: getRequestKey(method, args),
+        args
+      };
+
+      try {
+        const response = await source[method](...args);
+        write({ ...entry, durationMs: Date.now() - recordedAt.getTime(), response });
+        return response;
+      } catch (error) {
+        write({ ...entry, durationMs: Date.now() - recordedAt.getTime(), error: { name: error.name, message: error.message } });
+        throw error;
+      }
+    };
+  }
+
+  const recording = { ...source };
+  for (const method of RECORDED_METHODS) {
+    if (typeof source[method] === 'function') recording[method] = record(method);
+  }
+
+  logger.info(`Recording ${source.label} requests`, { file });
+  return recording;
+}
+
+export {
+  createRecordingAdapter,
+  getRequestKey
+};
@@ -0,0 +1,124 @@
+/**
+ * Replay Adapter - Serves recorded data source responses in place of the live source
+ *
+ * Reads a file written by the recording adapter. A request is answered with the
+ * response recorded for the same method and arguments; if it was recorded
+ * several times, the latest recording up to the current (clock) time is used,
+ * so a replay follows the recorded situation as time passes. Recorded errors
+ * are thrown again. Requests that were never recorded return empty results.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { getRequestKey } from './recordingAdapter.js';
+import { logger } from '../models/logger.js';
+
+/**
+ * Create a data source replaying a recording
+ * @param {Object} options - Adapter options
+ * @param {string} options.file - Recording file (JSON Lines)
+ * @param {Function} [options.now] - Returns the current time (defaults to the system clock)
+ * @returns {Object} Data source adapter
+ */
+function createReplayAdapter(options = {}) {
+  const { file } = options;
+  const now = options.now || (() => new Date());
+
+  if (!file || !existsSync(file)) {
+    throw new Error(`Recording file not found: ${file || '(REPLAY_FILE not set)'}`);
+  }
+
+  // Request key -> recorded entries in time order
+  const recordings = new Map();
+  let recordedFrom = null;
+
+  for (const line of readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      const key = entry.key || getRequestKey(entry.method, entry.args);
+      if (!recordings.has(key)) recordings.set(key, []);
+      recordings.get(key).push(entry);
+      if (!recordedFrom || entry.recordedAt < recordedFrom) recordedFrom = entry.recordedAt;
+    } catch (error) {
+      logger.warn('Skipping malformed recording line', { error: error.message });
+    }
+  }
+  for (const entries of recordings.values()) {
+    entries.sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+  }
+
+  logger.info('Replaying recorded requests', { requests: [...recordings.values()].reduce((sum, e) => sum + e.length, 0), file });
+
+  const missing = new Set();
+
+  /**
+   * Find the recording for a request (the latest one up to the current time, else the first)
+   */
+  function findRecording(method, args) {
+    const key = getRequestKey(method, args);
+    const entries = recordings.get(key);
+    if (!entries) {
+      if (!missing.has(key)) {
+        missing.add(key);
+        logger.warn('No recording for request', { key });
+      }
+      return null;
+    }
+
+    const time = now().getTime();
+    let match = entries[0];
+    for (const entry of entries) {
+      if (new Date(entry.recordedAt).getTime() > time) break;
+      match = entry;
+    }
+    return match;
+  }
+
+  /**
+   * Serve a recorded response, or throw the recorded error
+   */
+  function replay(method, args, fallback) {
+    const entry = findRecording(method, args);
+    if (!entry) return fallback();
+
+    if (entry.error) {
+      const error = new Error(entry.error.message);
+      error.name = entry.error.name || 'Error';
+      throw error;
+    }
+    return entry.response;
+  }
+
+  return {
+    name: 'replay',
+    label: recordedFrom
+      ? `Aufzeichnung vom ${new Date(recordedFrom).toLocaleDateString('de-DE', { timeZone: 'Europe/Berlin' })}`
+      : 'Aufzeichnung',
+    isSimulated: false,
+    recordedFrom,
+
+    async checkAvailability() {
+      // The recording was read when the adapter was created
+    },
+
+    async locations(...args) {
+      return replay('locations', args, () => []);
+    },
+
+    async departures(...args) {
+      return replay('departures', args, () => []);
+    },
+
+    async trip(...args) {
+      return replay('trip', args, () => ({ id: args[0], stopovers: [], remarks: [] }));
+    },
+
+    async journeys(...args) {
+      return replay('journeys', args, () => []);
+    }
+  };
+}
+
+export {
+  createReplayAdapter
+};
@@ -0,0 +1,580 @@
+/**
+ * Simulator Adapter - Generates simulated departures for the configured lines
+ *
+ * Used as fallback when the configured data source is not reachable, or
+ * explicitly via DATA_SOURCE=simulator for offline development. Transfer hubs
+ * also get a few simulated connecting trains.
+ *
+ * The simulation is deterministic: buses run on a weekday/Saturday/Sunday
+ * timetable, and every random decision (delay, cancellation) is derived from
+ * the seed and the trip, so the same seed and time always give the same data.
+ * A delay picked at the first stop carries over along the route. A scenario
+ * (see config/scenarios.js) can change the delay profile, cancel trips and
+ * add remarks.
+ */
+
+const TIME_ZONE = 'Europe/Berlin';
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const WEEKDAY_INDEX = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 };
+
+const DEFAULT_SEED = 1;
+
+// Planned running time between two consecutive stops
+const RUNNING_MINUTES = 4;
+
+// Departures at the first stop of each route (local time): service hours and
+// headways per day type, the first matching headway period wins
+const TIMETABLE = {
+  weekday: {
+    first: '05:00',
+    last: '23:00',
+    headways: [
+      { from: '06:00', to: '09:00', minutes: 15 },
+      { from: '15:00', to: '18:30', minutes: 15 },
+      { from: '05:00', to: '20:00', minutes: 30 },
+      { minutes: 60 }
+    ]
+  },
+  saturday: {
+    first: '06:00',
+    last: '23:00',
+    headways: [
+      { from: '08:00', to: '19:00', minutes: 30 },
+      { minutes: 60 }
+    ]
+  },
+  sunday: {
+    first: '08:00',
+    last: '22:00',
+    headways: [
+      { minutes: 60 }
+    ]
+  }
+};
+
+// Delay profile of a normal day, overridden by scenarios
+const DEFAULT_PROFILE = {
+  onTimeProbability: 0.6,          // trips leaving their first stop on time
+  initialDelayMinutes: 8,          // maximum delay at the first stop
+  delayGrowthMinutes: 2,           // maximum delay picked up between two stops
+  delayRecoveryMinutes: 1,         // maximum delay made up between two stops
+  maxEarlyMinutes: 2,              // maximum time a bus runs ahead of schedule
+  cancellationProbability: 0.03,
+  trainOnTimeProbability: 0.7,
+  trainDelayMinutes: 5,
+  trainCancellationProbability: 0.02
+};
+
+// Trains leaving the transfer hubs every hour at these minutes (to test transfer analysis offline)
+const SIMULATED_TRAINS = [
+  { name: 'RE 1', direction: 'Saarbrücken Hbf', minutes: [1, 31] },
+  { name: 'S 1', direction: 'Kaiserslautern Hbf', minutes: [15, 45] }
+];
+
+const localFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Station ID the simulator uses for a stop of a line
+ * @param {Object} line - Line definition
+ * @param {Object} stop - Stop definition
+ * @returns {string} Station ID
+ */
+function getStationId(line, stop) {
+  return stop.hafasId || `sim-${line.id}-${stop.id}`;
+}
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic random number for a seed and a key (one mulberry32 step on their hash)
+ * The same seed and key always give the same number, independent of call order.
+ * @param {string|number} seed - Simulation seed
+ * @param {string} key - What the number is drawn for (e.g. trip ID and stop)
+ * @returns {number} Number in [0, 1)
+ */
+function seededRandom(seed, key) {
+  let t = (hashString(`${seed}|${key}`) + 0x6d2b79f5) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Convert HH:MM to minutes after midnight
+ * @param {string} time - Time as HH:MM
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format a number with two digits
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Get local date, time and weekday of a timestamp
+ * @param {Date} date - Timestamp
+ * @returns {Object} { year, month, day, hour, minute, weekday } with weekday 0 = Monday
+ */
+function getLocalParts(date) {
+  const parts = {};
+  localFormat.formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+/**
+ * Get the start of the local day a timestamp falls on
+ * The offset to UTC is taken at noon, so a daylight saving change at night
+ * doesn't shift that day's timetable.
+ * @param {Date} date - Timestamp
+ * @returns {Date} Local midnight
+ */
+function getLocalMidnight(date) {
+  const local = getLocalParts(date);
+  const noon = Date.UTC(local.year, local.month - 1, local.day, 12);
+  const atNoon = getLocalParts(new Date(noon));
+  const offset = Date.UTC(atNoon.year, atNoon.month - 1, atNoon.day, atNoon.hour, atNoon.minute) - noon;
+  return new Date(Date.UTC(local.year, local.month - 1, local.day) - offset);
+}
+
+/**
+ * Planned departures at the first stop of a route on a day
+ * @param {number} weekday - Weekday (0 = Monday)
+ * @returns {Array<number>} Minutes after midnight
+ */
+function getDaySchedule(weekday) {
+  const day = weekday < 5 ? TIMETABLE.weekday : (weekday === 5 ? TIMETABLE.saturday : TIMETABLE.sunday);
+  const times = [];
+
+  for (let t = toMinutes(day.first); t <= toMinutes(day.last);) {
+    times.push(t);
+    const headway = day.headways.find(h => !h.from || (t >= toMinutes(h.from) && t < toMinutes(h.to)));
+    t += headway.minutes;
+  }
+  return times;
+}
+
+/**
+ * Planned departures at the first stop of a route within a time range
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @returns {Array<Date>} Departures in time order
+ */
+function getTripStarts(from, to) {
+  const starts = [];
+  let day = getLocalMidnight(from);
+
+  while (day <= to) {
+    const weekday = getLocalParts(new Date(day.getTime() + 12 * 3600000)).weekday;
+    for (const minutes of getDaySchedule(weekday)) {
+      const start = new Date(day.getTime() + minutes * 60000);
+      if (start >= from && start <= to) starts.push(start);
+    }
+    day = getLocalMidnight(new Date(day.getTime() + 36 * 3600000));
+  }
+  return starts;
+}
+
+/**
+ * Create a simulator data source
+ * @param {Object} options - Adapter options
+ * @param {Array} options.lines - Lines to simulate ({ id, name, stops: [{ id, name, searchName, hafasId, order }] })
+ * @param {string|number} [options.seed] - Seed of all random decisions
+ * @param {Object} [options.scenario] - Scenario to play (see config/scenarios.js)
+ * @param {Function} [options.now] - Returns the current time (defaults to the system clock)
+ * @returns {Object} Data source adapter
+ */
+function createSimulatorAdapter(options = {}) {
+  const lines = options.lines || [];
+  const now = options.now || (() => new Date());
+  let seed = options.seed ?? DEFAULT_SEED;
+  let scenario = options.scenario || null;
+
+  /**
+   * Random number for a key under the current seed
+   */
+  function random(key) {
+    return seededRandom(seed, key);
+  }
+
+  /**
+   * The routes of a line: its stops in travel order for each direction, with the headsign
+   */
+  function getRoutes(line) {
+    const first = line.stops[0];
+    const last = line.stops[line.stops.length - 1];
+    const directions = line.directions || [{ id: null, towards: last.id }, { id: null, towards: first.id }];
+
+    return directions.map(direction => {
+      const terminus = line.stops.find(stop => stop.id === direction.towards) || last;
+      return {
+        directionId: direction.id,
+        headsign: terminus.name,
+        stops: terminus === first ? [...line.stops].reverse() : line.stops
+      };
+    });
+  }
+
+  /**
+   * Delay profile for a trip, including the scenario and its periods
+   * @param {Date} tripStart - Planned departure at the first stop
+   */
+  function getProfile(tripStart) {
+    if (!scenario) return DEFAULT_PROFILE;
+
+    const local = getLocalParts(tripStart);
+    const minutes = local.hour * 60 + local.minute;
+    const period = scenario.periods.find(p =>
+      p.weekdays.includes(WEEKDAYS[local.weekday]) && minutes >= toMinutes(p.from) && minutes < toMinutes(p.to)
+    );
+
+    return { ...DEFAULT_PROFILE, ...scenario.profile, ...(period ? period.profile : {}) };
+  }
+
+  /**
+   * Check if the scenario cancels a trip
+   */
+  function isCancelledByScenario(line, route, tripStart) {
+    if (!scenario || scenario.cancelledTrips.length === 0) return false;
+
+    const local = getLocalParts(tripStart);
+    const time = `${pad(local.hour)}:${pad(local.minute)}`;
+    const date = `${local.year}-${pad(local.month)}-${pad(local.day)}`;
+
+    return scenario.cancelledTrips.some(trip =>
+      (!trip.lineId || trip.lineId === line.id) &&
+      (!trip.direction || trip.direction === route.directionId) &&
+      trip.departure === time &&
+      (!trip.date || trip.date === date)
+    );
+  }
+
+  /**
+   * Remarks the scenario adds to every departure
+   */
+  function getRemarks(cancelled) {
+    const remarks = scenario ? scenario.remarks.map(text => ({ type: 'warning', text })) : [];
+    if (cancelled) remarks.push({ type: 'status', code: 'cancelled', text: 'Fahrt fällt aus' });
+    return remarks;
+  }
+
+  /**
+   * Simulate a trip: whether it is cancelled and its delay at every stop of the route
+   * The delay at the first stop is picked per trip; between two stops the bus
+   * picks up or makes up a few minutes, so delays carry over along the route.
+   * A bus making up time can end up leaving a stop early.
+   * @param {Object} line - Line definition
+   * @param {Object} route - Route of the trip (from getRoutes)
+   * @param {Date} tripStart - Planned departure at the first stop of the route
+   */
+  function simulateTrip(line, route, tripStart) {
+    const tripId = `sim|${line.id}|${tripStart.toISOString()}|${route.headsign}`;
+    const profile = getProfile(tripStart);
+    const cancelled = isCancelledByScenario(line, route, tripStart) ||
+      random(`${tripId}|cancelled`) < profile.cancellationProbability;
+
+    let delay = random(`${tripId}|on-time`) < profile.onTimeProbability
+      ? 0
+      : Math.ceil(random(`${tripId}|delay`) * profile.initialDelayMinutes);
+
+    const delays = route.stops.map((stop, index) => {
+      if (index > 0) {
+        const range = profile.delayGrowthMinutes + profile.delayRecoveryMinutes;
+        const change = Math.floor(random(`${tripId}|${index}`) * (range + 1)) - profile.delayRecoveryMinutes;
+        delay = Math.max(-profile.maxEarlyMinutes, delay + change);
+      }
+      return delay;
+    });
+
+    return { tripId, cancelled, delays };
+  }
+
+  /**
+   * Simulate the departure of a trip at one of its stops (shaped like a hafas-client departure)
+   * @param {Object} line - Line definition
+   * @param {Object} route - Route of the trip (from getRoutes)
+   * @param {number} index - Index of the stop in the route
+   * @param {Date} tripStart - Planned departure at the first stop of the route
+   */
+  function simulateDeparture(line, route, index, tripStart) {
+    const { tripId, cancelled, delays } = simulateTrip(line, route, tripStart);
+    const delay = delays[index];
+
+    const stop = route.stops[index];
+    const terminus = route.stops[route.stops.length - 1];
+    const isTerminal = index === 0 || index === route.stops.length - 1;
+    const platform = isTerminal ? String(1 + hashString(`${stop.id}|${route.headsign}`) % 3) : null;
+    const plannedWhen = new Date(tripStart.getTime() + index * RUNNING_MINUTES * 60000);
+    const when = new Date(plannedWhen.getTime() + delay * 60000);
+
+    return {
+      tripId,
+      stop: { type: 'stop', id: getStationId(line, stop), name: stop.name, location: null },
+      plannedWhen: plannedWhen.toISOString(),
+      when: cancelled ? null : when.toISOString(),
+      delay: cancelled ? null : delay * 60,
+      cancelled: cancelled || undefined,
+      plannedPlatform: platform,
+      platform: platform,
+      prognosisType: cancelled ? null : 'prognosed',
+      direction: route.headsign,
+      destination: { type: 'stop', id: getStationId(line, terminus), name: terminus.name, location: null },
+      line: { type: 'line', id: line.id.toLowerCase(), name: line.name, public: true, mode: 'bus', product: 'bus' },
+      remarks: getRemarks(cancelled)
+    };
+  }
+
+  /**
+   * Simulate the trains leaving a transfer hub within the look-ahead window
+   */
+  function simulateTrains(stop, stationId, when, duration) {
+    const departures = [];
+    const end = when.getTime() + duration * 60000;
+
+    for (const train of SIMULATED_TRAINS) {
+      const hour = new Date(when);
+      hour.setMinutes(0, 0, 0);
+
+      for (let t = hour.getTime(); t <= end; t += 60 * 60000) {
+        for (const minute of train.minutes) {
+          const plannedWhen = new Date(t + minute * 60000);
+          if (plannedWhen < when || plannedWhen.getTime() > end) continue;
+
+          const tripId = `sim-train|${train.name}|${stationId}|${plannedWhen.toISOString()}`;
+          const profile = getProfile(plannedWhen);
+          const delay = random(`${tripId}|on-time`) < profile.trainOnTimeProbability
+            ? 0
+            : Math.ceil(random(`${tripId}|delay`) * profile.trainDelayMinutes);
+          const cancelled = random(`${tripId}|cancelled`) < profile.trainCancellationProbability;
+          const platform = String(train.minutes.indexOf(minute) + 4);
+
+          departures.push({
+            tripId,
+            stop: { type: 'stop', id: stationId, name: stop.name, location: null },
+            plannedWhen: plannedWhen.toISOString(),
+            when: cancelled ? null : new Date(plannedWhen.getTime() + delay * 60000).toISOString(),
+            delay: cancelled ? null : delay * 60,
+            cancelled: cancelled || undefined,
+            plannedPlatform: platform,
+            platform: platform,
+            prognosisType: cancelled ? null : 'prognosed',
+            direction: train.direction,
+            line: { type: 'line', id: train.name.toLowerCase().replace(/\s+/g, '-'), name: train.name, public: true, mode: 'train', product: 'regional' },
+            remarks: getRemarks(cancelled)
+          });
+        }
+      }
+    }
+
+    return departures;
+  }
+
+  /**
+   * All (line, stop) pairs served at a station
+   */
+  function findStops(stationId) {
+    const matches = [];
+    for (const line of lines) {
+      for (const stop of line.stops) {
+        if (getStationId(line, stop) === stationId) matches.push({ line, stop });
+      }
+    }
+    return matches;
+  }
+
+  return {
+    name: 'simulator',
+    label: 'Simulierte Daten',
+    isSimulated: true,
+
+    /**
+     * Change the seed and the scenario
+     * @param {Object} settings - { seed, scenario } (omitted fields are kept, scenario null plays a normal day)
+     */
+    configure(settings = {}) {
+      if (settings.seed !== undefined) seed = settings.seed;
+      if (settings.scenario !== undefined) scenario = settings.scenario;
+    },
+
+    /**
+     * Get the current seed and scenario
+     * @returns {Object} { seed, scenario }
+     */
+    getSettings() {
+      return { seed, scenario };
+    },
+
+    async checkAvailability() {
+      // The simulator is always available
+    },
+
+    async locations(query, opts = {}) {
+      const q = query.toLowerCase();
+      const seen = new Set();
+      const results = [];
+
+      for (const line of lines) {
+        for (const stop of line.stops) {
+          const id = getStationId(line, stop);
+          if (seen.has(id)) continue;
+          if (stop.name.toLowerCase().includes(q) || (stop.searchName || '').toLowerCase().includes(q)) {
+            seen.add(id);
+            results.push({ type: 'stop', id, name: stop.name, location: null });
+          }
+        }
+      }
+
+      return results.slice(0, opts.results || 10);
+    },
+
+    async departures(stationId, opts = {}) {
+      const when = opts.when ? new Date(opts.when) : now();
+      const duration = opts.duration || 120;
+      const departures = [];
+
+      for (const { line, stop } of findStops(stationId)) {
+        for (const route of getRoutes(line)) {
+          const index = route.stops.indexOf(stop);
+          // Buses end at the last stop of their route
+          if (index < 0 || index === route.stops.length - 1) continue;
+
+          // Trips that reach this stop within the look-ahead window
+          const offset = index * RUNNING_MINUTES * 60000;
+          const from = new Date(when.getTime() - offset);
+          const to = new Date(from.getTime() + duration * 60000);
+          for (const tripStart of getTripStarts(from, to)) {
+            departures.push(simulateDeparture(line, route, index, tripStart));
+          }
+        }
+      }
+
+      const hub = findStops(stationId).find(({ stop }) => stop.transferHub);
+      if (hub) {
+        departures.push(...simulateTrains(hub.stop, stationId, when, duration));
+      }
+
+      departures.sort((a, b) => new Date(a.plannedWhen) - new Date(b.plannedWhen));
+      return opts.results ? departures.slice(0, opts.results) : departures;
+    },
+
+    async trip(tripId) {
+      const [, lineId, tripStart, headsign] = tripId.split('|');
+      const line = lines.find(l => l.id === lineId);
+      const route = line && getRoutes(line).find(r => r.headsign === headsign);
+      if (!route || !tripStart || isNaN(new Date(tripStart).getTime())) {
+        throw Object.assign(new Error(`Unknown simulated trip: ${tripId}`), { code: 'NOT_FOUND' });
+      }
+
+      const stopovers = route.stops.map((stop, index) => {
+        const dep = simulateDeparture(line, route, index, new Date(tripStart));
+        const isLast = index === route.stops.length - 1;
+        return {
+          stop: dep.stop,
+          plannedDeparture: isLast ? null : dep.plannedWhen,
+          departure: isLast ? null : dep.when,
+          departureDelay: isLast ? null : dep.delay,
+          plannedArrival: index === 0 ? null : dep.plannedWhen,
+          arrival: index === 0 ? null : dep.when,
+          arrivalDelay: index === 0 ? null : dep.delay,
+          cancelled: dep.cancelled
+        };
+      });
+
+      const cancelled = stopovers.some(stopover => stopover.cancelled);
+      return {
+        id: tripId,
+        direction: headsign,
+        line: { type: 'line', id: line.id.toLowerCase(), name: line.name, public: true, mode: 'bus', product: 'bus' },
+        cancelled: cancelled || undefined,
+        stopovers,
+        remarks: getRemarks(cancelled)
+      };
+    },
+
+    async journeys(from, to, opts = {}) {
+      const when = opts.departure ? new Date(opts.departure) : now();
+      const results = opts.results || 5;
+      const journeys = [];
+
+      for (const line of lines) {
+        for (const route of getRoutes(line)) {
+          const fromIndex = route.stops.findIndex(stop => getStationId(line, stop) === from);
+          const toIndex = route.stops.findIndex(stop => getStationId(line, stop) === to);
+          if (fromIndex < 0 || toIndex <= fromIndex) continue;
+
+          // The next trips within a day (there may be none at night)
+          const offset = fromIndex * RUNNING_MINUTES * 60000;
+          const start = new Date(when.getTime() - offset);
+          const tripStarts = getTripStarts(start, new Date(start.getTime() + 24 * 3600000));
+
+          for (const tripStart of tripStarts.slice(0, results)) {
+            const dep = simulateDeparture(line, route, fromIndex, tripStart);
+            const arr = simulateDeparture(line, route, toIndex, tripStart);
+
+            journeys.push({
+              type: 'journey',
+              legs: [{
+                tripId: dep.tripId,
+                origin: dep.stop,
+                destination: arr.stop,
+                plannedDeparture: dep.plannedWhen,
+                departure: dep.when,
+                departureDelay: dep.delay,
+                departurePlatform: dep.platform,
+                plannedArrival: arr.plannedWhen,
+                arrival: arr.when,
+                arrivalDelay: arr.delay,
+                arrivalPlatform: arr.platform,
+                cancelled: dep.cancelled,
+                direction: route.headsign,
+                line: dep.line,
+                remarks: dep.remarks
+              }]
+            });
+          }
+        }
+      }
+
+      return journeys
+        .sort((a, b) => new Date(a.legs[0].plannedDeparture) - new Date(b.legs[0].plannedDeparture))
+        .slice(0, results);
+    }
+  };
+}
+
+export {
+  createSimulatorAdapter
+};
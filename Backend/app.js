@@ -0,0 +1,116 @@
+/**
+ * Express application - Middleware, routes and error handling
+ *
+ * Kept separate from server.js (which starts the background services and
+ * listens on a port) so tests can run requests against the app directly.
+ */
+
+import express from 'express';
+import cors from 'cors';
+import apiRoutes from './routes/api.js';
+import { assignRequestId } from './middleware/requestId.js';
+import { logRequests } from './middleware/requestLog.js';
+import { useEnvelope, markDeprecated } from './middleware/apiVersion.js';
+import { sendInvalidRequest } from './openapi/validator.js';
+import { getMetrics } from './controllers/metricsController.js';
+import { logger } from './models/logger.js';
+
+const app = express();
+
+// Middleware
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'Deprecation', 'Link'] }));
+app.use(assignRequestId);
+app.use(logRequests);
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+/**
+ * Answer requests for unknown API routes
+ */
+function notFound(req, res) {
+  res.status(404).json({
+    success: false,
+    error: `Route ${req.method} ${req.originalUrl} not found`,
+    code: 'NOT_FOUND'
+  });
+}
+
+// API Routes: /api/v1 answers in the envelope, the unversioned routes in the original format
+app.use('/api/v1', useEnvelope, apiRoutes, notFound);
+app.use('/api', markDeprecated, apiRoutes, notFound);
+
+// Prometheus metrics, outside the API (plain text, not versioned)
+app.get('/metrics', getMetrics);
+
+// Routes
+app.get('/', (req, res) => {
+  res.json({ 
+    message: 'R7Verspätung Backend API',
+    description: 'API for R7 bus line delays between Zweibrücken and Homburg (Saarland)',
+    version: '1.0.0',
+    apiVersion: 'v1',
+    dataSource: 'saarfahrplan HAFAS API (real-time data)',
+    documentation: '/api/v1/docs',
+    openapi: '/api/v1/openapi.json',
+    metrics: '/metrics',
+    deprecated: 'The routes below /api without a version are deprecated aliases of /api/v1 in the original response format',
+    endpoints: {
+      health: '/api/v1/health',
+      delays: '/api/v1/delays',
+      stops: '/api/v1/stops',
+      delayByStop: '/api/v1/delays/:stopId',
+      summary: '/api/v1/summary',
+      search: '/api/v1/search?q=<query>',
+      trips: '/api/v1/trips',
+      trip: '/api/v1/trips/:tripId',
+      journey: '/api/v1/journey?from=<stopId>&to=<stopId>&at=<iso>',
+      transfers: '/api/v1/transfers?stopId=<stopId>&minTransfer=<minutes>',
+      lines: '/api/v1/lines',
+      punctuality: '/api/v1/punctuality',
+      lineDelays: '/api/v1/lines/:lineId/delays',
+      lineSummary: '/api/v1/lines/:lineId/summary',
+      alerts: '/api/v1/alerts?type=<cancellation|warning|hint>&stopId=<id>',
+      history: '/api/v1/history?stopId=<id>&direction=<text>&from=<iso>&to=<iso>',
+      stats: '/api/v1/stats?stopId=<id>&direction=<text>&from=<iso>&to=<iso>',
+      exportDelays: '/api/v1/export/delays?format=<csv|jsonl>&stopId=<id>&direction=<id>',
+      exportHistory: '/api/v1/export/history?format=<csv|jsonl>&stopId=<id>&from=<iso>&to=<iso>',
+      calendar: '/api/v1/stops/:stopId/calendar.ics',
+      compensationTrips: '/api/v1/compensation/trips?from=<iso>&to=<iso>',
+      compensationClaim: '/api/v1/compensation/trips/:tripId/claim?date=<YYYY-MM-DD>&from=<stopId>&to=<stopId>',
+      stream: '/api/v1/stream (Server-Sent Events)',
+      websocket: '/api/ws?lineId=<id> (WebSocket)',
+      subscriptions: '/api/v1/subscriptions',
+      simulation: '/api/v1/admin/simulation'
+    }
+  });
+});
+
+// Error handling middleware
+// Errors passed on by middleware (e.g. the body parser) carry their HTTP status;
+// anything else is a bug and answered with 500 and the request ID to look it up in the logs.
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  if (err.type === 'entity.parse.failed') {
+    return sendInvalidRequest(res, ['The request body is not valid JSON'], { code: 'INVALID_JSON' });
+  }
+
+  const status = err.status || err.statusCode || 500;
+  if (status < 500) {
+    return res.status(status).json({
+      success: false,
+      error: err.expose ? err.message : 'Invalid request',
+      code: status === 413 ? 'PAYLOAD_TOO_LARGE' : 'INVALID_REQUEST'
+    });
+  }
+
+  logger.error('Unhandled error', { method: req.method, url: req.originalUrl, error: err });
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    code: 'INTERNAL_ERROR',
+    requestId: req.id
+  });
+});
+
+export default app;
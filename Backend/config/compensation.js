@@ -0,0 +1,105 @@
+/**
+ * Compensation Rules - When a delayed or cancelled trip qualifies for a claim
+ *
+ * The rules are loaded from config/compensation.json (or the file given in
+ * COMPENSATION_CONFIG). A rule applies either from a delay (minDelayMinutes)
+ * or to cancelled trips (cancelled: true); of all rules that apply to a trip,
+ * a cancellation rule wins over the delay rules, and among delay rules the
+ * one with the highest minDelayMinutes wins. `recipient` holds the address
+ * lines printed on the claim (empty: left blank for the passenger).
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const COMPENSATION_CONFIG = process.env.COMPENSATION_CONFIG || path.join(__dirname, 'compensation.json');
+
+/**
+ * Validate the compensation rules
+ * @param {Object} config - { rules, recipient }
+ * @returns {Object} Rules and recipient
+ * @throws {Error} If a rule is incomplete or ambiguous
+ */
+function normalizeRules(config) {
+  if (!Array.isArray(config.rules) || config.rules.length === 0) {
+    throw new Error('Compensation config needs a non-empty "rules" list');
+  }
+
+  const ids = new Set();
+  const rules = config.rules.map((rule, index) => {
+    if (!rule.id || typeof rule.id !== 'string') {
+      throw new Error(`Compensation rule ${index + 1} needs an "id"`);
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`Compensation rule "${rule.id}" is defined twice`);
+    }
+    ids.add(rule.id);
+
+    const isDelayRule = rule.minDelayMinutes !== undefined;
+    if (isDelayRule === (rule.cancelled === true)) {
+      throw new Error(`Compensation rule "${rule.id}" needs either "minDelayMinutes" or "cancelled": true`);
+    }
+    if (isDelayRule && (!Number.isInteger(rule.minDelayMinutes) || rule.minDelayMinutes < 1)) {
+      throw new Error(`Compensation rule "${rule.id}" needs "minDelayMinutes" as a whole number of minutes >= 1`);
+    }
+
+    return {
+      id: rule.id,
+      label: rule.label || rule.id,
+      minDelayMinutes: isDelayRule ? rule.minDelayMinutes : null,
+      cancelled: !isDelayRule,
+      compensation: rule.compensation || null
+    };
+  });
+
+  const recipient = config.recipient || [];
+  if (!Array.isArray(recipient) || recipient.some(line => typeof line !== 'string')) {
+    throw new Error('Compensation config "recipient" must be a list of address lines');
+  }
+
+  return { rules, recipient };
+}
+
+/**
+ * Load and validate the compensation rules file
+ * @param {string} file - Path to the JSON config
+ * @returns {Object} Rules and recipient
+ */
+function loadCompensationRules(file = COMPENSATION_CONFIG) {
+  return normalizeRules(JSON.parse(readFileSync(file, 'utf8')));
+}
+
+const config = loadCompensationRules();
+
+/**
+ * Get the compensation rules
+ * @returns {Object} { rules, recipient }
+ */
+function getCompensationRules() {
+  return config;
+}
+
+/**
+ * Find the rule that applies to a trip
+ * @param {Object} outcome - { delayMinutes, cancelled }
+ * @param {Object} [rules] - Rules to apply (default: the configured ones)
+ * @returns {Object|null} Applicable rule, null if the trip does not qualify
+ */
+function findApplicableRule({ delayMinutes, cancelled }, rules = config) {
+  if (cancelled) {
+    const rule = rules.rules.find(r => r.cancelled);
+    if (rule) return rule;
+  }
+  return rules.rules
+    .filter(r => !r.cancelled && delayMinutes >= r.minDelayMinutes)
+    .reduce((best, r) => (!best || r.minDelayMinutes > best.minDelayMinutes ? r : best), null);
+}
+
+export {
+  loadCompensationRules,
+  getCompensationRules,
+  findApplicableRule,
+  COMPENSATION_CONFIG
+};
@@ -0,0 +1,193 @@
+/**
+ * Line Configuration - Loads the tracked bus lines from a JSON file
+ *
+ * Each line has an ID, a description, ordered stops (with optional HAFAS IDs),
+ * line-name patterns used to pick its departures out of a station board and
+ * its two directions, recognized by patterns on the departure's headsign.
+ * The file defaults to config/lines.json and can be replaced via LINES_CONFIG.
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LINES_CONFIG = process.env.LINES_CONFIG || path.join(__dirname, 'lines.json');
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate the directions of a line and compile their headsign patterns
+ * Without configured directions, the line runs towards its first and its last stop.
+ * @param {Object} line - Line definition from the config file
+ * @param {Array} stops - Normalized stops of the line
+ * @returns {Array} Directions with compiled `matchers`
+ */
+function normalizeDirections(line, stops) {
+  const directions = line.directions && line.directions.length > 0
+    ? line.directions
+    : [stops[stops.length - 1], stops[0]].map(stop => ({
+      id: `towards-${stop.id}`,
+      name: stop.name,
+      towards: stop.id,
+      headsignPatterns: [escapeRegExp(stop.name), escapeRegExp(stop.searchName)]
+    }));
+
+  return directions.map(direction => {
+    if (!direction.id || !stops.some(stop => stop.id === String(direction.towards))) {
+      throw new Error(`Direction of line ${line.id} needs an "id" and a "towards" stop: ${JSON.stringify(direction.id)}`);
+    }
+
+    const patterns = direction.headsignPatterns && direction.headsignPatterns.length > 0
+      ? direction.headsignPatterns
+      : [escapeRegExp(direction.name || direction.id)];
+
+    return {
+      id: String(direction.id),
+      name: direction.name || String(direction.id),
+      towards: String(direction.towards),
+      headsignPatterns: patterns,
+      matchers: patterns.map(pattern => new RegExp(pattern, 'i'))
+    };
+  });
+}
+
+/**
+ * Validate a line definition and compile its name patterns
+ * @param {Object} line - Line definition from the config file
+ * @returns {Object} Line with compiled `matchers`, stops sorted by order and directions
+ */
+function normalizeLine(line) {
+  if (!line.id || !Array.isArray(line.stops) || line.stops.length === 0) {
+    throw new Error(`Line definition needs an "id" and at least one stop: ${JSON.stringify(line.id)}`);
+  }
+
+  const patterns = line.linePatterns && line.linePatterns.length > 0 ? line.linePatterns : [`^${line.id}$`];
+  const stops = line.stops
+    .map((stop, index) => ({
+      id: String(stop.id),
+      name: stop.name,
+      searchName: stop.searchName || stop.name,
+      hafasId: stop.hafasId || null,
+      order: stop.order || index + 1,
+      transferHub: stop.transferHub === true,
+      minTransferMinutes: typeof stop.minTransferMinutes === 'number' ? stop.minTransferMinutes : null
+    }))
+    .sort((a, b) => a.order - b.order);
+
+  return {
+    id: String(line.id),
+    name: line.name || String(line.id),
+    description: line.description || '',
+    linePatterns: patterns,
+    matchers: patterns.map(pattern => new RegExp(pattern, 'i')),
+    stops,
+    directions: normalizeDirections(line, stops)
+  };
+}
+
+/**
+ * Load and validate the line configuration file
+ * @param {string} file - Path to the JSON config
+ * @returns {Object} { defaultLine, lines }
+ */
+function loadLinesConfig(file = LINES_CONFIG) {
+  const config = JSON.parse(readFileSync(file, 'utf8'));
+  const lines = (config.lines || []).map(normalizeLine);
+
+  if (lines.length === 0) {
+    throw new Error(`No lines defined in ${file}`);
+  }
+
+  const ids = new Set();
+  for (const line of lines) {
+    if (ids.has(line.id)) throw new Error(`Duplicate line id "${line.id}" in ${file}`);
+    ids.add(line.id);
+  }
+
+  const defaultLine = config.defaultLine && ids.has(String(config.defaultLine)) ? String(config.defaultLine) : lines[0].id;
+  return { defaultLine, lines };
+}
+
+const config = loadLinesConfig();
+
+/**
+ * Get all configured lines
+ * @returns {Array} Line definitions
+ */
+function getLines() {
+  return config.lines;
+}
+
+/**
+ * Get a line by ID (case-insensitive)
+ * @param {string} lineId - Line ID
+ * @returns {Object|null} Line definition or null if unknown
+ */
+function getLine(lineId) {
+  if (!lineId) return null;
+  const id = String(lineId).toLowerCase();
+  return config.lines.find(line => line.id.toLowerCase() === id) || null;
+}
+
+/**
+ * Get the line used by the unprefixed /api routes
+ * @returns {Object} Line definition
+ */
+function getDefaultLine() {
+  return getLine(config.defaultLine);
+}
+
+/**
+ * Check whether a departure's line name belongs to a line
+ * @param {Object} line - Line definition
+ * @param {string} lineName - Line name reported by the data source
+ * @returns {boolean}
+ */
+function matchesLine(line, lineName) {
+  if (!lineName) return false;
+  return line.matchers.some(matcher => matcher.test(lineName));
+}
+
+/**
+ * Find the direction of a line a departure runs in, by its headsign
+ * @param {Object} line - Line definition
+ * @param {string} headsign - Direction reported by the data source
+ * @returns {Object|null} Direction or null if it matches none
+ */
+function matchDirection(line, headsign) {
+  if (!headsign) return null;
+  return line.directions.find(direction => direction.matchers.some(matcher => matcher.test(headsign))) || null;
+}
+
+/**
+ * Get a direction of a line by ID or name (case-insensitive)
+ * @param {Object} line - Line definition
+ * @param {string} value - Direction ID or name
+ * @returns {Object|null} Direction or null if unknown
+ */
+function getDirection(line, value) {
+  if (!value) return null;
+  const query = String(value).toLowerCase();
+  return line.directions.find(direction =>
+    direction.id.toLowerCase() === query || direction.name.toLowerCase() === query
+  ) || null;
+}
+
+export {
+  loadLinesConfig,
+  getLines,
+  getLine,
+  getDefaultLine,
+  matchesLine,
+  matchDirection,
+  getDirection,
+  LINES_CONFIG
+};
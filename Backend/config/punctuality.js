@@ -0,0 +1,110 @@
+/**
+ * Punctuality Policy - Classifies delays into statuses
+ *
+ * The thresholds are loaded from config/punctuality.json (or the file given in
+ * PUNCTUALITY_CONFIG) and used everywhere a delay is classified: departure and
+ * trip statuses, the on-time counts of the summary and the statistics. The
+ * frontend reads the same policy from /api/v1/punctuality.
+ *
+ * With the thresholds E (earlyToleranceMinutes), O (onTimeMaxMinutes),
+ * S (slightDelayMaxMinutes) and D (delayedMaxMinutes) a delay of m minutes is:
+ *   - 'early'            m < -E
+ *   - 'on-time'          -E <= m <= O
+ *   - 'slight-delay'     O < m <= S
+ *   - 'delayed'          S < m <= D
+ *   - 'heavily-delayed'  m > D
+ * A status whose range is empty (e.g. S = O) is never used.
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PUNCTUALITY_CONFIG = process.env.PUNCTUALITY_CONFIG || path.join(__dirname, 'punctuality.json');
+
+const THRESHOLDS = ['earlyToleranceMinutes', 'onTimeMaxMinutes', 'slightDelayMaxMinutes', 'delayedMaxMinutes'];
+
+const STATUS_LABELS = {
+  'early': 'Zu früh',
+  'on-time': 'Pünktlich',
+  'slight-delay': 'Leichte Verspätung',
+  'delayed': 'Verspätet',
+  'heavily-delayed': 'Stark verspätet'
+};
+
+/**
+ * Validate a policy and derive the delay range of every status
+ * @param {Object} config - Thresholds in whole minutes
+ * @returns {Object} Policy with thresholds and `statuses` ({ id, label, minMinutes, maxMinutes }, null = unbounded)
+ * @throws {Error} If a threshold is missing, negative or out of order
+ */
+function normalizePolicy(config) {
+  for (const name of THRESHOLDS) {
+    if (!Number.isInteger(config[name]) || config[name] < 0) {
+      throw new Error(`Punctuality policy needs "${name}" as a whole number of minutes >= 0`);
+    }
+  }
+
+  const { earlyToleranceMinutes, onTimeMaxMinutes, slightDelayMaxMinutes, delayedMaxMinutes } = config;
+  if (slightDelayMaxMinutes < onTimeMaxMinutes || delayedMaxMinutes < slightDelayMaxMinutes) {
+    throw new Error('Punctuality policy thresholds must not decrease: onTimeMaxMinutes <= slightDelayMaxMinutes <= delayedMaxMinutes');
+  }
+
+  const ranges = [
+    ['early', null, -earlyToleranceMinutes - 1],
+    ['on-time', 0 - earlyToleranceMinutes, onTimeMaxMinutes],
+    ['slight-delay', onTimeMaxMinutes + 1, slightDelayMaxMinutes],
+    ['delayed', slightDelayMaxMinutes + 1, delayedMaxMinutes],
+    ['heavily-delayed', delayedMaxMinutes + 1, null]
+  ];
+
+  return {
+    earlyToleranceMinutes,
+    onTimeMaxMinutes,
+    slightDelayMaxMinutes,
+    delayedMaxMinutes,
+    statuses: ranges
+      .filter(([, min, max]) => min === null || max === null || min <= max)
+      .map(([id, minMinutes, maxMinutes]) => ({ id, label: STATUS_LABELS[id], minMinutes, maxMinutes }))
+  };
+}
+
+/**
+ * Load and validate the punctuality policy file
+ * @param {string} file - Path to the JSON config
+ * @returns {Object} Policy
+ */
+function loadPunctualityPolicy(file = PUNCTUALITY_CONFIG) {
+  return normalizePolicy(JSON.parse(readFileSync(file, 'utf8')));
+}
+
+const policy = loadPunctualityPolicy();
+
+/**
+ * Get the punctuality policy
+ * @returns {Object} Thresholds and statuses with their delay ranges
+ */
+function getPunctualityPolicy() {
+  return policy;
+}
+
+/**
+ * Classify a delay
+ * The statuses are checked in order; the first one whose maxMinutes is not
+ * exceeded applies (the frontend classifies the same way).
+ * @param {number} delayMinutes - Delay in minutes (negative if the bus leaves early)
+ * @param {Object} [rules] - Policy to apply (default: the configured one)
+ * @returns {string} Status ID
+ */
+function classifyDelay(delayMinutes, rules = policy) {
+  const status = rules.statuses.find(({ maxMinutes }) => maxMinutes === null || delayMinutes <= maxMinutes);
+  return status.id;
+}
+
+export {
+  loadPunctualityPolicy,
+  getPunctualityPolicy,
+  classifyDelay,
+  PUNCTUALITY_CONFIG
+};
@@ -0,0 +1,104 @@
+/**
+ * Simulation Scenarios - Loads the scenarios the simulator can play
+ *
+ * Every JSON file in config/scenarios (or SCENARIOS_DIR) is a scenario; its
+ * file name without extension is the scenario ID. A scenario can override the
+ * simulator's delay profile, make it worse during periods of the day, cancel
+ * single trips, add remarks to all departures and set the start time of the
+ * clock.
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCENARIOS_DIR = process.env.SCENARIOS_DIR || path.join(__dirname, 'scenarios');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+let scenarios = null;
+
+/**
+ * Validate a scenario from a file
+ * @param {string} id - Scenario ID (file name)
+ * @param {Object} scenario - Parsed scenario
+ * @returns {Object} Scenario with defaults applied
+ * @throws {Error} If the scenario is invalid
+ */
+function normalizeScenario(id, scenario) {
+  const fail = message => { throw new Error(`Scenario "${id}": ${message}`); };
+
+  if (scenario.start !== undefined && isNaN(new Date(scenario.start).getTime())) {
+    fail(`"start" must be an ISO date`);
+  }
+
+  const periods = (scenario.periods || []).map(period => {
+    if (!TIME_PATTERN.test(period.from) || !TIME_PATTERN.test(period.to)) {
+      fail('periods need "from" and "to" as HH:MM');
+    }
+    if (period.weekdays && !period.weekdays.every(day => WEEKDAYS.includes(day))) {
+      fail(`period weekdays must be of ${WEEKDAYS.join(', ')}`);
+    }
+    return { from: period.from, to: period.to, weekdays: period.weekdays || WEEKDAYS, profile: period.profile || {} };
+  });
+
+  const cancelledTrips = (scenario.cancelledTrips || []).map(trip => {
+    if (!TIME_PATTERN.test(trip.departure)) {
+      fail('cancelled trips need "departure" (at the first stop) as HH:MM');
+    }
+    return { lineId: trip.lineId || null, direction: trip.direction || null, departure: trip.departure, date: trip.date || null };
+  });
+
+  return {
+    id,
+    name: scenario.name || id,
+    description: scenario.description || '',
+    start: scenario.start || null,
+    profile: scenario.profile || {},
+    periods,
+    cancelledTrips,
+    remarks: scenario.remarks || []
+  };
+}
+
+/**
+ * Load all scenarios from the scenarios directory
+ * @returns {Map} Scenario ID -> scenario
+ */
+function loadScenarios() {
+  const loaded = new Map();
+  if (!existsSync(SCENARIOS_DIR)) return loaded;
+
+  for (const file of readdirSync(SCENARIOS_DIR).filter(f => f.endsWith('.json')).sort()) {
+    const id = path.basename(file, '.json');
+    const scenario = JSON.parse(readFileSync(path.join(SCENARIOS_DIR, file), 'utf8'));
+    loaded.set(id, normalizeScenario(id, scenario));
+  }
+  return loaded;
+}
+
+/**
+ * Get all scenarios
+ * @returns {Array} Scenarios
+ */
+function getScenarios() {
+  if (!scenarios) scenarios = loadScenarios();
+  return [...scenarios.values()];
+}
+
+/**
+ * Get a scenario by ID
+ * @param {string} id - Scenario ID
+ * @returns {Object|null} Scenario or null if unknown
+ */
+function getScenario(id) {
+  if (!scenarios) scenarios = loadScenarios();
+  return scenarios.get(id) || null;
+}
+
+export {
+  getScenarios,
+  getScenario
+};
@@ -0,0 +1,59 @@
+/**
+ * Admin Controller - Handles API requests for controlling the simulator
+ */
+
+import * as simulation from '../models/simulation.js';
+import { poll } from '../services/poller.js';
+import { logger } from '../models/logger.js';
+
+/**
+ * Get the simulation settings and the available scenarios
+ */
+function getSimulation(req, res) {
+  res.json({
+    success: true,
+    data: simulation.getSimulationStatus(),
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Change the simulation settings (enabled, seed, scenario, time, speed, advanceMinutes)
+ */
+function updateSimulation(req, res) {
+  try {
+    const { status, errors } = simulation.configureSimulation(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid simulation settings',
+        code: 'INVALID_SIMULATION_SETTINGS',
+        details: errors
+      });
+    }
+
+    logger.info(`Simulation ${status.enabled ? 'on' : 'off'}`, { seed: status.seed, scenario: status.scenario ? status.scenario.id : null, clock: status.clock.now });
+
+    // Push data of the new settings to live clients right away
+    poll();
+
+    res.json({
+      success: true,
+      data: status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating simulation', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update simulation',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+export {
+  getSimulation,
+  updateSimulation
+};
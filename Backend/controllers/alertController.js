@@ -0,0 +1,51 @@
+/**
+ * Alert Controller - Handles API requests for service alerts
+ * Handlers expect req.line to be set by lineController.resolveLine (and
+ * req.direction by resolveDirection) and the query to be validated against
+ * the OpenAPI document
+ */
+
+import * as delay from '../models/delay.js';
+import { collectAlerts } from '../models/alerts.js';
+import { logger } from '../models/logger.js';
+
+/**
+ * Get the current alerts of a line (filter by type, stopId and direction)
+ */
+async function getAlerts(req, res) {
+  try {
+    const { line, direction } = req;
+    const { type, stopId } = req.query;
+    const isRealData = await delay.isUsingRealData();
+    const delays = await delay.fetchRealDelayData(line.id);
+
+    const alerts = collectAlerts(line, delays, {
+      type,
+      stopId,
+      directionId: direction ? direction.id : null
+    });
+
+    res.json({
+      success: true,
+      route: line.id,
+      direction: direction ? direction.id : null,
+      dataSource: await delay.getDataSourceLabel(),
+      isRealData: isRealData,
+      count: alerts.length,
+      data: alerts,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching alerts', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch alerts',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+export {
+  getAlerts
+};
@@ -0,0 +1,115 @@
+/**
+ * Compensation Controller - Handles passenger rights claims for recorded trips
+ * Handlers expect req.line to be set by lineController.resolveLine (except
+ * getRules) and the query to be validated against the OpenAPI document
+ */
+
+import { getCompensationRules } from '../config/compensation.js';
+import * as compensation from '../models/compensation.js';
+import { renderClaimHtml } from '../models/claim.js';
+import { sendInvalidRequest } from '../openapi/validator.js';
+import { logger } from '../models/logger.js';
+
+/**
+ * Get the compensation rules
+ */
+function getRules(req, res) {
+  res.json({
+    success: true,
+    data: getCompensationRules(),
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Get the recorded trips that qualify for compensation
+ */
+function listTrips(req, res) {
+  try {
+    const { stopId, direction, includeSimulated } = req.query;
+    const trips = compensation.findQualifyingTrips({
+      lineId: req.line.id,
+      stopId,
+      direction,
+      from: req.query.from ? new Date(req.query.from) : null,
+      to: req.query.to ? new Date(req.query.to) : null,
+      includeSimulated: includeSimulated === 'true',
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : 100
+    });
+
+    res.json({
+      success: true,
+      route: req.line.id,
+      count: trips.length,
+      data: trips,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error finding compensation trips', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find qualifying trips',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Get the claim summary of a recorded trip (?format=html for a printable page)
+ */
+function getClaim(req, res) {
+  try {
+    const { tripId } = req.params;
+    const { date, from, to, includeSimulated, format = 'html' } = req.query;
+
+    const trip = compensation.findRecordedTrip({
+      lineId: req.line.id,
+      tripId,
+      date,
+      includeSimulated: includeSimulated === 'true'
+    });
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found',
+        code: 'TRIP_NOT_FOUND'
+      });
+    }
+
+    const errors = compensation.getSegmentErrors(trip, { from, to });
+    if (errors.length > 0) {
+      const isUnknownStop = [from, to].some(stopId => stopId && !trip.some(record => record.stopId === stopId));
+      return sendInvalidRequest(res, errors, {
+        code: isUnknownStop ? 'UNKNOWN_STOP' : 'INVALID_REQUEST',
+        stops: trip.map(record => record.stopId)
+      });
+    }
+
+    const claim = compensation.buildClaim(trip, { from, to });
+    if (format === 'html') {
+      return res.type('html').send(renderClaimHtml(claim));
+    }
+
+    res.json({
+      success: true,
+      route: req.line.id,
+      data: claim,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error building compensation claim', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build the claim',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+export {
+  getRules,
+  listTrips,
+  getClaim
+};
@@ -1,17 +1,21 @@
 /**
- * Delay Controller - Handles API requests for R7 bus delay data
- * Uses real data from saarfahrplan HAFAS API when available, with fallback to simulated data
+ * Delay Controller - Handles API requests for bus delay data
+ * Handlers expect req.line to be set by lineController.resolveLine
+ * Uses real data from the configured data source when available, with fallback to simulated data
  */
 
 import * as delay from '../models/delay.js';
+import { logger } from '../models/logger.js';
 
 /**
- * Get all delay information for all R7 stops
+ * Get all delay information for all stops of a line
  */
 async function getAllDelays(req, res) {
   try {
+    const { line, direction } = req;
     const isRealData = await delay.isUsingRealData();
-    const delays = await delay.fetchRealDelayData();
+    const allDelays = await delay.fetchRealDelayData(line.id);
+    const delays = direction ? delay.selectDirection(allDelays, direction) : allDelays;
     
     // Calculate summary stats
     const validDelays = delays.filter(d => !d.error && d.scheduledDeparture);
@@ -20,46 +24,51 @@ async function getAllDelays(req, res) {
     
     res.json({
       success: true,
-      route: 'R7',
-      routeDescription: 'Zweibrücken - Homburg (Saarland)',
+      route: line.id,
+      routeDescription: line.description,
+      direction: direction ? direction.id : null,
       totalStops: delays.length,
-      dataSource: isRealData ? 'saarfahrplan HAFAS API (Echtzeitdaten)' : 'Simulierte Daten (API nicht erreichbar)',
+      dataSource: await delay.getDataSourceLabel(),
       isRealData: isRealData,
       data: delays,
       summary: {
         averageDelayMinutes: averageDelay,
         stopsWithData: validDelays.length,
-        stopsWithoutData: delays.length - validDelays.length
+        stopsWithoutData: delays.length - validDelays.length,
+        stopsTimedOut: delays.filter(d => d.timeout).length
       },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error fetching delays:', error);
+    logger.error('Error fetching delays', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to fetch delay information',
+      code: 'INTERNAL_ERROR',
       message: error.message
     });
   }
 }
 
 /**
- * Get all R7 bus stops
+ * Get all bus stops of a line
  */
 function getStops(req, res) {
   try {
-    const stops = delay.getAllStops();
+    const { line } = req;
+    const stops = delay.getAllStops(line.id);
     res.json({
       success: true,
-      route: 'R7',
+      route: line.id,
       data: stops,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error fetching stops:', error);
+    logger.error('Error fetching stops', { error });
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch stops information'
+      error: 'Failed to fetch stops information',
+      code: 'INTERNAL_ERROR'
     });
   }
 }
@@ -70,29 +79,33 @@ function getStops(req, res) {
 async function getDelayByStop(req, res) {
   try {
     const { stopId } = req.params;
+    const { line, direction } = req;
     const isRealData = await delay.isUsingRealData();
-    const delayData = await delay.getDelayByStopId(stopId);
+    const stopData = await delay.getDelayByStopId(stopId, line.id);
+    const delayData = stopData && direction ? delay.selectDirection([stopData], direction)[0] : stopData;
     
     if (!delayData) {
       return res.status(404).json({
         success: false,
-        error: 'Stop not found'
+        error: 'Stop not found',
+        code: 'STOP_NOT_FOUND'
       });
     }
     
     res.json({
       success: true,
-      route: 'R7',
-      dataSource: isRealData ? 'saarfahrplan HAFAS API (Echtzeitdaten)' : 'Simulierte Daten',
+      route: line.id,
+      dataSource: await delay.getDataSourceLabel(),
       isRealData: isRealData,
       data: delayData,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error fetching delay for stop:', error);
+    logger.error('Error fetching delay for stop', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to fetch delay information for stop',
+      code: 'INTERNAL_ERROR',
       message: error.message
     });
   }
@@ -103,39 +116,27 @@ async function getDelayByStop(req, res) {
  */
 async function getRouteSummary(req, res) {
   try {
+    const { line, direction } = req;
     const isRealData = await delay.isUsingRealData();
-    const delays = await delay.fetchRealDelayData();
-    const validDelays = delays.filter(d => !d.error && d.scheduledDeparture);
-    
-    const totalDelays = validDelays.reduce((sum, d) => sum + d.delayMinutes, 0);
-    const averageDelay = validDelays.length > 0 ? Math.round(totalDelays / validDelays.length) : 0;
-    const maxDelay = validDelays.length > 0 ? Math.max(...validDelays.map(d => d.delayMinutes)) : 0;
-    const onTimeCount = validDelays.filter(d => d.delayMinutes === 0).length;
-    const cancelledCount = delays.filter(d => d.cancelled).length;
+    const allDelays = await delay.fetchRealDelayData(line.id);
+    const delays = direction ? delay.selectDirection(allDelays, direction) : allDelays;
     
     res.json({
       success: true,
-      route: 'R7',
-      routeDescription: 'Zweibrücken - Homburg (Saarland)',
-      dataSource: isRealData ? 'saarfahrplan HAFAS API (Echtzeitdaten)' : 'Simulierte Daten',
+      route: line.id,
+      routeDescription: line.description,
+      direction: direction ? direction.id : null,
+      dataSource: await delay.getDataSourceLabel(),
       isRealData: isRealData,
-      summary: {
-        totalStops: delays.length,
-        stopsWithData: validDelays.length,
-        averageDelayMinutes: averageDelay,
-        maxDelayMinutes: maxDelay,
-        onTimePercentage: validDelays.length > 0 ? Math.round((onTimeCount / validDelays.length) * 100) : 0,
-        stopsOnTime: onTimeCount,
-        stopsDelayed: validDelays.length - onTimeCount,
-        cancelledServices: cancelledCount
-      },
+      summary: delay.calculateSummary(delays),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error fetching route summary:', error);
+    logger.error('Error fetching route summary', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to fetch route summary',
+      code: 'INTERNAL_ERROR',
       message: error.message
     });
   }
@@ -147,13 +148,6 @@ async function getRouteSummary(req, res) {
 async function searchStations(req, res) {
   try {
     const { q } = req.query;
-    if (!q || q.length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: 'Query must be at least 2 characters'
-      });
-    }
-    
     const stations = await delay.searchStations(q);
     res.json({
       success: true,
@@ -162,10 +156,11 @@ async function searchStations(req, res) {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error searching stations:', error);
+    logger.error('Error searching stations', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to search stations',
+      code: 'INTERNAL_ERROR',
       message: error.message
     });
   }
@@ -0,0 +1,29 @@
+/**
+ * Docs Controller - Serves the OpenAPI document and the interactive API documentation
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getOpenApiDocument } from '../openapi/document.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DOCS_PAGE = path.join(__dirname, '..', 'openapi', 'docs.html');
+
+/**
+ * Get the OpenAPI document
+ */
+function getOpenApi(req, res) {
+  res.json(getOpenApiDocument());
+}
+
+/**
+ * Get the documentation page (Swagger UI, loads openapi.json next to it)
+ */
+function getDocs(req, res) {
+  res.sendFile(DOCS_PAGE);
+}
+
+export {
+  getOpenApi,
+  getDocs
+};
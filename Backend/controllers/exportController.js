@@ -0,0 +1,124 @@
+/**
+ * Export Controller - Handles downloads of delay data and calendar feeds
+ * Handlers expect req.line to be set by lineController.resolveLine (and
+ * req.direction by resolveDirection where used) and the query to be
+ * validated against the OpenAPI document. Files are sent as they are, without
+ * the /api/v1 response envelope.
+ */
+
+import * as delay from '../models/delay.js';
+import * as history from '../models/history.js';
+import { EXPORT_FORMATS, formatRecords, sortChronologically, getExportFileName } from '../models/export.js';
+import { buildStopCalendar } from '../models/calendar.js';
+import { logger } from '../models/logger.js';
+
+/**
+ * Send records as a file download
+ * @param {Object} res - Express response
+ * @param {Array} records - Departure records
+ * @param {Object} options - { lineId, kind, format }
+ */
+function sendExport(res, records, { lineId, kind, format }) {
+  res.set({
+    'Content-Type': EXPORT_FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="${getExportFileName(lineId, kind, format)}"`
+  });
+  res.send(formatRecords(records, format));
+}
+
+/**
+ * Export the current departures of all stops (filter by stopId and direction)
+ */
+async function exportDelays(req, res) {
+  try {
+    const { line, direction } = req;
+    const { stopId, format = 'csv' } = req.query;
+    const isRealData = await delay.isUsingRealData();
+    const delays = await delay.fetchRealDelayData(line.id);
+
+    const records = history.toHistoryRecords(delays, isRealData)
+      .filter(record => !stopId || record.stopId === stopId)
+      .filter(record => !direction || record.directionId === direction.id);
+
+    sendExport(res, sortChronologically(records), { lineId: line.id, kind: 'delays', format });
+  } catch (error) {
+    logger.error('Error exporting delays', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export delay information',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Export recorded departures (filter by stopId, direction, from and to)
+ */
+function exportHistory(req, res) {
+  try {
+    const { stopId, direction, includeSimulated, format = 'csv' } = req.query;
+
+    const records = history.queryHistory({
+      lineId: req.line.id,
+      stopId,
+      direction,
+      from: req.query.from ? new Date(req.query.from) : null,
+      to: req.query.to ? new Date(req.query.to) : null,
+      includeSimulated: includeSimulated === 'true'
+    });
+
+    sendExport(res, sortChronologically(records), { lineId: req.line.id, kind: 'history', format });
+  } catch (error) {
+    logger.error('Error exporting history', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export delay history',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Get the upcoming departures of a stop as an iCalendar feed
+ */
+async function getStopCalendar(req, res) {
+  try {
+    const { stopId } = req.params;
+    const { line, direction } = req;
+    const stop = line.stops.find(s => s.id === stopId);
+    const stopData = stop ? await delay.getDelayByStopId(stopId, line.id) : null;
+
+    if (!stopData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stop not found',
+        code: 'STOP_NOT_FOUND'
+      });
+    }
+
+    const departures = delay.listStopDepartures(stopData)
+      .filter(dep => !direction || dep.directionId === direction.id);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="${line.id}-${stopId}.ics"`
+    });
+    res.send(buildStopCalendar({ line, stop, direction, departures }));
+  } catch (error) {
+    logger.error('Error building calendar', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build departure calendar',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+export {
+  exportDelays,
+  exportHistory,
+  getStopCalendar
+};
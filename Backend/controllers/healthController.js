@@ -0,0 +1,24 @@
+/**
+ * Health Controller - Reports the state of the data source, cache and upstream requests
+ */
+
+import { getCacheStats } from '../models/cache.js';
+import { getUpstreamStats, getDataSourceStatus } from '../models/delay.js';
+
+/**
+ * Get the health of the backend
+ */
+function getHealth(req, res) {
+  res.json({
+    success: true,
+    status: 'OK',
+    dataSource: getDataSourceStatus(),
+    cache: getCacheStats(),
+    upstream: getUpstreamStats(),
+    timestamp: new Date().toISOString()
+  });
+}
+
+export {
+  getHealth
+};
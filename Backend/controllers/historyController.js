@@ -0,0 +1,109 @@
+/**
+ * History Controller - Handles API requests for recorded departures
+ * Handlers expect req.line to be set by lineController.resolveLine and the
+ * query to be validated against the OpenAPI document
+ */
+
+import * as history from '../models/history.js';
+import * as stats from '../models/stats.js';
+import { logger } from '../models/logger.js';
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Raw query value (a valid date if given)
+ * @returns {Date|null} Date, null if not given
+ */
+function parseDateParam(value) {
+  return value ? new Date(value) : null;
+}
+
+/**
+ * Get recorded departures, filterable by stop, direction and time range
+ */
+function getHistory(req, res) {
+  try {
+    const { stopId, direction, includeSimulated } = req.query;
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 500;
+
+    const records = history.queryHistory({
+      lineId: req.line.id,
+      stopId,
+      direction,
+      from,
+      to,
+      includeSimulated: includeSimulated === 'true',
+      limit
+    });
+
+    res.json({
+      success: true,
+      route: req.line.id,
+      filters: {
+        stopId: stopId || null,
+        direction: direction || null,
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null
+      },
+      count: records.length,
+      data: records,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching history', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch delay history',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Get punctuality statistics grouped by hour of day, weekday, stop and direction
+ */
+function getStats(req, res) {
+  try {
+    const { stopId, direction, includeSimulated } = req.query;
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+
+    const records = history.queryHistory({
+      lineId: req.line.id,
+      stopId,
+      direction,
+      from,
+      to,
+      includeSimulated: includeSimulated === 'true'
+    });
+
+    res.json({
+      success: true,
+      route: req.line.id,
+      filters: {
+        stopId: stopId || null,
+        direction: direction || null,
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null
+      },
+      data: stats.computeStats(records, req.line),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error computing stats', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute punctuality statistics',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+export {
+  getHistory,
+  getStats,
+  parseDateParam
+};
@@ -0,0 +1,73 @@
+/**
+ * Journey Controller - Handles API requests for the journey planner
+ * Handlers expect req.line to be set by lineController.resolveLine and the
+ * query to be validated against the OpenAPI document
+ */
+
+import * as delay from '../models/delay.js';
+import * as journey from '../models/journey.js';
+import * as clock from '../models/clock.js';
+import { sendInvalidRequest } from '../openapi/validator.js';
+import { logger } from '../models/logger.js';
+
+/**
+ * Plan journeys between two stops of the line (?from=&to=&at=&results=)
+ */
+async function planJourney(req, res) {
+  try {
+    const { line } = req;
+    const { from, to } = req.query;
+
+    const fromStop = journey.findStop(line, from);
+    const toStop = journey.findStop(line, to);
+    if (!fromStop || !toStop) {
+      return sendInvalidRequest(res, [`Unknown stop "${fromStop ? to : from}" on line ${line.id}`], { code: 'UNKNOWN_STOP' });
+    }
+
+    if (fromStop.id === toStop.id) {
+      return sendInvalidRequest(res, ['Parameters "from" and "to" must be different stops']);
+    }
+
+    const at = req.query.at ? new Date(req.query.at) : clock.now();
+    const results = req.query.results ? parseInt(req.query.results, 10) : 5;
+
+    const isRealData = await delay.isUsingRealData();
+    const plan = await journey.planJourneys(line.id, fromStop, toStop, { at, results });
+
+    if (!plan) {
+      return res.status(501).json({
+        success: false,
+        error: 'Journey planning is not supported by the current data source',
+        code: 'JOURNEYS_NOT_SUPPORTED',
+        dataSource: await delay.getDataSourceLabel()
+      });
+    }
+
+    res.json({
+      success: true,
+      route: line.id,
+      dataSource: await delay.getDataSourceLabel(),
+      isRealData: isRealData,
+      from: { id: fromStop.id, name: fromStop.name },
+      to: { id: toStop.id, name: toStop.name, transferHub: toStop.transferHub },
+      direction: plan.direction ? plan.direction.id : null,
+      at: at.toISOString(),
+      minTransferMinutes: plan.minTransferMinutes,
+      count: plan.journeys.length,
+      data: plan.journeys,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error planning journey', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to plan journey',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+export {
+  planJourney
+};
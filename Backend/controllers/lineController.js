@@ -0,0 +1,84 @@
+/**
+ * Line Controller - Handles API requests for the configured bus lines
+ */
+
+import { getLines, getLine, getDefaultLine, getDirection } from '../config/lines.js';
+import { sendInvalidRequest } from '../openapi/validator.js';
+import { logger } from '../models/logger.js';
+
+/**
+ * Middleware: resolve :lineId (or the default line) and attach it as req.line
+ */
+function resolveLine(req, res, next) {
+  const { lineId } = req.params;
+  const line = lineId ? getLine(lineId) : getDefaultLine();
+
+  if (!line) {
+    return res.status(404).json({
+      success: false,
+      error: 'Line not found',
+      code: 'LINE_NOT_FOUND'
+    });
+  }
+
+  req.line = line;
+  next();
+}
+
+/**
+ * Middleware: resolve the optional ?direction= (ID or name) of req.line and attach it as req.direction
+ */
+function resolveDirection(req, res, next) {
+  const { direction } = req.query;
+  req.direction = null;
+  if (!direction) return next();
+
+  req.direction = getDirection(req.line, direction);
+  if (!req.direction) {
+    return sendInvalidRequest(res, [`Unknown direction "${direction}"`], {
+      code: 'UNKNOWN_DIRECTION',
+      directions: req.line.directions.map(d => d.id)
+    });
+  }
+  next();
+}
+
+/**
+ * Get all configured lines
+ */
+function listLines(req, res) {
+  try {
+    const defaultLine = getDefaultLine();
+    res.json({
+      success: true,
+      defaultLine: defaultLine.id,
+      data: getLines().map(line => ({
+        id: line.id,
+        name: line.name,
+        description: line.description,
+        totalStops: line.stops.length,
+        from: line.stops[0].name,
+        to: line.stops[line.stops.length - 1].name,
+        directions: line.directions.map(direction => ({
+          id: direction.id,
+          name: direction.name,
+          towards: direction.towards
+        }))
+      })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching lines', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lines',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+}
+
+export {
+  resolveLine,
+  resolveDirection,
+  listLines
+};
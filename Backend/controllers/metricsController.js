@@ -0,0 +1,27 @@
+/**
+ * Metrics Controller - Serves the metrics in the Prometheus text format
+ */
+
+import { renderMetrics, METRICS_CONTENT_TYPE } from '../models/metrics.js';
+import { logger } from '../models/logger.js';
+
+/**
+ * Get the metrics of the backend
+ */
+function getMetrics(req, res) {
+  try {
+    res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics());
+  } catch (error) {
+    logger.error('Error rendering metrics', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render metrics',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+export {
+  getMetrics
+};
@@ -0,0 +1,20 @@
+/**
+ * Punctuality Controller - Serves the policy used to classify delays
+ */
+
+import { getPunctualityPolicy } from '../config/punctuality.js';
+
+/**
+ * Get the punctuality thresholds and the delay range of every status
+ */
+function getPolicy(req, res) {
+  res.json({
+    success: true,
+    data: getPunctualityPolicy(),
+    timestamp: new Date().toISOString()
+  });
+}
+
+export {
+  getPolicy
+};
@@ -0,0 +1,58 @@
+/**
+ * Stream Controller - Pushes delay updates to clients via Server-Sent Events
+ * Handlers expect req.line to be set by lineController.resolveLine
+ */
+
+import { stream, getSnapshot } from '../services/stream.js';
+import { logger } from '../models/logger.js';
+
+// Keep proxies from closing idle connections
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Write a single SSE event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream delay updates of a line
+ * Sends a 'snapshot' event on connect, followed by 'diff' events after every poll
+ */
+async function streamDelays(req, res) {
+  const { line } = req;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  // Tell EventSource how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+
+  const onDiff = diff => {
+    if (diff.lineId === line.id) sendEvent(res, 'diff', diff);
+  };
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  stream.on('diff', onDiff);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    stream.off('diff', onDiff);
+  });
+
+  try {
+    sendEvent(res, 'snapshot', await getSnapshot(line.id));
+  } catch (error) {
+    logger.error('Error sending stream snapshot', { error });
+    sendEvent(res, 'error', { error: 'Failed to load delay information', message: error.message });
+  }
+}
+
+export {
+  streamDelays
+};
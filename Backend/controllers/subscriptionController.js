@@ -0,0 +1,143 @@
+/**
+ * Subscription Controller - Handles API requests for delay and cancellation alerts
+ */
+
+import * as subscriptions from '../models/subscriptions.js';
+import { logger } from '../models/logger.js';
+
+/**
+ * Send the 404 response for an unknown subscription
+ */
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Subscription not found',
+    code: 'SUBSCRIPTION_NOT_FOUND'
+  });
+}
+
+/**
+ * Send the 400 response for invalid subscription input
+ */
+function invalid(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid subscription',
+    code: 'INVALID_SUBSCRIPTION',
+    details: errors
+  });
+}
+
+/**
+ * Get all subscriptions
+ */
+function listSubscriptions(req, res) {
+  try {
+    const data = subscriptions.getSubscriptions();
+    res.json({
+      success: true,
+      count: data.length,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching subscriptions', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch subscriptions',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Get a single subscription
+ */
+function getSubscription(req, res) {
+  const subscription = subscriptions.getSubscription(req.params.id);
+  if (!subscription) return notFound(res);
+
+  res.json({
+    success: true,
+    data: subscription,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Create a subscription
+ */
+async function createSubscription(req, res) {
+  try {
+    const { subscription, errors } = await subscriptions.createSubscription(req.body || {});
+    if (errors.length > 0) return invalid(res, errors);
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error creating subscription', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create subscription',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Update a subscription (only the given fields change)
+ */
+async function updateSubscription(req, res) {
+  try {
+    const result = await subscriptions.updateSubscription(req.params.id, req.body || {});
+    if (!result) return notFound(res);
+    if (result.errors.length > 0) return invalid(res, result.errors);
+
+    res.json({
+      success: true,
+      data: result.subscription,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating subscription', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update subscription',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Delete a subscription
+ */
+async function deleteSubscription(req, res) {
+  try {
+    const deleted = await subscriptions.deleteSubscription(req.params.id);
+    if (!deleted) return notFound(res);
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error deleting subscription', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete subscription',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+export {
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription
+};
@@ -0,0 +1,64 @@
+/**
+ * Transfer Controller - Handles API requests for connections to trains at the transfer hubs
+ * Handlers expect req.line to be set by lineController.resolveLine and the
+ * query to be validated against the OpenAPI document
+ */
+
+import * as delay from '../models/delay.js';
+import * as transfers from '../models/transfers.js';
+import { sendInvalidRequest } from '../openapi/validator.js';
+import { logger } from '../models/logger.js';
+
+/**
+ * Get the arriving trips at the transfer hubs of the line with their connections (?stopId=&minTransfer=)
+ */
+async function getTransfers(req, res) {
+  try {
+    const { line } = req;
+    const { stopId } = req.query;
+
+    if (stopId) {
+      const stop = line.stops.find(s => s.id === stopId);
+      if (!stop) {
+        return res.status(404).json({
+          success: false,
+          error: `Stop ${stopId} not found on line ${line.id}`,
+          code: 'STOP_NOT_FOUND'
+        });
+      }
+      if (!stop.transferHub) {
+        return sendInvalidRequest(res, [`Stop ${stop.name} is no transfer hub`], {
+          code: 'NOT_A_TRANSFER_HUB',
+          transferHubs: line.stops.filter(s => s.transferHub).map(s => ({ id: s.id, name: s.name }))
+        });
+      }
+    }
+
+    const minTransferMinutes = req.query.minTransfer ? Number(req.query.minTransfer) : undefined;
+
+    const isRealData = await delay.isUsingRealData();
+    const data = await transfers.analyzeTransfers(line.id, { stopId, minTransferMinutes });
+
+    res.json({
+      success: true,
+      route: line.id,
+      dataSource: await delay.getDataSourceLabel(),
+      isRealData: isRealData,
+      count: data.length,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error analyzing transfers', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze transfers',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+export {
+  getTransfers
+};
@@ -0,0 +1,82 @@
+/**
+ * Trip Controller - Handles API requests for single buses followed along the line
+ * Handlers expect req.line to be set by lineController.resolveLine
+ */
+
+import * as delay from '../models/delay.js';
+import * as trips from '../models/trips.js';
+import { logger } from '../models/logger.js';
+
+/**
+ * Get the trips currently running or departing soon, each with its stop-by-stop timeline
+ */
+async function getTrips(req, res) {
+  try {
+    const { line } = req;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+
+    const isRealData = await delay.isUsingRealData();
+    const data = await trips.getTrips(line.id, { limit, direction: req.direction });
+
+    res.json({
+      success: true,
+      route: line.id,
+      direction: req.direction ? req.direction.id : null,
+      dataSource: await delay.getDataSourceLabel(),
+      isRealData: isRealData,
+      count: data.length,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching trips', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trips',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Get a single trip with its stop-by-stop timeline
+ */
+async function getTrip(req, res) {
+  try {
+    const { tripId } = req.params;
+    const { line } = req;
+    const isRealData = await delay.isUsingRealData();
+    const trip = await trips.getTrip(tripId, line.id);
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trip not found',
+        code: 'TRIP_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      route: line.id,
+      dataSource: await delay.getDataSourceLabel(),
+      isRealData: isRealData,
+      data: trip,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching trip', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trip',
+      code: 'INTERNAL_ERROR',
+      message: error.message
+    });
+  }
+}
+
+export {
+  getTrips,
+  getTrip
+};
@@ -0,0 +1,58 @@
+/**
+ * Admin Authentication - Protects the routes that change the state of the backend
+ *
+ * Clients send the token configured in ADMIN_TOKEN as a bearer token
+ * (`Authorization: Bearer <token>`). Without ADMIN_TOKEN the protected routes
+ * are disabled, so a deployment never exposes them by accident.
+ */
+
+import crypto from 'crypto';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+/**
+ * Compare a token with the configured one in constant time
+ * @param {string} token - Token sent by the client
+ * @returns {boolean} Whether it is the admin token
+ */
+function isAdminToken(token) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN));
+}
+
+/**
+ * Middleware: reject requests without the admin token (401) or with another token (403)
+ */
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin routes are disabled (ADMIN_TOKEN is not set)',
+      code: 'FORBIDDEN'
+    });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      error: 'Admin token required',
+      code: 'UNAUTHORIZED'
+    });
+  }
+
+  if (!isAdminToken(token)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid admin token',
+      code: 'FORBIDDEN'
+    });
+  }
+
+  next();
+}
+
+export {
+  requireAdminToken
+};
@@ -0,0 +1,105 @@
+/**
+ * API Versions - Response envelope of /api/v1 and deprecation of the unversioned routes
+ *
+ * Controllers answer in the original format: { success: true, data, ...fields,
+ * timestamp } or { success: false, error, code, details, message, ...fields }.
+ * Below /api/v1 these bodies are rewritten into one envelope:
+ *
+ *   { data, meta: { ...fields, apiVersion, requestId, timestamp }, errors: [] }
+ *   { data: null, meta: { apiVersion, requestId, timestamp }, errors: [{ code, message, details, meta }] }
+ *
+ * The payload is `data`, or for the handlers that predate that convention
+ * `results` (station search) or `summary` (route summary); a response without
+ * any of them (health) is the payload as a whole. The routes below /api
+ * without a version keep the original format and are marked as deprecated.
+ */
+
+const API_VERSION = 'v1';
+
+// Response fields holding the payload, in order of precedence
+const DATA_FIELDS = ['data', 'results', 'summary'];
+
+// Error codes of responses that do not name one
+const DEFAULT_ERROR_CODES = {
+  400: 'INVALID_REQUEST',
+  404: 'NOT_FOUND',
+  501: 'NOT_IMPLEMENTED',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+/**
+ * Split a response body into payload and other fields
+ * @param {Object} fields - Response fields without success and timestamp
+ * @returns {Object} { data, rest }
+ */
+function splitPayload(fields) {
+  const dataField = DATA_FIELDS.find(field => field in fields);
+  if (!dataField) return { data: fields, rest: {} };
+
+  const { [dataField]: data, ...rest } = fields;
+  return { data, rest };
+}
+
+/**
+ * Rewrite a response body into the /api/v1 envelope
+ * @param {Object} body - Body in the original format
+ * @param {Object} context - { requestId, status }
+ * @returns {Object} { data, meta, errors }
+ */
+function toEnvelope(body, { requestId, status }) {
+  const { success, timestamp, ...fields } = body;
+  const meta = {
+    apiVersion: API_VERSION,
+    requestId,
+    timestamp: timestamp || new Date().toISOString()
+  };
+
+  if (success) {
+    const { data, rest } = splitPayload(fields);
+    return { data, meta: { ...rest, ...meta }, errors: [] };
+  }
+
+  const { error, code, details, message, ...rest } = fields;
+  const entry = {
+    code: code || DEFAULT_ERROR_CODES[status] || 'INTERNAL_ERROR',
+    message: error || message || 'Request failed'
+  };
+  // `message` carries the underlying cause when `error` describes what failed
+  const causes = [...(details || []), ...(error && message ? [message] : [])];
+  if (causes.length > 0) entry.details = causes;
+  if (Object.keys(rest).length > 0) entry.meta = rest;
+
+  return { data: null, meta, errors: [entry] };
+}
+
+/**
+ * Middleware: send the JSON responses of the following handlers in the envelope
+ * Bodies without a `success` flag (e.g. the OpenAPI document) are sent as they are.
+ */
+function useEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (body && typeof body === 'object' && typeof body.success === 'boolean') {
+      return json(toEnvelope(body, { requestId: req.id, status: res.statusCode }));
+    }
+    return json(body);
+  };
+  next();
+}
+
+/**
+ * Middleware: mark a response of an unversioned route as deprecated and link its /api/v1 successor
+ */
+function markDeprecated(req, res, next) {
+  res.set('Deprecation', 'true');
+  res.set('Link', `</api/${API_VERSION}${req.path}>; rel="successor-version"`);
+  next();
+}
+
+export {
+  API_VERSION,
+  DATA_FIELDS,
+  toEnvelope,
+  useEnvelope,
+  markDeprecated
+};
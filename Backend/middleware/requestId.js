@@ -0,0 +1,28 @@
+/**
+ * Request ID Middleware - Gives every request an ID for responses and logs
+ *
+ * An X-Request-Id header sent by the client or a proxy is kept if it looks
+ * like an ID; otherwise a new UUID is generated. The ID is available as
+ * req.id, returned in the X-Request-Id response header and added to every
+ * log entry written while the request is handled.
+ */
+
+import crypto from 'crypto';
+import { runWithLogContext } from '../models/logger.js';
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware: assign req.id, echo it in the response and log with it
+ */
+function assignRequestId(req, res, next) {
+  const requested = req.get(REQUEST_ID_HEADER);
+  req.id = requested && REQUEST_ID_PATTERN.test(requested) ? requested : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  runWithLogContext({ requestId: req.id }, next);
+}
+
+export {
+  assignRequestId
+};
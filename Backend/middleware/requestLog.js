@@ -0,0 +1,40 @@
+/**
+ * Request Log Middleware - Logs every request once its response is finished
+ * and counts it in the HTTP metrics
+ *
+ * Requests are logged at info level, server errors at error level. Scrapes of
+ * /metrics are logged at debug level so they don't drown the log.
+ */
+
+import { logger } from '../models/logger.js';
+import { observeHttpRequest } from '../services/metrics.js';
+
+/**
+ * Middleware: log the request and record its duration when the response is finished
+ */
+function logRequests(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // The route pattern (e.g. /api/v1/lines/:lineId/delays) keeps the number of label values small
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+    observeHttpRequest({ method: req.method, route: route || 'unmatched', status: res.statusCode }, seconds);
+
+    const level = res.statusCode >= 500 ? 'error' : req.path === '/metrics' ? 'debug' : 'info';
+    logger[level]('Request', {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 10000) / 10
+    });
+  });
+
+  next();
+}
+
+export {
+  logRequests
+};
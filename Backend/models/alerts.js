@@ -0,0 +1,136 @@
+/**
+ * Alerts Model - Service alerts collected from the remarks of departures
+ *
+ * The same remark is usually attached to every departure at every stop it
+ * concerns. Alerts merge them: warnings and hints with the same ID (or text)
+ * become one alert listing the affected stops and directions, cancellations
+ * one alert per cancelled trip. Cancelled departures without a remark get a
+ * cancellation alert as well.
+ *
+ * An alert is valid for the period the data source gives (HAFAS warnings
+ * carry validFrom/validUntil); otherwise for the time between the first and
+ * the last affected departure (`validity: 'departures'`). Alerts whose
+ * validity given by the source ended before now are left out.
+ */
+
+import crypto from 'crypto';
+import { listStopDepartures } from './delay.js';
+import { REMARK_TYPES } from './remarks.js';
+import * as clock from './clock.js';
+
+const CANCELLATION_TEXT = 'Fahrt fällt aus';
+
+/**
+ * Build the key remarks are merged by
+ * @param {Object} remark - Normalized remark (see models/remarks.js)
+ * @param {Object} departure - Departure it is attached to
+ * @returns {string} Merge key
+ */
+function getAlertKey(remark, departure) {
+  // A cancellation concerns one trip; the same text on another trip is another alert
+  if (remark.type === 'cancellation') {
+    return ['cancellation', departure.tripId || departure.scheduledDeparture, departure.direction || ''].join('|');
+  }
+  return remark.id ? `id|${remark.id}` : [remark.type, remark.text.toLowerCase().replace(/\s+/g, ' ')].join('|');
+}
+
+/**
+ * Get the classified remarks of a departure
+ * A cancelled departure without a cancellation remark gets one.
+ */
+function getDepartureRemarks(departure) {
+  const remarks = departure.remarkDetails || [];
+  if (departure.cancelled && !remarks.some(remark => remark.type === 'cancellation')) {
+    return [...remarks, { id: null, type: 'cancellation', code: 'cancelled', summary: null, text: CANCELLATION_TEXT, validFrom: null, validUntil: null }];
+  }
+  return remarks;
+}
+
+/**
+ * Build the summary of a cancellation alert, e.g. "R7 08:00 → Homburg fällt aus"
+ * @param {Object} trip - Cancelled trip ({ lineName, plannedDeparture at its first affected stop, direction })
+ */
+function describeCancellation(trip) {
+  const time = new Date(trip.plannedDeparture).toLocaleTimeString('de-DE', { timeZone: 'Europe/Berlin', hour: '2-digit', minute: '2-digit' });
+  return `${trip.lineName} ${time}${trip.direction ? ` → ${trip.direction}` : ''} fällt aus`;
+}
+
+/**
+ * Collect the alerts of a line from its current delay data
+ * @param {Object} line - Line definition
+ * @param {Array} delays - Delay objects for all stops (as returned by fetchRealDelayData)
+ * @param {Object} [filters] - { type, stopId, directionId }
+ * @param {Date} [now] - Alerts the source says ended before this time are left out
+ * @returns {Array} Alerts: cancellations first, then warnings and hints, each by start of validity
+ */
+function collectAlerts(line, delays, { type, stopId, directionId } = {}, now = clock.now()) {
+  const stopOrder = new Map(line.stops.map(stop => [stop.id, stop.order]));
+  const byKey = new Map();
+
+  for (const stop of delays) {
+    for (const departure of listStopDepartures(stop)) {
+      for (const remark of getDepartureRemarks(departure)) {
+        const key = getAlertKey(remark, departure);
+        let alert = byKey.get(key);
+        if (!alert) {
+          alert = {
+            id: crypto.createHash('sha1').update(`${line.id}|${key}`).digest('hex').slice(0, 16),
+            type: remark.type,
+            code: remark.code,
+            summary: remark.summary,
+            text: remark.text,
+            lineId: line.id,
+            sourceValidity: { from: remark.validFrom, until: remark.validUntil },
+            departures: [],
+            stops: new Map(),
+            directions: new Set(),
+            trip: remark.type === 'cancellation'
+              ? {
+                tripId: departure.tripId || null,
+                lineName: departure.lineName || line.name,
+                plannedDeparture: departure.scheduledDeparture,
+                direction: departure.direction || null
+              }
+              : null
+          };
+          byKey.set(key, alert);
+        }
+
+        if (alert.trip && new Date(departure.scheduledDeparture) < new Date(alert.trip.plannedDeparture)) {
+          alert.trip.plannedDeparture = departure.scheduledDeparture;
+        }
+        alert.departures.push(departure.scheduledDeparture);
+        alert.stops.set(stop.stopId, stop.stopName);
+        if (departure.directionId) alert.directions.add(departure.directionId);
+      }
+    }
+  }
+
+  return [...byKey.values()]
+    .map(({ sourceValidity, departures, stops, directions, ...alert }) => {
+      const times = departures.filter(Boolean).sort();
+      const fromSource = Boolean(sourceValidity.from || sourceValidity.until);
+      return {
+        ...alert,
+        summary: alert.summary || (alert.trip ? describeCancellation(alert.trip) : null),
+        validFrom: fromSource ? sourceValidity.from : times[0] || null,
+        validUntil: fromSource ? sourceValidity.until : times[times.length - 1] || null,
+        validity: fromSource ? 'source' : 'departures',
+        stops: [...stops]
+          .map(([id, name]) => ({ stopId: id, stopName: name }))
+          .sort((a, b) => (stopOrder.get(a.stopId) || 0) - (stopOrder.get(b.stopId) || 0)),
+        directions: [...directions],
+        affectedDepartures: departures.length
+      };
+    })
+    .filter(alert => alert.validity !== 'source' || !alert.validUntil || new Date(alert.validUntil) >= now)
+    .filter(alert => !type || alert.type === type)
+    .filter(alert => !stopId || alert.stops.some(stop => stop.stopId === stopId))
+    .filter(alert => !directionId || alert.directions.length === 0 || alert.directions.includes(directionId))
+    .sort((a, b) => REMARK_TYPES.indexOf(a.type) - REMARK_TYPES.indexOf(b.type) ||
+      new Date(a.validFrom || 0) - new Date(b.validFrom || 0));
+}
+
+export {
+  collectAlerts
+};
@@ -0,0 +1,144 @@
+/**
+ * Cache Model - TTL cache with request coalescing for upstream calls
+ *
+ * Values are cached per namespace ("endpoint") with a configurable TTL.
+ * Concurrent calls for a key that is not cached yet share a single in-flight
+ * promise, so parallel requests only cause one upstream request.
+ * Failed calls are never cached.
+ */
+
+// Default TTLs in seconds per namespace, overridable via CACHE_TTL_<NAMESPACE>
+const DEFAULT_TTLS = {
+  delays: 30,
+  departures: 30,
+  trips: 30,
+  journeys: 30,
+  search: 300
+};
+
+const entries = new Map();  // full key -> { value, expiresAt }
+const inFlight = new Map(); // full key -> Promise
+const stats = new Map();    // namespace -> { hits, misses, coalesced, errors }
+
+/**
+ * Get the TTL for a namespace in milliseconds
+ * @param {string} namespace - Cache namespace
+ * @returns {number} TTL in ms (0 disables caching, coalescing still applies)
+ */
+function getTtl(namespace) {
+  const configured = parseInt(process.env[`CACHE_TTL_${namespace.toUpperCase()}`], 10);
+  const seconds = isNaN(configured) ? (DEFAULT_TTLS[namespace] ?? 30) : configured;
+  return Math.max(0, seconds) * 1000;
+}
+
+/**
+ * Get (and create) the statistics record of a namespace
+ */
+function getNamespaceStats(namespace) {
+  if (!stats.has(namespace)) {
+    stats.set(namespace, { hits: 0, misses: 0, coalesced: 0, errors: 0 });
+  }
+  return stats.get(namespace);
+}
+
+/**
+ * Remove expired entries
+ */
+function pruneExpired() {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) entries.delete(key);
+  }
+}
+
+/**
+ * Return a cached value or compute it, coalescing concurrent calls
+ * @param {string} namespace - Cache namespace (e.g. 'delays', 'departures', 'search')
+ * @param {string} key - Key within the namespace
+ * @param {Function} fn - Async function computing the value on a miss
+ * @returns {Promise<*>} Cached or freshly computed value
+ */
+async function cached(namespace, key, fn) {
+  const fullKey = `${namespace}:${key}`;
+  const namespaceStats = getNamespaceStats(namespace);
+
+  const entry = entries.get(fullKey);
+  if (entry && entry.expiresAt > Date.now()) {
+    namespaceStats.hits++;
+    return entry.value;
+  }
+
+  if (inFlight.has(fullKey)) {
+    namespaceStats.coalesced++;
+    return inFlight.get(fullKey);
+  }
+
+  namespaceStats.misses++;
+  const ttl = getTtl(namespace);
+  // A computation only counts while it is the one in flight for its key: after
+  // clearCache (e.g. a new data source) its result is returned but not stored
+  const isCurrent = () => inFlight.get(fullKey) === promise;
+  const promise = Promise.resolve()
+    .then(fn)
+    .then(value => {
+      if (ttl > 0 && isCurrent()) {
+        pruneExpired();
+        entries.set(fullKey, { value, expiresAt: Date.now() + ttl });
+      }
+      return value;
+    }, error => {
+      namespaceStats.errors++;
+      throw error;
+    })
+    .finally(() => {
+      if (isCurrent()) inFlight.delete(fullKey);
+    });
+
+  inFlight.set(fullKey, promise);
+  return promise;
+}
+
+/**
+ * Drop cached entries and forget computations in flight
+ * Later calls start a new computation instead of joining one that may still
+ * use the old data source.
+ * @param {string} [namespace] - Only clear this namespace (all if omitted)
+ */
+function clearCache(namespace) {
+  for (const map of [entries, inFlight]) {
+    for (const key of map.keys()) {
+      if (!namespace || key.startsWith(`${namespace}:`)) map.delete(key);
+    }
+  }
+}
+
+/**
+ * Get hit/miss statistics per namespace
+ * @returns {Object} Statistics keyed by namespace
+ */
+function getCacheStats() {
+  const result = {};
+  const now = Date.now();
+
+  for (const namespace of new Set([...Object.keys(DEFAULT_TTLS), ...stats.keys()])) {
+    const { hits, misses, coalesced, errors } = getNamespaceStats(namespace);
+    const requests = hits + misses + coalesced;
+    result[namespace] = {
+      ttlSeconds: getTtl(namespace) / 1000,
+      entries: [...entries.entries()].filter(([key, entry]) => key.startsWith(`${namespace}:`) && entry.expiresAt > now).length,
+      hits,
+      misses,
+      coalesced,
+      errors,
+      hitRate: requests > 0 ? Math.round(((hits + coalesced) / requests) * 100) : 0
+    };
+  }
+
+  return result;
+}
+
+export {
+  cached,
+  clearCache,
+  getCacheStats
+};
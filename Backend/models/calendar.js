@@ -0,0 +1,155 @@
+/**
+ * Calendar Model - iCalendar feed of the upcoming departures at a stop
+ *
+ * Every departure becomes an event at its real-time (expected) departure,
+ * with the planned time, the delay and the platform in the description;
+ * cancelled departures are marked as cancelled events. Calendar apps
+ * subscribed to the feed pick up changed times on their next refresh, so the
+ * feed asks for a short refresh interval. Times are written in UTC, which
+ * needs no time zone definitions in the file.
+ */
+
+import crypto from 'crypto';
+import { getLocalDateTime, getRemarkText } from './export.js';
+
+const PRODUCT_ID = '-//R7Verspaetung//Abfahrten//DE';
+const REFRESH_MINUTES = 5;
+// Departures are points in time; a short event keeps them visible in calendar views
+const EVENT_DURATION_MINUTES = 5;
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a text value (RFC 5545 3.3.11)
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Format a timestamp as UTC date-time (e.g. 20260310T071500Z)
+ */
+function formatDateTime(timestamp) {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets (RFC 5545 3.1)
+ * @param {string} line - Content line
+ * @returns {string} Folded line (continuation lines start with a space)
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Describe the delay of a departure, e.g. "+3 Min"
+ */
+function formatDelay(delayMinutes) {
+  if (!delayMinutes) return 'pünktlich';
+  return `${delayMinutes > 0 ? '+' : ''}${delayMinutes} Min`;
+}
+
+/**
+ * Build the event of a departure
+ * @param {Object} departure - Processed departure
+ * @param {Object} context - { line, stop, now }
+ * @returns {Array<string>} Content lines
+ */
+function buildEvent(departure, { line, stop, now }) {
+  const start = departure.expectedDeparture || departure.scheduledDeparture;
+  const end = new Date(new Date(start).getTime() + EVENT_DURATION_MINUTES * 60000);
+  const lineName = departure.lineName || line.name;
+  const uid = crypto.createHash('sha1')
+    .update([line.id, stop.id, departure.tripId || '', departure.scheduledDeparture, departure.direction || ''].join('|'))
+    .digest('hex');
+
+  const summary = departure.cancelled
+    ? `${lineName} → ${departure.direction} fällt aus`
+    : `${lineName} → ${departure.direction} (${formatDelay(departure.delayMinutes)})`;
+
+  const planned = getLocalDateTime(departure.scheduledDeparture).time;
+  const description = [
+    departure.cancelled
+      ? `Planmäßig ${planned} – Fahrt fällt aus`
+      : `Planmäßig ${planned}, erwartet ${getLocalDateTime(start).time} (${formatDelay(departure.delayMinutes)})`,
+    departure.platform ? `Gleis ${departure.platform}` : null,
+    ...(departure.remarks || []).map(getRemarkText).filter(Boolean),
+    `Stand: ${getLocalDateTime(now.toISOString()).time}`
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}@r7verspaetung`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `LOCATION:${escapeText(stop.name)}`,
+    `STATUS:${departure.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Build the iCalendar feed of the upcoming departures at a stop
+ * @param {Object} options - Feed options
+ * @param {Object} options.line - Line definition
+ * @param {Object} options.stop - Stop of the line
+ * @param {Object} [options.direction] - Direction the departures are restricted to
+ * @param {Array} options.departures - Processed departures (as returned by listStopDepartures)
+ * @param {Date} [options.now] - Time of the feed
+ * @returns {string} iCalendar file
+ */
+function buildStopCalendar({ line, stop, direction = null, departures, now = new Date() }) {
+  const name = `${line.name} ab ${stop.name}${direction ? ` Richtung ${direction.name}` : ''}`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-CALDESC:${escapeText(`Nächste Abfahrten mit Echtzeit (${line.description})`)}`,
+    'X-WR-TIMEZONE:Europe/Berlin',
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${REFRESH_MINUTES}M`,
+    `X-PUBLISHED-TTL:PT${REFRESH_MINUTES}M`,
+    ...departures
+      .filter(departure => departure.scheduledDeparture)
+      .flatMap(departure => buildEvent(departure, { line, stop, now })),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+export {
+  buildStopCalendar,
+  escapeText,
+  foldLine,
+  formatDateTime
+};
@@ -0,0 +1,150 @@
+/**
+ * Circuit Breaker Model - Tracks the health of the configured data source
+ *
+ * States:
+ *   - 'closed'    the source works, live data is used
+ *   - 'open'      the source failed repeatedly, the fallback (simulator) is used
+ *   - 'half-open' a health probe is running to find out whether the source is back
+ *
+ * While open, the breaker probes the source periodically and closes again as
+ * soon as a probe succeeds. Every state change is emitted as a 'transition' event.
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * Create a circuit breaker
+ * @param {Object} options - Breaker options
+ * @param {Function} options.probe - Async health check, rejects if the source is unavailable
+ * @param {number} [options.failureThreshold] - Consecutive failures before the breaker opens
+ * @param {number} [options.probeInterval] - Milliseconds between probes while open
+ * @returns {EventEmitter} Breaker with start(), stop(), recordSuccess(), recordFailure(), isClosed(), getStatus()
+ */
+function createCircuitBreaker(options) {
+  const failureThreshold = options.failureThreshold || 3;
+  const probeInterval = options.probeInterval || 60000;
+
+  const breaker = new EventEmitter();
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let totalFailures = 0;
+  let lastSuccessAt = null;
+  let lastFailureAt = null;
+  let lastError = null;
+  let lastTransitionAt = null;
+  let lastProbeAt = null;
+  let probeTimer = null;
+  let initialProbe = null;
+
+  /**
+   * Change state and notify listeners
+   */
+  function transition(to, reason) {
+    if (state === to) return;
+    const from = state;
+    state = to;
+    lastTransitionAt = new Date().toISOString();
+    breaker.emit('transition', { from, to, reason, at: lastTransitionAt });
+  }
+
+  /**
+   * Probe the source once, moving through half-open
+   * @returns {Promise<boolean>} Whether the source is available
+   */
+  async function runProbe() {
+    transition('half-open', 'health probe started');
+    lastProbeAt = new Date().toISOString();
+    try {
+      await options.probe();
+      breaker.recordSuccess();
+      return true;
+    } catch (error) {
+      breaker.recordFailure(error, { fromProbe: true });
+      return false;
+    }
+  }
+
+  /**
+   * Start the periodic probe loop (runs only while the breaker is open)
+   * @returns {Promise<boolean>} Result of the initial probe
+   */
+  breaker.start = function start() {
+    if (!initialProbe) {
+      initialProbe = runProbe();
+      probeTimer = setInterval(() => {
+        if (state === 'open') runProbe();
+      }, probeInterval);
+      // The probe loop alone must not keep the process alive
+      probeTimer.unref();
+    }
+    return initialProbe;
+  };
+
+  /**
+   * Stop the probe loop
+   */
+  breaker.stop = function stop() {
+    if (probeTimer) clearInterval(probeTimer);
+    probeTimer = null;
+    initialProbe = null;
+  };
+
+  /**
+   * Report a successful call to the source
+   */
+  breaker.recordSuccess = function recordSuccess() {
+    consecutiveFailures = 0;
+    lastSuccessAt = new Date().toISOString();
+    transition('closed', 'source responded');
+  };
+
+  /**
+   * Report a failed call to the source
+   * @param {Error} error - The failure
+   * @param {Object} [details] - { fromProbe } if the failure came from a health probe
+   */
+  breaker.recordFailure = function recordFailure(error, details = {}) {
+    consecutiveFailures++;
+    totalFailures++;
+    lastFailureAt = new Date().toISOString();
+    lastError = error.message;
+
+    // A failed probe re-opens immediately, live traffic needs several failures in a row
+    if (details.fromProbe || state === 'half-open' || consecutiveFailures >= failureThreshold) {
+      transition('open', error.message);
+    }
+  };
+
+  /**
+   * Whether live data should be used
+   * @returns {boolean}
+   */
+  breaker.isClosed = function isClosed() {
+    return state === 'closed';
+  };
+
+  /**
+   * Current breaker status
+   * @returns {Object} State, failure counters and timestamps
+   */
+  breaker.getStatus = function getStatus() {
+    return {
+      state,
+      consecutiveFailures,
+      totalFailures,
+      failureThreshold,
+      lastSuccessAt,
+      lastFailureAt,
+      lastError,
+      lastProbeAt,
+      lastTransitionAt,
+      probeIntervalSeconds: probeInterval / 1000
+    };
+  };
+
+  return breaker;
+}
+
+export {
+  createCircuitBreaker
+};
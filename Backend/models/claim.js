@@ -0,0 +1,179 @@
+/**
+ * Claim Document - Printable summary of a passenger rights claim
+ *
+ * Renders a claim (see models/compensation.js) as a self-contained HTML page
+ * in German: the trip, planned and actual times at the boarding and
+ * destination stop, every recorded departure in between, the remarks of the
+ * data source and the applicable rule, followed by blank fields for the
+ * passenger. The page is laid out for printing; the browser's print dialog
+ * also saves it as PDF.
+ */
+
+import { getLocalDateTime } from './export.js';
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a timestamp as local date and time, e.g. "10.03.2026 08:15"
+ */
+function formatDateTime(timestamp) {
+  if (!timestamp) return '–';
+  const { date, time } = getLocalDateTime(timestamp);
+  const [year, month, day] = date.split('-');
+  return `${day}.${month}.${year} ${time}`;
+}
+
+/**
+ * Format a timestamp as local time, e.g. "08:15"
+ */
+function formatTime(timestamp) {
+  return timestamp ? getLocalDateTime(timestamp).time : '–';
+}
+
+/**
+ * Describe the delay of a recorded departure
+ */
+function describeDelay(stop) {
+  if (stop.cancelled) return 'Ausgefallen';
+  if (!stop.delayMinutes) return 'Pünktlich';
+  return `${stop.delayMinutes > 0 ? '+' : ''}${stop.delayMinutes} Min`;
+}
+
+/**
+ * Describe the outcome of the claim (which rule applies and why)
+ */
+function describeOutcome(claim) {
+  const { trip } = claim;
+  if (!trip.rule) {
+    return '<p class="warning">Nach den erfassten Daten erfüllt diese Fahrt keine der Entschädigungsregeln.</p>';
+  }
+
+  const reason = trip.rule.cancelled
+    ? 'Die Fahrt ist auf der gefahrenen Strecke ausgefallen.'
+    : `Die erfasste Verspätung beträgt ${trip.delayMinutes} Minuten ` +
+      `(${claim.measuredAtDestination ? 'an der Ausstiegshaltestelle' : `höchste Verspätung, an ${escapeHtml(claim.stops.find(s => s.stopId === trip.delayStopId)?.stopName)}`}).`;
+
+  return `
+    <p><strong>${escapeHtml(trip.rule.label)}</strong>${trip.rule.compensation ? ` – ${escapeHtml(trip.rule.compensation)}` : ''}</p>
+    <p>${reason}</p>`;
+}
+
+/**
+ * Render a claim as printable HTML
+ * @param {Object} claim - Claim (as returned by buildClaim)
+ * @returns {string} HTML page
+ */
+function renderClaimHtml(claim) {
+  const { trip, from, to } = claim;
+  const title = `Nachweis ${trip.lineName} ${formatDateTime(from.plannedDeparture)}`;
+
+  const stopRows = claim.stops.map(stop => `
+        <tr>
+          <td>${escapeHtml(stop.stopName)}</td>
+          <td>${formatTime(stop.plannedDeparture)}</td>
+          <td>${stop.cancelled ? '–' : formatTime(stop.actualDeparture)}</td>
+          <td>${describeDelay(stop)}</td>
+          <td>${escapeHtml(stop.platform || '')}</td>
+        </tr>`).join('');
+
+  const recipient = claim.recipient.length > 0
+    ? claim.recipient.map(escapeHtml).join('<br>')
+    : '<span class="blank"></span><br><span class="blank"></span><br><span class="blank"></span>';
+
+  return `<!DOCTYPE html>
+<html lang="de">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; max-width: 800px; margin: 30px auto; padding: 0 20px; line-height: 1.4; }
+    h1 { color: #1e3c72; font-size: 1.5rem; border-bottom: 2px solid #1e3c72; padding-bottom: 8px; }
+    h2 { color: #1e3c72; font-size: 1.1rem; margin-top: 25px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+    th { background: #f0f3f8; }
+    dl { display: grid; grid-template-columns: 200px 1fr; gap: 4px 12px; }
+    dt { font-weight: bold; }
+    dd { margin: 0; }
+    .warning { color: #b00020; font-weight: bold; }
+    .blank { display: inline-block; min-width: 320px; border-bottom: 1px solid #222; height: 1.4em; }
+    .fields dd { margin-bottom: 12px; }
+    .note { color: #666; font-size: 0.85rem; }
+    .print-btn { background: #1e3c72; color: white; border: none; padding: 10px 20px; border-radius: 5px; font-size: 1rem; cursor: pointer; }
+    @media print {
+      .print-btn { display: none; }
+      body { margin: 0; }
+    }
+  </style>
+</head>
+<body>
+  <button class="print-btn" onclick="window.print()">🖨️ Drucken / als PDF speichern</button>
+
+  <h1>Nachweis für einen Antrag auf Fahrgastrechte</h1>
+  ${trip.isSimulated ? '<p class="warning">Achtung: Diese Daten stammen aus der Simulation und sind kein Nachweis.</p>' : ''}
+
+  <h2>An</h2>
+  <p>${recipient}</p>
+
+  <h2>Fahrt</h2>
+  <dl>
+    <dt>Linie</dt><dd>${escapeHtml(trip.lineName)}</dd>
+    <dt>Richtung</dt><dd>${escapeHtml(trip.direction || '–')}</dd>
+    <dt>Datum</dt><dd>${formatDateTime(trip.plannedDeparture).split(' ')[0]}</dd>
+    <dt>Fahrt-ID</dt><dd>${escapeHtml(trip.tripId)}</dd>
+    <dt>Einstieg</dt><dd>${escapeHtml(from.stopName)}: planmäßig ${formatTime(from.plannedDeparture)}, tatsächlich ${from.cancelled ? 'ausgefallen' : formatTime(from.actualDeparture)}</dd>
+    <dt>Ausstieg</dt><dd>${escapeHtml(to.stopName)}: planmäßig ${formatTime(to.plannedDeparture)}, tatsächlich ${to.cancelled ? 'ausgefallen' : formatTime(to.actualDeparture)}</dd>
+  </dl>
+
+  <h2>Anspruch</h2>
+  ${describeOutcome(claim)}
+
+  <h2>Erfasste Abfahrten</h2>
+  <table>
+    <thead>
+      <tr><th>Haltestelle</th><th>Planmäßig</th><th>Tatsächlich</th><th>Verspätung</th><th>Gleis</th></tr>
+    </thead>
+    <tbody>${stopRows}
+    </tbody>
+  </table>
+  <p class="note">Die Zeiten an der Ausstiegshaltestelle sind Abfahrtszeiten; sie stehen für die Ankunft.</p>
+
+  <h2>Hinweise der Verkehrsunternehmen</h2>
+  ${claim.remarks.length > 0
+    ? `<ul>${claim.remarks.map(remark => `<li>${escapeHtml(remark)}</li>`).join('')}</ul>`
+    : '<p>Keine Hinweise erfasst.</p>'}
+
+  <h2>Angaben des Fahrgasts</h2>
+  <dl class="fields">
+    <dt>Name</dt><dd><span class="blank"></span></dd>
+    <dt>Anschrift</dt><dd><span class="blank"></span></dd>
+    <dt>Fahrkarte (Art, Nummer)</dt><dd><span class="blank"></span></dd>
+    <dt>Fahrpreis</dt><dd><span class="blank"></span></dd>
+    <dt>IBAN</dt><dd><span class="blank"></span></dd>
+    <dt>Datum, Unterschrift</dt><dd><span class="blank"></span></dd>
+  </dl>
+
+  <p class="note">
+    Erstellt am ${formatDateTime(claim.createdAt)} aus den Echtzeitdaten, die R7Verspätung während der Fahrt aufgezeichnet hat
+    (letzte Erfassung ${formatDateTime(claim.observedAt)}). Ob und in welcher Höhe eine Entschädigung gezahlt wird,
+    entscheidet das Verkehrsunternehmen nach seinen Beförderungsbedingungen.
+  </p>
+</body>
+</html>
+`;
+}
+
+export {
+  renderClaimHtml,
+  escapeHtml
+};
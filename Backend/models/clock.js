@@ -0,0 +1,74 @@
+/**
+ * Clock Model - The current time as seen by the data models
+ *
+ * Runs in real time by default. For offline development, demos and tests the
+ * clock can be set to another time and run faster, slower or frozen (speed 0),
+ * so the simulator shows the same departures every time.
+ */
+
+// null while the clock runs in real time
+let setting = null; // { simulatedAt, realAt, speed }
+
+/**
+ * Get the current time
+ * @returns {Date} Current (possibly simulated) time
+ */
+function now() {
+  if (!setting) return new Date();
+  return new Date(setting.simulatedAt + (Date.now() - setting.realAt) * setting.speed);
+}
+
+/**
+ * Set the clock to a time and let it run from there
+ * @param {Object} options
+ * @param {Date|string} [options.time] - Time to continue from (current clock time if omitted)
+ * @param {number} [options.speed] - Simulated seconds per real second (0 freezes the clock, default 1)
+ */
+function setClock(options = {}) {
+  const time = options.time !== undefined ? new Date(options.time) : now();
+  if (isNaN(time.getTime())) {
+    throw new Error(`Invalid clock time: ${options.time}`);
+  }
+
+  const speed = options.speed ?? (setting ? setting.speed : 1);
+  if (!Number.isFinite(speed) || speed < 0) {
+    throw new Error(`Invalid clock speed: ${options.speed}`);
+  }
+
+  setting = { simulatedAt: time.getTime(), realAt: Date.now(), speed };
+}
+
+/**
+ * Move the clock forward (or backward for negative minutes)
+ * @param {number} minutes - Minutes to advance
+ */
+function advanceClock(minutes) {
+  setClock({ time: new Date(now().getTime() + minutes * 60000) });
+}
+
+/**
+ * Let the clock run in real time again
+ */
+function resetClock() {
+  setting = null;
+}
+
+/**
+ * Get the state of the clock
+ * @returns {Object} { now, simulated, speed }
+ */
+function getClockStatus() {
+  return {
+    now: now().toISOString(),
+    simulated: setting !== null,
+    speed: setting ? setting.speed : 1
+  };
+}
+
+export {
+  now,
+  setClock,
+  advanceClock,
+  resetClock,
+  getClockStatus
+};
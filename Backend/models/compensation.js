@@ -0,0 +1,214 @@
+/**
+ * Compensation Model - Finds recorded trips that qualify for a passenger rights claim
+ *
+ * Recorded departures (see models/history.js) are grouped into trips by their
+ * trip ID, and the compensation rules (see config/compensation.js) are applied
+ * to each trip's delay and cancellations. The history only holds departures,
+ * so the departure at the passenger's destination stands in for the arrival
+ * there. A claim covers the part of a trip between the boarding and the
+ * destination stop; without a destination the highest recorded delay counts.
+ */
+
+import { getCompensationRules, findApplicableRule } from '../config/compensation.js';
+import { queryHistory } from './history.js';
+import { getLocalDateTime, getRemarkText } from './export.js';
+
+// Trip IDs that repeat every day (e.g. GTFS) are split into runs at gaps this long
+const TRIP_GAP_MS = 12 * 3600000;
+
+/**
+ * Get the ID a recorded departure's trip is addressed by
+ * Records written before trip IDs were stored are trips of their own.
+ */
+function getTripId(record) {
+  return record.tripId || record.key;
+}
+
+/**
+ * Group recorded departures into trips
+ * @param {Array} records - History records
+ * @returns {Array<Array>} Records of each trip, in travel order
+ */
+function groupTrips(records) {
+  const byTrip = new Map();
+  for (const record of records) {
+    const id = getTripId(record);
+    if (!byTrip.has(id)) byTrip.set(id, []);
+    byTrip.get(id).push(record);
+  }
+
+  const trips = [];
+  for (const group of byTrip.values()) {
+    group.sort((a, b) => new Date(a.plannedDeparture) - new Date(b.plannedDeparture));
+    let run = [];
+    for (const record of group) {
+      const previous = run[run.length - 1];
+      if (previous && new Date(record.plannedDeparture) - new Date(previous.plannedDeparture) > TRIP_GAP_MS) {
+        trips.push(run);
+        run = [];
+      }
+      run.push(record);
+    }
+    trips.push(run);
+  }
+  return trips;
+}
+
+/**
+ * Get the local date a trip runs on (date of its first recorded departure)
+ */
+function getServiceDate(trip) {
+  return getLocalDateTime(trip[0].plannedDeparture).date;
+}
+
+/**
+ * Describe a recorded departure of a trip
+ */
+function describeStop(record) {
+  return {
+    stopId: record.stopId,
+    stopName: record.stopName,
+    plannedDeparture: record.plannedDeparture,
+    actualDeparture: record.actualDeparture,
+    delayMinutes: record.delayMinutes,
+    status: record.status,
+    cancelled: record.cancelled,
+    platform: record.platform,
+    remarks: record.remarks || [],
+    observedAt: record.observedAt
+  };
+}
+
+/**
+ * Apply the compensation rules to a trip or part of it
+ * @param {Array} segment - Recorded departures, in travel order
+ * @param {boolean} atDestination - Measure the delay at the last departure instead of taking the highest
+ * @returns {Object} { delayMinutes, delayStopId, cancelled, rule }
+ */
+function assessSegment(segment, atDestination) {
+  const served = segment.filter(record => !record.cancelled);
+  const measured = atDestination
+    ? segment[segment.length - 1]
+    : served.reduce((worst, record) => (!worst || record.delayMinutes > worst.delayMinutes ? record : worst), null);
+  const delayMinutes = measured && !measured.cancelled ? measured.delayMinutes : 0;
+  const cancelled = segment.some(record => record.cancelled);
+
+  return {
+    delayMinutes,
+    delayStopId: measured && !measured.cancelled ? measured.stopId : null,
+    cancelled,
+    rule: findApplicableRule({ delayMinutes, cancelled })
+  };
+}
+
+/**
+ * Describe a trip with the rule that applies to it
+ * @param {Array} trip - Recorded departures of the trip, in travel order
+ * @param {Array} [segment] - Part of the trip to assess (default: all of it)
+ * @param {boolean} [atDestination] - See assessSegment
+ * @returns {Object} Trip summary
+ */
+function describeTrip(trip, segment = trip, atDestination = false) {
+  const first = trip[0];
+  return {
+    tripId: getTripId(first),
+    date: getServiceDate(trip),
+    lineId: first.lineId,
+    lineName: first.lineName,
+    direction: first.direction,
+    directionId: first.directionId,
+    plannedDeparture: first.plannedDeparture,
+    isSimulated: trip.some(record => record.isSimulated),
+    ...assessSegment(segment, atDestination),
+    stops: trip.map(describeStop)
+  };
+}
+
+/**
+ * Find recorded trips that qualify for compensation
+ * @param {Object} filters - Query filters
+ * @param {string} filters.lineId - Line ID
+ * @param {string} [filters.stopId] - Only trips recorded at this stop
+ * @param {string} [filters.direction] - Direction ID or part of the headsign
+ * @param {Date} [filters.from] - Planned departures at or after this time
+ * @param {Date} [filters.to] - Planned departures at or before this time
+ * @param {boolean} [filters.includeSimulated] - Include trips recorded from simulated data
+ * @param {number} [filters.limit] - Maximum number of trips (most recent first)
+ * @returns {Array} Trip summaries with the applicable rule
+ */
+function findQualifyingTrips({ lineId, stopId, direction, from, to, includeSimulated = false, limit }) {
+  const trips = groupTrips(queryHistory({ lineId, direction, from, to, includeSimulated }))
+    .filter(trip => !stopId || trip.some(record => record.stopId === stopId))
+    .map(trip => describeTrip(trip))
+    .filter(trip => trip.rule)
+    .sort((a, b) => new Date(b.plannedDeparture) - new Date(a.plannedDeparture));
+
+  return limit ? trips.slice(0, limit) : trips;
+}
+
+/**
+ * Find a recorded trip
+ * @param {Object} query - { lineId, tripId, date (YYYY-MM-DD, local), includeSimulated }
+ * @returns {Array|null} Recorded departures of the trip in travel order, null if not recorded
+ */
+function findRecordedTrip({ lineId, tripId, date, includeSimulated = false }) {
+  const records = queryHistory({ lineId, includeSimulated }).filter(record => getTripId(record) === tripId);
+  return groupTrips(records).find(trip => getServiceDate(trip) === date) || null;
+}
+
+/**
+ * Check the boarding and destination stop of a claim
+ * @param {Array} trip - Recorded departures of the trip
+ * @param {Object} stops - { from, to } stop IDs (optional)
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function getSegmentErrors(trip, { from, to }) {
+  const errors = [];
+  const fromIndex = from ? trip.findIndex(record => record.stopId === from) : 0;
+  const toIndex = to ? trip.findIndex(record => record.stopId === to) : trip.length - 1;
+
+  if (fromIndex === -1) errors.push(`Stop "${from}" is not recorded for this trip`);
+  if (toIndex === -1) errors.push(`Stop "${to}" is not recorded for this trip`);
+  if (errors.length === 0 && fromIndex >= toIndex && trip.length > 1) {
+    errors.push('The destination must come after the boarding stop');
+  }
+  return errors;
+}
+
+/**
+ * Build the claim summary of a trip
+ * @param {Array} trip - Recorded departures of the trip (see findRecordedTrip)
+ * @param {Object} [stops] - { from, to } boarding and destination stop IDs (checked with getSegmentErrors)
+ * @param {Date} [now] - Time of the claim
+ * @returns {Object} Claim with the trip, the travelled stops, the applicable rule and the remarks
+ */
+function buildClaim(trip, { from, to } = {}, now = new Date()) {
+  const fromIndex = from ? trip.findIndex(record => record.stopId === from) : 0;
+  const toIndex = to ? trip.findIndex(record => record.stopId === to) : trip.length - 1;
+  const segment = trip.slice(fromIndex, toIndex + 1);
+  const { stops, ...summary } = describeTrip(trip, segment, Boolean(to));
+
+  const remarks = [...new Set(segment.flatMap(record => (record.remarks || []).map(getRemarkText)).filter(Boolean))];
+  const observedAt = segment.map(record => record.observedAt).sort().pop();
+
+  return {
+    trip: summary,
+    qualifies: Boolean(summary.rule),
+    from: describeStop(segment[0]),
+    to: describeStop(segment[segment.length - 1]),
+    measuredAtDestination: Boolean(to),
+    stops: segment.map(describeStop),
+    remarks,
+    observedAt,
+    recipient: getCompensationRules().recipient,
+    createdAt: now.toISOString()
+  };
+}
+
+export {
+  groupTrips,
+  findQualifyingTrips,
+  findRecordedTrip,
+  getSegmentErrors,
+  buildClaim
+};
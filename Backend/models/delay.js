@@ -1,119 +1,289 @@
 /**
- * Delay Model - Fetches delay information for R7 bus stops
+ * Delay Model - Fetches delay information for the configured bus lines
  * 
- * This model attempts to fetch real delay data from saarfahrplan HAFAS API.
- * If the API is not reachable (e.g., in development), it falls back to simulated data.
+ * This model fetches real delay data through the configured data source adapter
+ * (saarfahrplan HAFAS API by default, see adapters/index.js).
+ * If the data source is not reachable (e.g., in development), it falls back to simulated data.
  * 
- * The R7 bus line runs between Zweibrücken and Homburg in Saarland.
+ * Lines and their stops are defined in config/lines.json. By default this is
+ * the R7 bus line between Zweibrücken and Homburg in Saarland.
  */
 
-import { createClient } from 'hafas-client';
-import { profile as saarfahrplanProfile } from 'hafas-client/p/saarfahrplan/index.js';
+import { createDataSource, createRecordingAdapter } from '../adapters/index.js';
+import { getLines, getLine, getDefaultLine, matchesLine, matchDirection } from '../config/lines.js';
+import { classifyDelay } from '../config/punctuality.js';
+import { normalizeRemark } from './remarks.js';
+import { cached, clearCache } from './cache.js';
+import { createScheduler, withTimeout, TimeoutError } from './scheduler.js';
+import { createCircuitBreaker } from './circuitBreaker.js';
+import { createCounter, createHistogram } from './metrics.js';
+import { logger } from './logger.js';
+import { getSimulator, isSimulationEnabled } from './simulation.js';
+import * as clock from './clock.js';
 
-// Create HAFAS client with saarfahrplan profile
-const userAgent = 'R7Verspaetung-App (github.com/Luc8020/R7Versp-tung)';
-let hafasClient = null;
-let useRealData = true;
+// Simulated data, used when the configured data source is not reachable or the simulation is switched on
+const simulator = getSimulator();
+
+// Configured data source (DATA_SOURCE=hafas|gtfs-rt|simulator)
+let dataSource = null;
 
 try {
-  hafasClient = createClient(saarfahrplanProfile, userAgent);
+  const name = process.env.DATA_SOURCE || 'hafas';
+  dataSource = name === 'simulator' ? simulator : createDataSource(name, { lines: getLines(), now: clock.now });
+  
+  // Write every upstream request and response to disk (RECORD_FILE)
+  if (process.env.RECORD_FILE && !dataSource.isSimulated) {
+    dataSource = createRecordingAdapter(dataSource, { file: process.env.RECORD_FILE });
+  }
+  
+  // A replay starts at the time of its first recording
+  if (dataSource.recordedFrom && !process.env.SIMULATOR_START) {
+    clock.setClock({ time: dataSource.recordedFrom });
+  }
 } catch (error) {
-  console.warn('Failed to create HAFAS client:', error.message);
-  useRealData = false;
-}
-
-// R7 bus stops between Zweibrücken and Homburg
-// HAFAS IDs from saarfahrplan (will be used when API is accessible)
-const R7_STOPS = [
-  { id: '1', name: 'Zweibrücken Hauptbahnhof', searchName: 'Zweibrücken Hbf', hafasId: '8000472', order: 1 },
-  { id: '2', name: 'Zweibrücken Rosengarten', searchName: 'Zweibrücken Rosengarten', hafasId: null, order: 2 },
-  { id: '3', name: 'Einöd', searchName: 'Einöd', hafasId: null, order: 3 },
-  { id: '4', name: 'Ingweiler', searchName: 'Ingweiler', hafasId: null, order: 4 },
-  { id: '5', name: 'Bierbach', searchName: 'Bierbach', hafasId: null, order: 5 },
-  { id: '6', name: 'Beeden', searchName: 'Beeden', hafasId: null, order: 6 },
-  { id: '7', name: 'Homburg (Saar) Hauptbahnhof', searchName: 'Homburg Hbf', hafasId: '8000176', order: 7 }
-];
+  logger.warn('Failed to create data source', { error: error.message });
+}
+
+// All upstream requests share one scheduler (concurrency, fair-use rate limit, timeouts, retries)
+const upstream = createScheduler({
+  concurrency: parseInt(process.env.UPSTREAM_CONCURRENCY, 10) || 3,
+  requestsPerSecond: parseFloat(process.env.UPSTREAM_RATE_LIMIT) || 5,
+  timeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 8000,
+  retries: process.env.UPSTREAM_RETRIES !== undefined ? parseInt(process.env.UPSTREAM_RETRIES, 10) : 2,
+  backoffMs: parseInt(process.env.UPSTREAM_BACKOFF_MS, 10) || 500
+});
+
+// Upstream requests by data source, operation (e.g. 'departures') and outcome, exposed on /metrics
+const upstreamRequests = createCounter({
+  name: 'r7verspaetung_upstream_requests_total',
+  help: 'Requests to the data source by operation and outcome (success, error, timeout)'
+});
+const upstreamDuration = createHistogram({
+  name: 'r7verspaetung_upstream_request_duration_seconds',
+  help: 'Duration of requests to the data source, including waiting in the scheduler and retries'
+});
+
+// Health of the configured data source - switches between live data and the simulator
+const breaker = createCircuitBreaker({
+  probe: () => observeUpstream(dataSource, 'availability', () =>
+    upstream.schedule(() => dataSource.checkAvailability(), { retries: 0, label: 'Health probe' })
+  ),
+  failureThreshold: parseInt(process.env.BREAKER_FAILURE_THRESHOLD, 10) || 3,
+  probeInterval: parseInt(process.env.BREAKER_PROBE_INTERVAL_MS, 10) || 60000
+});
+
+// Log switches between live and fallback mode (probes while open are not logged)
+let currentMode = null;
+breaker.on('transition', ({ from, to, reason }) => {
+  if (to === 'half-open') return;
+  const mode = to === 'closed' ? 'live' : 'fallback';
+  if (mode === currentMode) return;
+  
+  const fields = { source: dataSource.name, breaker: `${from} → ${to}`, mode, previousMode: currentMode || 'startup' };
+  if (mode === 'live') {
+    logger.info(`${dataSource.label} is available - using real-time data`, fields);
+  } else {
+    logger.warn(`${dataSource.label} not reachable - using simulated data`, { ...fields, reason });
+  }
+  currentMode = mode;
+});
+
+// Maximum time for loading a single stop (station lookup + departures, including retries)
+const STOP_TIMEOUT = parseInt(process.env.STOP_TIMEOUT_MS, 10) || 15000;
 
 // Cache for station IDs (discovered at runtime)
 let stationCache = new Map();
-let apiAvailable = null; // null = not tested, true = available, false = not available
+
+// Last complete result per stop, served as stale data when a stop times out
+const lastStopResults = new Map();
 
 /**
- * Check if the HAFAS API is reachable
- * @returns {Promise<boolean>}
+ * Count and time an upstream request for the metrics
+ * @param {Object} source - Data source adapter
+ * @param {string} operation - Adapter method called (e.g. 'departures')
+ * @param {Function} run - Async function performing the request
+ * @returns {Promise<*>} Result of run
  */
-async function checkApiAvailability() {
-  if (apiAvailable !== null) return apiAvailable;
+async function observeUpstream(source, operation, run) {
+  const startedAt = process.hrtime.bigint();
+  let outcome = 'success';
   
-  if (!hafasClient) {
-    apiAvailable = false;
-    return false;
+  try {
+    return await run();
+  } catch (error) {
+    outcome = error instanceof TimeoutError ? 'timeout' : 'error';
+    throw error;
+  } finally {
+    const labels = { source: source.name, operation, outcome };
+    upstreamRequests.inc(labels);
+    upstreamDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
   }
+}
+
+// Error codes (as set by hafas-client) of answers rejecting the request itself,
+// e.g. an unknown trip ID: the source works, so they don't count against it
+const CLIENT_ERROR_CODES = ['NOT_FOUND', 'INVALID_REQUEST'];
+
+/**
+ * Check whether an error means the data source is failing
+ * Network errors, timeouts and server errors do; answers rejecting the request don't,
+ * otherwise a few requests for bogus IDs would open the circuit breaker.
+ * @param {Error} error - Error of a data source call
+ * @returns {boolean}
+ */
+function isSourceFailure(error) {
+  return !CLIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Run a data source call through the upstream scheduler and report the outcome to the circuit breaker
+ * The local simulator is called directly, it has no upstream to protect.
+ * @param {Object} source - Data source adapter
+ * @param {string} operation - Adapter method called (e.g. 'departures'), used in the metrics
+ * @param {Function} fn - Async function performing the call
+ * @param {string} label - Description used in timeout errors
+ * @returns {Promise<*>} Result of fn
+ */
+async function callSource(source, operation, fn, label) {
+  if (source.isSimulated) return await fn();
   
   try {
-    // Try a simple location search
-    await hafasClient.locations('Saarbrücken', { results: 1 });
-    apiAvailable = true;
-    console.log('✅ HAFAS API is available - using real-time data');
-    return true;
+    const result = await observeUpstream(source, operation, () => upstream.schedule(fn, { label }));
+    breaker.recordSuccess();
+    return result;
   } catch (error) {
-    apiAvailable = false;
-    console.log('⚠️ HAFAS API not reachable - using simulated data');
-    console.log('   Reason:', error.message);
-    return false;
+    if (isSourceFailure(error)) breaker.recordFailure(error);
+    throw error;
+  }
+}
+
+/**
+ * Resolve a line ID to its definition
+ * @param {string} [lineId] - Line ID (default line if omitted)
+ * @returns {Object} Line definition
+ * @throws {Error} If the line is not configured
+ */
+function resolveLine(lineId) {
+  const line = lineId ? getLine(lineId) : getDefaultLine();
+  if (!line) {
+    throw new Error(`Unknown line "${lineId}"`);
+  }
+  return line;
+}
+
+/**
+ * Check if the configured data source is currently usable
+ * The first call waits for the initial health probe; afterwards the circuit
+ * breaker decides, re-probing in the background while the source is down.
+ * @returns {Promise<boolean>}
+ */
+async function checkApiAvailability() {
+  if (!dataSource || dataSource.isSimulated || isSimulationEnabled()) return false;
+  
+  await breaker.start();
+  return breaker.isClosed();
+}
+
+/**
+ * Get the data source to read from (configured source, or the simulator as fallback)
+ * @returns {Promise<Object>} Data source adapter
+ */
+async function getActiveSource() {
+  return await checkApiAvailability() ? dataSource : simulator;
+}
+
+/**
+ * Describe where the current data comes from
+ * @returns {Promise<string>} Human readable data source label
+ */
+async function getDataSourceLabel() {
+  if (await checkApiAvailability()) {
+    return `${dataSource.label} (Echtzeitdaten)`;
+  }
+  if ((dataSource && dataSource.isSimulated) || isSimulationEnabled()) {
+    const { scenario } = simulator.getSettings();
+    return scenario ? `Simulierte Daten (Szenario: ${scenario.name})` : 'Simulierte Daten';
   }
+  return 'Simulierte Daten (API nicht erreichbar)';
 }
 
 /**
- * Search for a station by name and return its HAFAS ID
+ * Search for a station by name and return its station ID
+ * @param {Object} source - Data source adapter
  * @param {string} name - Station name to search for
  * @returns {Promise<Object|null>} Station info or null
  */
-async function findStation(name) {
-  if (!await checkApiAvailability()) return null;
-  
-  if (stationCache.has(name)) {
-    return stationCache.get(name);
+async function findStation(source, name) {
+  const cacheKey = `${source.name}:${name}`;
+  if (stationCache.has(cacheKey)) {
+    return stationCache.get(cacheKey);
   }
   
   try {
-    const results = await hafasClient.locations(name, { results: 5 });
+    const results = await callSource(source, 'locations', () => source.locations(name, { results: 5 }), `Station search "${name}"`);
     if (results && results.length > 0) {
       // Find the best match (prefer stops over addresses)
       const station = results.find(r => r.type === 'stop') || results[0];
-      stationCache.set(name, station);
+      stationCache.set(cacheKey, station);
       return station;
     }
   } catch (error) {
-    console.error(`Error searching for station "${name}":`, error.message);
+    // Let timeouts through so the stop is reported as timed out instead of "not found"
+    if (error instanceof TimeoutError) throw error;
+    logger.error('Error searching for station', { station: name, error: error.message });
   }
   return null;
 }
 
 /**
- * Get departures from a specific station, filtered for R7 line
- * @param {string} stationId - HAFAS station ID
+ * Get all departures from a station (all lines)
+ * Station boards are cached per station, so stations shared by several lines are fetched once
+ * @param {Object} source - Data source adapter
+ * @param {string} stationId - Station ID of the data source
  * @param {number} duration - Duration in minutes to look ahead
+ * @param {Date} [when] - Start of the look-ahead window (now if omitted)
  * @returns {Promise<Array>} Array of departures
  */
-async function getDeparturesForStation(stationId, duration = 120) {
-  if (!await checkApiAvailability()) return [];
-  
-  try {
-    const departures = await hafasClient.departures(stationId, {
+async function loadStationBoard(source, stationId, duration, when) {
+  const key = `${source.name}:${stationId}:${duration}` + (when ? `:${when.toISOString()}` : '');
+  return await cached('departures', key, () =>
+    callSource(source, 'departures', () => source.departures(stationId, {
+      ...(when ? { when } : {}),
       duration: duration,
       results: 50
-    });
-    
-    // Filter for R7 line only (various formats)
-    const r7Departures = departures.departures.filter(dep => {
-      const lineName = (dep.line?.name || dep.line?.product || '').toUpperCase();
-      return lineName.includes('R7') || lineName.includes('R 7') || lineName === 'RE7' || lineName === 'RB7';
-    });
+    }), `Departures for station ${stationId}`)
+  );
+}
+
+/**
+ * Find the station of a stop of a line
+ * @param {Object} source - Data source adapter
+ * @param {Object} stop - Stop definition
+ * @returns {Promise<Object|null>} Station info or null
+ */
+async function resolveStopStation(source, stop) {
+  const station = await findStation(source, stop.searchName || stop.name);
+  if (station) return station;
+  return stop.hafasId ? { type: 'stop', id: stop.hafasId, name: stop.name } : null;
+}
+
+/**
+ * Get departures from a specific station, filtered for one line
+ * @param {Object} source - Data source adapter
+ * @param {string} stationId - Station ID of the data source
+ * @param {Object} line - Line definition (its linePatterns select the departures)
+ * @param {number} duration - Duration in minutes to look ahead
+ * @returns {Promise<Array>} Array of departures
+ */
+async function getDeparturesForStation(source, stationId, line, duration = 120) {
+  try {
+    const departures = await loadStationBoard(source, stationId, duration);
     
-    return r7Departures;
+    // Filter for this line only (patterns cover the various name formats)
+    return departures.filter(dep => matchesLine(line, dep.line?.name || dep.line?.product));
   } catch (error) {
-    console.error(`Error getting departures for station ${stationId}:`, error.message);
+    if (error instanceof TimeoutError) throw error;
+    logger.error('Error getting departures for station', { stationId, error: error.message });
     return [];
   }
 }
@@ -121,9 +291,10 @@ async function getDeparturesForStation(stationId, duration = 120) {
 /**
  * Calculate delay in minutes from departure data
  * @param {Object} departure - HAFAS departure object
+ * @param {Object} [line] - Line definition, used to recognize the direction
  * @returns {Object} Delay information
  */
-function calculateDelay(departure) {
+function calculateDelay(departure, line) {
   const scheduledTime = departure.plannedWhen ? new Date(departure.plannedWhen) : null;
   const actualTime = departure.when ? new Date(departure.when) : null;
   
@@ -135,234 +306,397 @@ function calculateDelay(departure) {
   }
   
   return {
+    tripId: departure.tripId || null,
     scheduledDeparture: scheduledTime ? scheduledTime.toISOString() : null,
     expectedDeparture: actualTime ? actualTime.toISOString() : (scheduledTime ? scheduledTime.toISOString() : null),
-    delayMinutes: Math.max(0, delayMinutes),
+    delayMinutes,
     status: getDelayStatus(delayMinutes),
     cancelled: departure.cancelled || false,
     platform: departure.platform || departure.plannedPlatform || null,
     direction: departure.direction || null,
-    lineName: departure.line?.name || 'R7',
-    remarks: departure.remarks?.map(r => r.text) || []
+    directionId: line ? (matchDirection(line, departure.direction)?.id || null) : null,
+    lineName: departure.line?.name || null,
+    remarks: departure.remarks?.map(r => r.text) || [],
+    remarkDetails: departure.remarks?.map(normalizeRemark) || []
   };
 }
 
 /**
- * Get delay status based on delay minutes
- * @param {number} delayMinutes - Delay in minutes
+ * Get delay status based on delay minutes (see config/punctuality.js)
+ * @param {number} delayMinutes - Delay in minutes (negative if the bus leaves early)
  * @returns {string} Status string
  */
 function getDelayStatus(delayMinutes) {
-  if (delayMinutes <= 0) return 'on-time';
-  if (delayMinutes <= 5) return 'slight-delay';
-  if (delayMinutes <= 10) return 'delayed';
-  return 'heavily-delayed';
+  return classifyDelay(delayMinutes);
 }
 
 /**
- * Generate simulated delay data (fallback when API is not available)
- * @returns {Array} Array of delay objects with simulated data
+ * Describe the next departure of a stop and the ones following it
+ * @param {Object} line - Line definition
+ * @param {Array} departures - Processed departures (as returned by calculateDelay), in time order
+ * @returns {Object} Next departure fields and upcomingDepartures
  */
-function generateSimulatedData() {
-  const now = new Date();
+function describeDepartures(line, departures) {
+  const nextDeparture = departures[0] || null;
   
-  return R7_STOPS.map(stop => {
-    // Simulate random delay between 0-15 minutes (with higher probability for smaller delays)
-    const baseDelay = Math.floor(Math.random() * 16);
-    const delay = baseDelay < 5 ? 0 : baseDelay; // 5/16 chance of no delay
-    
-    // Generate next scheduled departure (every 30 minutes)
-    const minutes = now.getMinutes();
-    const nextDeparture = new Date(now);
-    const nextHalfHour = minutes < 30 ? 30 : 60;
-    nextDeparture.setMinutes(nextHalfHour % 60);
-    if (nextHalfHour === 60) {
-      nextDeparture.setHours(nextDeparture.getHours() + 1);
-    }
-    nextDeparture.setSeconds(0);
-    nextDeparture.setMilliseconds(0);
-    
-    // Calculate expected arrival based on delay
-    const expectedArrival = new Date(nextDeparture);
-    expectedArrival.setMinutes(expectedArrival.getMinutes() + delay);
-    
-    // Occasional cancellation (5% chance)
-    const cancelled = Math.random() < 0.05;
+  return {
+    scheduledDeparture: nextDeparture?.scheduledDeparture || null,
+    expectedArrival: nextDeparture?.expectedDeparture || null,
+    delayMinutes: nextDeparture?.delayMinutes || 0,
+    status: nextDeparture?.status || 'unknown',
+    cancelled: nextDeparture?.cancelled || false,
+    platform: nextDeparture?.platform,
+    direction: nextDeparture?.direction,
+    directionId: nextDeparture?.directionId || null,
+    lineName: nextDeparture?.lineName || line.name,
+    remarks: nextDeparture?.remarks || [],
+    remarkDetails: nextDeparture?.remarkDetails || [],
+    upcomingDepartures: departures.slice(0, 5)
+  };
+}
+
+/**
+ * Split the departures of a stop by the direction of the line they run in
+ * @param {Object} line - Line definition
+ * @param {Array} departures - Processed departures, in time order
+ * @returns {Array} One entry per direction with its own next departure fields
+ */
+function groupByDirection(line, departures) {
+  return line.directions.map(direction => ({
+    id: direction.id,
+    name: direction.name,
+    ...describeDepartures(line, departures.filter(dep => dep.directionId === direction.id))
+  }));
+}
+
+/**
+ * Restrict the delay data of a line to one direction
+ * Each stop's next departure fields are replaced by those of the direction.
+ * @param {Array} delays - Delay objects for all stops (as returned by fetchRealDelayData)
+ * @param {Object} direction - Direction of the line
+ * @returns {Array} Delay objects for all stops, for the given direction only
+ */
+function selectDirection(delays, direction) {
+  return delays.map(stop => {
+    const entry = (stop.directions || []).find(d => d.id === direction.id);
+    if (!entry) return stop;
     
-    // Random direction
-    const directions = ['Homburg (Saar) Hbf', 'Zweibrücken Hbf'];
-    const direction = stop.order <= 3 ? directions[0] : directions[1];
+    const { id, name, ...fields } = entry;
+    return { ...stop, ...fields };
+  });
+}
+
+/**
+ * Get all departures known for a stop (next departures of all directions)
+ * @param {Object} stop - Delay object of a stop
+ * @returns {Array} Processed departures, without duplicates, in time order
+ */
+function listStopDepartures(stop) {
+  if (stop.error) return [];
+  
+  const departures = [
+    ...(stop.upcomingDepartures || []),
+    ...(stop.directions || []).flatMap(direction => direction.upcomingDepartures || [])
+  ];
+  if (departures.length === 0 && stop.scheduledDeparture) {
+    departures.push({ ...stop, expectedDeparture: stop.expectedArrival });
+  }
+  
+  const unique = new Map();
+  for (const dep of departures) {
+    const key = [dep.tripId || '', dep.scheduledDeparture, dep.direction || ''].join('|');
+    if (!unique.has(key)) unique.set(key, dep);
+  }
+  return [...unique.values()].sort((a, b) => new Date(a.scheduledDeparture) - new Date(b.scheduledDeparture));
+}
+
+/**
+ * Fetch real delay data for all stops of a line
+ * Falls back to simulated data if API is not available
+ * Results are cached (and concurrent calls coalesced) in the 'delays' cache namespace
+ * @param {string} [lineId] - Line ID (default line if omitted)
+ * @returns {Promise<Array>} Array of delay objects for all stops
+ */
+async function fetchRealDelayData(lineId) {
+  const line = resolveLine(lineId);
+  
+  // Falls back to the simulator if the configured source is not available
+  const source = await getActiveSource();
+  return await cached('delays', `${source.name}:${line.id}`, () => loadDelayData(source, line));
+}
+
+/**
+ * Load delay data for all stops of a line from a data source (uncached)
+ * Stops are loaded in parallel; the upstream scheduler bounds the actual request load.
+ * @param {Object} source - Data source adapter
+ * @param {Object} line - Line definition
+ * @returns {Promise<Array>} Array of delay objects for all stops
+ */
+async function loadDelayData(source, line) {
+  const now = clock.now();
+  return await Promise.all(line.stops.map(stop => loadStopWithTimeout(source, line, stop, now)));
+}
+
+/**
+ * Load a stop, falling back to its last known result if it takes longer than STOP_TIMEOUT
+ * @param {Object} source - Data source adapter
+ * @param {Object} line - Line definition
+ * @param {Object} stop - Stop definition
+ * @param {Date} now - Time of this snapshot
+ * @returns {Promise<Object>} Delay object (marked `timeout`, and `stale` if old data is served)
+ */
+async function loadStopWithTimeout(source, line, stop, now) {
+  const key = `${source.name}:${line.id}:${stop.id}`;
+  
+  try {
+    const result = await withTimeout(loadStopDelay(source, line, stop, now), STOP_TIMEOUT, `Stop ${stop.name}`);
+    if (!result.error) lastStopResults.set(key, result);
+    return result;
+  } catch (error) {
+    if (!(error instanceof TimeoutError)) throw error;
     
+    logger.warn('Timeout loading stop', { lineId: line.id, stopId: stop.id, stopName: stop.name, error: error.message });
+    const previous = lastStopResults.get(key);
+    if (previous) {
+      return { ...previous, stale: true, timeout: true };
+    }
     return {
+      lineId: line.id,
       stopId: stop.id,
       stopName: stop.name,
       stopOrder: stop.order,
-      hafasId: stop.hafasId,
-      hafasName: stop.name,
-      location: null,
-      scheduledDeparture: nextDeparture.toISOString(),
-      expectedArrival: expectedArrival.toISOString(),
-      delayMinutes: cancelled ? 0 : delay,
-      status: cancelled ? 'cancelled' : getDelayStatus(delay),
-      cancelled: cancelled,
-      platform: stop.order === 1 || stop.order === 7 ? String(Math.floor(Math.random() * 3) + 1) : null,
-      direction: direction,
-      lineName: 'R7',
-      remarks: [],
+      status: 'unknown',
       upcomingDepartures: [],
-      lastUpdated: now.toISOString(),
-      isSimulated: true
+      stale: false,
+      timeout: true,
+      lastUpdated: now.toISOString()
     };
-  });
+  }
 }
 
 /**
- * Fetch real delay data for all R7 stops
- * Falls back to simulated data if API is not available
- * @returns {Promise<Array>} Array of delay objects for all stops
+ * Load delay data of a single stop
+ * @param {Object} source - Data source adapter
+ * @param {Object} line - Line definition
+ * @param {Object} stop - Stop definition
+ * @param {Date} now - Time of this snapshot
+ * @returns {Promise<Object>} Delay object
  */
-async function fetchRealDelayData() {
-  const isApiAvailable = await checkApiAvailability();
-  
-  // If API is not available, return simulated data
-  if (!isApiAvailable) {
-    console.log('Using simulated data');
-    return generateSimulatedData();
-  }
-  
-  const results = [];
-  const now = new Date();
+async function loadStopDelay(source, line, stop, now) {
+  const simulated = source.isSimulated ? { isSimulated: true } : {};
   
-  for (const stop of R7_STOPS) {
-    try {
-      // Find the station using search name or regular name
-      const station = await findStation(stop.searchName || stop.name);
-      
-      if (!station) {
-        // Station not found - use stop's predefined HAFAS ID if available
-        if (stop.hafasId) {
-          const departures = await getDeparturesForStation(stop.hafasId);
-          const processedDepartures = departures.map(dep => calculateDelay(dep));
-          const nextDeparture = processedDepartures[0] || null;
-          
-          results.push({
-            stopId: stop.id,
-            stopName: stop.name,
-            stopOrder: stop.order,
-            hafasId: stop.hafasId,
-            hafasName: stop.name,
-            location: null,
-            scheduledDeparture: nextDeparture?.scheduledDeparture || null,
-            expectedArrival: nextDeparture?.expectedDeparture || null,
-            delayMinutes: nextDeparture?.delayMinutes || 0,
-            status: nextDeparture?.status || 'unknown',
-            cancelled: nextDeparture?.cancelled || false,
-            platform: nextDeparture?.platform,
-            direction: nextDeparture?.direction,
-            lineName: nextDeparture?.lineName || 'R7',
-            remarks: nextDeparture?.remarks || [],
-            upcomingDepartures: processedDepartures.slice(0, 5),
-            lastUpdated: now.toISOString()
-          });
-        } else {
-          results.push({
-            stopId: stop.id,
-            stopName: stop.name,
-            stopOrder: stop.order,
-            error: 'Station not found in HAFAS',
-            departures: [],
-            lastUpdated: now.toISOString()
-          });
-        }
-        continue;
+  try {
+    // Find the station using search name or regular name
+    const station = await findStation(source, stop.searchName || stop.name);
+    
+    if (!station) {
+      // Station not found - use stop's predefined HAFAS ID if available
+      if (stop.hafasId) {
+        const departures = await getDeparturesForStation(source, stop.hafasId, line);
+        const processedDepartures = departures.map(dep => calculateDelay(dep, line));
+        
+        return {
+          lineId: line.id,
+          stopId: stop.id,
+          stopName: stop.name,
+          stopOrder: stop.order,
+          hafasId: stop.hafasId,
+          hafasName: stop.name,
+          location: null,
+          ...describeDepartures(line, processedDepartures),
+          directions: groupByDirection(line, processedDepartures),
+          lastUpdated: now.toISOString(),
+          ...simulated
+        };
       }
       
-      // Get departures for this station
-      const departures = await getDeparturesForStation(station.id);
-      
-      // Process departures
-      const processedDepartures = departures.map(dep => calculateDelay(dep));
-      
-      // Get the next departure info
-      const nextDeparture = processedDepartures[0] || null;
-      
-      results.push({
-        stopId: stop.id,
-        stopName: stop.name,
-        stopOrder: stop.order,
-        hafasId: station.id,
-        hafasName: station.name,
-        location: station.location,
-        scheduledDeparture: nextDeparture?.scheduledDeparture || null,
-        expectedArrival: nextDeparture?.expectedDeparture || null,
-        delayMinutes: nextDeparture?.delayMinutes || 0,
-        status: nextDeparture?.status || 'unknown',
-        cancelled: nextDeparture?.cancelled || false,
-        platform: nextDeparture?.platform,
-        direction: nextDeparture?.direction,
-        lineName: nextDeparture?.lineName || 'R7',
-        remarks: nextDeparture?.remarks || [],
-        upcomingDepartures: processedDepartures.slice(0, 5),
-        lastUpdated: now.toISOString()
-      });
-    } catch (error) {
-      console.error(`Error processing stop ${stop.name}:`, error.message);
-      results.push({
+      return {
+        lineId: line.id,
         stopId: stop.id,
         stopName: stop.name,
         stopOrder: stop.order,
-        error: error.message,
+        error: `Station not found in ${source.label}`,
         departures: [],
         lastUpdated: now.toISOString()
-      });
+      };
     }
+    
+    // Get departures for this station
+    const departures = await getDeparturesForStation(source, station.id, line);
+    
+    // Process departures
+    const processedDepartures = departures.map(dep => calculateDelay(dep, line));
+    
+    return {
+      lineId: line.id,
+      stopId: stop.id,
+      stopName: stop.name,
+      stopOrder: stop.order,
+      hafasId: station.id,
+      hafasName: station.name,
+      location: station.location,
+      ...describeDepartures(line, processedDepartures),
+      directions: groupByDirection(line, processedDepartures),
+      lastUpdated: now.toISOString(),
+      ...simulated
+    };
+  } catch (error) {
+    if (error instanceof TimeoutError) throw error;
+    logger.error('Error processing stop', { lineId: line.id, stopId: stop.id, stopName: stop.name, error: error.message });
+    return {
+      lineId: line.id,
+      stopId: stop.id,
+      stopName: stop.name,
+      stopOrder: stop.order,
+      error: error.message,
+      departures: [],
+      lastUpdated: now.toISOString()
+    };
   }
+}
+
+/**
+ * Calculate summary statistics for the delay data of a line
+ * On time and early are judged by the punctuality policy; stops whose next bus
+ * leaves early count neither as on time nor as delayed.
+ * @param {Array} delays - Delay objects for all stops (as returned by fetchRealDelayData)
+ * @returns {Object} Summary statistics
+ */
+function calculateSummary(delays) {
+  const validDelays = delays.filter(d => !d.error && d.scheduledDeparture);
+  
+  const totalDelays = validDelays.reduce((sum, d) => sum + d.delayMinutes, 0);
+  const averageDelay = validDelays.length > 0 ? Math.round(totalDelays / validDelays.length) : 0;
+  const maxDelay = Math.max(0, ...validDelays.map(d => d.delayMinutes));
+  const maxEarly = Math.max(0, ...validDelays.map(d => -d.delayMinutes));
+  const onTimeCount = validDelays.filter(d => getDelayStatus(d.delayMinutes) === 'on-time').length;
+  const earlyCount = validDelays.filter(d => getDelayStatus(d.delayMinutes) === 'early').length;
+  const cancelledCount = delays.filter(d => d.cancelled).length;
   
-  return results;
+  return {
+    totalStops: delays.length,
+    stopsWithData: validDelays.length,
+    averageDelayMinutes: averageDelay,
+    maxDelayMinutes: maxDelay,
+    maxEarlyMinutes: maxEarly,
+    onTimePercentage: validDelays.length > 0 ? Math.round((onTimeCount / validDelays.length) * 100) : 0,
+    stopsOnTime: onTimeCount,
+    stopsEarly: earlyCount,
+    stopsDelayed: validDelays.length - onTimeCount - earlyCount,
+    cancelledServices: cancelledCount,
+    stopsTimedOut: delays.filter(d => d.timeout).length
+  };
 }
 
 /**
- * Get all stops information
+ * Get all stops information of a line
+ * @param {string} [lineId] - Line ID (default line if omitted)
  * @returns {Array} Array of stop objects
  */
-function getAllStops() {
-  return R7_STOPS.map(stop => ({
+function getAllStops(lineId) {
+  return resolveLine(lineId).stops.map(stop => ({
     id: stop.id,
     name: stop.name,
-    order: stop.order
+    order: stop.order,
+    transferHub: stop.transferHub
   }));
 }
 
 /**
  * Get delay info for a specific stop
  * @param {string} stopId - Stop ID
+ * @param {string} [lineId] - Line ID (default line if omitted)
  * @returns {Promise<Object|null>} Delay object or null if not found
  */
-async function getDelayByStopId(stopId) {
-  const allDelays = await fetchRealDelayData();
+async function getDelayByStopId(stopId, lineId) {
+  const allDelays = await fetchRealDelayData(lineId);
   return allDelays.find(d => d.stopId === stopId) || null;
 }
 
+/**
+ * Fetch a single trip with all its stopovers from the active data source
+ * Results are cached (and concurrent calls coalesced) in the 'trips' cache namespace
+ * @param {string} tripId - Trip ID as found in departures
+ * @returns {Promise<Object>} Trip with stopovers
+ */
+async function fetchTrip(tripId) {
+  const source = await getActiveSource();
+  return await cached('trips', `${source.name}:${tripId}`, () =>
+    callSource(source, 'trip', () => source.trip(tripId, { stopovers: true, remarks: true }), `Trip ${tripId}`)
+  );
+}
+
+/**
+ * Find journeys between two stops via the active data source
+ * Results are cached (and concurrent calls coalesced) in the 'journeys' cache namespace
+ * @param {Object} fromStop - Stop definition of the origin
+ * @param {Object} toStop - Stop definition of the destination
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Earliest departure (now if omitted)
+ * @param {number} [options.results] - Number of journeys
+ * @returns {Promise<Array|null>} Journeys, or null if the data source can't plan journeys
+ */
+async function fetchJourneys(fromStop, toStop, options = {}) {
+  const source = await getActiveSource();
+  if (typeof source.journeys !== 'function') return null;
+  
+  const [from, to] = await Promise.all([
+    resolveStopStation(source, fromStop),
+    resolveStopStation(source, toStop)
+  ]);
+  if (!from || !to) {
+    throw new Error(`Station not found in ${source.label}: ${from ? toStop.name : fromStop.name}`);
+  }
+  
+  // Whole minutes, so repeated requests for "now" share a cache entry
+  const at = new Date(options.at || clock.now());
+  at.setSeconds(0, 0);
+  const results = options.results || 5;
+  
+  return await cached('journeys', `${source.name}:${from.id}:${to.id}:${at.toISOString()}:${results}`, () =>
+    callSource(source, 'journeys', () => source.journeys(from.id, to.id, {
+      departure: at,
+      results: results,
+      remarks: true
+    }), `Journeys ${fromStop.name} - ${toStop.name}`)
+  );
+}
+
+/**
+ * Get the departures of all lines at a stop via the active data source
+ * @param {Object} stop - Stop definition
+ * @param {Object} [options]
+ * @param {Date} [options.when] - Start of the look-ahead window (now if omitted)
+ * @param {number} [options.duration] - Duration in minutes to look ahead
+ * @returns {Promise<Array>} Processed departures (as returned by calculateDelay)
+ */
+async function fetchStationDepartures(stop, options = {}) {
+  const source = await getActiveSource();
+  const station = await resolveStopStation(source, stop);
+  if (!station) return [];
+  
+  let when = null;
+  if (options.when) {
+    when = new Date(options.when);
+    when.setSeconds(0, 0);
+  }
+  const departures = await loadStationBoard(source, station.id, options.duration || 120, when);
+  return departures.map(dep => calculateDelay(dep));
+}
+
 /**
  * Search for stations by query
  * @param {string} query - Search query
  * @returns {Promise<Array>} Array of matching stations
  */
 async function searchStations(query) {
-  if (!await checkApiAvailability()) {
-    // Return mock results when API is not available
-    return R7_STOPS
-      .filter(stop => stop.name.toLowerCase().includes(query.toLowerCase()))
-      .map(stop => ({
-        id: stop.hafasId || stop.id,
-        name: stop.name,
-        type: 'stop',
-        location: null
-      }));
-  }
+  // The simulator only knows the stops of the configured lines
+  const source = await getActiveSource();
   
   try {
-    const results = await hafasClient.locations(query, { results: 10 });
+    const results = await cached('search', `${source.name}:${query.toLowerCase()}`, () =>
+      callSource(source, 'locations', () => source.locations(query, { results: 10 }), `Station search "${query}"`)
+    );
     return results.filter(r => r.type === 'stop').map(station => ({
       id: station.id,
       name: station.name,
@@ -370,11 +704,52 @@ async function searchStations(query) {
       location: station.location
     }));
   } catch (error) {
-    console.error('Error searching stations:', error.message);
+    logger.error('Error searching stations', { query, error: error.message });
     return [];
   }
 }
 
+/**
+ * Get the current data source mode and circuit breaker state
+ * @returns {Object} Source name, mode ('live', 'fallback' or 'simulated') and breaker status
+ */
+function getDataSourceStatus() {
+  if (isSimulationEnabled()) {
+    return { source: simulator.name, mode: 'simulated' };
+  }
+  if (!dataSource || dataSource.isSimulated) {
+    return { source: dataSource ? dataSource.name : null, mode: 'simulated' };
+  }
+  return {
+    source: dataSource.name,
+    label: dataSource.label,
+    mode: breaker.isClosed() ? 'live' : 'fallback',
+    ...breaker.getStatus()
+  };
+}
+
+/**
+ * Get statistics of the upstream request scheduler
+ * @returns {Object} Scheduler counters
+ */
+function getUpstreamStats() {
+  return upstream.getStats();
+}
+
+/**
+ * Replace the configured data source (used by tests to plug in a stubbed client)
+ * Station lookups and cached data of the previous source are dropped, and the
+ * circuit breaker probes the new source on the next request.
+ * @param {Object} source - Data source adapter
+ */
+function setDataSource(source) {
+  dataSource = source;
+  breaker.stop();
+  stationCache = new Map();
+  lastStopResults.clear();
+  clearCache();
+}
+
 /**
  * Check if using real data or simulated
  * @returns {Promise<boolean>}
@@ -385,10 +760,21 @@ async function isUsingRealData() {
 
 export {
   fetchRealDelayData,
+  fetchTrip,
+  fetchJourneys,
+  fetchStationDepartures,
+  selectDirection,
+  listStopDepartures,
+  calculateSummary,
   getAllStops,
   getDelayByStopId,
+  calculateDelay,
   getDelayStatus,
   searchStations,
   isUsingRealData,
-  R7_STOPS
+  getDataSourceLabel,
+  getUpstreamStats,
+  getDataSourceStatus,
+  setDataSource,
+  resolveLine
 };
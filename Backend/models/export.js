@@ -0,0 +1,144 @@
+/**
+ * Export Model - Writes departure records as CSV or JSON Lines
+ *
+ * Current and recorded departures are exported in the same shape as the
+ * history records (see models/history.js), so a file of today's departures
+ * and one from the history can be put side by side. CSV files start with a
+ * byte order mark so spreadsheet programs read the umlauts correctly, and
+ * carry the local (Saarland) date and time next to the ISO timestamps.
+ */
+
+const TIME_ZONE = 'Europe/Berlin';
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+// 'sv-SE' formats as "2026-03-10 08:15"
+const localDateTimeFormat = new Intl.DateTimeFormat('sv-SE', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Get the text of a remark (remarks are strings or objects with a `text`)
+ */
+function getRemarkText(remark) {
+  return typeof remark === 'string' ? remark : (remark && (remark.text || remark.summary)) || '';
+}
+
+/**
+ * Get the local date and time of a timestamp
+ * @param {string} timestamp - ISO timestamp
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+function getLocalDateTime(timestamp) {
+  const [date, time] = localDateTimeFormat.format(new Date(timestamp)).split(' ');
+  return { date, time };
+}
+
+// CSV columns: header and value of a record
+const CSV_COLUMNS = [
+  ['date', record => getLocalDateTime(record.plannedDeparture).date],
+  ['plannedTime', record => getLocalDateTime(record.plannedDeparture).time],
+  ['actualTime', record => (record.actualDeparture ? getLocalDateTime(record.actualDeparture).time : '')],
+  ['lineId', record => record.lineId],
+  ['lineName', record => record.lineName],
+  ['stopId', record => record.stopId],
+  ['stopName', record => record.stopName],
+  ['directionId', record => record.directionId],
+  ['direction', record => record.direction],
+  ['plannedDeparture', record => record.plannedDeparture],
+  ['actualDeparture', record => record.actualDeparture],
+  ['delayMinutes', record => record.delayMinutes],
+  ['status', record => (record.cancelled ? 'cancelled' : record.status)],
+  ['cancelled', record => record.cancelled],
+  ['platform', record => record.platform],
+  ['remarks', record => (record.remarks || []).map(getRemarkText).filter(Boolean).join(' | ')],
+  ['isSimulated', record => record.isSimulated],
+  ['observedAt', record => record.observedAt],
+  ['tripId', record => record.tripId]
+];
+
+/**
+ * Quote a CSV field if needed (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write records as CSV
+ * @param {Array} records - Departure records
+ * @returns {string} CSV with header row, CRLF line endings and byte order mark
+ */
+function toCsv(records) {
+  const rows = [
+    CSV_COLUMNS.map(([header]) => header),
+    ...records.map(record => CSV_COLUMNS.map(([, value]) => toCsvField(value(record))))
+  ];
+  return '\uFEFF' + rows.map(row => row.join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Write records as JSON Lines (one record per line)
+ * @param {Array} records - Departure records
+ * @returns {string} JSON Lines
+ */
+function toJsonLines(records) {
+  return records.map(({ key, ...record }) => JSON.stringify(record) + '\n').join('');
+}
+
+/**
+ * Write records in an export format
+ * @param {Array} records - Departure records
+ * @param {string} format - 'csv' or 'jsonl'
+ * @returns {string} File content
+ */
+function formatRecords(records, format) {
+  return format === 'jsonl' ? toJsonLines(records) : toCsv(records);
+}
+
+/**
+ * Sort records by planned departure, then stop order
+ * @param {Array} records - Departure records
+ * @returns {Array} Sorted copy
+ */
+function sortChronologically(records) {
+  return [...records].sort((a, b) =>
+    new Date(a.plannedDeparture) - new Date(b.plannedDeparture) || Number(a.stopId) - Number(b.stopId));
+}
+
+/**
+ * Build the file name of an export
+ * @param {string} lineId - Line ID
+ * @param {string} kind - 'delays' or 'history'
+ * @param {string} format - Export format
+ * @param {Date} [date] - Date in the name (defaults to today)
+ * @returns {string} File name, e.g. R7-delays-2026-03-10.csv
+ */
+function getExportFileName(lineId, kind, format, date = new Date()) {
+  const safeLineId = String(lineId).replace(/[^\w-]/g, '_');
+  return `${safeLineId}-${kind}-${getLocalDateTime(date.toISOString()).date}.${EXPORT_FORMATS[format].extension}`;
+}
+
+export {
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  toCsv,
+  toJsonLines,
+  formatRecords,
+  sortChronologically,
+  getExportFileName,
+  getLocalDateTime,
+  getRemarkText
+};
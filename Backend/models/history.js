@@ -0,0 +1,179 @@
+/**
+ * History Model - Persists observed departures to a local JSON Lines file
+ *
+ * Every poll snapshot is turned into one record per observed departure. A record
+ * is only appended when something changed since the last observation of the same
+ * departure (delay, cancellation, platform, ...), so the file holds the evolution
+ * of each departure while queries return the latest known state.
+ */
+
+import { promises as fs, existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDefaultLine } from '../config/lines.js';
+import { listStopDepartures } from './delay.js';
+import * as clock from './clock.js';
+import { logger } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(__dirname, '..', 'data', 'history.jsonl');
+
+// Latest observation per departure key
+let latestByKey = new Map();
+
+/**
+ * Build a stable key identifying a single departure at a single stop
+ * @param {Object} record - History record
+ * @returns {string} Departure key
+ */
+function getDepartureKey(record) {
+  return [record.lineId, record.stopId, record.plannedDeparture, record.direction || '', record.lineName || ''].join('|');
+}
+
+/**
+ * Load existing history from disk into memory
+ * @returns {number} Number of departures loaded
+ */
+function loadHistory() {
+  latestByKey = new Map();
+  if (!existsSync(HISTORY_FILE)) return 0;
+
+  const defaultLineId = getDefaultLine().id;
+  const lines = readFileSync(HISTORY_FILE, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      // Records written before multi-line support belong to the default line, and
+      // their stored key lacks the line: rebuild it so new observations match
+      record.lineId = record.lineId || defaultLineId;
+      record.key = getDepartureKey(record);
+      latestByKey.set(record.key, record);
+    } catch (error) {
+      logger.warn('Skipping malformed history line', { error: error.message });
+    }
+  }
+
+  logger.info('Loaded departures from history', { departures: latestByKey.size, file: HISTORY_FILE });
+  return latestByKey.size;
+}
+
+/**
+ * Convert a delay snapshot (as returned by fetchRealDelayData) into history records
+ * @param {Array} delays - Delay objects for all stops
+ * @param {boolean} isRealData - Whether the snapshot came from the real API
+ * @returns {Array} History records
+ */
+function toHistoryRecords(delays, isRealData) {
+  const observedAt = clock.now().toISOString();
+  const records = [];
+
+  for (const stop of delays) {
+    // Stale data (served after a timeout) was already recorded when it was fresh
+    if (stop.error || stop.stale || stop.timeout) continue;
+
+    for (const dep of listStopDepartures(stop)) {
+      if (!dep.scheduledDeparture) continue;
+
+      const record = {
+        lineId: stop.lineId,
+        stopId: stop.stopId,
+        stopName: stop.stopName,
+        lineName: dep.lineName || stop.lineName,
+        tripId: dep.tripId || null,
+        direction: dep.direction || null,
+        directionId: dep.directionId || null,
+        plannedDeparture: dep.scheduledDeparture,
+        actualDeparture: dep.cancelled ? null : (dep.expectedDeparture || dep.scheduledDeparture),
+        delayMinutes: dep.delayMinutes || 0,
+        status: dep.status || null,
+        cancelled: dep.cancelled || false,
+        platform: dep.platform || null,
+        remarks: dep.remarks || [],
+        isSimulated: !isRealData,
+        observedAt
+      };
+      record.key = getDepartureKey(record);
+      records.push(record);
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Check whether a record differs from the last observation of the same departure
+ * @param {Object} previous - Previous record (may be undefined)
+ * @param {Object} record - New record
+ * @returns {boolean}
+ */
+function hasChanged(previous, record) {
+  if (!previous) return true;
+  return previous.delayMinutes !== record.delayMinutes ||
+    previous.cancelled !== record.cancelled ||
+    previous.platform !== record.platform ||
+    previous.actualDeparture !== record.actualDeparture ||
+    previous.remarks.join('\n') !== record.remarks.join('\n');
+}
+
+/**
+ * Store all departures of a delay snapshot
+ * @param {Array} delays - Delay objects for all stops
+ * @param {boolean} isRealData - Whether the snapshot came from the real API
+ * @returns {Promise<number>} Number of records appended
+ */
+async function recordDelays(delays, isRealData) {
+  const changed = toHistoryRecords(delays, isRealData)
+    .filter(record => hasChanged(latestByKey.get(record.key), record));
+
+  if (changed.length === 0) return 0;
+
+  await fs.mkdir(path.dirname(HISTORY_FILE), { recursive: true });
+  await fs.appendFile(HISTORY_FILE, changed.map(r => JSON.stringify(r)).join('\n') + '\n');
+  changed.forEach(record => latestByKey.set(record.key, record));
+
+  return changed.length;
+}
+
+/**
+ * Query stored departures (latest observation of each departure)
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.lineId] - Only departures of this line
+ * @param {string} [filters.stopId] - Only departures at this stop
+ * @param {string} [filters.direction] - Only departures in this direction (ID) or whose direction contains this text
+ * @param {Date} [filters.from] - Planned departure at or after this time
+ * @param {Date} [filters.to] - Planned departure at or before this time
+ * @param {boolean} [filters.includeSimulated] - Include records from simulated data
+ * @param {number} [filters.limit] - Maximum number of records (most recent first)
+ * @returns {Array} Matching history records
+ */
+function queryHistory(filters = {}) {
+  const { lineId, stopId, direction, from, to, includeSimulated = false, limit } = filters;
+  const directionQuery = direction ? direction.toLowerCase() : null;
+  const defaultLineId = getDefaultLine().id;
+
+  const results = [...latestByKey.values()].filter(record => {
+    if (!includeSimulated && record.isSimulated) return false;
+    // Records written before multi-line support belong to the default line
+    if (lineId && (record.lineId || defaultLineId) !== lineId) return false;
+    if (stopId && record.stopId !== stopId) return false;
+    if (directionQuery && record.directionId !== directionQuery &&
+      !(record.direction || '').toLowerCase().includes(directionQuery)) return false;
+
+    const planned = new Date(record.plannedDeparture);
+    if (from && planned < from) return false;
+    if (to && planned > to) return false;
+    return true;
+  });
+
+  results.sort((a, b) => new Date(b.plannedDeparture) - new Date(a.plannedDeparture));
+  return limit ? results.slice(0, limit) : results;
+}
+
+export {
+  loadHistory,
+  recordDelays,
+  queryHistory,
+  toHistoryRecords,
+  HISTORY_FILE
+};
@@ -0,0 +1,196 @@
+/**
+ * Journey Model - Plans journeys between two stops of a line
+ *
+ * Journeys come from the data source's journeys() (HAFAS by default) with
+ * real-time departure and arrival. Changes between vehicles within a journey,
+ * and onward trains at a transfer hub the journey ends at (Homburg Hbf,
+ * Zweibrücken Hbf), are checked against the expected arrival to flag
+ * connections put at risk by a delay.
+ */
+
+import { fetchJourneys, fetchStationDepartures, resolveLine } from './delay.js';
+import { matchesLine } from '../config/lines.js';
+import { assessTransfer, worstRisk, matchConnections, getMinTransferMinutes } from './transfers.js';
+import { logger } from './logger.js';
+
+// Onward connections are looked for up to this long after the planned arrival
+const ONWARD_WINDOW_MINUTES = 60;
+const ONWARD_CONNECTIONS = 5;
+
+/**
+ * Find a stop of a line by ID or name (case-insensitive)
+ * @param {Object} line - Line definition
+ * @param {string} value - Stop ID or name
+ * @returns {Object|null} Stop definition or null if unknown
+ */
+function findStop(line, value) {
+  if (!value) return null;
+  const query = String(value).toLowerCase();
+  return line.stops.find(stop => stop.id === String(value) || stop.name.toLowerCase() === query) || null;
+}
+
+/**
+ * Get the direction of the line a trip from one stop to another runs in
+ * @param {Object} line - Line definition
+ * @param {Object} fromStop - Origin stop
+ * @param {Object} toStop - Destination stop
+ * @returns {Object|null} Direction or null
+ */
+function getTravelDirection(line, fromStop, toStop) {
+  const forward = toStop.order > fromStop.order;
+  return line.directions.find(direction => {
+    const terminus = line.stops.find(stop => stop.id === direction.towards);
+    return forward ? terminus.order >= toStop.order : terminus.order <= toStop.order;
+  }) || null;
+}
+
+/**
+ * Minutes between two ISO timestamps
+ * @param {string} from - ISO timestamp
+ * @param {string} to - ISO timestamp
+ * @returns {number|null} Minutes, or null if a timestamp is missing
+ */
+function minutesBetween(from, to) {
+  if (!from || !to) return null;
+  return Math.round((new Date(to) - new Date(from)) / (1000 * 60));
+}
+
+/**
+ * Convert a leg of a data source journey
+ * @param {Object} leg - hafas-client journey leg
+ * @returns {Object} Leg with planned and expected times
+ */
+function toLeg(leg) {
+  const cancelled = leg.cancelled || false;
+  return {
+    lineName: leg.line?.name || null,
+    direction: leg.direction || null,
+    tripId: leg.tripId || null,
+    walking: leg.walking || false,
+    origin: leg.origin?.name || null,
+    destination: leg.destination?.name || null,
+    plannedDeparture: leg.plannedDeparture || null,
+    expectedDeparture: cancelled ? null : (leg.departure || leg.plannedDeparture || null),
+    departureDelayMinutes: leg.departureDelay ? Math.round(leg.departureDelay / 60) : 0,
+    departurePlatform: leg.departurePlatform || leg.plannedDeparturePlatform || null,
+    plannedArrival: leg.plannedArrival || null,
+    expectedArrival: cancelled ? null : (leg.arrival || leg.plannedArrival || null),
+    arrivalDelayMinutes: leg.arrivalDelay ? Math.round(leg.arrivalDelay / 60) : 0,
+    arrivalPlatform: leg.arrivalPlatform || leg.plannedArrivalPlatform || null,
+    cancelled
+  };
+}
+
+/**
+ * Convert a data source journey and assess its transfers
+ * @param {Object} journey - hafas-client journey
+ * @returns {Object} Journey with departure, arrival, travel time, legs and transfers
+ */
+function toJourney(journey) {
+  const legs = (journey.legs || []).map(toLeg);
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+  const rides = legs.filter(leg => !leg.walking);
+
+  const transfers = [];
+  for (let i = 1; i < rides.length; i++) {
+    const arriving = rides[i - 1];
+    const departing = rides[i];
+    const assessment = arriving.cancelled || departing.cancelled
+      ? { bufferMinutes: null, risk: 'broken' }
+      : assessTransfer(arriving.expectedArrival, departing.expectedDeparture);
+
+    transfers.push({
+      station: departing.origin,
+      arrivingLine: arriving.lineName,
+      departingLine: departing.lineName,
+      plannedBufferMinutes: minutesBetween(arriving.plannedArrival, departing.plannedDeparture),
+      ...assessment
+    });
+  }
+
+  return {
+    plannedDeparture: first.plannedDeparture,
+    expectedDeparture: first.expectedDeparture,
+    departureDelayMinutes: first.departureDelayMinutes,
+    departurePlatform: first.departurePlatform,
+    plannedArrival: last.plannedArrival,
+    expectedArrival: last.expectedArrival,
+    arrivalDelayMinutes: last.arrivalDelayMinutes,
+    arrivalPlatform: last.arrivalPlatform,
+    plannedTravelMinutes: minutesBetween(first.plannedDeparture, last.plannedArrival),
+    expectedTravelMinutes: minutesBetween(first.expectedDeparture, last.expectedArrival),
+    cancelled: legs.some(leg => leg.cancelled),
+    legs,
+    transfers,
+    connections: [],
+    connectionRisk: worstRisk(transfers.map(t => t.risk))
+  };
+}
+
+/**
+ * Attach the onward trains at the destination hub that could be reached as planned
+ * @param {Object} journey - Journey from toJourney
+ * @param {Object} line - Line definition (its own departures are no onward connection)
+ * @param {Object} toStop - Destination stop
+ * @param {Array} departures - Processed departures at the destination
+ */
+function addOnwardConnections(journey, line, toStop, departures) {
+  if (!journey.plannedArrival) return;
+
+  journey.connections = matchConnections({
+    planned: journey.plannedArrival,
+    expected: journey.expectedArrival,
+    cancelled: journey.cancelled
+  }, departures.filter(dep => !matchesLine(line, dep.lineName)), {
+    minTransferMinutes: getMinTransferMinutes(toStop),
+    windowMinutes: ONWARD_WINDOW_MINUTES,
+    limit: ONWARD_CONNECTIONS
+  });
+
+  journey.connectionRisk = worstRisk([journey.connectionRisk, ...journey.connections.map(c => c.risk)]);
+}
+
+/**
+ * Plan journeys between two stops of a line
+ * @param {string} [lineId] - Line ID (default line if omitted)
+ * @param {Object} fromStop - Origin stop (see findStop)
+ * @param {Object} toStop - Destination stop
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Earliest departure (now if omitted)
+ * @param {number} [options.results] - Number of journeys
+ * @returns {Promise<Object|null>} { direction, minTransferMinutes, journeys }, or null if the data source can't plan journeys
+ */
+async function planJourneys(lineId, fromStop, toStop, options = {}) {
+  const line = resolveLine(lineId);
+  const raw = await fetchJourneys(fromStop, toStop, options);
+  if (raw === null) return null;
+
+  const journeys = raw.filter(journey => journey.legs && journey.legs.length > 0).map(toJourney);
+
+  // Onward trains matter when the journey ends at a transfer hub
+  const arrivals = journeys.filter(j => j.plannedArrival).map(j => new Date(j.plannedArrival).getTime());
+  if (toStop.transferHub && arrivals.length > 0) {
+    const earliest = Math.min(...arrivals);
+    const duration = Math.ceil((Math.max(...arrivals) - earliest) / 60000) + ONWARD_WINDOW_MINUTES;
+
+    try {
+      const departures = await fetchStationDepartures(toStop, { when: new Date(earliest), duration });
+      journeys.forEach(journey => addOnwardConnections(journey, line, toStop, departures));
+    } catch (error) {
+      logger.warn('Failed to load onward connections', { stopId: toStop.id, stopName: toStop.name, error: error.message });
+    }
+  }
+
+  return {
+    direction: getTravelDirection(line, fromStop, toStop),
+    minTransferMinutes: getMinTransferMinutes(toStop),
+    journeys
+  };
+}
+
+export {
+  planJourneys,
+  findStop,
+  toJourney
+};
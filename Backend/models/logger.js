@@ -0,0 +1,87 @@
+/**
+ * Logger - Structured JSON logs, one object per line
+ *
+ * Every entry has `time`, `level` and `msg`, followed by its fields. Errors
+ * passed as fields are written with name, message and stack. Entries below
+ * LOG_LEVEL (debug, info, warn, error or silent; default info) are dropped.
+ *
+ * While a request is handled (see middleware/requestId.js), every entry
+ * carries its `requestId` - also those written by models deep down the call.
+ * Debug and info entries go to stdout, warnings and errors to stderr.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Get the configured minimum level
+ * @returns {number} Index in LOG_LEVELS
+ */
+function getMinLevel() {
+  const index = LOG_LEVELS.indexOf((process.env.LOG_LEVEL || 'info').toLowerCase());
+  return index >= 0 ? index : LOG_LEVELS.indexOf('info');
+}
+
+/**
+ * Turn a field value into something JSON.stringify writes usefully
+ */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+  }
+  return value;
+}
+
+/**
+ * Write a log entry
+ * @param {string} level - 'debug', 'info', 'warn' or 'error'
+ * @param {string} msg - Message
+ * @param {Object} [fields] - Additional fields (e.g. { error, stopId })
+ */
+function log(level, msg, fields = {}) {
+  if (LOG_LEVELS.indexOf(level) < getMinLevel()) return;
+
+  const entry = { time: new Date().toISOString(), level, msg, ...context.getStore() };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serializeValue(value);
+  }
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ time: entry.time, level, msg, logError: error.message });
+  }
+
+  if (level === 'warn' || level === 'error') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Run a function with fields added to every entry it logs (also asynchronously)
+ * @param {Object} fields - Fields such as { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+const logger = {
+  debug: (msg, fields) => log('debug', msg, fields),
+  info: (msg, fields) => log('info', msg, fields),
+  warn: (msg, fields) => log('warn', msg, fields),
+  error: (msg, fields) => log('error', msg, fields)
+};
+
+export {
+  logger,
+  runWithLogContext,
+  LOG_LEVELS
+};
@@ -0,0 +1,198 @@
+/**
+ * Metrics Model - Counters, gauges and histograms in the Prometheus text format
+ *
+ * Metrics are created once at module level and updated where things happen
+ * (e.g. upstream requests in models/delay.js). Values that already exist
+ * elsewhere, such as the cache statistics, are read by collectors when the
+ * metrics are scraped instead of being duplicated.
+ *
+ * Rendering follows the text exposition format 0.0.4:
+ * https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds, from a cached answer to an upstream request close to its timeout
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = new Map();   // name -> metric
+const collectors = [];
+
+/**
+ * Escape a label value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set, e.g. {stop="Ingweiler",line="R7"}
+ * @param {Object} labels - Label names and values
+ * @returns {string} Label set (empty string without labels)
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value (Prometheus spells infinity and NaN its own way)
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Register a metric under its name
+ * @throws {Error} If another metric already has the name
+ */
+function register(metric) {
+  if (metrics.has(metric.name)) {
+    throw new Error(`Metric "${metric.name}" is already registered`);
+  }
+  metrics.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Create the sample store shared by counters and gauges
+ */
+function createSeries() {
+  const series = new Map(); // label set -> { labels, value }
+  return {
+    get(labels) {
+      const key = formatLabels(labels);
+      if (!series.has(key)) series.set(key, { labels, value: 0 });
+      return series.get(key);
+    },
+    delete(predicate) {
+      for (const [key, entry] of series) {
+        if (predicate(entry.labels)) series.delete(key);
+      }
+    },
+    samples(name) {
+      return [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  };
+}
+
+/**
+ * Create a counter (a value that only goes up)
+ * @param {Object} options - { name, help }
+ * @returns {Object} Counter with inc(labels, value) and set(labels, total)
+ */
+function createCounter({ name, help }) {
+  const series = createSeries();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, value = 1) {
+      series.get(labels).value += value;
+    },
+    /**
+     * Take over a total counted elsewhere (in a collector)
+     */
+    set(labels, total) {
+      series.get(labels).value = total;
+    },
+    samples: () => series.samples(name)
+  });
+}
+
+/**
+ * Create a gauge (a value that goes up and down)
+ * @param {Object} options - { name, help }
+ * @returns {Object} Gauge with set(labels, value) and remove(predicate)
+ */
+function createGauge({ name, help }) {
+  const series = createSeries();
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    set(labels, value) {
+      series.get(labels).value = value;
+    },
+    /**
+     * Drop the label sets the predicate matches (e.g. stops no longer reported)
+     */
+    remove(predicate) {
+      series.delete(predicate);
+    },
+    samples: () => series.samples(name)
+  });
+}
+
+/**
+ * Create a histogram (distribution of observed values)
+ * @param {Object} options - { name, help, buckets }
+ * @returns {Object} Histogram with observe(labels, value)
+ */
+function createHistogram({ name, help, buckets = DEFAULT_BUCKETS }) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map(); // label set -> { labels, counts, sum, count }
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = formatLabels(labels);
+      if (!series.has(key)) series.set(key, { labels, counts: bounds.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      bounds.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    samples() {
+      return [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...bounds.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ]);
+    }
+  });
+}
+
+/**
+ * Register a collector, called on every scrape to update metrics from their source
+ * @param {Function} collect - Function updating gauges or counters
+ */
+function registerCollector(collect) {
+  collectors.push(collect);
+}
+
+/**
+ * Render all metrics in the Prometheus text format
+ * @returns {string} Exposition text
+ */
+function renderMetrics() {
+  for (const collect of collectors) collect();
+
+  return [...metrics.values()]
+    .map(metric => [
+      `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.samples()
+    ].join('\n'))
+    .join('\n') + '\n';
+}
+
+export {
+  createCounter,
+  createGauge,
+  createHistogram,
+  registerCollector,
+  renderMetrics,
+  formatLabels,
+  METRICS_CONTENT_TYPE
+};
@@ -0,0 +1,70 @@
+/**
+ * Remarks - Classifies the remarks the data sources attach to departures
+ *
+ * HAFAS delivers three kinds of remarks: warnings (disruption messages with
+ * an ID and often a validity period), hints (attributes such as "Fahrradmitnahme
+ * möglich", but also detours the operator did not enter as a warning) and
+ * status messages (e.g. the cancellation of the trip). They are sorted into
+ * the types shown to passengers:
+ *   - 'cancellation'  the trip (or a part of it) does not run
+ *   - 'warning'       construction works, detours, closures, disruptions
+ *   - 'hint'          everything else
+ */
+
+const REMARK_TYPES = ['cancellation', 'warning', 'hint'];
+
+// Remarks about a cancellation, whatever kind the source gave them
+const CANCELLATION_PATTERN = /f(ä|ae)llt aus|entf(ä|ae)llt|ausfall|cancel/i;
+
+// Hints that are really disruptions
+const DISRUPTION_PATTERN = /baustelle|bauarbeiten|umleitung|umgeleitet|sperrung|gesperrt|ersatzverkehr|ersatzhaltestelle|verlegt|st(ö|oe)rung|unwetter|witterung/i;
+
+/**
+ * Turn the text of a remark into plain text (HAFAS texts may contain HTML)
+ */
+function toPlainText(text) {
+  return String(text || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Classify a remark
+ * @param {Object} remark - Remark of the data source ({ type, code, summary, text })
+ * @returns {string} 'cancellation', 'warning' or 'hint'
+ */
+function classifyRemark(remark) {
+  const content = `${remark.code || ''} ${remark.summary || ''} ${remark.text || ''}`;
+  // Disruption messages mentioning cancellations ("Fahrtausfälle wegen ...") stay warnings
+  if (remark.type !== 'warning' && CANCELLATION_PATTERN.test(content)) return 'cancellation';
+  if (remark.type === 'warning' || DISRUPTION_PATTERN.test(content)) return 'warning';
+  return 'hint';
+}
+
+/**
+ * Describe a remark in the shape served by the API
+ * @param {Object|string} remark - Remark of the data source (or its text)
+ * @returns {Object} { id, type, code, summary, text, validFrom, validUntil } (null where unknown)
+ */
+function normalizeRemark(remark) {
+  if (typeof remark === 'string') remark = { type: 'hint', text: remark };
+
+  return {
+    id: remark.id ? String(remark.id) : null,
+    type: classifyRemark(remark),
+    code: remark.code || null,
+    summary: remark.summary ? toPlainText(remark.summary) : null,
+    text: toPlainText(remark.text || remark.summary),
+    validFrom: remark.validFrom || null,
+    validUntil: remark.validUntil || null
+  };
+}
+
+export {
+  REMARK_TYPES,
+  classifyRemark,
+  normalizeRemark
+};
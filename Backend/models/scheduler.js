@@ -0,0 +1,173 @@
+/**
+ * Scheduler Model - Bounded-concurrency, rate-limited execution of upstream requests
+ *
+ * Every upstream call goes through a scheduler which
+ *   - runs at most `concurrency` requests at the same time,
+ *   - starts at most `requestsPerSecond` requests per second (fair-use limit),
+ *   - aborts waiting for a request after `timeoutMs` (the request keeps its slot
+ *     until it settles, at most for another `timeoutMs`, so abandoned requests
+ *     still count as load),
+ *   - retries failed requests with exponential backoff.
+ */
+
+/**
+ * Error raised when a request or stop does not finish in time
+ */
+class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Reject with a TimeoutError if a promise does not settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds (0 disables the timeout)
+ * @param {string} label - Description used in the error message
+ * @returns {Promise<*>} Result of the promise
+ */
+function withTimeout(promise, ms, label = 'Request') {
+  if (!ms) return promise;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a scheduler for upstream requests
+ * @param {Object} options - Scheduler options
+ * @param {number} [options.concurrency] - Maximum parallel requests
+ * @param {number} [options.requestsPerSecond] - Maximum request starts per second (0 = unlimited)
+ * @param {number} [options.timeoutMs] - Timeout per attempt in milliseconds (0 = none)
+ * @param {number} [options.retries] - Retries after a failed attempt
+ * @param {number} [options.backoffMs] - Base delay before the first retry, doubled on every retry
+ * @returns {Object} Scheduler with schedule() and getStats()
+ */
+function createScheduler(options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 3);
+  const minInterval = options.requestsPerSecond > 0 ? 1000 / options.requestsPerSecond : 0;
+  const timeoutMs = options.timeoutMs ?? 8000;
+  const retries = options.retries ?? 2;
+  const backoffMs = options.backoffMs ?? 500;
+
+  const queue = [];
+  let active = 0;
+  let nextStartAt = 0;
+  const stats = { started: 0, succeeded: 0, failed: 0, retried: 0, timedOut: 0 };
+
+  /**
+   * Start queued tasks while slots are free
+   */
+  function drain() {
+    while (active < concurrency && queue.length > 0) {
+      const task = queue.shift();
+      active++;
+      runTask(task).finally(() => {
+        active--;
+        drain();
+      });
+    }
+  }
+
+  /**
+   * Reserve the next start time permitted by the rate limit and wait for it
+   */
+  async function waitForRateLimit() {
+    const now = Date.now();
+    const startAt = Math.max(now, nextStartAt);
+    nextStartAt = startAt + minInterval;
+    if (startAt > now) await sleep(startAt - now);
+  }
+
+  /**
+   * Run a task with timeout and retries
+   */
+  async function runTask(task) {
+    for (let attempt = 0; ; attempt++) {
+      await waitForRateLimit();
+      stats.started++;
+
+      const request = Promise.resolve().then(task.fn);
+      try {
+        const result = await withTimeout(request, task.timeoutMs, task.label);
+        stats.succeeded++;
+        task.resolve(result);
+        return;
+      } catch (error) {
+        if (error instanceof TimeoutError) stats.timedOut++;
+
+        const lastAttempt = attempt >= task.retries;
+        if (lastAttempt) {
+          stats.failed++;
+          task.reject(error);
+        } else {
+          stats.retried++;
+        }
+
+        // A timed out request is still running upstream: hold the slot until it
+        // settles, so neither a retry nor the next task exceeds the concurrency -
+        // but at most for another timeout, so requests that never return cannot
+        // stall the scheduler
+        const settled = withTimeout(request, task.timeoutMs).then(() => {}, () => {});
+        if (lastAttempt) {
+          await settled;
+          return;
+        }
+
+        // Exponential backoff with a little jitter so retries don't line up
+        const delay = backoffMs * 2 ** attempt;
+        await Promise.all([settled, sleep(delay + Math.random() * delay * 0.2)]);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Queue an upstream request
+     * @param {Function} fn - Async function performing the request
+     * @param {Object} [taskOptions] - Per-request overrides ({ timeoutMs, retries, label })
+     * @returns {Promise<*>} Result of fn
+     */
+    schedule(fn, taskOptions = {}) {
+      return new Promise((resolve, reject) => {
+        queue.push({
+          fn,
+          resolve,
+          reject,
+          timeoutMs: taskOptions.timeoutMs ?? timeoutMs,
+          retries: taskOptions.retries ?? retries,
+          label: taskOptions.label || 'Upstream request'
+        });
+        drain();
+      });
+    },
+
+    /**
+     * Get scheduler statistics
+     * @returns {Object} Counters and current load
+     */
+    getStats() {
+      return { ...stats, active, queued: queue.length, concurrency };
+    }
+  };
+}
+
+export {
+  createScheduler,
+  withTimeout,
+  sleep,
+  TimeoutError
+};
@@ -0,0 +1,163 @@
+/**
+ * Simulation Model - Settings of the simulator (enabled, seed, scenario, clock)
+ *
+ * The simulator is the fallback for the configured data source. It can also
+ * be switched on explicitly, with DATA_SOURCE=simulator or via
+ * /api/v1/admin/simulation, so all data comes from it. SIMULATOR_SEED,
+ * SIMULATOR_SCENARIO, SIMULATOR_START and SIMULATOR_SPEED set the initial
+ * settings.
+ */
+
+import { createDataSource } from '../adapters/index.js';
+import { getLines } from '../config/lines.js';
+import { getScenario, getScenarios } from '../config/scenarios.js';
+import { now, setClock, advanceClock, resetClock, getClockStatus } from './clock.js';
+import { clearCache } from './cache.js';
+import { logger } from './logger.js';
+
+let enabled = process.env.DATA_SOURCE === 'simulator';
+
+const simulator = createDataSource('simulator', {
+  lines: getLines(),
+  now,
+  ...loadEnvironmentSettings()
+});
+
+/**
+ * Read the initial simulator settings from the environment and set the clock
+ * @returns {Object} { seed, scenario } for the simulator
+ */
+function loadEnvironmentSettings() {
+  const settings = {};
+
+  if (process.env.SIMULATOR_SEED) {
+    settings.seed = process.env.SIMULATOR_SEED;
+  }
+
+  if (process.env.SIMULATOR_SCENARIO) {
+    settings.scenario = getScenario(process.env.SIMULATOR_SCENARIO);
+    if (!settings.scenario) {
+      logger.warn('Unknown simulation scenario - simulating a normal day', { scenario: process.env.SIMULATOR_SCENARIO });
+    }
+  }
+
+  const start = process.env.SIMULATOR_START || settings.scenario?.start;
+  const speed = process.env.SIMULATOR_SPEED !== undefined ? parseFloat(process.env.SIMULATOR_SPEED) : undefined;
+  if (start || speed !== undefined) {
+    try {
+      setClock({ time: start || undefined, speed });
+    } catch (error) {
+      logger.warn('Ignoring simulator clock settings', { error: error.message });
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Get the simulator data source (the same instance for all settings)
+ * @returns {Object} Simulator adapter
+ */
+function getSimulator() {
+  return simulator;
+}
+
+/**
+ * Check if the simulator was switched on explicitly (instead of serving as fallback only)
+ * @returns {boolean}
+ */
+function isSimulationEnabled() {
+  return enabled;
+}
+
+/**
+ * Describe a scenario for API responses
+ */
+function describeScenario(scenario) {
+  return { id: scenario.id, name: scenario.name, description: scenario.description, start: scenario.start };
+}
+
+/**
+ * Get the current simulation settings
+ * @returns {Object} { enabled, seed, scenario, clock, scenarios }
+ */
+function getSimulationStatus() {
+  const { seed, scenario } = simulator.getSettings();
+  return {
+    enabled,
+    seed,
+    scenario: scenario ? describeScenario(scenario) : null,
+    clock: getClockStatus(),
+    scenarios: getScenarios().map(describeScenario)
+  };
+}
+
+/**
+ * Validate simulation settings
+ * @param {Object} settings - { enabled, seed, scenario, time, speed, advanceMinutes }
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateSettings(settings) {
+  const errors = [];
+  const { seed, scenario, time, speed, advanceMinutes } = settings;
+
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    errors.push('"enabled" must be true or false');
+  }
+  if (seed !== undefined && !(Number.isFinite(seed) || (typeof seed === 'string' && seed.trim() !== ''))) {
+    errors.push('"seed" must be a number or a non-empty string');
+  }
+  if (scenario !== undefined && scenario !== null && !getScenario(String(scenario))) {
+    errors.push(`Unknown scenario "${scenario}" (available: ${getScenarios().map(s => s.id).join(', ')})`);
+  }
+  if (time !== undefined && time !== null && (typeof time !== 'string' || isNaN(new Date(time).getTime()))) {
+    errors.push('"time" must be an ISO date (or null for real time)');
+  }
+  if (speed !== undefined && !(Number.isFinite(speed) && speed >= 0)) {
+    errors.push('"speed" must be a non-negative number');
+  }
+  if (advanceMinutes !== undefined && !Number.isFinite(advanceMinutes)) {
+    errors.push('"advanceMinutes" must be a number');
+  }
+
+  return errors;
+}
+
+/**
+ * Change the simulation settings
+ * Selecting a scenario with a start time moves the clock there, unless a time
+ * is given. Switching the simulation off lets the clock run in real time again.
+ * Cached data is dropped, as it was simulated with the old settings.
+ * @param {Object} settings - Fields to change: enabled, seed, scenario (ID or null),
+ *   time (ISO date or null), speed, advanceMinutes
+ * @returns {Object} { status, errors } - status is null if the settings are invalid
+ */
+function configureSimulation(settings) {
+  const errors = validateSettings(settings);
+  if (errors.length > 0) return { status: null, errors };
+
+  const scenario = settings.scenario ? getScenario(String(settings.scenario)) : settings.scenario;
+  simulator.configure({ seed: settings.seed, scenario });
+
+  const time = settings.time !== undefined ? settings.time : (scenario ? scenario.start || undefined : undefined);
+  if (settings.time === null || settings.enabled === false) {
+    resetClock();
+  } else if (time !== undefined || settings.speed !== undefined) {
+    setClock({ time, speed: settings.speed });
+  }
+  if (settings.advanceMinutes) {
+    advanceClock(settings.advanceMinutes);
+  }
+
+  if (settings.enabled !== undefined) enabled = settings.enabled;
+  clearCache();
+
+  return { status: getSimulationStatus(), errors: [] };
+}
+
+export {
+  getSimulator,
+  isSimulationEnabled,
+  getSimulationStatus,
+  configureSimulation
+};
@@ -0,0 +1,173 @@
+/**
+ * Stats Model - Punctuality statistics computed from recorded departures
+ *
+ * Groups history records by hour of day, weekday, stop, direction and
+ * individual trip (stop + direction + planned time of day) and computes
+ * delay percentiles, on-time, early and cancellation rate for each group.
+ * Delays are signed (negative for early departures); what counts as on time
+ * or early is set by the punctuality policy.
+ * Hours and weekdays are evaluated in local Saarland time.
+ */
+
+import { classifyDelay } from '../config/punctuality.js';
+
+const TIME_ZONE = 'Europe/Berlin';
+const WEEKDAYS = ['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'];
+const WEEKDAY_INDEX = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 };
+
+// Minimum number of observations before a trip is listed as reliably late
+const MIN_TRIP_SAMPLES = 3;
+
+const localTimeFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Get local hour, minute and weekday for a timestamp
+ * @param {string} isoString - ISO timestamp
+ * @returns {Object} { hour, minute, weekday } with weekday 0 = Monday
+ */
+function getLocalTime(isoString) {
+  const parts = {};
+  localTimeFormat.formatToParts(new Date(isoString)).forEach(p => { parts[p.type] = p.value; });
+  return {
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+/**
+ * Calculate a percentile using linear interpolation
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} Percentile value or null for empty input
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Calculate statistics for a group of history records
+ * @param {Array} records - History records
+ * @returns {Object} Group statistics
+ */
+function calculateGroupStats(records) {
+  const served = records.filter(r => !r.cancelled);
+  const delays = served.map(r => r.delayMinutes).sort((a, b) => a - b);
+  const onTimeCount = served.filter(r => classifyDelay(r.delayMinutes) === 'on-time').length;
+  const earlyCount = served.filter(r => classifyDelay(r.delayMinutes) === 'early').length;
+  const cancelledCount = records.length - served.length;
+
+  return {
+    departures: records.length,
+    averageDelayMinutes: delays.length > 0 ? Math.round((delays.reduce((sum, d) => sum + d, 0) / delays.length) * 10) / 10 : 0,
+    p50DelayMinutes: percentile(delays, 50),
+    p90DelayMinutes: percentile(delays, 90),
+    p95DelayMinutes: percentile(delays, 95),
+    maxDelayMinutes: delays.length > 0 ? delays[delays.length - 1] : 0,
+    onTimeRate: served.length > 0 ? Math.round((onTimeCount / served.length) * 100) : 0,
+    earlyRate: served.length > 0 ? Math.round((earlyCount / served.length) * 100) : 0,
+    earlyDepartures: earlyCount,
+    cancellationRate: records.length > 0 ? Math.round((cancelledCount / records.length) * 100) : 0,
+    cancelledServices: cancelledCount
+  };
+}
+
+/**
+ * Group records by a key function and calculate statistics per group
+ * @param {Array} records - History records
+ * @param {Function} keyFn - Returns { key, ...extra fields } for a record
+ * @returns {Array} Array of group statistics
+ */
+function groupBy(records, keyFn) {
+  const groups = new Map();
+
+  for (const record of records) {
+    const group = keyFn(record);
+    if (!groups.has(group.key)) {
+      groups.set(group.key, { info: group, records: [] });
+    }
+    groups.get(group.key).records.push(record);
+  }
+
+  return [...groups.values()].map(({ info, records: groupRecords }) => ({
+    ...info,
+    ...calculateGroupStats(groupRecords)
+  }));
+}
+
+/**
+ * Compute punctuality statistics for history records
+ * @param {Array} records - History records (latest observation per departure)
+ * @param {Object} [line] - Line of the records, orders the stops
+ * @returns {Object} Statistics overall and grouped by hour, weekday, stop, direction and trip
+ */
+function computeStats(records, line = null) {
+  const stopOrder = new Map((line ? line.stops : []).map(stop => [stop.id, stop.order]));
+  const localTimes = new Map(records.map(record => [record, getLocalTime(record.plannedDeparture)]));
+
+  const byHour = groupBy(records, record => {
+    const { hour } = localTimes.get(record);
+    return { key: hour, label: `${String(hour).padStart(2, '0')}:00` };
+  }).sort((a, b) => a.key - b.key);
+
+  const byWeekday = groupBy(records, record => {
+    const { weekday } = localTimes.get(record);
+    return { key: weekday, label: WEEKDAYS[weekday] };
+  }).sort((a, b) => a.key - b.key);
+
+  const byStop = groupBy(records, record => ({
+    key: record.stopId,
+    label: record.stopName
+  })).sort((a, b) =>
+    // Line order; stops the line does not know follow by ID (not necessarily numeric, e.g. GTFS)
+    (stopOrder.get(a.key) ?? Infinity) - (stopOrder.get(b.key) ?? Infinity) ||
+    String(a.key).localeCompare(String(b.key), undefined, { numeric: true }));
+
+  const byDirection = groupBy(records, record => ({
+    key: record.direction || 'unknown',
+    label: record.direction || 'Unbekannt'
+  }));
+
+  // A "trip" is the same planned departure time at the same stop and direction across days
+  const mostDelayedTrips = groupBy(records, record => {
+    const { hour, minute } = localTimes.get(record);
+    const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    return {
+      key: `${record.stopId}|${record.direction || ''}|${time}`,
+      stopId: record.stopId,
+      stopName: record.stopName,
+      direction: record.direction,
+      plannedTime: time
+    };
+  })
+    .filter(trip => trip.departures >= MIN_TRIP_SAMPLES)
+    .sort((a, b) => (b.p50DelayMinutes || 0) - (a.p50DelayMinutes || 0) || (b.p90DelayMinutes || 0) - (a.p90DelayMinutes || 0))
+    .slice(0, 10);
+
+  return {
+    overall: calculateGroupStats(records),
+    byHour,
+    byWeekday,
+    byStop,
+    byDirection,
+    mostDelayedTrips
+  };
+}
+
+export {
+  computeStats,
+  calculateGroupStats,
+  percentile,
+  getLocalTime
+};
@@ -0,0 +1,231 @@
+/**
+ * Subscriptions Model - Alert subscriptions persisted in a local JSON file
+ *
+ * A subscription watches one stop of a line, optionally restricted to a
+ * direction, a daily time window and weekdays, and names the webhook that
+ * is notified when a departure exceeds the delay threshold or is cancelled.
+ */
+
+import { promises as fs, existsSync, readFileSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { getLine, getDefaultLine } from '../config/lines.js';
+import { logger } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SUBSCRIPTIONS_FILE = process.env.SUBSCRIPTIONS_FILE || path.join(__dirname, '..', 'data', 'subscriptions.json');
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DEFAULT_DELAY_THRESHOLD = 5;
+
+// Notifications stay in the log of a subscription until a day after the planned
+// departure, so a restart does not report the same departure again
+const NOTIFICATION_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+let subscriptions = null;
+
+// Saves run one after another (see saveSubscriptions)
+let saveQueue = Promise.resolve();
+
+/**
+ * Load subscriptions from disk (once)
+ * @returns {Array} Subscriptions
+ */
+function loadSubscriptions() {
+  if (subscriptions) return subscriptions;
+
+  subscriptions = [];
+  if (existsSync(SUBSCRIPTIONS_FILE)) {
+    try {
+      subscriptions = JSON.parse(readFileSync(SUBSCRIPTIONS_FILE, 'utf8'));
+    } catch (error) {
+      logger.error('Failed to read subscriptions file', { error: error.message });
+    }
+  }
+  return subscriptions;
+}
+
+/**
+ * Write all subscriptions to a temporary file and move it over the subscriptions file
+ * @returns {Promise<void>}
+ */
+async function writeSubscriptionsFile() {
+  const tempFile = `${SUBSCRIPTIONS_FILE}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(SUBSCRIPTIONS_FILE), { recursive: true });
+  await fs.writeFile(tempFile, JSON.stringify(subscriptions, null, 2));
+  await fs.rename(tempFile, SUBSCRIPTIONS_FILE);
+}
+
+/**
+ * Write all subscriptions to disk
+ * Saves are queued, so concurrent ones (e.g. from parallel webhook deliveries)
+ * never interleave, and the rename leaves no half-written file behind.
+ * @returns {Promise<void>}
+ */
+function saveSubscriptions() {
+  const save = saveQueue.then(writeSubscriptionsFile);
+  // A failed save must not block the ones after it
+  saveQueue = save.catch(() => {});
+  return save;
+}
+
+/**
+ * Validate and normalize subscription input
+ * @param {Object} input - Raw subscription fields
+ * @param {Object} [existing] - Subscription being updated (fields not in input are kept)
+ * @returns {Object} { subscription, errors }
+ */
+function validateSubscription(input, existing = {}) {
+  const merged = { ...existing, ...input };
+  const errors = [];
+
+  const line = merged.lineId ? getLine(merged.lineId) : getDefaultLine();
+  if (!line) {
+    errors.push(`Unknown line "${merged.lineId}"`);
+  } else if (!merged.stopId || !line.stops.some(stop => stop.id === String(merged.stopId))) {
+    errors.push(`"stopId" must be one of the stops of line ${line.id}`);
+  }
+
+  let webhookUrl = null;
+  try {
+    webhookUrl = new URL(merged.webhookUrl);
+    if (!['http:', 'https:'].includes(webhookUrl.protocol)) throw new Error('protocol');
+  } catch (error) {
+    errors.push('"webhookUrl" must be an http(s) URL');
+  }
+
+  const timeWindow = merged.timeWindow || null;
+  if (timeWindow && (!TIME_PATTERN.test(timeWindow.from || '') || !TIME_PATTERN.test(timeWindow.to || ''))) {
+    errors.push('"timeWindow" must have "from" and "to" in HH:MM format');
+  }
+
+  const weekdays = merged.weekdays || null;
+  if (weekdays && (!Array.isArray(weekdays) || weekdays.length === 0 || weekdays.some(day => !WEEKDAYS.includes(String(day).toLowerCase())))) {
+    errors.push(`"weekdays" must be a non-empty list of ${WEEKDAYS.join(', ')}`);
+  }
+
+  const threshold = merged.delayThresholdMinutes ?? DEFAULT_DELAY_THRESHOLD;
+  if (typeof threshold !== 'number' || threshold < 0) {
+    errors.push('"delayThresholdMinutes" must be a number >= 0');
+  }
+
+  if (errors.length > 0) return { subscription: null, errors };
+
+  return {
+    errors,
+    subscription: {
+      id: existing.id,
+      name: merged.name ? String(merged.name) : null,
+      lineId: line.id,
+      stopId: String(merged.stopId),
+      direction: merged.direction ? String(merged.direction) : null,
+      timeWindow: timeWindow ? { from: timeWindow.from, to: timeWindow.to } : null,
+      weekdays: weekdays ? weekdays.map(day => String(day).toLowerCase()) : null,
+      delayThresholdMinutes: threshold,
+      notifyOnCancellation: merged.notifyOnCancellation !== false,
+      webhookUrl: webhookUrl.toString(),
+      createdAt: existing.createdAt,
+      updatedAt: existing.updatedAt,
+      lastNotification: existing.lastNotification || null,
+      notifications: existing.notifications || []
+    }
+  };
+}
+
+/**
+ * Get all subscriptions
+ * @returns {Array} Subscriptions
+ */
+function getSubscriptions() {
+  return loadSubscriptions();
+}
+
+/**
+ * Get a subscription by ID
+ * @param {string} id - Subscription ID
+ * @returns {Object|null} Subscription or null if not found
+ */
+function getSubscription(id) {
+  return loadSubscriptions().find(sub => sub.id === id) || null;
+}
+
+/**
+ * Create a subscription
+ * @param {Object} input - Subscription fields
+ * @returns {Promise<Object>} { subscription, errors }
+ */
+async function createSubscription(input) {
+  const now = new Date().toISOString();
+  const result = validateSubscription(input, { id: crypto.randomUUID(), createdAt: now, updatedAt: now });
+  if (result.errors.length > 0) return result;
+
+  loadSubscriptions().push(result.subscription);
+  await saveSubscriptions();
+  return result;
+}
+
+/**
+ * Update a subscription (fields not given are kept)
+ * @param {string} id - Subscription ID
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object|null>} { subscription, errors } or null if not found
+ */
+async function updateSubscription(id, input) {
+  const existing = getSubscription(id);
+  if (!existing) return null;
+
+  const { id: ignoredId, createdAt, lastNotification, notifications, ...changes } = input;
+  const result = validateSubscription(changes, { ...existing, updatedAt: new Date().toISOString() });
+  if (result.errors.length > 0) return result;
+
+  Object.assign(existing, result.subscription);
+  await saveSubscriptions();
+  return { subscription: existing, errors: [] };
+}
+
+/**
+ * Delete a subscription
+ * @param {string} id - Subscription ID
+ * @returns {Promise<boolean>} Whether a subscription was deleted
+ */
+async function deleteSubscription(id) {
+  const list = loadSubscriptions();
+  const index = list.findIndex(sub => sub.id === id);
+  if (index < 0) return false;
+
+  list.splice(index, 1);
+  await saveSubscriptions();
+  return true;
+}
+
+/**
+ * Add a notification to the log of a subscription and remember it as the latest
+ * @param {string} id - Subscription ID
+ * @param {Object} notification - { deliveryId, scheduledDeparture, at, event, delivered, error }
+ * @returns {Promise<void>}
+ */
+async function recordNotification(id, notification) {
+  const subscription = getSubscription(id);
+  if (!subscription) return;
+
+  const cutoff = Date.now() - NOTIFICATION_RETENTION_MS;
+  subscription.notifications = (subscription.notifications || [])
+    .filter(entry => new Date(entry.scheduledDeparture).getTime() >= cutoff)
+    .concat(notification);
+  subscription.lastNotification = notification;
+  await saveSubscriptions();
+}
+
+export {
+  getSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  recordNotification,
+  validateSubscription,
+  WEEKDAYS,
+  NOTIFICATION_RETENTION_MS
+};
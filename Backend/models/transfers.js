@@ -0,0 +1,187 @@
+/**
+ * Transfers Model - Judges whether connections to trains can still be made
+ *
+ * A transfer is broken when less than the minimum transfer time remains between
+ * the (expected) arrival and the connecting departure, and at risk when the
+ * buffer is only slightly above it.
+ *
+ * The transfer analysis matches every bus trip arriving at a transfer hub of a
+ * line (Homburg Hbf, Zweibrücken Hbf) against the trains leaving there and
+ * flags the connections its current delay puts at risk or breaks.
+ */
+
+import { fetchStationDepartures, resolveLine } from './delay.js';
+import { getTrips } from './trips.js';
+import { matchesLine } from '../config/lines.js';
+
+const MIN_TRANSFER_MINUTES = parseInt(process.env.MIN_TRANSFER_MINUTES, 10) || 4;
+
+// Buffers up to this many minutes above the minimum transfer time are at risk
+const RISK_MARGIN_MINUTES = 3;
+
+// Connecting trains are looked for up to this long after the planned arrival
+const CONNECTION_WINDOW_MINUTES = parseInt(process.env.TRANSFER_WINDOW_MINUTES, 10) || 30;
+
+const RISK_LEVELS = ['ok', 'at-risk', 'broken'];
+
+/**
+ * Get the minimum transfer time at a stop
+ * @param {Object} stop - Stop definition (may configure minTransferMinutes)
+ * @returns {number} Minutes
+ */
+function getMinTransferMinutes(stop) {
+  return stop && stop.minTransferMinutes !== null && stop.minTransferMinutes !== undefined
+    ? stop.minTransferMinutes
+    : MIN_TRANSFER_MINUTES;
+}
+
+/**
+ * Assess a transfer between an arrival and a connecting departure
+ * @param {string} arrival - ISO timestamp of the arrival
+ * @param {string} departure - ISO timestamp of the connecting departure
+ * @param {number} [minTransferMinutes] - Minimum time needed to change
+ * @returns {Object} { bufferMinutes, risk } with risk 'ok', 'at-risk' or 'broken'
+ */
+function assessTransfer(arrival, departure, minTransferMinutes = MIN_TRANSFER_MINUTES) {
+  const bufferMinutes = Math.round((new Date(departure) - new Date(arrival)) / (1000 * 60));
+
+  let risk = 'ok';
+  if (bufferMinutes < minTransferMinutes) {
+    risk = 'broken';
+  } else if (bufferMinutes < minTransferMinutes + RISK_MARGIN_MINUTES) {
+    risk = 'at-risk';
+  }
+
+  return { bufferMinutes, risk };
+}
+
+/**
+ * Get the most severe of several transfer risks
+ * @param {Array} risks - Risk levels (null entries are ignored)
+ * @returns {string|null} Most severe risk, or null if there is none
+ */
+function worstRisk(risks) {
+  const levels = risks.filter(Boolean).map(risk => RISK_LEVELS.indexOf(risk));
+  return levels.length > 0 ? RISK_LEVELS[Math.max(...levels)] : null;
+}
+
+/**
+ * Find the departures a passenger arriving at a station could catch as planned,
+ * and assess each against the expected arrival
+ * @param {Object} arrival - { planned, expected, cancelled } ISO timestamps of the arrival
+ * @param {Array} departures - Processed departures at the station (as returned by fetchStationDepartures)
+ * @param {Object} [options]
+ * @param {number} [options.minTransferMinutes] - Minimum time needed to change
+ * @param {number} [options.windowMinutes] - Only departures up to this long after the planned arrival
+ * @param {number} [options.limit] - Maximum number of connections
+ * @returns {Array} Connections with planned and expected buffer and risk
+ */
+function matchConnections(arrival, departures, options = {}) {
+  const {
+    minTransferMinutes = MIN_TRANSFER_MINUTES,
+    windowMinutes = CONNECTION_WINDOW_MINUTES,
+    limit
+  } = options;
+
+  const plannedArrival = new Date(arrival.planned);
+  const windowEnd = new Date(plannedArrival.getTime() + windowMinutes * 60000);
+
+  const connections = departures
+    .filter(dep => {
+      if (!dep.scheduledDeparture) return false;
+      const planned = new Date(dep.scheduledDeparture);
+      // Only connections that could be made as planned
+      return planned >= plannedArrival && planned <= windowEnd &&
+        assessTransfer(arrival.planned, dep.scheduledDeparture, minTransferMinutes).risk !== 'broken';
+    })
+    .map(dep => {
+      const broken = arrival.cancelled || dep.cancelled || !arrival.expected;
+      return {
+        lineName: dep.lineName,
+        direction: dep.direction,
+        plannedDeparture: dep.scheduledDeparture,
+        expectedDeparture: dep.cancelled ? null : dep.expectedDeparture,
+        platform: dep.platform,
+        cancelled: dep.cancelled || false,
+        plannedBufferMinutes: assessTransfer(arrival.planned, dep.scheduledDeparture, minTransferMinutes).bufferMinutes,
+        ...(broken
+          ? { bufferMinutes: null, risk: 'broken' }
+          : assessTransfer(arrival.expected, dep.expectedDeparture || dep.scheduledDeparture, minTransferMinutes))
+      };
+    });
+
+  return limit ? connections.slice(0, limit) : connections;
+}
+
+/**
+ * Analyze the connections from arriving buses to departing trains at the transfer hubs of a line
+ * @param {string} [lineId] - Line ID (default line if omitted)
+ * @param {Object} [options]
+ * @param {string} [options.stopId] - Only analyze this hub
+ * @param {number} [options.minTransferMinutes] - Override the minimum transfer time of all hubs
+ * @returns {Promise<Array>} One entry per hub with its arriving trips and their connections
+ */
+async function analyzeTransfers(lineId, options = {}) {
+  const line = resolveLine(lineId);
+  const hubs = line.stops.filter(stop => stop.transferHub && (!options.stopId || stop.id === options.stopId));
+  if (hubs.length === 0) return [];
+
+  const trips = await getTrips(line.id);
+
+  return await Promise.all(hubs.map(async hub => {
+    const minTransferMinutes = options.minTransferMinutes ?? getMinTransferMinutes(hub);
+
+    // Trips whose timeline ends at this hub arrive here
+    const arrivals = trips
+      .map(trip => ({ trip, stop: trip.stops[trip.stops.length - 1] }))
+      .filter(({ stop }) => stop && stop.stopId === hub.id && stop.scheduledDeparture);
+
+    let trains = [];
+    if (arrivals.length > 0) {
+      const times = arrivals.map(({ stop }) => new Date(stop.scheduledDeparture).getTime());
+      const earliest = Math.min(...times);
+      const duration = Math.ceil((Math.max(...times) - earliest) / 60000) + CONNECTION_WINDOW_MINUTES;
+
+      const departures = await fetchStationDepartures(hub, { when: new Date(earliest), duration });
+      trains = departures.filter(dep => !matchesLine(line, dep.lineName));
+    }
+
+    const analyzed = arrivals.map(({ trip, stop }) => {
+      const connections = matchConnections({
+        planned: stop.scheduledDeparture,
+        expected: stop.expectedDeparture,
+        cancelled: stop.cancelled
+      }, trains, { minTransferMinutes });
+
+      return {
+        tripId: trip.tripId,
+        lineName: trip.lineName,
+        direction: trip.direction,
+        plannedArrival: stop.scheduledDeparture,
+        expectedArrival: stop.expectedDeparture,
+        delayMinutes: stop.delayMinutes,
+        cancelled: stop.cancelled,
+        connectionRisk: worstRisk(connections.map(c => c.risk)),
+        connections
+      };
+    });
+
+    return {
+      stopId: hub.id,
+      stopName: hub.name,
+      minTransferMinutes,
+      arrivals: analyzed,
+      atRisk: analyzed.filter(a => a.connectionRisk === 'at-risk').length,
+      broken: analyzed.filter(a => a.connectionRisk === 'broken').length
+    };
+  }));
+}
+
+export {
+  analyzeTransfers,
+  matchConnections,
+  assessTransfer,
+  worstRisk,
+  getMinTransferMinutes,
+  MIN_TRANSFER_MINUTES
+};
@@ -0,0 +1,235 @@
+/**
+ * Trips Model - Follows single buses along the whole line
+ *
+ * Departures at different stops that share a tripId belong to the same bus.
+ * For each trip found in the current delay data the full trip (with all its
+ * stopovers) is fetched from the data source and turned into a timeline over
+ * the stops of the line. If the trip cannot be fetched, the timeline is
+ * assembled from the departures observed at the stops instead.
+ */
+
+import { fetchRealDelayData, fetchTrip, getDelayStatus, resolveLine, listStopDepartures } from './delay.js';
+import { matchDirection } from '../config/lines.js';
+import * as clock from './clock.js';
+import { logger } from './logger.js';
+
+const DEFAULT_TRIP_LIMIT = 20;
+
+/**
+ * Normalize a stop name for comparison
+ * @param {string} name - Stop name
+ * @returns {string} Lowercase name without spaces and punctuation
+ */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9äöüß]/g, '');
+}
+
+/**
+ * Group the departures observed at all stops by trip
+ * @param {Array} delays - Delay objects for all stops (as returned by fetchRealDelayData)
+ * @returns {Map} tripId -> { tripId, lineName, direction, directionId, stops }
+ */
+function collectObservedTrips(delays) {
+  const trips = new Map();
+
+  for (const stop of delays) {
+    if (stop.error) continue;
+
+    for (const departure of listStopDepartures(stop)) {
+      if (!departure.tripId || !departure.scheduledDeparture) continue;
+
+      if (!trips.has(departure.tripId)) {
+        trips.set(departure.tripId, {
+          tripId: departure.tripId,
+          lineName: departure.lineName,
+          direction: departure.direction,
+          directionId: departure.directionId,
+          stops: []
+        });
+      }
+      trips.get(departure.tripId).stops.push({
+        stopId: stop.stopId,
+        stopName: stop.stopName,
+        stopOrder: stop.stopOrder,
+        scheduledDeparture: departure.scheduledDeparture,
+        expectedDeparture: departure.cancelled ? null : departure.expectedDeparture,
+        delayMinutes: departure.delayMinutes,
+        status: departure.status,
+        cancelled: departure.cancelled,
+        platform: departure.platform || null
+      });
+    }
+  }
+
+  for (const trip of trips.values()) {
+    trip.stops.sort((a, b) => new Date(a.scheduledDeparture) - new Date(b.scheduledDeparture));
+  }
+  return trips;
+}
+
+/**
+ * Turn the stopovers of a trip into timeline entries for the stops of a line
+ * Stopovers are matched by station ID (as resolved in the delay data) or by name;
+ * stopovers outside the line are dropped.
+ * @param {Object} line - Line definition
+ * @param {Array} delays - Delay objects for all stops of the line
+ * @param {Array} stopovers - Stopovers of the trip (in travel order)
+ * @returns {Array} Timeline entries in travel order
+ */
+function matchStopovers(line, delays, stopovers) {
+  const byStationId = new Map();
+  const byName = new Map();
+
+  for (const stop of line.stops) {
+    if (stop.hafasId) byStationId.set(String(stop.hafasId), stop);
+    byName.set(normalizeName(stop.name), stop);
+    if (stop.searchName) byName.set(normalizeName(stop.searchName), stop);
+  }
+  for (const row of delays) {
+    const stop = line.stops.find(s => s.id === row.stopId);
+    if (stop && row.hafasId) byStationId.set(String(row.hafasId), stop);
+  }
+
+  const matched = new Set();
+  const timeline = [];
+
+  for (const stopover of stopovers) {
+    const station = stopover.stop || {};
+    const stop = byStationId.get(String(station.id)) ||
+      (station.station && byStationId.get(String(station.station.id))) ||
+      byName.get(normalizeName(station.name));
+    if (!stop || matched.has(stop.id)) continue;
+    matched.add(stop.id);
+
+    const planned = stopover.plannedDeparture || stopover.plannedArrival || null;
+    const expected = stopover.departure || stopover.arrival || null;
+    const delaySeconds = stopover.departureDelay ?? stopover.arrivalDelay;
+
+    let delayMinutes = 0;
+    if (delaySeconds != null) {
+      delayMinutes = Math.round(delaySeconds / 60);
+    } else if (planned && expected) {
+      delayMinutes = Math.round((new Date(expected) - new Date(planned)) / (1000 * 60));
+    }
+
+    timeline.push({
+      stopId: stop.id,
+      stopName: stop.name,
+      stopOrder: stop.order,
+      scheduledDeparture: planned,
+      expectedDeparture: stopover.cancelled ? null : (expected || planned),
+      delayMinutes,
+      status: getDelayStatus(delayMinutes),
+      cancelled: stopover.cancelled || false,
+      platform: stopover.departurePlatform || stopover.arrivalPlatform || stopover.platform || null
+    });
+  }
+
+  return timeline;
+}
+
+/**
+ * Summarize a trip timeline
+ * @param {Object} line - Line definition
+ * @param {Object} info - { tripId, lineName, direction, cancelled }
+ * @param {Array} stops - Timeline entries in travel order
+ * @param {string} source - 'trip' (full trip from the data source) or 'departures' (assembled from departures)
+ * @returns {Object} Trip with its timeline
+ */
+function summarizeTrip(line, info, stops, source) {
+  const now = clock.now().getTime();
+  const running = stops.filter(s => !s.cancelled);
+
+  // The delay at the next stop the bus has not passed yet (or at the last stop)
+  const next = running.find(s => new Date(s.expectedDeparture).getTime() >= now) || running[running.length - 1];
+  const currentDelay = next ? next.delayMinutes : 0;
+
+  return {
+    tripId: info.tripId,
+    lineId: line.id,
+    lineName: info.lineName || line.name,
+    direction: info.direction || null,
+    directionId: matchDirection(line, info.direction)?.id || null,
+    scheduledDeparture: stops[0].scheduledDeparture,
+    scheduledArrival: stops[stops.length - 1].scheduledDeparture,
+    currentDelayMinutes: currentDelay,
+    maxDelayMinutes: running.length > 0 ? Math.max(...running.map(s => s.delayMinutes)) : 0,
+    status: running.length > 0 ? getDelayStatus(currentDelay) : 'cancelled',
+    cancelled: info.cancelled || running.length === 0,
+    nextStopId: next && new Date(next.expectedDeparture).getTime() >= now ? next.stopId : null,
+    source,
+    stops
+  };
+}
+
+/**
+ * Build the timeline of one trip
+ * @param {Object} line - Line definition
+ * @param {Array} delays - Delay objects for all stops of the line
+ * @param {string} tripId - Trip ID
+ * @param {Object} [observed] - Departures of this trip observed at the stops
+ * @returns {Promise<Object|null>} Trip, or null if it doesn't serve the line
+ */
+async function buildTrip(line, delays, tripId, observed) {
+  try {
+    const trip = await fetchTrip(tripId);
+    const stops = matchStopovers(line, delays, trip.stopovers || []);
+
+    if (stops.length > 0) {
+      return summarizeTrip(line, {
+        tripId,
+        lineName: trip.line?.name,
+        direction: trip.direction,
+        cancelled: trip.cancelled
+      }, stops, 'trip');
+    }
+  } catch (error) {
+    logger.warn('Failed to fetch trip', { tripId, error: error.message });
+  }
+
+  if (!observed || observed.stops.length === 0) return null;
+  return summarizeTrip(line, observed, observed.stops, 'departures');
+}
+
+/**
+ * Get the trips currently running or departing soon on a line
+ * @param {string} [lineId] - Line ID (default line if omitted)
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of trips (earliest first)
+ * @param {Object} [options.direction] - Only trips in this direction of the line
+ * @returns {Promise<Array>} Trips with their timelines
+ */
+async function getTrips(lineId, options = {}) {
+  const { limit = DEFAULT_TRIP_LIMIT, direction } = options;
+  const line = resolveLine(lineId);
+  const delays = await fetchRealDelayData(line.id);
+
+  const candidates = [...collectObservedTrips(delays).values()]
+    .filter(observed => !direction || observed.directionId === direction.id)
+    .sort((a, b) => new Date(a.stops[0].scheduledDeparture) - new Date(b.stops[0].scheduledDeparture))
+    .slice(0, limit);
+
+  const trips = await Promise.all(candidates.map(observed => buildTrip(line, delays, observed.tripId, observed)));
+  return trips
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.scheduledDeparture) - new Date(b.scheduledDeparture));
+}
+
+/**
+ * Get a single trip of a line
+ * @param {string} tripId - Trip ID
+ * @param {string} [lineId] - Line ID (default line if omitted)
+ * @returns {Promise<Object|null>} Trip, or null if not found on this line
+ */
+async function getTrip(tripId, lineId) {
+  const line = resolveLine(lineId);
+  const delays = await fetchRealDelayData(line.id);
+  return await buildTrip(line, delays, tripId, collectObservedTrips(delays).get(tripId));
+}
+
+export {
+  getTrips,
+  getTrip,
+  collectObservedTrips,
+  matchStopovers
+};
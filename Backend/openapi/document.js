@@ -0,0 +1,1117 @@
+/**
+ * OpenAPI Document - Machine-readable description of the REST API
+ *
+ * Served at /api/v1/openapi.json and used by the request validator, so the
+ * documented parameters are the ones that are enforced. Responses are
+ * described in the /api/v1 envelope (see middleware/apiVersion.js). Every
+ * line route is described twice, as /lines/{lineId}/... and without the
+ * prefix for the default line, with the same parameters and responses.
+ */
+
+import { API_VERSION, DATA_FIELDS } from '../middleware/apiVersion.js';
+import { REMARK_TYPES } from '../models/remarks.js';
+
+const VERSION = '1.0.0';
+
+const ERROR_CODES = [
+  'INVALID_REQUEST', 'INVALID_JSON', 'UNKNOWN_DIRECTION', 'UNKNOWN_STOP', 'NOT_A_TRANSFER_HUB',
+  'INVALID_SUBSCRIPTION', 'INVALID_SIMULATION_SETTINGS', 'PAYLOAD_TOO_LARGE',
+  'NOT_FOUND', 'LINE_NOT_FOUND', 'STOP_NOT_FOUND', 'TRIP_NOT_FOUND', 'SUBSCRIPTION_NOT_FOUND',
+  'JOURNEYS_NOT_SUPPORTED', 'INTERNAL_ERROR'
+];
+
+const STATUSES = ['early', 'on-time', 'slight-delay', 'delayed', 'heavily-delayed', 'unknown'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+const nullable = schema => ({ ...schema, nullable: true });
+const arrayOf = schema => ({ type: 'array', items: schema });
+const dateTime = { type: 'string', format: 'date-time' };
+
+const metaProperties = {
+  apiVersion: { type: 'string', enum: [API_VERSION] },
+  requestId: { type: 'string', description: 'Also sent as X-Request-Id header' },
+  timestamp: dateTime
+};
+
+/**
+ * Describe a successful JSON response in the envelope
+ * The properties are split like the envelope splits the body: the payload
+ * field becomes `data`, the others go to `meta`.
+ * @param {string} description - Response description
+ * @param {Object} properties - Properties of the body besides success and timestamp
+ * @returns {Object} OpenAPI response
+ */
+function jsonResponse(description, properties) {
+  const dataField = DATA_FIELDS.find(field => field in properties);
+  const meta = { ...properties };
+  delete meta[dataField];
+
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: ['data', 'meta', 'errors'],
+          properties: {
+            data: dataField ? properties[dataField] : { type: 'object', properties },
+            meta: { type: 'object', properties: { ...(dataField ? meta : {}), ...metaProperties } },
+            errors: { type: 'array', items: ref('ApiError'), maxItems: 0 }
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Describe an error response
+ * @param {string} description - Response description
+ * @returns {Object} OpenAPI response
+ */
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: ref('ErrorEnvelope') } }
+  };
+}
+
+/**
+ * Add another media type to a response
+ * @param {Object} response - OpenAPI response
+ * @param {string} mediaType - Media type, e.g. text/html
+ * @param {Object} schema - Schema of that media type
+ * @returns {Object} OpenAPI response
+ */
+function withContent(response, mediaType, schema) {
+  return { ...response, content: { ...response.content, [mediaType]: { schema } } };
+}
+
+const dataSourceProperties = {
+  dataSource: { type: 'string', description: 'Label of the source the data came from' },
+  isRealData: { type: 'boolean', description: 'False if the data is simulated' }
+};
+
+const dateRangeParameters = [
+  { name: 'from', in: 'query', description: 'Earliest planned departure', schema: dateTime },
+  { name: 'to', in: 'query', description: 'Latest planned departure', schema: dateTime }
+];
+
+const historyFilterParameters = [
+  { name: 'stopId', in: 'query', description: 'Only departures at this stop', schema: { type: 'string' } },
+  { name: 'direction', in: 'query', description: 'Direction ID or part of the headsign', schema: { type: 'string' } },
+  ...dateRangeParameters,
+  { name: 'includeSimulated', in: 'query', description: 'Include departures recorded from simulated data', schema: { type: 'boolean', default: false } }
+];
+
+const historyFilters = {
+  type: 'object',
+  properties: {
+    stopId: nullable({ type: 'string' }),
+    direction: nullable({ type: 'string' }),
+    from: nullable(dateTime),
+    to: nullable(dateTime)
+  }
+};
+
+const exportFormatParameter = {
+  name: 'format', in: 'query', description: 'File format', schema: { type: 'string', enum: ['csv', 'jsonl'], default: 'csv' }
+};
+
+/**
+ * Describe a file download of departure records
+ * @param {string} description - Response description
+ * @returns {Object} OpenAPI response
+ */
+function exportResponse(description) {
+  return {
+    description: `${description} (sent as attachment, without the envelope)`,
+    content: {
+      'text/csv': { schema: { type: 'string', description: 'Header row, one departure per row, local date and time columns' } },
+      'application/x-ndjson': { schema: ref('HistoryRecord') }
+    }
+  };
+}
+
+// Operations available per line; the key is the path below /lines/{lineId}
+const lineOperations = {
+  '/delays': {
+    get: {
+      operationId: 'getDelays',
+      tags: ['Delays'],
+      summary: 'Get the next departure of every stop',
+      parameters: [param('direction')],
+      responses: {
+        200: jsonResponse('Delays of all stops', {
+          route: { type: 'string' },
+          routeDescription: { type: 'string' },
+          direction: nullable({ type: 'string' }),
+          totalStops: { type: 'integer' },
+          ...dataSourceProperties,
+          data: arrayOf(ref('StopDelay')),
+          summary: {
+            type: 'object',
+            properties: {
+              averageDelayMinutes: { type: 'integer' },
+              stopsWithData: { type: 'integer' },
+              stopsWithoutData: { type: 'integer' },
+              stopsTimedOut: { type: 'integer' }
+            }
+          }
+        }),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: { $ref: '#/components/responses/LineNotFound' }
+      }
+    }
+  },
+  '/delays/{stopId}': {
+    get: {
+      operationId: 'getDelayByStop',
+      tags: ['Delays'],
+      summary: 'Get the departures of one stop',
+      parameters: [
+        { name: 'stopId', in: 'path', required: true, description: 'Stop ID of the line', schema: { type: 'string' } },
+        param('direction')
+      ],
+      responses: {
+        200: jsonResponse('Delays of the stop', { route: { type: 'string' }, ...dataSourceProperties, data: ref('StopDelay') }),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: errorResponse('Line or stop not found')
+      }
+    }
+  },
+  '/stops': {
+    get: {
+      operationId: 'getStops',
+      tags: ['Lines'],
+      summary: 'Get the stops of the line in order',
+      responses: {
+        200: jsonResponse('Stops', { route: { type: 'string' }, data: arrayOf(ref('Stop')) }),
+        404: { $ref: '#/components/responses/LineNotFound' }
+      }
+    }
+  },
+  '/summary': {
+    get: {
+      operationId: 'getSummary',
+      tags: ['Delays'],
+      summary: 'Get delay statistics over all stops',
+      parameters: [param('direction')],
+      responses: {
+        200: jsonResponse('Summary', {
+          route: { type: 'string' },
+          routeDescription: { type: 'string' },
+          direction: nullable({ type: 'string' }),
+          ...dataSourceProperties,
+          summary: ref('Summary')
+        }),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: { $ref: '#/components/responses/LineNotFound' }
+      }
+    }
+  },
+  '/alerts': {
+    get: {
+      operationId: 'getAlerts',
+      tags: ['Delays'],
+      summary: 'Get service alerts from the remarks of the current departures',
+      description: 'Remarks are merged across stops and departures and classified as cancellation, warning or hint. ' +
+        'Alerts are valid for the period given by the data source, otherwise from the first to the last affected departure.',
+      parameters: [
+        { name: 'type', in: 'query', description: 'Only alerts of this type', schema: { type: 'string', enum: REMARK_TYPES } },
+        { name: 'stopId', in: 'query', description: 'Only alerts concerning this stop', schema: { type: 'string' } },
+        param('direction')
+      ],
+      responses: {
+        200: jsonResponse('Alerts, cancellations first', {
+          route: { type: 'string' },
+          direction: nullable({ type: 'string' }),
+          ...dataSourceProperties,
+          count: { type: 'integer' },
+          data: arrayOf(ref('Alert'))
+        }),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: { $ref: '#/components/responses/LineNotFound' }
+      }
+    }
+  },
+  '/trips': {
+    get: {
+      operationId: 'getTrips',
+      tags: ['Trips'],
+      summary: 'Get the buses running or departing soon, each followed stop by stop',
+      parameters: [
+        param('direction'),
+        { name: 'limit', in: 'query', description: 'Maximum number of trips', schema: { type: 'integer', minimum: 1 } }
+      ],
+      responses: {
+        200: jsonResponse('Trips', {
+          route: { type: 'string' },
+          direction: nullable({ type: 'string' }),
+          ...dataSourceProperties,
+          count: { type: 'integer' },
+          data: arrayOf(ref('Trip'))
+        }),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: { $ref: '#/components/responses/LineNotFound' }
+      }
+    }
+  },
+  '/trips/{tripId}': {
+    get: {
+      operationId: 'getTrip',
+      tags: ['Trips'],
+      summary: 'Get a single trip',
+      parameters: [
+        { name: 'tripId', in: 'path', required: true, description: 'Trip ID (URL-encoded)', schema: { type: 'string' } }
+      ],
+      responses: {
+        200: jsonResponse('Trip', { route: { type: 'string' }, ...dataSourceProperties, data: ref('Trip') }),
+        404: errorResponse('Line or trip not found')
+      }
+    }
+  },
+  '/journey': {
+    get: {
+      operationId: 'planJourney',
+      tags: ['Journeys'],
+      summary: 'Plan journeys between two stops of the line',
+      parameters: [
+        { name: 'from', in: 'query', required: true, description: 'Stop ID or name', schema: { type: 'string', minLength: 1 } },
+        { name: 'to', in: 'query', required: true, description: 'Stop ID or name', schema: { type: 'string', minLength: 1 } },
+        { name: 'at', in: 'query', description: 'Earliest departure (defaults to now)', schema: dateTime },
+        { name: 'results', in: 'query', description: 'Number of journeys', schema: { type: 'integer', minimum: 1, maximum: 10, default: 5 } }
+      ],
+      responses: {
+        200: jsonResponse('Journeys', {
+          route: { type: 'string' },
+          ...dataSourceProperties,
+          from: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' } } },
+          to: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, transferHub: { type: 'boolean' } } },
+          direction: nullable({ type: 'string' }),
+          at: dateTime,
+          minTransferMinutes: { type: 'number' },
+          count: { type: 'integer' },
+          data: arrayOf(ref('Journey'))
+        }),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: { $ref: '#/components/responses/LineNotFound' },
+        501: errorResponse('The data source cannot plan journeys')
+      }
+    }
+  },
+  '/transfers': {
+    get: {
+      operationId: 'getTransfers',
+      tags: ['Journeys'],
+      summary: 'Get the connections to trains at the transfer hubs',
+      parameters: [
+        { name: 'stopId', in: 'query', description: 'Only this transfer hub', schema: { type: 'string' } },
+        { name: 'minTransfer', in: 'query', description: 'Minimum transfer time in minutes', schema: { type: 'number', minimum: 0 } }
+      ],
+      responses: {
+        200: jsonResponse('Arrivals at the transfer hubs', {
+          route: { type: 'string' },
+          ...dataSourceProperties,
+          count: { type: 'integer' },
+          data: arrayOf(ref('TransferHub'))
+        }),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: errorResponse('Line or stop not found')
+      }
+    }
+  },
+  '/history': {
+    get: {
+      operationId: 'getHistory',
+      tags: ['History'],
+      summary: 'Get recorded departures',
+      parameters: [
+        ...historyFilterParameters,
+        { name: 'limit', in: 'query', description: 'Maximum number of records (latest first)', schema: { type: 'integer', minimum: 1, default: 500 } }
+      ],
+      responses: {
+        200: jsonResponse('Recorded departures', {
+          route: { type: 'string' },
+          filters: historyFilters,
+          count: { type: 'integer' },
+          data: arrayOf(ref('HistoryRecord'))
+        }),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: { $ref: '#/components/responses/LineNotFound' }
+      }
+    }
+  },
+  '/stats': {
+    get: {
+      operationId: 'getStats',
+      tags: ['History'],
+      summary: 'Get punctuality statistics of recorded departures',
+      parameters: historyFilterParameters,
+      responses: {
+        200: jsonResponse('Statistics', { route: { type: 'string' }, filters: historyFilters, data: ref('Stats') }),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: { $ref: '#/components/responses/LineNotFound' }
+      }
+    }
+  },
+  '/export/delays': {
+    get: {
+      operationId: 'exportDelays',
+      tags: ['Export'],
+      summary: 'Download the current departures of all stops as CSV or JSON Lines',
+      parameters: [
+        exportFormatParameter,
+        { name: 'stopId', in: 'query', description: 'Only departures at this stop', schema: { type: 'string' } },
+        param('direction')
+      ],
+      responses: {
+        200: exportResponse('Current departures, in time order'),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: { $ref: '#/components/responses/LineNotFound' }
+      }
+    }
+  },
+  '/export/history': {
+    get: {
+      operationId: 'exportHistory',
+      tags: ['Export'],
+      summary: 'Download recorded departures as CSV or JSON Lines',
+      parameters: [exportFormatParameter, ...historyFilterParameters],
+      responses: {
+        200: exportResponse('Recorded departures, in time order'),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: { $ref: '#/components/responses/LineNotFound' }
+      }
+    }
+  },
+  '/stops/{stopId}/calendar.ics': {
+    get: {
+      operationId: 'getStopCalendar',
+      tags: ['Export'],
+      summary: 'Subscribe to the upcoming departures of a stop as an iCalendar feed',
+      description: 'One event per departure at its real-time departure; cancelled departures have STATUS:CANCELLED. ' +
+        'Calendar apps are asked to refresh the feed every 5 minutes.',
+      parameters: [
+        { name: 'stopId', in: 'path', required: true, description: 'Stop ID of the line', schema: { type: 'string' } },
+        param('direction')
+      ],
+      responses: {
+        200: { description: 'Calendar', content: { 'text/calendar': { schema: { type: 'string' } } } },
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: errorResponse('Line or stop not found')
+      }
+    }
+  },
+  '/compensation/trips': {
+    get: {
+      operationId: 'getCompensationTrips',
+      tags: ['Compensation'],
+      summary: 'Get recorded trips that qualify for compensation',
+      description: 'A trip qualifies if a compensation rule applies to its highest recorded delay or to a cancellation.',
+      parameters: [
+        ...historyFilterParameters,
+        { name: 'limit', in: 'query', description: 'Maximum number of trips (latest first)', schema: { type: 'integer', minimum: 1, default: 100 } }
+      ],
+      responses: {
+        200: jsonResponse('Qualifying trips', { route: { type: 'string' }, count: { type: 'integer' }, data: arrayOf(ref('CompensationTrip')) }),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: { $ref: '#/components/responses/LineNotFound' }
+      }
+    }
+  },
+  '/compensation/trips/{tripId}/claim': {
+    get: {
+      operationId: 'getCompensationClaim',
+      tags: ['Compensation'],
+      summary: 'Get the claim summary of a recorded trip',
+      description: 'With `to`, the delay at the destination counts; without, the highest recorded delay between the stops.',
+      parameters: [
+        { name: 'tripId', in: 'path', required: true, description: 'Trip ID (URL-encoded)', schema: { type: 'string' } },
+        { name: 'date', in: 'query', required: true, description: 'Local date of the trip', schema: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', example: '2026-03-10' } },
+        { name: 'from', in: 'query', description: 'Boarding stop ID (default: first recorded stop)', schema: { type: 'string' } },
+        { name: 'to', in: 'query', description: 'Destination stop ID (default: last recorded stop)', schema: { type: 'string' } },
+        { name: 'format', in: 'query', description: 'Printable page or JSON', schema: { type: 'string', enum: ['html', 'json'], default: 'html' } },
+        { name: 'includeSimulated', in: 'query', description: 'Include departures recorded from simulated data', schema: { type: 'boolean', default: false } }
+      ],
+      responses: {
+        200: withContent(
+          jsonResponse('Claim summary (format=json) or printable page (format=html)', { route: { type: 'string' }, data: ref('CompensationClaim') }),
+          'text/html',
+          { type: 'string' }
+        ),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: errorResponse('Line or trip not found')
+      }
+    }
+  },
+  '/stream': {
+    get: {
+      operationId: 'streamDelays',
+      tags: ['Delays'],
+      summary: 'Push delay updates via Server-Sent Events',
+      description: 'Sends a `snapshot` event on connect and a `diff` event after every poll. ' +
+        'The same updates are available via WebSocket at /api/ws?lineId=<id>.',
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        404: { $ref: '#/components/responses/LineNotFound' }
+      }
+    }
+  }
+};
+
+/**
+ * Copy the line operations for the default line and for /lines/{lineId}
+ * @returns {Object} OpenAPI paths
+ */
+function buildLinePaths() {
+  const paths = {};
+  for (const [path, operations] of Object.entries(lineOperations)) {
+    paths[path] = {};
+    paths[`/lines/{lineId}${path}`] = {};
+    for (const [method, operation] of Object.entries(operations)) {
+      paths[path][method] = { ...operation, summary: `${operation.summary} (default line)` };
+      paths[`/lines/{lineId}${path}`][method] = {
+        ...operation,
+        operationId: operation.operationId.replace(/^([a-z]+)/, '$1Line'),
+        parameters: [param('lineId'), ...(operation.parameters || [])]
+      };
+    }
+  }
+  return paths;
+}
+
+const subscriptionProperties = {
+  name: nullable({ type: 'string' }),
+  lineId: { type: 'string', description: 'Line ID (defaults to the default line)' },
+  stopId: { type: 'string', description: 'Stop ID of the line' },
+  direction: nullable({ type: 'string', description: 'Direction ID or part of the headsign' }),
+  timeWindow: nullable({
+    type: 'object',
+    description: 'Daily time window (HH:MM, local time)',
+    properties: { from: { type: 'string', example: '06:30' }, to: { type: 'string', example: '08:00' } }
+  }),
+  weekdays: nullable({ ...arrayOf({ type: 'string', example: 'mon' }), description: 'Any of mon, tue, wed, thu, fri, sat, sun' }),
+  delayThresholdMinutes: { type: 'number', description: 'Notify from this delay on (default 5, >= 0)' },
+  notifyOnCancellation: { type: 'boolean' },
+  webhookUrl: { type: 'string', description: 'http(s) URL notified via POST' }
+};
+
+const paths = {
+  '/health': {
+    get: {
+      operationId: 'getHealth',
+      tags: ['Meta'],
+      summary: 'Get the state of the data source, cache and upstream requests',
+      responses: {
+        200: jsonResponse('Health', {
+          status: { type: 'string', example: 'OK' },
+          dataSource: { type: 'object' },
+          cache: { type: 'object' },
+          upstream: { type: 'object' }
+        })
+      }
+    }
+  },
+  '/lines': {
+    get: {
+      operationId: 'listLines',
+      tags: ['Lines'],
+      summary: 'Get all configured lines',
+      responses: {
+        200: jsonResponse('Lines', { defaultLine: { type: 'string' }, data: arrayOf(ref('Line')) })
+      }
+    }
+  },
+  '/search': {
+    get: {
+      operationId: 'searchStations',
+      tags: ['Lines'],
+      summary: 'Search for stations',
+      parameters: [
+        { name: 'q', in: 'query', required: true, description: 'Part of the station name', schema: { type: 'string', minLength: 2 } }
+      ],
+      responses: {
+        200: jsonResponse('Stations', {
+          query: { type: 'string' },
+          results: arrayOf({
+            type: 'object',
+            properties: { id: { type: 'string' }, name: { type: 'string' }, type: { type: 'string' }, location: nullable({ type: 'object' }) }
+          })
+        }),
+        400: { $ref: '#/components/responses/InvalidRequest' }
+      }
+    }
+  },
+  '/punctuality': {
+    get: {
+      operationId: 'getPunctualityPolicy',
+      tags: ['Lines'],
+      summary: 'Get the delay thresholds of each status',
+      responses: {
+        200: jsonResponse('Punctuality policy', { data: ref('PunctualityPolicy') })
+      }
+    }
+  },
+  '/compensation/rules': {
+    get: {
+      operationId: 'getCompensationRules',
+      tags: ['Compensation'],
+      summary: 'Get the rules deciding which delays and cancellations qualify for compensation',
+      responses: {
+        200: jsonResponse('Compensation rules', { data: ref('CompensationRules') })
+      }
+    }
+  },
+  '/subscriptions': {
+    get: {
+      operationId: 'listSubscriptions',
+      tags: ['Subscriptions'],
+      summary: 'Get all alert subscriptions',
+      responses: {
+        200: jsonResponse('Subscriptions', { count: { type: 'integer' }, data: arrayOf(ref('Subscription')) })
+      }
+    },
+    post: {
+      operationId: 'createSubscription',
+      tags: ['Subscriptions'],
+      summary: 'Subscribe a webhook to delays and cancellations at a stop',
+      requestBody: { required: true, content: { 'application/json': { schema: ref('SubscriptionInput') } } },
+      responses: {
+        201: jsonResponse('Created subscription', { data: ref('Subscription') }),
+        400: { $ref: '#/components/responses/InvalidRequest' }
+      }
+    }
+  },
+  '/subscriptions/{id}': {
+    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+    get: {
+      operationId: 'getSubscription',
+      tags: ['Subscriptions'],
+      summary: 'Get a subscription',
+      responses: {
+        200: jsonResponse('Subscription', { data: ref('Subscription') }),
+        404: errorResponse('Subscription not found')
+      }
+    },
+    put: {
+      operationId: 'updateSubscription',
+      tags: ['Subscriptions'],
+      summary: 'Update a subscription (only the given fields change)',
+      requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: subscriptionProperties } } } },
+      responses: {
+        200: jsonResponse('Updated subscription', { data: ref('Subscription') }),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        404: errorResponse('Subscription not found')
+      }
+    },
+    delete: {
+      operationId: 'deleteSubscription',
+      tags: ['Subscriptions'],
+      summary: 'Delete a subscription',
+      responses: {
+        204: { description: 'Deleted' },
+        404: errorResponse('Subscription not found')
+      }
+    }
+  },
+  '/admin/simulation': {
+    get: {
+      operationId: 'getSimulation',
+      tags: ['Admin'],
+      summary: 'Get the simulator settings and scenarios',
+      responses: {
+        200: jsonResponse('Simulation settings', { data: ref('Simulation') })
+      }
+    },
+    put: {
+      operationId: 'updateSimulation',
+      tags: ['Admin'],
+      summary: 'Change the simulator settings',
+      security: [{ adminToken: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean', description: 'Serve all data from the simulator' },
+                seed: { oneOf: [{ type: 'number' }, { type: 'string' }] },
+                scenario: nullable({ type: 'string', description: 'Scenario ID, null for a normal day' }),
+                time: nullable({ ...dateTime, description: 'Simulated time, null for real time' }),
+                speed: { type: 'number', description: 'Clock speed (>= 0)' },
+                advanceMinutes: { type: 'number', description: 'Move the clock forward' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: jsonResponse('Simulation settings', { data: ref('Simulation') }),
+        400: { $ref: '#/components/responses/InvalidRequest' },
+        401: { $ref: '#/components/responses/Unauthorized' },
+        403: { $ref: '#/components/responses/Forbidden' }
+      }
+    }
+  },
+  ...buildLinePaths()
+};
+
+const departureProperties = {
+  scheduledDeparture: nullable(dateTime),
+  delayMinutes: { type: 'number', description: 'Negative if the bus leaves early' },
+  status: { type: 'string', enum: STATUSES },
+  cancelled: { type: 'boolean' },
+  platform: nullable({ type: 'string' }),
+  direction: nullable({ type: 'string', description: 'Headsign' }),
+  directionId: nullable({ type: 'string' }),
+  lineName: { type: 'string' },
+  remarks: arrayOf(ref('Remark')),
+  remarkDetails: arrayOf(ref('RemarkDetail'))
+};
+
+const connectionSchema = {
+  type: 'object',
+  properties: {
+    lineName: { type: 'string' },
+    direction: { type: 'string' },
+    plannedDeparture: dateTime,
+    expectedDeparture: dateTime,
+    platform: nullable({ type: 'string' }),
+    cancelled: { type: 'boolean' },
+    plannedBufferMinutes: { type: 'number' },
+    bufferMinutes: { type: 'number' },
+    risk: ref('ConnectionRisk')
+  }
+};
+
+const groupStatsProperties = {
+  departures: { type: 'integer' },
+  averageDelayMinutes: { type: 'number' },
+  p50DelayMinutes: nullable({ type: 'number' }),
+  p90DelayMinutes: nullable({ type: 'number' }),
+  p95DelayMinutes: nullable({ type: 'number' }),
+  maxDelayMinutes: { type: 'number' },
+  onTimeRate: { type: 'integer', description: 'Percent' },
+  earlyRate: { type: 'integer', description: 'Percent' },
+  earlyDepartures: { type: 'integer' },
+  cancellationRate: { type: 'integer', description: 'Percent' },
+  cancelledServices: { type: 'integer' }
+};
+
+const groupStats = { type: 'object', properties: { key: {}, label: { type: 'string' }, ...groupStatsProperties } };
+
+const components = {
+  parameters: {
+    lineId: { name: 'lineId', in: 'path', required: true, description: 'Line ID (see /lines)', schema: { type: 'string' } },
+    direction: { name: 'direction', in: 'query', description: 'Direction ID or name of the line', schema: { type: 'string' } }
+  },
+  responses: {
+    InvalidRequest: errorResponse('Invalid parameters or body; `details` lists the problems'),
+    LineNotFound: errorResponse('Line not found'),
+    Unauthorized: errorResponse('No admin token was sent'),
+    Forbidden: errorResponse('The admin token is wrong or admin routes are disabled (ADMIN_TOKEN is not set)')
+  },
+  securitySchemes: {
+    adminToken: { type: 'http', scheme: 'bearer', description: 'Value of ADMIN_TOKEN' }
+  },
+  schemas: {
+    Meta: {
+      type: 'object',
+      required: ['apiVersion', 'requestId', 'timestamp'],
+      properties: metaProperties
+    },
+    ApiError: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', enum: ERROR_CODES },
+        message: { type: 'string' },
+        details: arrayOf({ type: 'string' }),
+        meta: { type: 'object', description: 'Further information, e.g. the valid choices' }
+      }
+    },
+    ErrorEnvelope: {
+      type: 'object',
+      required: ['data', 'meta', 'errors'],
+      properties: {
+        data: { nullable: true, enum: [null] },
+        meta: ref('Meta'),
+        errors: { type: 'array', items: ref('ApiError'), minItems: 1 }
+      }
+    },
+    Line: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        totalStops: { type: 'integer' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        directions: arrayOf({
+          type: 'object',
+          properties: { id: { type: 'string' }, name: { type: 'string' }, towards: { type: 'string', description: 'Stop ID' } }
+        })
+      }
+    },
+    Stop: {
+      type: 'object',
+      properties: { id: { type: 'string' }, name: { type: 'string' }, order: { type: 'integer' }, transferHub: { type: 'boolean' } }
+    },
+    Remark: {
+      type: 'string',
+      description: 'Text of a remark (remarkDetails has its type and validity)'
+    },
+    RemarkDetail: {
+      type: 'object',
+      properties: {
+        id: nullable({ type: 'string', description: 'ID of the disruption message' }),
+        type: { type: 'string', enum: REMARK_TYPES },
+        code: nullable({ type: 'string' }),
+        summary: nullable({ type: 'string' }),
+        text: { type: 'string' },
+        validFrom: nullable(dateTime),
+        validUntil: nullable(dateTime)
+      }
+    },
+    Alert: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Stable while the alert lasts (e.g. to remember dismissed alerts)' },
+        type: { type: 'string', enum: REMARK_TYPES },
+        code: nullable({ type: 'string' }),
+        summary: nullable({ type: 'string' }),
+        text: { type: 'string' },
+        lineId: { type: 'string' },
+        trip: nullable({
+          type: 'object',
+          description: 'The cancelled trip (cancellations only)',
+          properties: { tripId: nullable({ type: 'string' }), lineName: { type: 'string' }, plannedDeparture: dateTime, direction: nullable({ type: 'string' }) }
+        }),
+        validFrom: nullable(dateTime),
+        validUntil: nullable(dateTime),
+        validity: { type: 'string', enum: ['source', 'departures'], description: 'Whether the period comes from the data source or the affected departures' },
+        stops: arrayOf({ type: 'object', properties: { stopId: { type: 'string' }, stopName: { type: 'string' } } }),
+        directions: arrayOf({ type: 'string' }),
+        affectedDepartures: { type: 'integer' }
+      }
+    },
+    Departure: {
+      type: 'object',
+      properties: { tripId: { type: 'string' }, expectedDeparture: nullable(dateTime), ...departureProperties }
+    },
+    StopDelay: {
+      type: 'object',
+      description: 'The next departure of a stop and the ones following it',
+      properties: {
+        lineId: { type: 'string' },
+        stopId: { type: 'string' },
+        stopName: { type: 'string' },
+        stopOrder: { type: 'integer' },
+        hafasId: { type: 'string' },
+        hafasName: { type: 'string' },
+        location: nullable({ type: 'object' }),
+        expectedArrival: nullable(dateTime),
+        ...departureProperties,
+        upcomingDepartures: arrayOf(ref('Departure')),
+        directions: arrayOf({ type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, ...departureProperties } }),
+        lastUpdated: dateTime,
+        error: { type: 'string', description: 'Set if the stop could not be loaded' },
+        timeout: { type: 'boolean' },
+        stale: { type: 'boolean', description: 'Older data served after a timeout' }
+      }
+    },
+    Summary: {
+      type: 'object',
+      properties: {
+        totalStops: { type: 'integer' },
+        stopsWithData: { type: 'integer' },
+        averageDelayMinutes: { type: 'number' },
+        maxDelayMinutes: { type: 'number' },
+        maxEarlyMinutes: { type: 'number' },
+        onTimePercentage: { type: 'integer' },
+        stopsOnTime: { type: 'integer' },
+        stopsEarly: { type: 'integer' },
+        stopsDelayed: { type: 'integer' },
+        cancelledServices: { type: 'integer' },
+        stopsTimedOut: { type: 'integer' }
+      }
+    },
+    Trip: {
+      type: 'object',
+      properties: {
+        tripId: { type: 'string' },
+        lineId: { type: 'string' },
+        lineName: { type: 'string' },
+        direction: { type: 'string' },
+        directionId: nullable({ type: 'string' }),
+        scheduledDeparture: dateTime,
+        scheduledArrival: dateTime,
+        currentDelayMinutes: { type: 'number' },
+        maxDelayMinutes: { type: 'number' },
+        status: { type: 'string', enum: [...STATUSES, 'cancelled'] },
+        cancelled: { type: 'boolean' },
+        nextStopId: nullable({ type: 'string' }),
+        source: { type: 'string' },
+        stops: arrayOf({
+          type: 'object',
+          properties: {
+            stopId: { type: 'string' },
+            stopName: { type: 'string' },
+            stopOrder: { type: 'integer' },
+            scheduledDeparture: nullable(dateTime),
+            expectedDeparture: nullable(dateTime),
+            delayMinutes: { type: 'number' },
+            status: { type: 'string', enum: STATUSES },
+            cancelled: { type: 'boolean' },
+            platform: nullable({ type: 'string' })
+          }
+        })
+      }
+    },
+    ConnectionRisk: { type: 'string', enum: ['ok', 'at-risk', 'broken'] },
+    Journey: {
+      type: 'object',
+      properties: {
+        plannedDeparture: dateTime,
+        expectedDeparture: nullable(dateTime),
+        departureDelayMinutes: { type: 'number' },
+        departurePlatform: nullable({ type: 'string' }),
+        plannedArrival: dateTime,
+        expectedArrival: nullable(dateTime),
+        arrivalDelayMinutes: { type: 'number' },
+        arrivalPlatform: nullable({ type: 'string' }),
+        plannedTravelMinutes: { type: 'number' },
+        expectedTravelMinutes: { type: 'number' },
+        cancelled: { type: 'boolean' },
+        legs: arrayOf({ type: 'object' }),
+        transfers: arrayOf({ type: 'object' }),
+        connections: arrayOf(connectionSchema),
+        connectionRisk: nullable(ref('ConnectionRisk'))
+      }
+    },
+    TransferHub: {
+      type: 'object',
+      properties: {
+        stopId: { type: 'string' },
+        stopName: { type: 'string' },
+        minTransferMinutes: { type: 'number' },
+        arrivals: arrayOf({
+          type: 'object',
+          properties: {
+            tripId: { type: 'string' },
+            lineName: { type: 'string' },
+            direction: { type: 'string' },
+            plannedArrival: dateTime,
+            expectedArrival: nullable(dateTime),
+            delayMinutes: { type: 'number' },
+            cancelled: { type: 'boolean' },
+            connectionRisk: nullable(ref('ConnectionRisk')),
+            connections: arrayOf(connectionSchema)
+          }
+        })
+      }
+    },
+    HistoryRecord: {
+      type: 'object',
+      properties: {
+        lineId: { type: 'string' },
+        stopId: { type: 'string' },
+        stopName: { type: 'string' },
+        lineName: { type: 'string' },
+        tripId: nullable({ type: 'string', description: 'Trip ID of the data source (missing in records written before it was stored)' }),
+        direction: nullable({ type: 'string' }),
+        directionId: nullable({ type: 'string' }),
+        plannedDeparture: dateTime,
+        actualDeparture: nullable(dateTime),
+        delayMinutes: { type: 'number' },
+        status: nullable({ type: 'string', enum: STATUSES }),
+        cancelled: { type: 'boolean' },
+        platform: nullable({ type: 'string' }),
+        remarks: arrayOf(ref('Remark')),
+        isSimulated: { type: 'boolean' },
+        observedAt: dateTime
+      }
+    },
+    Stats: {
+      type: 'object',
+      properties: {
+        overall: { type: 'object', properties: groupStatsProperties },
+        byHour: arrayOf(groupStats),
+        byWeekday: arrayOf(groupStats),
+        byStop: arrayOf(groupStats),
+        byDirection: arrayOf(groupStats),
+        mostDelayedTrips: arrayOf({
+          type: 'object',
+          properties: {
+            stopId: { type: 'string' },
+            stopName: { type: 'string' },
+            direction: nullable({ type: 'string' }),
+            plannedTime: { type: 'string', example: '07:15' },
+            ...groupStatsProperties
+          }
+        })
+      }
+    },
+    PunctualityPolicy: {
+      type: 'object',
+      properties: {
+        earlyToleranceMinutes: { type: 'integer' },
+        onTimeMaxMinutes: { type: 'integer' },
+        slightDelayMaxMinutes: { type: 'integer' },
+        delayedMaxMinutes: { type: 'integer' },
+        statuses: arrayOf({
+          type: 'object',
+          properties: {
+            id: { type: 'string', enum: STATUSES },
+            label: { type: 'string' },
+            minMinutes: nullable({ type: 'integer' }),
+            maxMinutes: nullable({ type: 'integer' })
+          }
+        })
+      }
+    },
+    CompensationRule: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        label: { type: 'string' },
+        minDelayMinutes: nullable({ type: 'integer', description: 'Applies from this delay on (null for the cancellation rule)' }),
+        cancelled: { type: 'boolean', description: 'Applies to cancelled trips' },
+        compensation: nullable({ type: 'string' })
+      }
+    },
+    CompensationRules: {
+      type: 'object',
+      properties: {
+        rules: arrayOf(ref('CompensationRule')),
+        recipient: { ...arrayOf({ type: 'string' }), description: 'Address lines printed on the claim' }
+      }
+    },
+    ClaimStop: {
+      type: 'object',
+      properties: {
+        stopId: { type: 'string' },
+        stopName: { type: 'string' },
+        plannedDeparture: dateTime,
+        actualDeparture: nullable(dateTime),
+        delayMinutes: { type: 'number' },
+        status: nullable({ type: 'string', enum: STATUSES }),
+        cancelled: { type: 'boolean' },
+        platform: nullable({ type: 'string' }),
+        remarks: arrayOf(ref('Remark')),
+        observedAt: dateTime
+      }
+    },
+    CompensationTrip: {
+      type: 'object',
+      properties: {
+        tripId: { type: 'string', description: 'Trip ID to request the claim with' },
+        date: { type: 'string', example: '2026-03-10', description: 'Local date of the trip' },
+        lineId: { type: 'string' },
+        lineName: { type: 'string' },
+        direction: nullable({ type: 'string' }),
+        directionId: nullable({ type: 'string' }),
+        plannedDeparture: dateTime,
+        isSimulated: { type: 'boolean' },
+        delayMinutes: { type: 'number', description: 'Delay the rule was applied to' },
+        delayStopId: nullable({ type: 'string', description: 'Stop the delay was recorded at' }),
+        cancelled: { type: 'boolean' },
+        rule: nullable(ref('CompensationRule')),
+        stops: arrayOf(ref('ClaimStop'))
+      }
+    },
+    CompensationClaim: {
+      type: 'object',
+      properties: {
+        trip: { type: 'object', description: 'The trip as in CompensationTrip, assessed between from and to, without stops' },
+        qualifies: { type: 'boolean' },
+        from: ref('ClaimStop'),
+        to: ref('ClaimStop'),
+        measuredAtDestination: { type: 'boolean' },
+        stops: arrayOf(ref('ClaimStop')),
+        remarks: arrayOf({ type: 'string' }),
+        observedAt: dateTime,
+        recipient: arrayOf({ type: 'string' }),
+        createdAt: dateTime
+      }
+    },
+    SubscriptionInput: {
+      type: 'object',
+      required: ['stopId', 'webhookUrl'],
+      properties: subscriptionProperties
+    },
+    Subscription: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        ...subscriptionProperties,
+        createdAt: dateTime,
+        updatedAt: dateTime,
+        lastNotification: nullable({ type: 'object' }),
+        notifications: arrayOf({ type: 'object', description: 'Notifications of departures planned within the last day' })
+      }
+    },
+    Simulation: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        seed: { oneOf: [{ type: 'number' }, { type: 'string' }] },
+        scenario: nullable(ref('Scenario')),
+        clock: {
+          type: 'object',
+          properties: { now: dateTime, simulated: { type: 'boolean' }, speed: { type: 'number' } }
+        },
+        scenarios: arrayOf(ref('Scenario'))
+      }
+    },
+    Scenario: {
+      type: 'object',
+      properties: { id: { type: 'string' }, name: { type: 'string' }, description: { type: 'string' }, start: nullable(dateTime) }
+    }
+  }
+};
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'R7Verspätung API',
+    description: 'Delays of the R7 bus line between Zweibrücken and Homburg (Saarland) and other configured lines.\n\n' +
+      'Every response is an envelope `{ data, meta, errors }`; errors carry a machine-readable `code`. ' +
+      'Invalid requests are answered with status 400 and code `INVALID_REQUEST` (or a more specific one), ' +
+      'listing all problems in `details`.\n\n' +
+      'The routes below /api without a version are deprecated aliases answering in the original format ' +
+      '(`{ success, data, ... }`).',
+    version: VERSION
+  },
+  servers: [{ url: `/api/${API_VERSION}` }],
+  tags: [
+    { name: 'Delays' },
+    { name: 'Trips' },
+    { name: 'Journeys' },
+    { name: 'History' },
+    { name: 'Export' },
+    { name: 'Compensation' },
+    { name: 'Lines' },
+    { name: 'Subscriptions' },
+    { name: 'Admin' },
+    { name: 'Meta' }
+  ],
+  paths,
+  components
+};
+
+/**
+ * Get the OpenAPI document of the API
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function getOpenApiDocument() {
+  return openApiDocument;
+}
+
+export {
+  getOpenApiDocument
+};
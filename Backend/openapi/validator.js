@@ -0,0 +1,209 @@
+/**
+ * Request Validator - Checks incoming requests against the OpenAPI document
+ *
+ * Path and query parameters are converted from strings to the documented
+ * type and checked against their schema; JSON bodies are checked against the
+ * request body schema. Covers the part of JSON Schema the document uses:
+ * type, nullable, enum, minimum/maximum, minLength, pattern, format date-time,
+ * required, properties, items, oneOf and $ref. All problems of a request are
+ * reported at once as a 400 response with `details`.
+ */
+
+import { getOpenApiDocument } from './document.js';
+
+/**
+ * Send a 400 response for an invalid request
+ * @param {Object} res - Express response
+ * @param {Array<string>} details - What is wrong with the request
+ * @param {Object} [extra] - Additional fields for the body (a more specific `code`, the valid choices)
+ */
+function sendInvalidRequest(res, details, extra = {}) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid request',
+    code: 'INVALID_REQUEST',
+    details,
+    ...extra
+  });
+}
+
+/**
+ * Resolve a local $ref (e.g. #/components/schemas/Trip)
+ * @param {Object} object - Schema, parameter or response, possibly a reference
+ * @returns {Object} Referenced object
+ */
+function resolveRef(object) {
+  if (!object || !object.$ref) return object;
+  const target = object.$ref.replace(/^#\//, '').split('/')
+    .reduce((node, key) => (node ? node[key] : undefined), getOpenApiDocument());
+  if (!target) throw new Error(`Unresolvable reference ${object.$ref}`);
+  return resolveRef(target);
+}
+
+/**
+ * Describe a type for error messages
+ */
+function describeType(type) {
+  return { integer: 'an integer', number: 'a number', boolean: 'true or false', string: 'a string', array: 'a list', object: 'an object' }[type] || type;
+}
+
+/**
+ * Check if a value matches a JSON Schema type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (may be a $ref)
+ * @param {string} name - Name of the value in error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateValue(value, schema, name) {
+  schema = resolveRef(schema);
+  if (!schema) return [];
+
+  if (value === null) {
+    return schema.nullable ? [] : [`${name} must not be null`];
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateValue(value, option, name).length === 0);
+    return matches.length > 0 ? [] : [`${name} must be ${schema.oneOf.map(option => describeType(resolveRef(option).type)).join(' or ')}`];
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${name} must be ${describeType(schema.type)}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${name} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${name} must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${name} must be at most ${schema.maximum}`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${name} must be at least ${schema.minLength} characters long`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(schema.example ? `${name} must look like ${schema.example}` : `${name} must match ${schema.pattern}`);
+  }
+  if (schema.format === 'date-time' && isNaN(new Date(value).getTime())) {
+    errors.push(`${name} must be a valid ISO date`);
+  }
+
+  if (schema.type === 'object') {
+    for (const property of schema.required || []) {
+      if (value[property] === undefined) errors.push(`"${property}" is required`);
+    }
+    for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[property] !== undefined) {
+        errors.push(...validateValue(value[property], propertySchema, `"${property}"`));
+      }
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateValue(item, schema.items, `${name}[${index}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a path or query string to the type of its schema
+ * @param {string} value - Raw parameter value
+ * @param {Object} schema - Parameter schema
+ * @returns {*} Converted value (the string itself if it cannot be converted)
+ */
+function coerceParameter(value, schema) {
+  schema = resolveRef(schema) || {};
+  if (typeof value !== 'string' || value.trim() === '') return value;
+
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Find the operation of an Express route in the OpenAPI document
+ * @param {string} routePath - Express route path below /api (e.g. /lines/:lineId/delays)
+ * @param {string} method - HTTP method
+ * @returns {Object|null} { pathItem, operation } or null if not documented
+ */
+function findOperation(routePath, method) {
+  const pathItem = getOpenApiDocument().paths[routePath.replace(/:(\w+)/g, '{$1}')];
+  const operation = pathItem && pathItem[method.toLowerCase()];
+  return operation ? { pathItem, operation } : null;
+}
+
+/**
+ * Validate a request against its documented operation
+ * @param {Object} req - Express request (of a route below /api)
+ * @returns {Array<string>} Validation errors (empty if valid or not documented)
+ */
+function getRequestErrors(req) {
+  const found = findOperation(req.route.path, req.method);
+  if (!found) return [];
+
+  const { pathItem, operation } = found;
+  const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(resolveRef);
+  const errors = [];
+
+  for (const parameter of parameters) {
+    const source = parameter.in === 'path' ? req.params : parameter.in === 'query' ? req.query : null;
+    if (!source) continue;
+
+    const raw = source[parameter.name];
+    if (raw === undefined || raw === '') {
+      if (parameter.required) errors.push(`Parameter "${parameter.name}" is required`);
+      continue;
+    }
+    if (Array.isArray(raw)) {
+      errors.push(`Parameter "${parameter.name}" must be given only once`);
+      continue;
+    }
+    errors.push(...validateValue(coerceParameter(raw, parameter.schema), parameter.schema, `Parameter "${parameter.name}"`));
+  }
+
+  const bodySchema = resolveRef(operation.requestBody)?.content?.['application/json']?.schema;
+  if (bodySchema) {
+    errors.push(...validateValue(req.body || {}, bodySchema, 'The request body'));
+  }
+
+  return errors;
+}
+
+/**
+ * Middleware: reject requests that do not match the OpenAPI document
+ */
+function validateRequest(req, res, next) {
+  const errors = getRequestErrors(req);
+  if (errors.length > 0) return sendInvalidRequest(res, errors);
+  next();
+}
+
+export {
+  validateRequest,
+  getRequestErrors,
+  validateValue,
+  findOperation,
+  sendInvalidRequest
+};
@@ -1,23 +1,114 @@
 import express from 'express';
 import * as delayController from '../controllers/delayController.js';
+import * as historyController from '../controllers/historyController.js';
+import * as lineController from '../controllers/lineController.js';
+import * as streamController from '../controllers/streamController.js';
+import * as subscriptionController from '../controllers/subscriptionController.js';
+import * as tripController from '../controllers/tripController.js';
+import * as journeyController from '../controllers/journeyController.js';
+import * as transferController from '../controllers/transferController.js';
+import * as alertController from '../controllers/alertController.js';
+import * as adminController from '../controllers/adminController.js';
+import * as punctualityController from '../controllers/punctualityController.js';
+import * as compensationController from '../controllers/compensationController.js';
+import * as exportController from '../controllers/exportController.js';
+import * as docsController from '../controllers/docsController.js';
+import * as healthController from '../controllers/healthController.js';
+import { validateRequest } from '../openapi/validator.js';
+import { requireAdminToken } from '../middleware/adminAuth.js';
 
 const router = express.Router();
 
-// R7 Bus Delay Routes
+// Bus Delay Routes
+// Mounted at /api/v1 (response envelope) and, deprecated, at /api (see app.js).
+// Every line route is available as /lines/:lineId/... and, for the
+// default line (R7), without the prefix
+// Routes are described in openapi/document.js; validateRequest rejects
+// requests whose parameters or body do not match that description.
 
-// Get all delays for all stops
-router.get('/delays', delayController.getAllDelays);
+const { resolveLine, resolveDirection } = lineController;
 
-// Get all R7 stops
-router.get('/stops', delayController.getStops);
+// OpenAPI document and interactive documentation
+router.get('/openapi.json', docsController.getOpenApi);
+router.get('/docs', docsController.getDocs);
+
+// State of the data source, cache and upstream requests
+router.get('/health', validateRequest, healthController.getHealth);
+
+// Get all configured lines
+router.get('/lines', validateRequest, lineController.listLines);
 
 // Search for stations
-router.get('/search', delayController.searchStations);
+router.get('/search', validateRequest, delayController.searchStations);
+
+// Thresholds used to classify delays (on time, slight delay, ...)
+router.get('/punctuality', validateRequest, punctualityController.getPolicy);
+
+// Rules deciding which delays and cancellations qualify for compensation
+router.get('/compensation/rules', validateRequest, compensationController.getRules);
+
+// Delay and cancellation alert subscriptions (notified via webhook)
+router.get('/subscriptions', validateRequest, subscriptionController.listSubscriptions);
+router.post('/subscriptions', validateRequest, subscriptionController.createSubscription);
+router.get('/subscriptions/:id', validateRequest, subscriptionController.getSubscription);
+router.put('/subscriptions/:id', validateRequest, subscriptionController.updateSubscription);
+router.delete('/subscriptions/:id', validateRequest, subscriptionController.deleteSubscription);
+
+// Simulator settings: switch on/off, seed, scenario and clock (changes need the admin token)
+router.get('/admin/simulation', validateRequest, adminController.getSimulation);
+router.put('/admin/simulation', requireAdminToken, validateRequest, adminController.updateSimulation);
+
+for (const prefix of ['', '/lines/:lineId']) {
+  // Get all delays for all stops (?direction= restricts each stop to one direction)
+  router.get(`${prefix}/delays`, validateRequest, resolveLine, resolveDirection, delayController.getAllDelays);
+
+  // Get all stops of the line
+  router.get(`${prefix}/stops`, validateRequest, resolveLine, delayController.getStops);
+
+  // Get delay for a specific stop
+  router.get(`${prefix}/delays/:stopId`, validateRequest, resolveLine, resolveDirection, delayController.getDelayByStop);
+
+  // Get route summary with statistics
+  router.get(`${prefix}/summary`, validateRequest, resolveLine, resolveDirection, delayController.getRouteSummary);
+
+  // Get service alerts (construction works, detours, cancellations) from the departure remarks
+  router.get(`${prefix}/alerts`, validateRequest, resolveLine, resolveDirection, alertController.getAlerts);
+
+  // Get the buses running on the line, each followed stop by stop
+  router.get(`${prefix}/trips`, validateRequest, resolveLine, resolveDirection, tripController.getTrips);
+
+  // Get a single trip (tripId must be URL-encoded)
+  router.get(`${prefix}/trips/:tripId`, validateRequest, resolveLine, tripController.getTrip);
+
+  // Plan journeys between two stops (?from=&to=&at=)
+  router.get(`${prefix}/journey`, validateRequest, resolveLine, journeyController.planJourney);
+
+  // Get the connections to trains at the transfer hubs (?stopId=&minTransfer=)
+  router.get(`${prefix}/transfers`, validateRequest, resolveLine, transferController.getTransfers);
+
+  // Get recorded departures (filter by stopId, direction, from, to)
+  router.get(`${prefix}/history`, validateRequest, resolveLine, historyController.getHistory);
+
+  // Get punctuality statistics from recorded departures
+  router.get(`${prefix}/stats`, validateRequest, resolveLine, historyController.getStats);
+
+  // Download current departures as CSV or JSON Lines (?format=&stopId=&direction=)
+  router.get(`${prefix}/export/delays`, validateRequest, resolveLine, resolveDirection, exportController.exportDelays);
+
+  // Download recorded departures as CSV or JSON Lines (same filters as /history)
+  router.get(`${prefix}/export/history`, validateRequest, resolveLine, exportController.exportHistory);
+
+  // Subscribe to the upcoming departures of a stop as an iCalendar feed
+  router.get(`${prefix}/stops/:stopId/calendar.ics`, validateRequest, resolveLine, resolveDirection, exportController.getStopCalendar);
+
+  // Recorded trips that qualify for compensation (same filters as /history)
+  router.get(`${prefix}/compensation/trips`, validateRequest, resolveLine, compensationController.listTrips);
 
-// Get delay for a specific stop
-router.get('/delays/:stopId', delayController.getDelayByStop);
+  // Claim summary of a recorded trip (?date=&from=&to=&format=html|json)
+  router.get(`${prefix}/compensation/trips/:tripId/claim`, validateRequest, resolveLine, compensationController.getClaim);
 
-// Get route summary with statistics
-router.get('/summary', delayController.getRouteSummary);
+  // Push delay updates via Server-Sent Events
+  router.get(`${prefix}/stream`, validateRequest, resolveLine, streamController.streamDelays);
+}
 
 export default router;
@@ -1,48 +1,34 @@
 import 'dotenv/config';
-import express from 'express';
-import cors from 'cors';
-import apiRoutes from './routes/api.js';
+import app from './app.js';
+import { poller, startPoller } from './services/poller.js';
+import { attachWebSocketServer } from './services/websocket.js';
+import { startAlerts } from './services/alerts.js';
+import { startMetrics } from './services/metrics.js';
+import * as history from './models/history.js';
+import { logger } from './models/logger.js';
 
-const app = express();
 const PORT = process.env.PORT || 3000;
+const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL, 10) || 60000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// API Routes
-app.use('/api', apiRoutes);
-
-// Routes
-app.get('/', (req, res) => {
-  res.json({ 
-    message: 'R7Verspätung Backend API',
-    description: 'API for R7 bus line delays between Zweibrücken and Homburg (Saarland)',
-    version: '1.0.0',
-    dataSource: 'saarfahrplan HAFAS API (real-time data)',
-    endpoints: {
-      health: '/api/health',
-      delays: '/api/delays',
-      stops: '/api/stops',
-      delayByStop: '/api/delays/:stopId',
-      summary: '/api/summary',
-      search: '/api/search?q=<query>'
-    }
+// Record every polled snapshot in the delay history
+history.loadHistory();
+poller.on('update', ({ delays, isRealData }) => {
+  history.recordDelays(delays, isRealData).catch(error => {
+    logger.error('Error recording delay history', { error: error.message });
   });
 });
 
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
-});
+// Notify alert subscriptions about delays and cancellations
+startAlerts();
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
-});
+// Keep the per-stop delay gauges of /metrics up to date
+startMetrics();
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
+const server = app.listen(PORT, () => {
+  logger.info('Server is running', { port: Number(PORT) });
+  startPoller(POLL_INTERVAL);
 });
+
+// Push delay updates over WebSocket as an alternative to /api/stream
+attachWebSocketServer(server);
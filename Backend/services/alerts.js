@@ -0,0 +1,297 @@
+/**
+ * Alert Service - Evaluates subscriptions against each poll and notifies webhooks
+ *
+ * Every departure that matches a subscription (stop, direction, time window,
+ * weekday) and is cancelled or at least delayThresholdMinutes late triggers one
+ * webhook POST. Notifications are deduplicated per subscription, departure and
+ * event, so a delay that stays on the board is only reported once, while a later
+ * cancellation of the same departure is reported again. The notifications are
+ * logged on the subscription, so the deduplication survives a restart.
+ * Simulated data (e.g. after falling back to the simulator) never raises alerts.
+ */
+
+import { poller } from './poller.js';
+import { getSubscriptions, recordNotification, WEEKDAYS, NOTIFICATION_RETENTION_MS } from '../models/subscriptions.js';
+import { getLocalTime } from '../models/stats.js';
+import { sleep } from '../models/scheduler.js';
+import { listStopDepartures } from '../models/delay.js';
+import { logger } from '../models/logger.js';
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+// 0 is a valid setting (no retries), so only a missing or unparsable value falls back to the default
+const webhookRetries = parseInt(process.env.WEBHOOK_RETRIES, 10);
+const WEBHOOK_RETRIES = Number.isNaN(webhookRetries) ? 3 : Math.max(0, webhookRetries);
+const WEBHOOK_BACKOFF_MS = parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 1000;
+
+// Notification key -> planned departure time (ms)
+const notified = new Map();
+
+/**
+ * Convert a HH:MM string to minutes since midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a planned departure falls into the subscription's weekdays and time window
+ * @param {Object} subscription - Subscription
+ * @param {string} plannedDeparture - ISO timestamp
+ * @returns {boolean}
+ */
+function isInSchedule(subscription, plannedDeparture) {
+  const { hour, minute, weekday } = getLocalTime(plannedDeparture);
+
+  if (subscription.weekdays && !subscription.weekdays.includes(WEEKDAYS[weekday])) return false;
+  if (!subscription.timeWindow) return true;
+
+  const time = hour * 60 + minute;
+  const from = toMinutes(subscription.timeWindow.from);
+  const to = toMinutes(subscription.timeWindow.to);
+
+  // Windows like 22:00-01:00 wrap around midnight
+  return from <= to ? time >= from && time <= to : time >= from || time <= to;
+}
+
+/**
+ * Find the alerts a subscription raises for a delay snapshot
+ * @param {Object} subscription - Subscription
+ * @param {Array} delays - Delay objects for all stops of the subscription's line
+ * @returns {Array} Alerts { event, stop, departure }
+ */
+function evaluateSubscription(subscription, delays) {
+  const stop = delays.find(d => d.stopId === subscription.stopId);
+  if (!stop || stop.error || stop.stale || stop.timeout || stop.isSimulated) return [];
+
+  const directionQuery = subscription.direction ? subscription.direction.toLowerCase() : null;
+
+  const alerts = [];
+  for (const departure of listStopDepartures(stop)) {
+    if (!departure.scheduledDeparture) continue;
+    if (directionQuery && departure.directionId !== directionQuery &&
+      !(departure.direction || '').toLowerCase().includes(directionQuery)) continue;
+    if (!isInSchedule(subscription, departure.scheduledDeparture)) continue;
+
+    if (departure.cancelled) {
+      if (subscription.notifyOnCancellation) alerts.push({ event: 'cancellation', stop, departure });
+    } else if (departure.delayMinutes > 0 && departure.delayMinutes >= subscription.delayThresholdMinutes) {
+      alerts.push({ event: 'delay', stop, departure });
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Build a key identifying one notification
+ * @param {Object} subscription - Subscription
+ * @param {Object} alert - Alert from evaluateSubscription
+ * @returns {string} Notification key
+ */
+function getNotificationKey(subscription, alert) {
+  const { departure } = alert;
+  return [subscription.id, departure.tripId || '', departure.scheduledDeparture, alert.event].join('|');
+}
+
+/**
+ * Build a human readable alert message (German, like the dashboard)
+ * @param {Object} alert - Alert from evaluateSubscription
+ * @returns {string} Message
+ */
+function formatMessage(alert) {
+  const { stop, departure } = alert;
+  const time = new Date(departure.scheduledDeparture).toLocaleTimeString('de-DE', {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'Europe/Berlin'
+  });
+  const service = `${departure.lineName || stop.lineId} ${time} ab ${stop.stopName}` +
+    (departure.direction ? ` Richtung ${departure.direction}` : '');
+
+  return alert.event === 'cancellation'
+    ? `${service} fällt aus`
+    : `${service} hat ${departure.delayMinutes} Min. Verspätung`;
+}
+
+/**
+ * Build the webhook payload for an alert
+ * @param {Object} subscription - Subscription
+ * @param {Object} alert - Alert from evaluateSubscription
+ * @param {string} deliveryId - Notification key
+ * @returns {Object} Payload
+ */
+function buildPayload(subscription, alert, deliveryId) {
+  const { stop, departure } = alert;
+  return {
+    event: alert.event,
+    deliveryId,
+    message: formatMessage(alert),
+    subscription: {
+      id: subscription.id,
+      name: subscription.name
+    },
+    lineId: stop.lineId,
+    stop: {
+      id: stop.stopId,
+      name: stop.stopName
+    },
+    departure: {
+      tripId: departure.tripId || null,
+      lineName: departure.lineName || null,
+      direction: departure.direction || null,
+      scheduledDeparture: departure.scheduledDeparture,
+      expectedDeparture: departure.cancelled ? null : (departure.expectedDeparture || null),
+      delayMinutes: departure.delayMinutes || 0,
+      cancelled: departure.cancelled || false,
+      platform: departure.platform || null,
+      remarks: departure.remarks || []
+    },
+    isSimulated: stop.isSimulated || false,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * POST a payload to a webhook, retrying with exponential backoff
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @returns {Promise<Object>} { delivered, attempts, status, error }
+ */
+async function deliverWebhook(url, payload) {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= WEBHOOK_RETRIES + 1; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'r7-delay-tracker',
+          'X-Alert-Event': payload.event,
+          'X-Alert-Delivery': payload.deliveryId
+        },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+
+      if (response.ok) return { delivered: true, attempts: attempt, status: response.status, error: null };
+
+      lastError = new Error(`Webhook responded with HTTP ${response.status}`);
+      // Client errors will not go away by retrying (except rate limiting)
+      if (response.status < 500 && response.status !== 429) {
+        return { delivered: false, attempts: attempt, status: response.status, error: lastError.message };
+      }
+    } catch (error) {
+      lastError = error;
+    }
+
+    if (attempt <= WEBHOOK_RETRIES) {
+      await sleep(WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1));
+    }
+  }
+
+  return { delivered: false, attempts: WEBHOOK_RETRIES + 1, status: null, error: lastError.message };
+}
+
+/**
+ * Notify a subscription's webhook about an alert
+ * @param {Object} subscription - Subscription
+ * @param {Object} alert - Alert from evaluateSubscription
+ * @param {string} key - Notification key
+ * @returns {Promise<Object>} Delivery result
+ */
+async function notify(subscription, alert, key) {
+  const payload = buildPayload(subscription, alert, key);
+  const result = await deliverWebhook(subscription.webhookUrl, payload);
+
+  if (result.delivered) {
+    logger.info('Alert sent', { subscriptionId: subscription.id, event: alert.event, message: payload.message });
+  } else {
+    logger.error('Alert delivery failed', { subscriptionId: subscription.id, event: alert.event, attempts: result.attempts, error: result.error });
+  }
+
+  await recordNotification(subscription.id, {
+    deliveryId: key,
+    scheduledDeparture: alert.departure.scheduledDeparture,
+    at: payload.timestamp,
+    event: alert.event,
+    message: payload.message,
+    delivered: result.delivered,
+    attempts: result.attempts,
+    error: result.error
+  });
+  return result;
+}
+
+/**
+ * Forget notifications of departures that are long gone
+ */
+function pruneNotified() {
+  const cutoff = Date.now() - NOTIFICATION_RETENTION_MS;
+  for (const [key, planned] of notified) {
+    if (planned < cutoff) notified.delete(key);
+  }
+}
+
+/**
+ * Restore the notifications sent before a restart from the logs of the subscriptions
+ */
+function restoreNotified() {
+  for (const subscription of getSubscriptions()) {
+    for (const entry of subscription.notifications || []) {
+      notified.set(entry.deliveryId, new Date(entry.scheduledDeparture).getTime());
+    }
+  }
+  pruneNotified();
+}
+
+/**
+ * Evaluate all subscriptions of a line against a delay snapshot
+ * @param {string} lineId - Line ID
+ * @param {Array} delays - Delay objects for all stops of the line
+ * @param {boolean} [isRealData] - Whether the snapshot came from the real API (no alerts otherwise)
+ * @returns {Promise<number>} Number of notifications triggered
+ */
+async function processUpdate(lineId, delays, isRealData = true) {
+  if (!isRealData) return 0;
+
+  pruneNotified();
+  const deliveries = [];
+
+  for (const subscription of getSubscriptions().filter(sub => sub.lineId === lineId)) {
+    for (const alert of evaluateSubscription(subscription, delays)) {
+      const key = getNotificationKey(subscription, alert);
+      if (notified.has(key)) continue;
+
+      // Mark before delivering so overlapping polls don't notify twice
+      notified.set(key, new Date(alert.departure.scheduledDeparture).getTime());
+      deliveries.push(notify(subscription, alert, key));
+    }
+  }
+
+  await Promise.all(deliveries);
+  return deliveries.length;
+}
+
+/**
+ * Evaluate subscriptions whenever the poller has fresh data
+ */
+function startAlerts() {
+  restoreNotified();
+  poller.on('update', ({ lineId, delays, isRealData }) => {
+    processUpdate(lineId, delays, isRealData).catch(error => {
+      logger.error('Failed to process alert subscriptions', { error: error.message });
+    });
+  });
+}
+
+export {
+  startAlerts,
+  processUpdate,
+  restoreNotified,
+  evaluateSubscription,
+  isInSchedule,
+  deliverWebhook
+};
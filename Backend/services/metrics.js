@@ -0,0 +1,181 @@
+/**
+ * Metrics Service - Application metrics for Prometheus, served on /metrics
+ *
+ * Besides the upstream request counter and latency histogram (models/delay.js)
+ * this exposes:
+ *   - retries, timeouts and load of the upstream scheduler
+ *   - cache requests (hit, miss, coalesced), errors and entries per namespace
+ *   - the data source mode (live, fallback or simulated) and circuit breaker state
+ *   - the delay of the next departure per line, stop and direction, from every poll
+ *   - HTTP requests by route and status (counted by middleware/requestLog.js)
+ *   - memory and CPU usage of the process
+ */
+
+import { poller } from './poller.js';
+import { createCounter, createGauge, createHistogram, registerCollector } from '../models/metrics.js';
+import { getCacheStats } from '../models/cache.js';
+import { getUpstreamStats, getDataSourceStatus } from '../models/delay.js';
+
+const DATA_SOURCE_MODES = ['live', 'fallback', 'simulated'];
+const BREAKER_STATES = ['closed', 'open', 'half-open'];
+
+const upstreamRetries = createCounter({
+  name: 'r7verspaetung_upstream_retries_total',
+  help: 'Upstream request attempts that failed and were retried'
+});
+const upstreamTimeouts = createCounter({
+  name: 'r7verspaetung_upstream_timeouts_total',
+  help: 'Upstream request attempts that timed out'
+});
+const upstreamActive = createGauge({
+  name: 'r7verspaetung_upstream_active_requests',
+  help: 'Upstream requests currently running'
+});
+const upstreamQueued = createGauge({
+  name: 'r7verspaetung_upstream_queued_requests',
+  help: 'Upstream requests waiting for a free slot or the rate limit'
+});
+
+const cacheRequests = createCounter({
+  name: 'r7verspaetung_cache_requests_total',
+  help: 'Cache lookups by namespace and result (hit, miss, coalesced with a request in flight)'
+});
+const cacheErrors = createCounter({
+  name: 'r7verspaetung_cache_errors_total',
+  help: 'Failed computations of cache values by namespace'
+});
+const cacheEntries = createGauge({
+  name: 'r7verspaetung_cache_entries',
+  help: 'Cached values by namespace'
+});
+
+const dataSourceMode = createGauge({
+  name: 'r7verspaetung_data_source_mode',
+  help: 'Where the data comes from: 1 for the current mode (live, fallback to the simulator, or simulated)'
+});
+const breakerState = createGauge({
+  name: 'r7verspaetung_circuit_breaker_state',
+  help: 'State of the data source circuit breaker: 1 for the current state'
+});
+
+const stopDelay = createGauge({
+  name: 'r7verspaetung_stop_delay_minutes',
+  help: 'Delay of the next departure at a stop in minutes (negative if early), by line, stop and direction'
+});
+const stopCancelled = createGauge({
+  name: 'r7verspaetung_stop_departure_cancelled',
+  help: 'Whether the next departure at a stop is cancelled (1) or not (0)'
+});
+const lastPoll = createGauge({
+  name: 'r7verspaetung_last_poll_timestamp_seconds',
+  help: 'Time of the last completed poll of a line (Unix time)'
+});
+
+const httpRequests = createCounter({
+  name: 'r7verspaetung_http_requests_total',
+  help: 'HTTP requests by method, route and status code'
+});
+const httpDuration = createHistogram({
+  name: 'r7verspaetung_http_request_duration_seconds',
+  help: 'Time to answer HTTP requests by method and route (streams count until they are closed)'
+});
+
+const processMemory = createGauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes'
+});
+const processHeap = createGauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap in use in bytes'
+});
+const processCpu = createCounter({
+  name: 'process_cpu_seconds_total',
+  help: 'User and system CPU time spent in seconds'
+});
+const processStart = createGauge({
+  name: 'process_start_time_seconds',
+  help: 'Start time of the process (Unix time)'
+});
+
+const startedAt = Date.now() / 1000 - process.uptime();
+
+// Values kept elsewhere are read on every scrape
+registerCollector(() => {
+  const upstream = getUpstreamStats();
+  upstreamRetries.set({}, upstream.retried);
+  upstreamTimeouts.set({}, upstream.timedOut);
+  upstreamActive.set({}, upstream.active);
+  upstreamQueued.set({}, upstream.queued);
+
+  for (const [namespace, stats] of Object.entries(getCacheStats())) {
+    cacheRequests.set({ namespace, result: 'hit' }, stats.hits);
+    cacheRequests.set({ namespace, result: 'miss' }, stats.misses);
+    cacheRequests.set({ namespace, result: 'coalesced' }, stats.coalesced);
+    cacheErrors.set({ namespace }, stats.errors);
+    cacheEntries.set({ namespace }, stats.entries);
+  }
+
+  const status = getDataSourceStatus();
+  dataSourceMode.remove(() => true);
+  for (const mode of DATA_SOURCE_MODES) {
+    dataSourceMode.set({ source: status.source, mode }, mode === status.mode ? 1 : 0);
+  }
+  for (const state of BREAKER_STATES) {
+    breakerState.set({ state }, state === status.state ? 1 : 0);
+  }
+
+  const { user, system } = process.cpuUsage();
+  const memory = process.memoryUsage();
+  processMemory.set({}, memory.rss);
+  processHeap.set({}, memory.heapUsed);
+  processCpu.set({}, (user + system) / 1e6);
+  processStart.set({}, Math.round(startedAt));
+});
+
+/**
+ * Update the per-stop gauges of a line from a delay snapshot
+ * Stops without a next departure in a direction (or with an error) are left
+ * out rather than reported as on time.
+ * @param {string} lineId - Line ID
+ * @param {Array} delays - Delay objects for all stops (as returned by fetchRealDelayData)
+ */
+function recordStopDelays(lineId, delays) {
+  const ofLine = labels => labels.line === lineId;
+  stopDelay.remove(ofLine);
+  stopCancelled.remove(ofLine);
+
+  for (const stop of delays) {
+    if (stop.error) continue;
+    for (const direction of stop.directions || []) {
+      if (!direction.scheduledDeparture) continue;
+
+      const labels = { line: lineId, stop_id: stop.stopId, stop: stop.stopName, direction: direction.id };
+      stopDelay.set(labels, direction.delayMinutes);
+      stopCancelled.set(labels, direction.cancelled ? 1 : 0);
+    }
+  }
+  lastPoll.set({ line: lineId }, Math.round(Date.now() / 1000));
+}
+
+/**
+ * Count an answered HTTP request
+ * @param {Object} labels - { method, route, status }
+ * @param {number} seconds - Time to answer
+ */
+function observeHttpRequest({ method, route, status }, seconds) {
+  httpRequests.inc({ method, route, status });
+  httpDuration.observe({ method, route }, seconds);
+}
+
+/**
+ * Update the per-stop gauges whenever the poller has fresh data
+ */
+function startMetrics() {
+  poller.on('update', ({ lineId, delays }) => recordStopDelays(lineId, delays));
+}
+
+export {
+  startMetrics,
+  recordStopDelays,
+  observeHttpRequest
+};
@@ -0,0 +1,77 @@
+/**
+ * Poller - Periodically fetches delay data of all configured lines in the background
+ *
+ * Consumers (e.g. the history store) subscribe to the 'update' event and
+ * receive every snapshot (one event per line) without triggering additional
+ * upstream requests.
+ */
+
+import { EventEmitter } from 'events';
+import * as delay from '../models/delay.js';
+import * as clock from '../models/clock.js';
+import { getLines } from '../config/lines.js';
+import { logger } from '../models/logger.js';
+
+// Default poll interval (60 seconds, same as the frontend refresh)
+const DEFAULT_INTERVAL = 60000;
+
+const poller = new EventEmitter();
+let pollTimer = null;
+let isPolling = false;
+
+/**
+ * Fetch the current delay snapshot of every line once and emit it to all subscribers
+ * @returns {Promise<void>}
+ */
+async function poll() {
+  // Skip this tick if the previous poll is still running
+  if (isPolling) return;
+  isPolling = true;
+
+  try {
+    for (const line of getLines()) {
+      try {
+        const isRealData = await delay.isUsingRealData();
+        const delays = await delay.fetchRealDelayData(line.id);
+        poller.emit('update', {
+          lineId: line.id,
+          delays,
+          isRealData,
+          polledAt: clock.now().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error polling delay data', { lineId: line.id, error: error.message });
+      }
+    }
+  } finally {
+    isPolling = false;
+  }
+}
+
+/**
+ * Start background polling
+ * @param {number} interval - Poll interval in milliseconds
+ */
+function startPoller(interval = DEFAULT_INTERVAL) {
+  stopPoller();
+  logger.info('Background poller started', { intervalSeconds: Math.round(interval / 1000) });
+  poll();
+  pollTimer = setInterval(poll, interval);
+}
+
+/**
+ * Stop background polling
+ */
+function stopPoller() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+export {
+  poller,
+  poll,
+  startPoller,
+  stopPoller
+};
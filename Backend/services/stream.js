@@ -0,0 +1,142 @@
+/**
+ * Stream - Turns poller snapshots into per-stop diffs for push clients
+ *
+ * Keeps the latest snapshot of every line and emits a 'diff' event with the
+ * stops that changed (delay, cancellation, platform, next departure, ...).
+ * The SSE endpoint and the WebSocket server both forward these events.
+ */
+
+import { EventEmitter } from 'events';
+import { poller } from './poller.js';
+import * as delay from '../models/delay.js';
+import * as clock from '../models/clock.js';
+import { logger } from '../models/logger.js';
+
+// Fields compared between snapshots, grouped by the change type reported to clients
+const CHANGE_FIELDS = {
+  delay: ['delayMinutes', 'status', 'expectedArrival'],
+  cancellation: ['cancelled'],
+  platform: ['platform'],
+  departure: ['scheduledDeparture', 'direction'],
+  stale: ['stale', 'timeout'],
+  error: ['error']
+};
+
+const stream = new EventEmitter();
+// Every connected client adds a listener
+stream.setMaxListeners(0);
+
+const snapshots = new Map(); // lineId -> snapshot
+
+/**
+ * Determine which kinds of change happened between two sets of next departure fields
+ * @param {Object} previous - Previous fields
+ * @param {Object} current - Current fields
+ * @returns {Array<string>} Change types (empty if nothing relevant changed)
+ */
+function diffFields(previous, current) {
+  return Object.entries(CHANGE_FIELDS)
+    .filter(([, fields]) => fields.some(field => (previous[field] ?? null) !== (current[field] ?? null)))
+    .map(([type]) => type);
+}
+
+/**
+ * Determine which kinds of change happened at a stop
+ * The next departure of each direction is compared as well, so a change that
+ * only affects one direction reaches clients filtered to that direction.
+ * @param {Object} previous - Previous delay object of the stop
+ * @param {Object} current - Current delay object of the stop
+ * @returns {Object} { changes, directions } - Change types of the stop (including those
+ *   of its directions) and { id, changes } of every direction that changed
+ */
+function diffStop(previous, current) {
+  if (!previous) return { changes: ['added'], directions: [] };
+
+  const previousDirections = new Map((previous.directions || []).map(d => [d.id, d]));
+  const directions = (current.directions || [])
+    .map(direction => ({ id: direction.id, changes: diffFields(previousDirections.get(direction.id) || {}, direction) }))
+    .filter(direction => direction.changes.length > 0);
+
+  const changes = new Set([...diffFields(previous, current), ...directions.flatMap(d => d.changes)]);
+  return { changes: [...changes], directions };
+}
+
+/**
+ * Compare two snapshots of a line
+ * @param {Array} previousDelays - Previous delay objects
+ * @param {Array} delays - Current delay objects
+ * @returns {Array} Changed stops: { stopId, changes, directions, data }
+ */
+function diffSnapshots(previousDelays, delays) {
+  const previousByStop = new Map(previousDelays.map(d => [d.stopId, d]));
+
+  return delays
+    .map(current => ({
+      stopId: current.stopId,
+      ...diffStop(previousByStop.get(current.stopId), current),
+      data: current
+    }))
+    .filter(change => change.changes.length > 0);
+}
+
+/**
+ * Build a snapshot object for a line
+ */
+async function buildSnapshot(lineId, delays, isRealData, polledAt) {
+  return {
+    lineId,
+    isRealData,
+    dataSource: await delay.getDataSourceLabel(),
+    data: delays,
+    summary: delay.calculateSummary(delays),
+    timestamp: polledAt
+  };
+}
+
+/**
+ * Get the current snapshot of a line (loads it if nothing was polled yet)
+ * @param {string} lineId - Line ID
+ * @returns {Promise<Object>} Snapshot with data, summary and data source
+ */
+async function getSnapshot(lineId) {
+  if (!snapshots.has(lineId)) {
+    const isRealData = await delay.isUsingRealData();
+    const delays = await delay.fetchRealDelayData(lineId);
+    snapshots.set(lineId, await buildSnapshot(lineId, delays, isRealData, clock.now().toISOString()));
+  }
+  return snapshots.get(lineId);
+}
+
+/**
+ * Process a poller update: store the snapshot and emit the diff
+ */
+async function handleUpdate({ lineId, delays, isRealData, polledAt }) {
+  const previous = snapshots.get(lineId);
+  const snapshot = await buildSnapshot(lineId, delays, isRealData, polledAt);
+  snapshots.set(lineId, snapshot);
+
+  const changes = previous ? diffSnapshots(previous.data, delays) : diffSnapshots([], delays);
+  const sourceChanged = previous && previous.dataSource !== snapshot.dataSource;
+  if (changes.length === 0 && !sourceChanged) return;
+
+  stream.emit('diff', {
+    lineId,
+    isRealData,
+    dataSource: snapshot.dataSource,
+    changes,
+    summary: snapshot.summary,
+    timestamp: polledAt
+  });
+}
+
+poller.on('update', update => {
+  handleUpdate(update).catch(error => {
+    logger.error('Error building stream update', { error: error.message });
+  });
+});
+
+export {
+  stream,
+  getSnapshot,
+  diffSnapshots
+};
@@ -0,0 +1,76 @@
+/**
+ * WebSocket Server - Alternative push channel to the SSE endpoint
+ *
+ * Clients connect to /api/ws (optionally ?lineId=<id>) and receive the same
+ * 'snapshot' and 'diff' messages as JSON ({ type, ...payload }). They can switch
+ * lines by sending { "type": "subscribe", "lineId": "<id>" }.
+ */
+
+import { WebSocketServer } from 'ws';
+import { stream, getSnapshot } from './stream.js';
+import { getLine, getDefaultLine } from '../config/lines.js';
+
+const WS_PATH = '/api/ws';
+
+/**
+ * Send a message if the socket is still open
+ */
+function send(socket, type, payload) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify({ type, ...payload }));
+  }
+}
+
+/**
+ * Subscribe a socket to a line and send the line's current snapshot
+ */
+async function subscribe(socket, lineId) {
+  const line = lineId ? getLine(lineId) : getDefaultLine();
+  if (!line) {
+    send(socket, 'error', { error: 'Line not found', lineId });
+    return;
+  }
+
+  socket.lineId = line.id;
+  try {
+    send(socket, 'snapshot', await getSnapshot(line.id));
+  } catch (error) {
+    send(socket, 'error', { error: 'Failed to load delay information', message: error.message });
+  }
+}
+
+/**
+ * Attach the WebSocket server to the HTTP server
+ * @param {http.Server} server - HTTP server returned by app.listen()
+ * @returns {WebSocketServer}
+ */
+function attachWebSocketServer(server) {
+  const wss = new WebSocketServer({ server, path: WS_PATH });
+
+  wss.on('connection', (socket, req) => {
+    const url = new URL(req.url, 'http://localhost');
+    subscribe(socket, url.searchParams.get('lineId'));
+
+    socket.on('message', raw => {
+      try {
+        const message = JSON.parse(raw.toString());
+        if (message.type === 'subscribe') subscribe(socket, message.lineId);
+      } catch (error) {
+        send(socket, 'error', { error: 'Invalid message', message: error.message });
+      }
+    });
+  });
+
+  stream.on('diff', diff => {
+    for (const socket of wss.clients) {
+      if (socket.lineId === diff.lineId) send(socket, 'diff', diff);
+    }
+  });
+
+  return wss;
+}
+
+export {
+  attachWebSocketServer,
+  WS_PATH
+};
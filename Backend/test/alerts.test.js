@@ -0,0 +1,143 @@
+import './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyRemark, normalizeRemark } from '../models/remarks.js';
+import { collectAlerts } from '../models/alerts.js';
+import { setDataSource } from '../models/delay.js';
+import { getLine } from '../config/lines.js';
+import { createStubSource } from './helpers/hafasStub.js';
+import { startServer, requestJson } from './helpers/server.js';
+
+const line = getLine('R7');
+const now = new Date('2026-03-10T07:00:00.000Z');
+
+/**
+ * Build the delay data of a stop with the given departures
+ */
+function stop(stopId, departures) {
+  return {
+    stopId,
+    stopName: line.stops.find(s => s.id === stopId).name,
+    upcomingDepartures: departures.map(dep => ({
+      tripId: 'trip-1',
+      scheduledDeparture: '2026-03-10T08:00:00.000Z',
+      direction: 'Homburg (Saar) Hbf',
+      directionId: 'homburg',
+      cancelled: false,
+      ...dep,
+      remarkDetails: (dep.remarks || []).map(normalizeRemark)
+    }))
+  };
+}
+
+describe('remark classification', () => {
+  it('sorts remarks into cancellations, warnings and hints', () => {
+    assert.equal(classifyRemark({ type: 'status', text: 'Fahrt fällt aus' }), 'cancellation');
+    assert.equal(classifyRemark({ type: 'warning', text: 'Bauarbeiten in Homburg' }), 'warning');
+    assert.equal(classifyRemark({ type: 'hint', text: 'Umleitung wegen Baustelle' }), 'warning');
+    assert.equal(classifyRemark({ type: 'hint', code: 'FB', text: 'Fahrradmitnahme möglich' }), 'hint');
+  });
+
+  it('keeps disruption messages about cancellations as warnings', () => {
+    assert.equal(classifyRemark({ type: 'warning', summary: 'Fahrtausfälle wegen Unwetter' }), 'warning');
+  });
+
+  it('strips HTML and keeps the validity period', () => {
+    const remark = normalizeRemark({
+      id: 42,
+      type: 'warning',
+      summary: 'Sperrung',
+      text: 'Haltestelle <b>Ingweiler</b> entfällt.<br>Bitte Ersatzhaltestelle nutzen.',
+      validFrom: '2026-03-09T00:00:00+01:00',
+      validUntil: '2026-03-20T23:59:00+01:00'
+    });
+    assert.equal(remark.id, '42');
+    assert.equal(remark.text, 'Haltestelle Ingweiler entfällt.\nBitte Ersatzhaltestelle nutzen.');
+    assert.equal(remark.validUntil, '2026-03-20T23:59:00+01:00');
+    assert.deepEqual(normalizeRemark('Niederflurbus'), {
+      id: null, type: 'hint', code: null, summary: null, text: 'Niederflurbus', validFrom: null, validUntil: null
+    });
+  });
+});
+
+describe('collectAlerts', () => {
+  const detour = { id: 'w1', type: 'warning', summary: 'Umleitung', text: 'Umleitung über Bexbach', validUntil: '2026-03-20T23:00:00Z' };
+
+  it('merges the same remark across stops', () => {
+    const alerts = collectAlerts(line, [
+      stop('3', [{ remarks: [detour] }]),
+      stop('2', [{ remarks: [detour, 'Niederflurbus'] }]),
+      stop('4', [{ remarks: ['Niederflurbus'] }])
+    ], {}, now);
+
+    assert.deepEqual(alerts.map(alert => [alert.type, alert.text, alert.stops.map(s => s.stopId)]), [
+      ['warning', 'Umleitung über Bexbach', ['2', '3']],
+      ['hint', 'Niederflurbus', ['2', '4']]
+    ]);
+    assert.equal(alerts[0].validity, 'source');
+    assert.equal(alerts[1].validity, 'departures');
+    assert.equal(alerts[1].validFrom, '2026-03-10T08:00:00.000Z');
+    assert.deepEqual(alerts[0].directions, ['homburg']);
+  });
+
+  it('gives each cancelled trip one alert, with or without a remark', () => {
+    const alerts = collectAlerts(line, [
+      stop('3', [{ cancelled: true, scheduledDeparture: '2026-03-10T08:04:00.000Z' }]),
+      stop('4', [{ cancelled: true, scheduledDeparture: '2026-03-10T08:08:00.000Z' }]),
+      stop('5', [{ tripId: 'trip-2', scheduledDeparture: '2026-03-10T08:30:00.000Z', remarks: [{ type: 'status', text: 'Halt entfällt' }] }])
+    ], {}, now);
+
+    assert.deepEqual(alerts.map(alert => [alert.type, alert.trip.tripId, alert.affectedDepartures]), [
+      ['cancellation', 'trip-1', 2],
+      ['cancellation', 'trip-2', 1]
+    ]);
+    assert.equal(alerts[0].summary, 'R7 09:04 → Homburg (Saar) Hbf fällt aus');
+    assert.equal(alerts[1].text, 'Halt entfällt');
+  });
+
+  it('leaves out expired alerts and applies the filters', () => {
+    const delays = [stop('2', [{ remarks: [detour, 'Niederflurbus'] }])];
+    assert.equal(collectAlerts(line, delays, {}, new Date('2026-03-21T00:00:00Z')).length, 1);
+    assert.equal(collectAlerts(line, delays, { type: 'warning' }, now).length, 1);
+    assert.equal(collectAlerts(line, delays, { stopId: '3' }, now).length, 0);
+    assert.equal(collectAlerts(line, delays, { directionId: 'zweibruecken' }, now).length, 0);
+  });
+});
+
+describe('alerts route', () => {
+  let server;
+  let api;
+
+  before(async () => {
+    setDataSource(createStubSource().source);
+    server = await startServer();
+    api = (route, options) => requestJson(`${server.baseUrl}${route}`, options);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('reports the cancelled trip of the stub', async () => {
+    const { status, body } = await api('/api/v1/alerts');
+    assert.equal(status, 200);
+    assert.equal(body.meta.count, 1);
+
+    const [alert] = body.data;
+    assert.equal(alert.type, 'cancellation');
+    assert.equal(alert.trip.tripId, 'trip-homburg-2');
+    assert.deepEqual(alert.stops.map(s => s.stopId), ['4']);
+  });
+
+  it('filters by type and direction', async () => {
+    assert.equal((await api('/api/v1/lines/R7/alerts?type=warning')).body.meta.count, 0);
+    assert.equal((await api('/api/v1/alerts?direction=zweibruecken')).body.meta.count, 0);
+    assert.equal((await api('/api/v1/alerts?type=outage')).status, 400);
+  });
+
+  it('lists the classified remarks of each departure', async () => {
+    const { body } = await api('/api/v1/delays/4');
+    const cancelled = body.data.upcomingDepartures.find(dep => dep.cancelled);
+    assert.deepEqual(cancelled.remarkDetails, []);
+  });
+});
@@ -0,0 +1,517 @@
+import './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import { readFileSync, writeFileSync } from 'fs';
+import assert from 'node:assert/strict';
+import { setDataSource, getDataSourceStatus } from '../models/delay.js';
+import * as history from '../models/history.js';
+import { createStubSource } from './helpers/hafasStub.js';
+import { startServer, requestJson } from './helpers/server.js';
+
+/**
+ * Read Server-Sent Events until an event of the given type arrives
+ * @returns {Promise<Object>} { headers, data } of the event
+ */
+async function readEvent(url, type) {
+  const controller = new AbortController();
+  const response = await fetch(url, { signal: controller.signal });
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const event = buffer.split('\n\n').find(block => block.startsWith(`event: ${type}\n`));
+      if (event) {
+        const data = event.split('\n').find(row => row.startsWith('data: ')).slice(6);
+        return { headers: response.headers, data: JSON.parse(data) };
+      }
+    }
+  } finally {
+    controller.abort();
+  }
+  throw new Error(`Stream ended without a ${type} event`);
+}
+
+describe('HTTP API', () => {
+  let server;
+  let api;
+
+  before(async () => {
+    setDataSource(createStubSource().source);
+    server = await startServer();
+    api = (route, options) => requestJson(`${server.baseUrl}${route}`, options);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  describe('GET /', () => {
+    it('lists the endpoints', async () => {
+      const { status, body } = await api('/');
+      assert.equal(status, 200);
+      assert.equal(body.message, 'R7Verspätung Backend API');
+      assert.equal(body.endpoints.delays, '/api/v1/delays');
+    });
+  });
+
+  describe('GET /api/health', () => {
+    it('reports the data source, cache and upstream state', async () => {
+      const { status, body } = await api('/api/health');
+      assert.equal(status, 200);
+      assert.equal(body.status, 'OK');
+      assert.equal(body.dataSource.source, 'hafas');
+      assert.ok(body.cache);
+      assert.ok(body.upstream);
+    });
+  });
+
+  describe('GET /api/lines', () => {
+    it('lists the configured lines with their directions', async () => {
+      const { status, body } = await api('/api/lines');
+      assert.equal(status, 200);
+      assert.equal(body.defaultLine, 'R7');
+      assert.equal(body.data[0].totalStops, 7);
+      assert.deepEqual(body.data[0].directions.map(d => d.id), ['homburg', 'zweibruecken']);
+    });
+  });
+
+  describe('API documentation', () => {
+    it('serves the OpenAPI document', async () => {
+      const { status, body } = await api('/api/openapi.json');
+      assert.equal(status, 200);
+      assert.equal(body.openapi, '3.0.3');
+      assert.equal(body.paths['/lines/{lineId}/delays'].get.operationId, 'getLineDelays');
+    });
+
+    it('serves the docs page', async () => {
+      const response = await fetch(`${server.baseUrl}/api/docs`);
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /text\/html/);
+      assert.match(await response.text(), /openapi\.json/);
+    });
+  });
+
+  describe('request validation', () => {
+    it('reports every invalid parameter', async () => {
+      const { status, body } = await api('/api/journey?at=tomorrow&results=ten');
+      assert.equal(status, 400);
+      assert.equal(body.success, false);
+      assert.equal(body.error, 'Invalid request');
+      assert.deepEqual(body.details, [
+        'Parameter "from" is required',
+        'Parameter "to" is required',
+        'Parameter "at" must be a valid ISO date',
+        'Parameter "results" must be an integer'
+      ]);
+    });
+
+    it('validates parameters of line routes', async () => {
+      const { status, body } = await api('/api/lines/R7/history?limit=0&includeSimulated=yes');
+      assert.equal(status, 400);
+      assert.deepEqual(body.details, ['Parameter "includeSimulated" must be true or false', 'Parameter "limit" must be at least 1']);
+    });
+
+    it('checks the types of request bodies', async () => {
+      const { status, body } = await api('/api/subscriptions', { method: 'POST', body: { stopId: 1, webhookUrl: 'https://example.org' } });
+      assert.equal(status, 400);
+      assert.deepEqual(body.details, ['"stopId" must be a string']);
+
+      const missing = await api('/api/subscriptions', { method: 'POST' });
+      assert.equal(missing.status, 400);
+      assert.deepEqual(missing.body.details, ['"stopId" is required', '"webhookUrl" is required']);
+    });
+
+    it('rejects malformed JSON', async () => {
+      const response = await fetch(`${server.baseUrl}/api/subscriptions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"stopId": '
+      });
+      assert.equal(response.status, 400);
+      assert.deepEqual((await response.json()).details, ['The request body is not valid JSON']);
+    });
+  });
+
+  describe('GET /api/punctuality', () => {
+    it('returns the thresholds and the range of every status', async () => {
+      const { status, body } = await api('/api/punctuality');
+      assert.equal(status, 200);
+      assert.equal(body.data.onTimeMaxMinutes, 0);
+      assert.deepEqual(body.data.statuses.map(s => s.id), ['early', 'on-time', 'slight-delay', 'delayed', 'heavily-delayed']);
+    });
+  });
+
+  describe('GET /api/search', () => {
+    it('finds stations', async () => {
+      const { status, body } = await api('/api/search?q=Zweibr%C3%BCcken');
+      assert.equal(status, 200);
+      assert.deepEqual(body.results.map(r => r.id), ['8000472', '9000002']);
+    });
+
+    it('rejects queries shorter than 2 characters', async () => {
+      const { status, body } = await api('/api/search?q=Z');
+      assert.equal(status, 400);
+      assert.equal(body.success, false);
+    });
+  });
+
+  describe('GET /api/delays', () => {
+    it('returns the next R7 departure of every stop', async () => {
+      const { status, body } = await api('/api/delays');
+      assert.equal(status, 200);
+      assert.equal(body.route, 'R7');
+      assert.equal(body.isRealData, true);
+      assert.equal(body.dataSource, 'saarfahrplan HAFAS API (Echtzeitdaten)');
+      assert.equal(body.totalStops, 7);
+
+      const first = body.data[0];
+      assert.equal(first.stopId, '1');
+      assert.equal(first.hafasId, '8000472');
+      assert.equal(first.tripId, undefined);
+      assert.equal(first.delayMinutes, 3);
+      assert.equal(first.status, 'slight-delay');
+      assert.equal(first.directionId, 'homburg');
+
+      // Other lines at the station are filtered out, both spellings of R7 are kept
+      const lineNames = new Set(body.data.flatMap(stop => stop.upcomingDepartures.map(dep => dep.lineName)));
+      assert.deepEqual([...lineNames].sort(), ['R 7', 'R7']);
+    });
+
+    it('restricts the stops to one direction', async () => {
+      const { status, body } = await api('/api/delays?direction=zweibruecken');
+      assert.equal(status, 200);
+      assert.equal(body.direction, 'zweibruecken');
+      assert.ok(body.data.every(stop => stop.directionId === 'zweibruecken'));
+      assert.equal(body.data[0].delayMinutes, -2);
+      assert.equal(body.data[0].status, 'early');
+    });
+
+    it('rejects unknown directions', async () => {
+      const { status, body } = await api('/api/delays?direction=saarbruecken');
+      assert.equal(status, 400);
+      assert.deepEqual(body.directions, ['homburg', 'zweibruecken']);
+    });
+
+    it('reports cancelled departures', async () => {
+      const { body } = await api('/api/delays/4');
+      const cancelled = body.data.upcomingDepartures.find(dep => dep.tripId === 'trip-homburg-2');
+      assert.equal(cancelled.cancelled, true);
+    });
+  });
+
+  describe('GET /api/delays/:stopId', () => {
+    it('returns a single stop', async () => {
+      const { status, body } = await api('/api/delays/7');
+      assert.equal(status, 200);
+      assert.equal(body.data.stopName, 'Homburg (Saar) Hauptbahnhof');
+      assert.equal(body.data.directions.length, 2);
+    });
+
+    it('returns 404 for unknown stops', async () => {
+      const { status, body } = await api('/api/delays/99');
+      assert.equal(status, 404);
+      assert.equal(body.error, 'Stop not found');
+    });
+  });
+
+  describe('GET /api/stops', () => {
+    it('lists the stops in line order', async () => {
+      const { status, body } = await api('/api/stops');
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.map(stop => stop.id), ['1', '2', '3', '4', '5', '6', '7']);
+    });
+  });
+
+  describe('GET /api/summary', () => {
+    it('summarizes the delays of the line', async () => {
+      const { status, body } = await api('/api/summary');
+      assert.equal(status, 200);
+      assert.equal(body.summary.totalStops, 7);
+      assert.equal(body.summary.stopsWithData, 7);
+      assert.equal(body.summary.maxDelayMinutes, 3);
+      assert.equal(body.summary.maxEarlyMinutes, 2);
+      // The next bus at Bierbach, Beeden and Homburg is the early one towards Zweibrücken
+      assert.equal(body.summary.stopsEarly, 3);
+      assert.equal(body.summary.stopsDelayed, 4);
+    });
+  });
+
+  describe('GET /api/trips', () => {
+    it('follows every bus stop by stop', async () => {
+      const { status, body } = await api('/api/trips');
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.map(trip => trip.tripId), ['trip-homburg-1', 'trip-zweibruecken-1', 'trip-homburg-2']);
+
+      const [trip] = body.data;
+      assert.equal(trip.source, 'trip');
+      assert.equal(trip.directionId, 'homburg');
+      assert.equal(trip.stops.length, 7);
+      assert.equal(trip.currentDelayMinutes, 3);
+    });
+
+    it('filters trips by direction', async () => {
+      const { body } = await api('/api/trips?direction=zweibruecken');
+      assert.deepEqual(body.data.map(trip => trip.tripId), ['trip-zweibruecken-1']);
+      assert.equal(body.data[0].stops[0].stopId, '7');
+      assert.ok(body.data[0].stops.every(stop => stop.delayMinutes === -2 && stop.status === 'early'));
+      assert.equal(body.data[0].status, 'early');
+    });
+
+    it('rejects an invalid limit', async () => {
+      const { status } = await api('/api/trips?limit=0');
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('GET /api/trips/:tripId', () => {
+    it('returns a single trip', async () => {
+      const { status, body } = await api('/api/trips/trip-homburg-2');
+      assert.equal(status, 200);
+      assert.equal(body.data.maxDelayMinutes, 12);
+      assert.equal(body.data.stops[3].cancelled, true);
+    });
+
+    it('returns 404 for unknown trips', async () => {
+      const { status, body } = await api('/api/trips/no-such-trip');
+      assert.equal(status, 404);
+      assert.equal(body.error, 'Trip not found');
+    });
+
+    it('keeps the circuit breaker closed for unknown trips', async () => {
+      for (let i = 0; i < 5; i++) {
+        assert.equal((await api(`/api/trips/bogus-${i}`)).status, 404);
+      }
+      assert.equal(getDataSourceStatus().state, 'closed');
+      assert.equal((await api('/api/delays')).body.isRealData, true);
+    });
+  });
+
+  describe('GET /api/journey', () => {
+    it('plans journeys between two stops', async () => {
+      const { status, body } = await api('/api/journey?from=1&to=Homburg%20(Saar)%20Hauptbahnhof');
+      assert.equal(status, 200);
+      assert.equal(body.direction, 'homburg');
+      assert.equal(body.to.transferHub, true);
+      assert.equal(body.count, 1);
+      assert.equal(body.data[0].departureDelayMinutes, 2);
+      assert.equal(body.data[0].plannedTravelMinutes, 24);
+    });
+
+    it('requires two different, known stops', async () => {
+      assert.equal((await api('/api/journey?from=1')).status, 400);
+      assert.equal((await api('/api/journey?from=1&to=1')).status, 400);
+      assert.equal((await api('/api/journey?from=1&to=Saarbr%C3%BCcken')).status, 400);
+    });
+
+    it('validates "at" and "results"', async () => {
+      assert.equal((await api('/api/journey?from=1&to=7&at=tomorrow')).status, 400);
+      assert.equal((await api('/api/journey?from=1&to=7&results=11')).status, 400);
+    });
+  });
+
+  describe('GET /api/transfers', () => {
+    it('analyzes the connections at both transfer hubs', async () => {
+      const { status, body } = await api('/api/transfers');
+      assert.equal(status, 200);
+      assert.deepEqual(body.data.map(hub => hub.stopId), ['1', '7']);
+    });
+
+    it('restricts the analysis to one hub', async () => {
+      const { body } = await api('/api/transfers?stopId=7&minTransfer=6');
+      assert.deepEqual(body.data.map(hub => hub.stopId), ['7']);
+      assert.equal(body.data[0].minTransferMinutes, 6);
+    });
+
+    it('rejects stops that are no transfer hub', async () => {
+      const { status, body } = await api('/api/transfers?stopId=3');
+      assert.equal(status, 400);
+      assert.deepEqual(body.transferHubs.map(hub => hub.id), ['1', '7']);
+    });
+
+    it('validates the parameters', async () => {
+      assert.equal((await api('/api/transfers?stopId=99')).status, 404);
+      assert.equal((await api('/api/transfers?minTransfer=-1')).status, 400);
+    });
+  });
+
+  describe('GET /api/history and /api/stats', () => {
+    before(async () => {
+      const { body } = await api('/api/delays');
+      await history.recordDelays(body.data, true);
+    });
+
+    it('returns the recorded departures', async () => {
+      const { status, body } = await api('/api/history?stopId=1');
+      assert.equal(status, 200);
+      assert.equal(body.count, 3);
+      assert.ok(body.data.every(record => record.stopId === '1' && !record.isSimulated));
+    });
+
+    it('does not record departures from before multi-line support again', async () => {
+      // Rewrite the file the way it was written before: no line ID, and no line in the key
+      const legacy = readFileSync(process.env.HISTORY_FILE, 'utf8').trim().split('\n').map(line => {
+        const { lineId, ...record } = JSON.parse(line);
+        record.key = [record.stopId, record.plannedDeparture, record.direction || '', record.lineName || ''].join('|');
+        return JSON.stringify(record);
+      });
+      writeFileSync(process.env.HISTORY_FILE, legacy.join('\n') + '\n');
+      history.loadHistory();
+
+      const { body } = await api('/api/delays');
+      assert.equal(await history.recordDelays(body.data, true), 0);
+      assert.equal((await api('/api/lines/R7/history?stopId=1')).body.count, 3);
+    });
+
+    it('filters the history by direction', async () => {
+      const { body } = await api('/api/history?stopId=1&direction=zweibruecken');
+      assert.deepEqual(body.data.map(record => record.directionId), ['zweibruecken']);
+      assert.equal(body.data[0].delayMinutes, -2);
+      assert.equal(body.data[0].status, 'early');
+    });
+
+    it('computes punctuality statistics', async () => {
+      const { status, body } = await api('/api/stats?stopId=4');
+      assert.equal(status, 200);
+      assert.equal(body.data.overall.departures, 3);
+      assert.equal(body.data.overall.cancelledServices, 1);
+      assert.equal(body.data.overall.earlyDepartures, 1);
+      assert.equal(body.data.overall.earlyRate, 50);
+    });
+
+    it('validates the parameters', async () => {
+      assert.equal((await api('/api/history?from=yesterday')).status, 400);
+      assert.equal((await api('/api/history?limit=0')).status, 400);
+      assert.equal((await api('/api/stats?to=never')).status, 400);
+    });
+  });
+
+  describe('GET /api/stream', () => {
+    it('starts with a snapshot of the line', async () => {
+      const { headers, data } = await readEvent(`${server.baseUrl}/api/stream`, 'snapshot');
+      assert.match(headers.get('content-type'), /^text\/event-stream/);
+      assert.equal(data.lineId, 'R7');
+      assert.equal(data.isRealData, true);
+      assert.equal(data.data.length, 7);
+      assert.equal(data.summary.totalStops, 7);
+    });
+  });
+
+  describe('/api/lines/:lineId routes', () => {
+    const routes = ['delays', 'stops', 'delays/1', 'summary', 'trips', 'trips/trip-homburg-1',
+      'journey?from=1&to=7', 'transfers', 'history', 'stats'];
+
+    for (const route of routes) {
+      it(`serves /api/lines/r7/${route}`, async () => {
+        const { status, body } = await api(`/api/lines/r7/${route}`);
+        assert.equal(status, 200);
+        assert.equal(body.route, 'R7');
+      });
+    }
+
+    it('serves the stream of a line', async () => {
+      const { data } = await readEvent(`${server.baseUrl}/api/lines/R7/stream`, 'snapshot');
+      assert.equal(data.lineId, 'R7');
+    });
+
+    it('returns 404 for unknown lines', async () => {
+      const { status, body } = await api('/api/lines/R99/delays');
+      assert.equal(status, 404);
+      assert.equal(body.error, 'Line not found');
+    });
+  });
+
+  describe('/api/subscriptions', () => {
+    let id;
+
+    it('starts without subscriptions', async () => {
+      const { status, body } = await api('/api/subscriptions');
+      assert.equal(status, 200);
+      assert.equal(body.count, 0);
+    });
+
+    it('creates a subscription', async () => {
+      const { status, body } = await api('/api/subscriptions', {
+        method: 'POST',
+        body: { stopId: '1', direction: 'homburg', webhookUrl: 'http://127.0.0.1:9/hook', timeWindow: { from: '06:30', to: '08:00' } }
+      });
+      assert.equal(status, 201);
+      assert.equal(body.data.lineId, 'R7');
+      assert.equal(body.data.delayThresholdMinutes, 5);
+      id = body.data.id;
+    });
+
+    it('rejects invalid subscriptions', async () => {
+      const { status, body } = await api('/api/subscriptions', {
+        method: 'POST',
+        body: { stopId: '99', webhookUrl: 'ftp://example.org', weekdays: ['someday'] }
+      });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid subscription');
+      assert.equal(body.details.length, 3);
+    });
+
+    it('reads and updates a subscription', async () => {
+      assert.equal((await api(`/api/subscriptions/${id}`)).body.data.stopId, '1');
+
+      const { status, body } = await api(`/api/subscriptions/${id}`, { method: 'PUT', body: { delayThresholdMinutes: 10 } });
+      assert.equal(status, 200);
+      assert.equal(body.data.delayThresholdMinutes, 10);
+      assert.equal(body.data.direction, 'homburg');
+
+      const invalid = await api(`/api/subscriptions/${id}`, { method: 'PUT', body: { delayThresholdMinutes: -1 } });
+      assert.equal(invalid.status, 400);
+    });
+
+    it('deletes a subscription', async () => {
+      assert.equal((await api(`/api/subscriptions/${id}`, { method: 'DELETE' })).status, 204);
+      assert.equal((await api(`/api/subscriptions/${id}`)).status, 404);
+      assert.equal((await api(`/api/subscriptions/${id}`, { method: 'DELETE' })).status, 404);
+    });
+  });
+
+  describe('/api/admin/simulation', () => {
+    it('returns the simulation settings and scenarios', async () => {
+      const { status, body } = await api('/api/admin/simulation');
+      assert.equal(status, 200);
+      assert.equal(body.data.enabled, false);
+      assert.ok(body.data.scenarios.some(scenario => scenario.id === 'snow-day'));
+    });
+
+    const headers = { Authorization: 'Bearer test-admin-token' };
+
+    it('changes the simulator seed', async () => {
+      const { status, body } = await api('/api/admin/simulation', { method: 'PUT', headers, body: { seed: 42 } });
+      assert.equal(status, 200);
+      assert.equal(body.data.seed, 42);
+      assert.equal(body.data.enabled, false);
+    });
+
+    it('rejects invalid settings', async () => {
+      const { status, body } = await api('/api/admin/simulation', {
+        method: 'PUT',
+        headers,
+        body: { scenario: 'heatwave', speed: -1 }
+      });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid simulation settings');
+      assert.equal(body.details.length, 2);
+    });
+
+    it('rejects changes without the admin token', async () => {
+      const missing = await api('/api/admin/simulation', { method: 'PUT', body: { enabled: true } });
+      assert.equal(missing.status, 401);
+      assert.equal(missing.body.code, 'UNAUTHORIZED');
+
+      const wrong = await api('/api/admin/simulation', {
+        method: 'PUT',
+        headers: { Authorization: 'Bearer guessed' },
+        body: { enabled: true }
+      });
+      assert.equal(wrong.status, 403);
+      assert.equal(wrong.body.code, 'FORBIDDEN');
+
+      assert.equal((await api('/api/admin/simulation')).body.data.enabled, false);
+    });
+  });
+});
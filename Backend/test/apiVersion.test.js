@@ -0,0 +1,133 @@
+import './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setDataSource } from '../models/delay.js';
+import { toEnvelope } from '../middleware/apiVersion.js';
+import { createStubSource } from './helpers/hafasStub.js';
+import { startServer } from './helpers/server.js';
+
+describe('response envelope', () => {
+  const context = { requestId: 'req-1', status: 200 };
+
+  it('moves the payload to data and the other fields to meta', () => {
+    const envelope = toEnvelope({ success: true, route: 'R7', data: [1, 2], summary: { stops: 2 }, timestamp: 't' }, context);
+    assert.deepEqual(envelope, {
+      data: [1, 2],
+      meta: { route: 'R7', summary: { stops: 2 }, apiVersion: 'v1', requestId: 'req-1', timestamp: 't' },
+      errors: []
+    });
+  });
+
+  it('uses results or summary as payload of the older handlers', () => {
+    assert.deepEqual(toEnvelope({ success: true, query: 'Hom', results: [] }, context).data, []);
+    assert.deepEqual(toEnvelope({ success: true, route: 'R7', summary: { totalStops: 7 } }, context).data, { totalStops: 7 });
+    assert.deepEqual(toEnvelope({ success: true, status: 'OK' }, context).data, { status: 'OK' });
+  });
+
+  it('turns errors into a list with a code', () => {
+    const envelope = toEnvelope({
+      success: false,
+      error: 'Invalid request',
+      code: 'UNKNOWN_DIRECTION',
+      details: ['Unknown direction "x"'],
+      directions: ['homburg']
+    }, { requestId: 'req-2', status: 400 });
+
+    assert.equal(envelope.data, null);
+    assert.equal(envelope.meta.requestId, 'req-2');
+    assert.deepEqual(envelope.errors, [{
+      code: 'UNKNOWN_DIRECTION',
+      message: 'Invalid request',
+      details: ['Unknown direction "x"'],
+      meta: { directions: ['homburg'] }
+    }]);
+  });
+
+  it('derives missing codes from the status and keeps the cause', () => {
+    const [error] = toEnvelope({ success: false, error: 'Failed to fetch trips', message: 'socket hang up' }, { status: 500 }).errors;
+    assert.deepEqual(error, { code: 'INTERNAL_ERROR', message: 'Failed to fetch trips', details: ['socket hang up'] });
+    assert.equal(toEnvelope({ success: false, error: 'Gone' }, { status: 404 }).errors[0].code, 'NOT_FOUND');
+  });
+});
+
+describe('/api/v1', () => {
+  let server;
+
+  /**
+   * Request a route and return status, headers and JSON body
+   */
+  async function request(route, headers = {}) {
+    const response = await fetch(`${server.baseUrl}${route}`, { headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  before(async () => {
+    setDataSource(createStubSource().source);
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it('answers in the envelope with the request ID', async () => {
+    const { status, headers, body } = await request('/api/v1/delays');
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body), ['data', 'meta', 'errors']);
+    assert.equal(body.data.length, 7);
+    assert.equal(body.meta.route, 'R7');
+    assert.equal(body.meta.summary.stopsWithData, 7);
+    assert.equal(body.meta.requestId, headers.get('x-request-id'));
+    assert.equal(headers.get('deprecation'), null);
+  });
+
+  it('keeps a request ID sent by the client', async () => {
+    const { headers, body } = await request('/api/v1/lines', { 'X-Request-Id': 'trace-42' });
+    assert.equal(headers.get('x-request-id'), 'trace-42');
+    assert.equal(body.meta.requestId, 'trace-42');
+    assert.equal(body.meta.defaultLine, 'R7');
+  });
+
+  it('serves search results and the summary as data', async () => {
+    assert.deepEqual((await request('/api/v1/search?q=Homburg')).body.data.map(station => station.id), ['8000176']);
+    assert.equal((await request('/api/v1/lines/R7/summary')).body.data.totalStops, 7);
+  });
+
+  it('reports errors with codes', async () => {
+    const invalid = await request('/api/v1/trips?limit=0');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.data, null);
+    assert.equal(invalid.body.errors[0].code, 'INVALID_REQUEST');
+    assert.deepEqual(invalid.body.errors[0].details, ['Parameter "limit" must be at least 1']);
+
+    const line = await request('/api/v1/lines/R99/delays');
+    assert.equal(line.status, 404);
+    assert.equal(line.body.errors[0].code, 'LINE_NOT_FOUND');
+
+    const direction = await request('/api/v1/delays?direction=saarbruecken');
+    assert.equal(direction.body.errors[0].code, 'UNKNOWN_DIRECTION');
+    assert.deepEqual(direction.body.errors[0].meta.directions, ['homburg', 'zweibruecken']);
+  });
+
+  it('answers unknown routes with NOT_FOUND', async () => {
+    const v1 = await request('/api/v1/departures');
+    assert.equal(v1.status, 404);
+    assert.equal(v1.body.errors[0].code, 'NOT_FOUND');
+
+    const legacy = await request('/api/departures');
+    assert.equal(legacy.status, 404);
+    assert.equal(legacy.body.code, 'NOT_FOUND');
+  });
+
+  it('serves the OpenAPI document without envelope', async () => {
+    const { body } = await request('/api/v1/openapi.json');
+    assert.equal(body.openapi, '3.0.3');
+    assert.deepEqual(body.servers, [{ url: '/api/v1' }]);
+  });
+
+  it('keeps the unversioned routes as deprecated aliases', async () => {
+    const { status, headers, body } = await request('/api/lines/R7/stops');
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(headers.get('deprecation'), 'true');
+    assert.equal(headers.get('link'), '</api/v1/lines/R7/stops>; rel="successor-version"');
+  });
+});
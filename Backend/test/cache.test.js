@@ -0,0 +1,39 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { cached, clearCache } from '../models/cache.js';
+import { sleep } from '../models/scheduler.js';
+
+describe('cache', () => {
+  it('coalesces concurrent calls and caches the value', async () => {
+    let calls = 0;
+    const compute = async () => {
+      calls++;
+      await sleep(5);
+      return calls;
+    };
+
+    assert.deepEqual(await Promise.all([cached('test', 'a', compute), cached('test', 'a', compute)]), [1, 1]);
+    assert.equal(await cached('test', 'a', compute), 1);
+    assert.equal(calls, 1);
+  });
+
+  it('does not join or store computations started before clearCache', async () => {
+    let release;
+    const pending = new Promise(resolve => { release = resolve; });
+    const old = cached('test', 'b', () => pending);
+    clearCache('test');
+
+    const fresh = cached('test', 'b', async () => 'new source');
+    release('old source');
+
+    assert.equal(await old, 'old source');
+    assert.equal(await fresh, 'new source');
+    assert.equal(await cached('test', 'b', async () => 'recomputed'), 'new source');
+  });
+
+  it('does not cache failures', async () => {
+    await assert.rejects(cached('test', 'c', () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await cached('test', 'c', async () => 'ok'), 'ok');
+  });
+});
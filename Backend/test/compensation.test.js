@@ -0,0 +1,188 @@
+import './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import path from 'path';
+import { dataDir } from './helpers/env.js';
+import { loadCompensationRules, getCompensationRules, findApplicableRule } from '../config/compensation.js';
+import { groupTrips } from '../models/compensation.js';
+import { setDataSource } from '../models/delay.js';
+import * as history from '../models/history.js';
+import { createStubSource } from './helpers/hafasStub.js';
+import { startServer, requestJson } from './helpers/server.js';
+
+const file = path.join(dataDir, 'compensation.json');
+
+/**
+ * Write a rules file and load it
+ */
+function loadRules(config) {
+  writeFileSync(file, JSON.stringify(config));
+  return loadCompensationRules(file);
+}
+
+describe('compensation rules', () => {
+  it('has 20 and 60 minute and cancellation rules by default', () => {
+    const { rules, recipient } = getCompensationRules();
+    assert.deepEqual(rules.map(rule => [rule.id, rule.minDelayMinutes, rule.cancelled]), [
+      ['delay-20', 20, false],
+      ['delay-60', 60, false],
+      ['cancelled', null, true]
+    ]);
+    assert.deepEqual(recipient, []);
+  });
+
+  it('applies the highest delay rule, and the cancellation rule first', () => {
+    const find = outcome => findApplicableRule(outcome)?.id || null;
+    assert.equal(find({ delayMinutes: 19, cancelled: false }), null);
+    assert.equal(find({ delayMinutes: 20, cancelled: false }), 'delay-20');
+    assert.equal(find({ delayMinutes: 75, cancelled: false }), 'delay-60');
+    assert.equal(find({ delayMinutes: 75, cancelled: true }), 'cancelled');
+  });
+
+  it('falls back to the delay rules without a cancellation rule', () => {
+    const rules = loadRules({ rules: [{ id: 'late', minDelayMinutes: 30 }] });
+    assert.equal(findApplicableRule({ delayMinutes: 0, cancelled: true }, rules), null);
+    assert.equal(findApplicableRule({ delayMinutes: 30, cancelled: true }, rules).label, 'late');
+  });
+
+  it('rejects incomplete or ambiguous rules', () => {
+    assert.throws(() => loadRules({ rules: [] }), /non-empty "rules"/);
+    assert.throws(() => loadRules({ rules: [{ id: 'x' }] }), /either "minDelayMinutes" or "cancelled"/);
+    assert.throws(() => loadRules({ rules: [{ id: 'x', minDelayMinutes: 20, cancelled: true }] }), /either/);
+    assert.throws(() => loadRules({ rules: [{ id: 'x', minDelayMinutes: 0 }] }), />= 1/);
+    assert.throws(() => loadRules({ rules: [{ id: 'x', cancelled: true }, { id: 'x', minDelayMinutes: 5 }] }), /defined twice/);
+    assert.throws(() => loadRules({ rules: [{ id: 'x', cancelled: true }], recipient: 'Saarbahn' }), /"recipient"/);
+  });
+});
+
+describe('trip grouping', () => {
+  const record = (tripId, stopId, plannedDeparture) => ({ tripId, stopId, plannedDeparture, key: `${stopId}|${plannedDeparture}` });
+
+  it('groups recorded departures by trip in travel order', () => {
+    const trips = groupTrips([
+      record('a', '2', '2026-03-10T07:04:00Z'),
+      record('b', '1', '2026-03-10T07:30:00Z'),
+      record('a', '1', '2026-03-10T07:00:00Z')
+    ]);
+    assert.deepEqual(trips.map(trip => trip.map(r => `${r.tripId}${r.stopId}`)), [['a1', 'a2'], ['b1']]);
+  });
+
+  it('splits trip IDs that repeat every day', () => {
+    const trips = groupTrips([
+      record('daily', '1', '2026-03-10T07:00:00Z'),
+      record('daily', '1', '2026-03-11T07:00:00Z')
+    ]);
+    assert.equal(trips.length, 2);
+  });
+
+  it('treats records without trip ID as trips of their own', () => {
+    const trips = groupTrips([
+      record(null, '1', '2026-03-10T07:00:00Z'),
+      record(null, '2', '2026-03-10T07:04:00Z')
+    ]);
+    assert.equal(trips.length, 2);
+  });
+});
+
+describe('compensation routes', () => {
+  let server;
+  let api;
+
+  before(async () => {
+    setDataSource(createStubSource().source);
+    server = await startServer();
+    api = (route, options) => requestJson(`${server.baseUrl}${route}`, options);
+
+    const { body } = await api('/api/v1/delays');
+    await history.recordDelays(body.data, true);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  /**
+   * Get the qualifying trip of the stub (trip-homburg-2, cancelled at Ingweiler)
+   */
+  async function getCancelledTrip() {
+    const { body } = await api('/api/v1/compensation/trips');
+    return body.data[0];
+  }
+
+  it('serves the rules', async () => {
+    const { status, body } = await api('/api/v1/compensation/rules');
+    assert.equal(status, 200);
+    assert.equal(body.data.rules.length, 3);
+  });
+
+  it('finds the recorded trips that qualify', async () => {
+    const { status, body } = await api('/api/v1/compensation/trips');
+    assert.equal(status, 200);
+    assert.equal(body.meta.count, 1);
+
+    const [trip] = body.data;
+    assert.equal(trip.tripId, 'trip-homburg-2');
+    assert.equal(trip.cancelled, true);
+    assert.equal(trip.rule.id, 'cancelled');
+    assert.equal(trip.delayMinutes, 12);
+    assert.deepEqual(trip.stops.map(stop => stop.stopId), ['1', '2', '3', '4', '5', '6', '7']);
+  });
+
+  it('filters the trips by stop and date range', async () => {
+    const future = new Date(Date.now() + 24 * 3600000).toISOString();
+    assert.equal((await api(`/api/v1/compensation/trips?from=${future}`)).body.meta.count, 0);
+    assert.equal((await api('/api/v1/lines/R7/compensation/trips?stopId=7')).body.meta.count, 1);
+    assert.equal((await api('/api/v1/compensation/trips?direction=zweibruecken')).body.meta.count, 0);
+  });
+
+  it('builds the claim for the travelled part of the trip', async () => {
+    const trip = await getCancelledTrip();
+    const claimUrl = `/api/v1/compensation/trips/${encodeURIComponent(trip.tripId)}/claim?date=${trip.date}&format=json`;
+
+    const cancelled = (await api(`${claimUrl}&from=2&to=5`)).body.data;
+    assert.equal(cancelled.qualifies, true);
+    assert.equal(cancelled.trip.rule.id, 'cancelled');
+    assert.equal(cancelled.from.stopName, 'Zweibrücken Rosengarten');
+    assert.equal(cancelled.to.stopId, '5');
+    assert.deepEqual(cancelled.stops.map(stop => stop.stopId), ['2', '3', '4', '5']);
+
+    // Before the cancellation the bus ran 12 minutes late - not enough for the 20-minute rule
+    const delayed = (await api(`${claimUrl}&from=1&to=3`)).body.data;
+    assert.equal(delayed.qualifies, false);
+    assert.equal(delayed.trip.delayMinutes, 12);
+    assert.equal(delayed.trip.rule, null);
+  });
+
+  it('renders the claim as printable HTML', async () => {
+    const trip = await getCancelledTrip();
+    const response = await fetch(`${server.baseUrl}/api/v1/compensation/trips/${encodeURIComponent(trip.tripId)}/claim?date=${trip.date}&from=1&to=7`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/html/);
+
+    const html = await response.text();
+    assert.ok(html.includes('Nachweis für einen Antrag auf Fahrgastrechte'));
+    assert.ok(html.includes('Ausfall der Fahrt'));
+    assert.ok(html.includes('<td>Ingweiler</td>'));
+    assert.ok(html.includes('window.print()'));
+    assert.ok(!html.includes('Simulation'));
+  });
+
+  it('rejects unknown trips and stops', async () => {
+    const trip = await getCancelledTrip();
+    const claimUrl = `/api/v1/compensation/trips/${encodeURIComponent(trip.tripId)}/claim`;
+
+    assert.equal((await api(`${claimUrl}?date=2020-01-01`)).body.errors[0].code, 'TRIP_NOT_FOUND');
+    assert.equal((await api(`/api/v1/compensation/trips/unknown/claim?date=${trip.date}`)).status, 404);
+    assert.equal((await api(`${claimUrl}?date=10.03.2026`)).status, 400);
+    assert.equal((await api(`${claimUrl}`)).status, 400);
+
+    const unknownStop = await api(`${claimUrl}?date=${trip.date}&to=99`);
+    assert.equal(unknownStop.status, 400);
+    assert.equal(unknownStop.body.errors[0].code, 'UNKNOWN_STOP');
+    assert.deepEqual(unknownStop.body.errors[0].meta.stops, ['1', '2', '3', '4', '5', '6', '7']);
+
+    const wrongOrder = await api(`${claimUrl}?date=${trip.date}&from=5&to=2`);
+    assert.equal(wrongOrder.body.errors[0].code, 'INVALID_REQUEST');
+  });
+});
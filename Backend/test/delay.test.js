@@ -0,0 +1,151 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDelay, getDelayStatus, calculateSummary } from '../models/delay.js';
+import { getLine } from '../config/lines.js';
+
+const line = getLine('R7');
+const planned = '2026-03-10T08:00:00.000Z';
+
+/**
+ * Build a hafas-client departure
+ */
+function departure(fields = {}) {
+  return {
+    tripId: 'trip-1',
+    plannedWhen: planned,
+    when: planned,
+    delay: 0,
+    direction: 'Homburg (Saar) Hbf',
+    line: { name: 'R7' },
+    remarks: [],
+    ...fields
+  };
+}
+
+describe('calculateDelay', () => {
+  it('converts the delay from seconds to minutes', () => {
+    const result = calculateDelay(departure({ when: '2026-03-10T08:07:00.000Z', delay: 420 }), line);
+    assert.equal(result.delayMinutes, 7);
+    assert.equal(result.status, 'delayed');
+    assert.equal(result.scheduledDeparture, planned);
+    assert.equal(result.expectedDeparture, '2026-03-10T08:07:00.000Z');
+  });
+
+  it('rounds delays to whole minutes', () => {
+    assert.equal(calculateDelay(departure({ delay: 89 })).delayMinutes, 1);
+    assert.equal(calculateDelay(departure({ delay: 91 })).delayMinutes, 2);
+  });
+
+  it('derives the delay from the times if no delay is given', () => {
+    const result = calculateDelay(departure({ when: '2026-03-10T08:12:00.000Z', delay: null }));
+    assert.equal(result.delayMinutes, 12);
+    assert.equal(result.status, 'heavily-delayed');
+  });
+
+  it('keeps early departures as negative delays', () => {
+    const result = calculateDelay(departure({ when: '2026-03-10T07:58:00.000Z', delay: -120 }));
+    assert.equal(result.delayMinutes, -2);
+    assert.equal(result.status, 'early');
+    assert.equal(result.expectedDeparture, '2026-03-10T07:58:00.000Z');
+  });
+
+  it('derives early departures from the times', () => {
+    const result = calculateDelay(departure({ when: '2026-03-10T07:59:00.000Z', delay: null }));
+    assert.equal(result.delayMinutes, -1);
+    assert.equal(result.status, 'early');
+  });
+
+  it('falls back to the scheduled time without real-time data', () => {
+    const result = calculateDelay(departure({ when: null, delay: null }));
+    assert.equal(result.expectedDeparture, planned);
+    assert.equal(result.delayMinutes, 0);
+    assert.equal(result.status, 'on-time');
+  });
+
+  it('handles departures without any time', () => {
+    const result = calculateDelay(departure({ plannedWhen: null, when: null, delay: null }));
+    assert.equal(result.scheduledDeparture, null);
+    assert.equal(result.expectedDeparture, null);
+    assert.equal(result.delayMinutes, 0);
+  });
+
+  it('marks cancelled departures', () => {
+    const result = calculateDelay(departure({ when: null, delay: null, cancelled: true }));
+    assert.equal(result.cancelled, true);
+    assert.equal(result.scheduledDeparture, planned);
+  });
+
+  it('recognizes the direction of the line by the headsign', () => {
+    assert.equal(calculateDelay(departure(), line).directionId, 'homburg');
+    assert.equal(calculateDelay(departure({ direction: 'Zweibrücken Hbf' }), line).directionId, 'zweibruecken');
+    assert.equal(calculateDelay(departure({ direction: 'Saarbrücken Hbf' }), line).directionId, null);
+    assert.equal(calculateDelay(departure()).directionId, null);
+  });
+
+  it('keeps trip, line, platform and remark texts', () => {
+    const result = calculateDelay(departure({
+      platform: null,
+      plannedPlatform: '3',
+      remarks: [{ type: 'hint', text: 'Ersatzverkehr' }]
+    }));
+    assert.equal(result.tripId, 'trip-1');
+    assert.equal(result.lineName, 'R7');
+    assert.equal(result.platform, '3');
+    assert.deepEqual(result.remarks, ['Ersatzverkehr']);
+  });
+});
+
+describe('getDelayStatus', () => {
+  it('classifies delays by the thresholds', () => {
+    assert.equal(getDelayStatus(-3), 'early');
+    assert.equal(getDelayStatus(-1), 'early');
+    assert.equal(getDelayStatus(0), 'on-time');
+    assert.equal(getDelayStatus(1), 'slight-delay');
+    assert.equal(getDelayStatus(5), 'slight-delay');
+    assert.equal(getDelayStatus(6), 'delayed');
+    assert.equal(getDelayStatus(10), 'delayed');
+    assert.equal(getDelayStatus(11), 'heavily-delayed');
+  });
+});
+
+describe('calculateSummary', () => {
+  it('counts stops, delays and cancellations', () => {
+    const summary = calculateSummary([
+      { stopId: '1', scheduledDeparture: planned, delayMinutes: 0 },
+      { stopId: '2', scheduledDeparture: planned, delayMinutes: 4 },
+      { stopId: '3', scheduledDeparture: planned, delayMinutes: 8, cancelled: true },
+      { stopId: '4', error: 'Station not found' }
+    ]);
+    assert.equal(summary.totalStops, 4);
+    assert.equal(summary.stopsWithData, 3);
+    assert.equal(summary.averageDelayMinutes, 4);
+    assert.equal(summary.maxDelayMinutes, 8);
+    assert.equal(summary.stopsOnTime, 1);
+    assert.equal(summary.stopsDelayed, 2);
+    assert.equal(summary.onTimePercentage, 33);
+    assert.equal(summary.cancelledServices, 1);
+  });
+
+  it('counts early departures as neither on time nor delayed', () => {
+    const summary = calculateSummary([
+      { stopId: '1', scheduledDeparture: planned, delayMinutes: -2 },
+      { stopId: '2', scheduledDeparture: planned, delayMinutes: -1 },
+      { stopId: '3', scheduledDeparture: planned, delayMinutes: 0 },
+      { stopId: '4', scheduledDeparture: planned, delayMinutes: 7 }
+    ]);
+    assert.equal(summary.stopsEarly, 2);
+    assert.equal(summary.stopsOnTime, 1);
+    assert.equal(summary.stopsDelayed, 1);
+    assert.equal(summary.onTimePercentage, 25);
+    assert.equal(summary.maxEarlyMinutes, 2);
+    assert.equal(summary.maxDelayMinutes, 7);
+    assert.equal(summary.averageDelayMinutes, 1);
+  });
+
+  it('reports no maximum delay if every bus is early', () => {
+    const summary = calculateSummary([{ stopId: '1', scheduledDeparture: planned, delayMinutes: -3 }]);
+    assert.equal(summary.maxDelayMinutes, 0);
+    assert.equal(summary.maxEarlyMinutes, 3);
+  });
+});
@@ -0,0 +1,182 @@
+import './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setDataSource } from '../models/delay.js';
+import * as history from '../models/history.js';
+import { toCsv, toJsonLines, getExportFileName } from '../models/export.js';
+import { escapeText, foldLine } from '../models/calendar.js';
+import { createStubSource } from './helpers/hafasStub.js';
+import { startServer, requestJson } from './helpers/server.js';
+
+const record = {
+  lineId: 'R7',
+  stopId: '4',
+  stopName: 'Ingweiler',
+  lineName: 'R7',
+  direction: 'Homburg (Saar) Hbf',
+  directionId: 'homburg',
+  plannedDeparture: '2026-03-10T07:15:00.000Z',
+  actualDeparture: '2026-03-10T07:18:00.000Z',
+  delayMinutes: 3,
+  status: 'slight-delay',
+  cancelled: false,
+  platform: null,
+  remarks: [{ text: 'Umleitung, "Baustelle"' }, 'Ersatzhaltestelle'],
+  isSimulated: false,
+  observedAt: '2026-03-10T07:10:00.000Z',
+  key: 'R7|4|...'
+};
+
+describe('export formats', () => {
+  it('writes CSV with header, local times, quoting and byte order mark', () => {
+    const csv = toCsv([record]);
+    assert.ok(csv.startsWith('\uFEFFdate,plannedTime,actualTime,lineId,'));
+    assert.ok(csv.endsWith('\r\n'));
+
+    const [, row] = csv.slice(1).split('\r\n');
+    assert.ok(row.startsWith('2026-03-10,08:15,08:18,R7,R7,4,Ingweiler,homburg,'));
+    assert.ok(row.includes(',3,slight-delay,false,,"Umleitung, ""Baustelle"" | Ersatzhaltestelle",false,'));
+  });
+
+  it('marks cancelled departures and leaves missing values empty', () => {
+    const [, row] = toCsv([{ ...record, cancelled: true, actualDeparture: null, status: 'delayed', remarks: [] }]).slice(1).split('\r\n');
+    assert.ok(row.startsWith('2026-03-10,08:15,,R7,'));
+    assert.ok(row.includes(',cancelled,true,'));
+  });
+
+  it('writes one JSON record per line without the internal key', () => {
+    const lines = toJsonLines([record, record]).split('\n');
+    assert.equal(lines.length, 3);
+    assert.equal(lines[2], '');
+    const parsed = JSON.parse(lines[0]);
+    assert.equal(parsed.key, undefined);
+    assert.equal(parsed.stopName, 'Ingweiler');
+  });
+
+  it('names files after line, kind and local date', () => {
+    assert.equal(getExportFileName('R7', 'history', 'jsonl', new Date('2026-03-10T23:30:00Z')), 'R7-history-2026-03-11.jsonl');
+  });
+});
+
+describe('iCalendar format', () => {
+  it('escapes text values', () => {
+    assert.equal(escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+  });
+
+  it('folds lines at 75 octets without splitting characters', () => {
+    const folded = foldLine(`DESCRIPTION:${'ä'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+    assert.ok(lines.length > 1);
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    assert.ok(lines.slice(1).every(line => line.startsWith(' ')));
+    assert.equal(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join(''), `DESCRIPTION:${'ä'.repeat(60)}`);
+  });
+});
+
+describe('export routes', () => {
+  let server;
+
+  /**
+   * Request a route and return status, headers and body text (including a byte order mark)
+   */
+  async function download(route) {
+    const response = await fetch(`${server.baseUrl}${route}`);
+    const text = Buffer.from(await response.arrayBuffer()).toString('utf8');
+    return { status: response.status, headers: response.headers, text };
+  }
+
+  before(async () => {
+    setDataSource(createStubSource().source);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  describe('GET /api/v1/export/delays', () => {
+    it('downloads the current departures of a stop as CSV', async () => {
+      const { status, headers, text } = await download('/api/v1/export/delays?stopId=4');
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'text/csv; charset=utf-8');
+      assert.match(headers.get('content-disposition'), /^attachment; filename="R7-delays-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+      assert.ok(text.startsWith('\uFEFFdate,'));
+      const rows = text.slice(1).trim().split('\r\n');
+      assert.equal(rows.length, 4);
+      assert.ok(rows.slice(1).every(row => row.includes(',4,Ingweiler,')));
+      assert.equal(rows.filter(row => row.includes(',cancelled,true,')).length, 1);
+    });
+
+    it('downloads JSON Lines in time order, filtered by direction', async () => {
+      const { status, headers, text } = await download('/api/v1/export/delays?format=jsonl&direction=homburg');
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'application/x-ndjson; charset=utf-8');
+
+      const records = text.trim().split('\n').map(line => JSON.parse(line));
+      assert.ok(records.length > 0);
+      assert.ok(records.every(r => r.directionId === 'homburg'));
+      const times = records.map(r => new Date(r.plannedDeparture).getTime());
+      assert.deepEqual(times, [...times].sort((a, b) => a - b));
+    });
+
+    it('answers invalid parameters in the envelope', async () => {
+      const { status, body } = await requestJson(`${server.baseUrl}/api/v1/export/delays?format=xlsx`);
+      assert.equal(status, 400);
+      assert.equal(body.errors[0].code, 'INVALID_REQUEST');
+      assert.equal((await requestJson(`${server.baseUrl}/api/v1/export/delays?direction=saarbruecken`)).body.errors[0].code, 'UNKNOWN_DIRECTION');
+    });
+  });
+
+  describe('GET /api/v1/export/history', () => {
+    before(async () => {
+      const { body } = await requestJson(`${server.baseUrl}/api/v1/delays`);
+      await history.recordDelays(body.data, true);
+    });
+
+    it('downloads recorded departures filtered by stop and date range', async () => {
+      const { status, headers, text } = await download('/api/v1/lines/R7/export/history?format=jsonl&stopId=1');
+      assert.equal(status, 200);
+      assert.match(headers.get('content-disposition'), /R7-history-.*\.jsonl/);
+      assert.equal(text.trim().split('\n').length, 3);
+
+      const future = new Date(Date.now() + 24 * 3600000).toISOString();
+      const empty = await download(`/api/v1/export/history?stopId=1&from=${future}`);
+      assert.equal(empty.text, toCsv([]));
+    });
+
+    it('validates the date range', async () => {
+      assert.equal((await download('/api/v1/export/history?to=tomorrow')).status, 400);
+    });
+  });
+
+  describe('GET /api/v1/stops/:stopId/calendar.ics', () => {
+    it('lists the next departures of the stop as events', async () => {
+      const { status, headers, text } = await download('/api/v1/stops/4/calendar.ics');
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'text/calendar; charset=utf-8');
+      assert.ok(text.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+      assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+      assert.ok(text.includes('X-WR-CALNAME:R7 ab Ingweiler'));
+
+      const events = text.split('BEGIN:VEVENT').slice(1);
+      assert.equal(events.length, 3);
+      assert.equal(events.filter(event => event.includes('STATUS:CANCELLED')).length, 1);
+      assert.ok(events.every(event => /DTSTART:\d{8}T\d{6}Z/.test(event)));
+      assert.ok(events.some(event => event.includes('(+3 Min)')));
+    });
+
+    it('restricts the feed to one direction', async () => {
+      const { text } = await download('/api/v1/lines/R7/stops/4/calendar.ics?direction=zweibruecken');
+      const events = text.split('BEGIN:VEVENT').slice(1);
+      assert.equal(events.length, 1);
+      assert.ok(events[0].includes('(-2 Min)'));
+    });
+
+    it('answers unknown stops with 404', async () => {
+      const { status, body } = await requestJson(`${server.baseUrl}/api/v1/stops/99/calendar.ics`);
+      assert.equal(status, 404);
+      assert.equal(body.errors[0].code, 'STOP_NOT_FOUND');
+    });
+  });
+});
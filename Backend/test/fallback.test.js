@@ -0,0 +1,55 @@
+import './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setDataSource, getDataSourceStatus } from '../models/delay.js';
+import { createStubSource } from './helpers/hafasStub.js';
+import { startServer, requestJson } from './helpers/server.js';
+
+describe('fallback to simulated data', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('serves simulated data while the API is unreachable', async () => {
+    const { source, client } = createStubSource({ failing: true });
+    setDataSource(source);
+
+    const { status, body } = await requestJson(`${server.baseUrl}/api/delays`);
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.isRealData, false);
+    assert.equal(body.dataSource, 'Simulierte Daten (API nicht erreichbar)');
+    assert.equal(body.data.length, 7);
+    assert.ok(body.data.every(stop => stop.isSimulated));
+
+    // Only the health probe went to the API
+    assert.deepEqual(client.calls.map(call => call.method), ['locations']);
+
+    const dataSource = getDataSourceStatus();
+    assert.equal(dataSource.mode, 'fallback');
+    assert.equal(dataSource.state, 'open');
+    assert.match(dataSource.lastError, /ENOTFOUND/);
+  });
+
+  it('reports the fallback in the health check', async () => {
+    const { body } = await requestJson(`${server.baseUrl}/api/health`);
+    assert.equal(body.dataSource.mode, 'fallback');
+  });
+
+  it('uses the API again once it is reachable', async () => {
+    const { source } = createStubSource();
+    setDataSource(source);
+
+    const { body } = await requestJson(`${server.baseUrl}/api/delays`);
+    assert.equal(body.isRealData, true);
+    assert.equal(body.dataSource, 'saarfahrplan HAFAS API (Echtzeitdaten)');
+    assert.ok(body.data.every(stop => !stop.isSimulated));
+    assert.equal(getDataSourceStatus().mode, 'live');
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Test environment - Import first, before any module of the app
+ *
+ * Keeps history and subscriptions in a temporary directory, uses the HAFAS
+ * data source (replaced by a stub in the tests), neither retries nor
+ * throttles upstream requests, sets the admin token and writes no logs.
+ */
+
+import { mkdtempSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'r7verspaetung-test-'));
+
+process.env.HISTORY_FILE = path.join(dataDir, 'history.jsonl');
+process.env.SUBSCRIPTIONS_FILE = path.join(dataDir, 'subscriptions.json');
+process.env.DATA_SOURCE = 'hafas';
+process.env.UPSTREAM_RETRIES = '0';
+process.env.UPSTREAM_RATE_LIMIT = '1000';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+delete process.env.RECORD_FILE;
+delete process.env.SIMULATOR_SCENARIO;
+delete process.env.SIMULATOR_START;
+delete process.env.SIMULATOR_SPEED;
+
+// No application logs: the test runner reads its reports from stdout, and a log
+// line per request would bury them (set LOG_LEVEL to see the logs of a test run)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+export {
+  dataDir
+};
@@ -0,0 +1,224 @@
+/**
+ * HAFAS stub - A fake hafas-client with a fixed R7 timetable
+ *
+ * Plugged into the real HAFAS adapter, so the tests cover everything from the
+ * adapter up to the HTTP responses without network access. Times are relative
+ * to the moment the stub is created.
+ */
+
+import { createHafasAdapter } from '../../adapters/index.js';
+
+// Stations along the R7, in line order (names as the stop search names in config/lines.json)
+const STATIONS = [
+  { id: '8000472', name: 'Zweibrücken Hbf' },
+  { id: '9000002', name: 'Zweibrücken Rosengarten' },
+  { id: '9000003', name: 'Einöd' },
+  { id: '9000004', name: 'Ingweiler' },
+  { id: '9000005', name: 'Bierbach' },
+  { id: '9000006', name: 'Beeden' },
+  { id: '8000176', name: 'Homburg Hbf' }
+];
+
+// Minutes between two stops
+const STOP_INTERVAL = 4;
+
+/**
+ * Trips served by the stub
+ * offset: minutes after the stub's base time at the first stop of the trip
+ * delay: seconds at every stop (negative if the bus runs early)
+ */
+const TRIPS = [
+  { id: 'trip-homburg-1', line: 'R7', direction: 'Homburg (Saar) Hbf', offset: 0, delay: 180 },
+  { id: 'trip-zweibruecken-1', line: 'R 7', direction: 'Zweibrücken Hbf', offset: 2, delay: -120, reverse: true },
+  { id: 'trip-homburg-2', line: 'R7', direction: 'Homburg (Saar) Hbf', offset: 30, delay: 720, cancelledAt: [3] }
+];
+
+// Other lines at the stations - must not show up as R7 departures
+const OTHER_DEPARTURES = [
+  { line: 'R6', product: 'bus', direction: 'Blieskastel', offset: 5 },
+  { line: 'RE 1', product: 'regional', direction: 'Mannheim Hbf', offset: 15, stations: ['8000176'] },
+  { line: 'S 1', product: 'suburban', direction: 'Kaiserslautern Hbf', offset: 17, stations: ['8000472'] }
+];
+
+/**
+ * Build a hafas-client line object
+ */
+function toLine(name, product = 'bus') {
+  return { type: 'line', id: name.toLowerCase().replace(/\s+/g, '-'), name, public: true, mode: product === 'bus' ? 'bus' : 'train', product };
+}
+
+/**
+ * Add minutes to a date, as ISO string
+ */
+function at(base, minutes) {
+  return new Date(base.getTime() + minutes * 60000).toISOString();
+}
+
+/**
+ * Get the stations of a trip in travel order
+ */
+function tripStations(trip) {
+  return trip.reverse ? [...STATIONS].reverse() : STATIONS;
+}
+
+/**
+ * Build the stopovers of a trip
+ */
+function buildStopovers(trip, base) {
+  return tripStations(trip).map((station, index) => {
+    const planned = at(base, trip.offset + index * STOP_INTERVAL);
+    const cancelled = (trip.cancelledAt || []).includes(index);
+    return {
+      stop: { type: 'stop', id: station.id, name: station.name },
+      plannedDeparture: planned,
+      departure: cancelled ? null : at(base, trip.offset + index * STOP_INTERVAL + trip.delay / 60),
+      departureDelay: cancelled ? null : trip.delay,
+      plannedDeparturePlatform: null,
+      departurePlatform: null,
+      cancelled
+    };
+  });
+}
+
+/**
+ * Build the departures at a station (all lines, in time order)
+ */
+function buildDepartures(stationId, base) {
+  const departures = [];
+
+  for (const trip of TRIPS) {
+    const stopover = buildStopovers(trip, base).find(s => s.stop.id === stationId);
+    if (!stopover) continue;
+    departures.push({
+      tripId: trip.id,
+      stop: stopover.stop,
+      when: stopover.departure,
+      plannedWhen: stopover.plannedDeparture,
+      delay: stopover.departureDelay,
+      platform: null,
+      plannedPlatform: null,
+      direction: trip.direction,
+      line: toLine(trip.line),
+      remarks: [],
+      ...(stopover.cancelled ? { cancelled: true } : {})
+    });
+  }
+
+  for (const other of OTHER_DEPARTURES) {
+    if (other.stations && !other.stations.includes(stationId)) continue;
+    departures.push({
+      tripId: `${other.line}-${stationId}`,
+      when: at(base, other.offset),
+      plannedWhen: at(base, other.offset),
+      delay: 0,
+      platform: '2',
+      direction: other.direction,
+      line: toLine(other.line, other.product),
+      remarks: []
+    });
+  }
+
+  return departures.sort((a, b) => new Date(a.plannedWhen) - new Date(b.plannedWhen));
+}
+
+/**
+ * Create a stubbed hafas-client
+ * @param {Object} [options]
+ * @param {Date} [options.base] - Departure time of the first trip (default: in 5 minutes)
+ * @param {boolean} [options.failing] - Reject every request, like an unreachable API
+ * @returns {Object} Client with locations, departures, trip and journeys, plus `calls`
+ */
+function createStubClient(options = {}) {
+  const base = options.base || new Date(Math.ceil(Date.now() / 60000) * 60000 + 5 * 60000);
+  const calls = [];
+
+  /**
+   * Record a call and fail if the stub plays an unreachable API
+   */
+  function handle(method, args, respond) {
+    calls.push({ method, args });
+    if (options.failing) {
+      return Promise.reject(new Error('getaddrinfo ENOTFOUND saarfahrplan.de'));
+    }
+    return Promise.resolve(respond());
+  }
+
+  return {
+    base,
+    calls,
+
+    locations(query, opts = {}) {
+      return handle('locations', [query, opts], () => {
+        const text = String(query).toLowerCase();
+        return STATIONS
+          .filter(station => station.name.toLowerCase().includes(text) || text.includes(station.name.toLowerCase()))
+          .slice(0, opts.results || 10)
+          .map(station => ({ type: 'stop', id: station.id, name: station.name, location: { type: 'location', latitude: 49.3, longitude: 7.3 } }));
+      });
+    },
+
+    departures(stationId, opts = {}) {
+      return handle('departures', [stationId, opts], () => ({
+        departures: buildDepartures(stationId, base),
+        realtimeDataUpdatedAt: Math.floor(Date.now() / 1000)
+      }));
+    },
+
+    trip(tripId, opts = {}) {
+      return handle('trip', [tripId, opts], () => {
+        const trip = TRIPS.find(t => t.id === tripId);
+        // Like hafas-client's HafasNotFoundError
+        if (!trip) throw Object.assign(new Error('trip not found'), { isHafasError: true, code: 'NOT_FOUND', isCausedByServer: false });
+        return {
+          trip: { id: trip.id, line: toLine(trip.line), direction: trip.direction, stopovers: buildStopovers(trip, base), remarks: [] }
+        };
+      });
+    },
+
+    journeys(from, to, opts = {}) {
+      return handle('journeys', [from, to, opts], () => {
+        const departure = new Date(opts.departure || base);
+        const stationIds = STATIONS.map(station => station.id);
+        const minutes = Math.abs(stationIds.indexOf(to) - stationIds.indexOf(from)) * STOP_INTERVAL;
+        const origin = STATIONS.find(station => station.id === from);
+        const destination = STATIONS.find(station => station.id === to);
+
+        return {
+          journeys: [{
+            type: 'journey',
+            legs: [{
+              tripId: 'trip-homburg-1',
+              origin: { type: 'stop', ...origin },
+              destination: { type: 'stop', ...destination },
+              plannedDeparture: at(departure, 5),
+              departure: at(departure, 7),
+              departureDelay: 120,
+              plannedArrival: at(departure, 5 + minutes),
+              arrival: at(departure, 7 + minutes),
+              arrivalDelay: 120,
+              line: toLine('R7'),
+              direction: 'Homburg (Saar) Hbf'
+            }]
+          }]
+        };
+      });
+    }
+  };
+}
+
+/**
+ * Create a HAFAS data source backed by the stub client
+ * @param {Object} [options] - Options of createStubClient
+ * @returns {Object} { source, client }
+ */
+function createStubSource(options = {}) {
+  const client = createStubClient(options);
+  return { source: createHafasAdapter({ client }), client };
+}
+
+export {
+  STATIONS,
+  TRIPS,
+  createStubClient,
+  createStubSource
+};
@@ -0,0 +1,46 @@
+/**
+ * Test server - Runs the Express app on a free port
+ */
+
+import app from '../../app.js';
+
+/**
+ * Start the app on a random port
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+function startServer() {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Request a JSON endpoint
+ * @param {string} url - Full URL
+ * @param {Object} [options] - fetch options; a `body` object is sent as JSON
+ * @returns {Promise<Object>} { status, body }
+ */
+async function requestJson(url, options = {}) {
+  const init = { ...options };
+  if (options.body !== undefined) {
+    init.body = JSON.stringify(options.body);
+    init.headers = { 'Content-Type': 'application/json', ...options.headers };
+  }
+  const response = await fetch(url, init);
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+export {
+  startServer,
+  requestJson
+};
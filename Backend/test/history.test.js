@@ -0,0 +1,23 @@
+import './helpers/env.js';
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { toHistoryRecords } from '../models/history.js';
+import { setClock, resetClock } from '../models/clock.js';
+
+describe('toHistoryRecords', () => {
+  after(() => resetClock());
+
+  it('stamps the records with the time of the clock', () => {
+    setClock({ time: '2026-03-10T07:05:00.000Z', speed: 0 });
+
+    const [record] = toHistoryRecords([{
+      lineId: 'R7',
+      stopId: '1',
+      stopName: 'Zweibrücken Hbf',
+      upcomingDepartures: [{ tripId: 'trip-1', scheduledDeparture: '2026-03-10T07:10:00.000Z', delayMinutes: 3 }]
+    }], false);
+
+    assert.equal(record.observedAt, '2026-03-10T07:05:00.000Z');
+    assert.equal(record.isSimulated, true);
+  });
+});
@@ -0,0 +1,89 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import path from 'path';
+import { dataDir } from './helpers/env.js';
+import { getLine, getDefaultLine, matchesLine, matchDirection, getDirection, loadLinesConfig } from '../config/lines.js';
+
+const line = getLine('R7');
+
+describe('R7 line filter', () => {
+  for (const name of ['R7', 'R 7', 'Bus R7', 'bus r 7', 'RE7', 'RB7']) {
+    it(`accepts "${name}"`, () => {
+      assert.equal(matchesLine(line, name), true);
+    });
+  }
+
+  for (const name of ['R6', 'R 17', 'RE 1', 'S 1', 'Bus 7', 'RE71']) {
+    it(`rejects "${name}"`, () => {
+      assert.equal(matchesLine(line, name), false);
+    });
+  }
+
+  it('rejects departures without a line name', () => {
+    assert.equal(matchesLine(line, null), false);
+    assert.equal(matchesLine(line, ''), false);
+  });
+});
+
+describe('line configuration', () => {
+  it('uses R7 as the default line', () => {
+    assert.equal(getDefaultLine().id, 'R7');
+  });
+
+  it('finds lines case-insensitively', () => {
+    assert.equal(getLine('r7'), line);
+    assert.equal(getLine('R99'), null);
+    assert.equal(getLine(undefined), null);
+  });
+
+  it('orders the stops from Zweibrücken to Homburg', () => {
+    assert.deepEqual(line.stops.map(stop => stop.order), [1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(line.stops[0].name, 'Zweibrücken Hauptbahnhof');
+    assert.equal(line.stops[6].name, 'Homburg (Saar) Hauptbahnhof');
+  });
+
+  it('recognizes the direction by the headsign', () => {
+    assert.equal(matchDirection(line, 'Homburg (Saar) Hbf').id, 'homburg');
+    assert.equal(matchDirection(line, 'Zweibrücken Hbf').id, 'zweibruecken');
+    assert.equal(matchDirection(line, 'Saarbrücken'), null);
+    assert.equal(matchDirection(line, null), null);
+  });
+
+  it('finds directions by ID or name', () => {
+    assert.equal(getDirection(line, 'homburg').id, 'homburg');
+    assert.equal(getDirection(line, 'Zweibrücken').id, 'zweibruecken');
+    assert.equal(getDirection(line, 'saarbruecken'), null);
+  });
+
+  describe('loadLinesConfig', () => {
+    const file = path.join(dataDir, 'lines.json');
+
+    it('defaults the line pattern to the line ID and the directions to the terminal stops', () => {
+      writeFileSync(file, JSON.stringify({
+        lines: [{ id: 'R6', stops: [{ id: 'a', name: 'Blieskastel' }, { id: 'b', name: 'Homburg' }] }]
+      }));
+      const config = loadLinesConfig(file);
+      const [r6] = config.lines;
+
+      assert.equal(config.defaultLine, 'R6');
+      assert.equal(matchesLine(r6, 'R6'), true);
+      assert.equal(matchesLine(r6, 'R66'), false);
+      assert.deepEqual(r6.directions.map(direction => direction.id), ['towards-b', 'towards-a']);
+      assert.equal(matchDirection(r6, 'Homburg').id, 'towards-b');
+    });
+
+    it('rejects duplicate line IDs', () => {
+      writeFileSync(file, JSON.stringify({
+        lines: [{ id: 'R6', stops: [{ id: 'a', name: 'A' }] }, { id: 'R6', stops: [{ id: 'b', name: 'B' }] }]
+      }));
+      assert.throws(() => loadLinesConfig(file), /Duplicate line id "R6"/);
+    });
+
+    it('rejects lines without stops', () => {
+      writeFileSync(file, JSON.stringify({ lines: [{ id: 'R6', stops: [] }] }));
+      assert.throws(() => loadLinesConfig(file), /at least one stop/);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCounter, createGauge, createHistogram, renderMetrics } from '../models/metrics.js';
+import { logger, runWithLogContext } from '../models/logger.js';
+import { recordStopDelays } from '../services/metrics.js';
+import { setDataSource } from '../models/delay.js';
+import { createStubSource } from './helpers/hafasStub.js';
+import { startServer, requestJson } from './helpers/server.js';
+
+/**
+ * Find the value of a sample in the exposition text
+ * @returns {number|undefined} Value (undefined if there is no such sample)
+ */
+function sample(text, series) {
+  const line = text.split('\n').find(l => l.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+/**
+ * Capture the log lines written while running fn
+ */
+function captureLogs(fn) {
+  const lines = [];
+  const { log, error } = console;
+  console.log = console.error = line => lines.push(JSON.parse(line));
+  try {
+    fn();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+  return lines;
+}
+
+describe('metrics registry', () => {
+  it('renders counters and gauges with escaped labels', () => {
+    const counter = createCounter({ name: 'test_events_total', help: 'Events' });
+    const gauge = createGauge({ name: 'test_level', help: 'Level' });
+    counter.inc({ kind: 'a "quoted"\nvalue' });
+    counter.inc({ kind: 'a "quoted"\nvalue' }, 2);
+    gauge.set({}, -1.5);
+
+    const text = renderMetrics();
+    assert.ok(text.includes('# TYPE test_events_total counter'));
+    assert.equal(sample(text, 'test_events_total{kind="a \\"quoted\\"\\nvalue"}'), 3);
+    assert.equal(sample(text, 'test_level'), -1.5);
+
+    gauge.remove(() => true);
+    assert.equal(sample(renderMetrics(), 'test_level'), undefined);
+  });
+
+  it('renders cumulative histogram buckets', () => {
+    const histogram = createHistogram({ name: 'test_duration_seconds', help: 'Duration', buckets: [0.1, 1] });
+    histogram.observe({ op: 'x' }, 0.05);
+    histogram.observe({ op: 'x' }, 0.5);
+    histogram.observe({ op: 'x' }, 5);
+
+    const text = renderMetrics();
+    assert.equal(sample(text, 'test_duration_seconds_bucket{op="x",le="0.1"}'), 1);
+    assert.equal(sample(text, 'test_duration_seconds_bucket{op="x",le="1"}'), 2);
+    assert.equal(sample(text, 'test_duration_seconds_bucket{op="x",le="+Inf"}'), 3);
+    assert.equal(sample(text, 'test_duration_seconds_sum{op="x"}'), 5.55);
+    assert.equal(sample(text, 'test_duration_seconds_count{op="x"}'), 3);
+  });
+
+  it('refuses to register a name twice', () => {
+    assert.throws(() => createGauge({ name: 'test_level', help: 'Again' }), /already registered/);
+  });
+});
+
+describe('logger', () => {
+  // The test environment silences the logs
+  const testLevel = process.env.LOG_LEVEL;
+
+  before(() => {
+    process.env.LOG_LEVEL = 'debug';
+  });
+
+  after(() => {
+    process.env.LOG_LEVEL = testLevel;
+  });
+
+  it('writes JSON lines with the fields and the serialized error', () => {
+    const [entry] = captureLogs(() => logger.error('Failed', { stopId: '4', error: new TypeError('boom') }));
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.msg, 'Failed');
+    assert.equal(entry.stopId, '4');
+    assert.equal(entry.error.name, 'TypeError');
+    assert.equal(entry.error.message, 'boom');
+    assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  });
+
+  it('drops entries below LOG_LEVEL', () => {
+    const previous = process.env.LOG_LEVEL;
+    try {
+      process.env.LOG_LEVEL = 'info';
+      assert.deepEqual(captureLogs(() => {
+        logger.debug('hidden');
+        logger.info('shown');
+      }).map(entry => entry.msg), ['shown']);
+
+      process.env.LOG_LEVEL = 'silent';
+      assert.equal(captureLogs(() => logger.error('hidden')).length, 0);
+    } finally {
+      process.env.LOG_LEVEL = previous;
+    }
+  });
+
+  it('adds the fields of the context, also after an await', async () => {
+    const entries = [];
+    await runWithLogContext({ requestId: 'req-1' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      entries.push(...captureLogs(() => logger.warn('Later')));
+    });
+    assert.equal(entries[0].requestId, 'req-1');
+    assert.equal(captureLogs(() => logger.warn('Outside'))[0].requestId, undefined);
+  });
+});
+
+describe('GET /metrics', () => {
+  let server;
+
+  before(async () => {
+    setDataSource(createStubSource().source);
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  /**
+   * Scrape the metrics
+   */
+  async function scrape() {
+    const response = await fetch(`${server.baseUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    return response.text();
+  }
+
+  it('counts upstream requests, cache lookups and HTTP requests', async () => {
+    const { body } = await requestJson(`${server.baseUrl}/api/v1/delays`);
+    await requestJson(`${server.baseUrl}/api/v1/delays`);
+    const text = await scrape();
+
+    assert.ok(sample(text, 'r7verspaetung_upstream_requests_total{source="hafas",operation="departures",outcome="success"}') >= 7);
+    assert.ok(sample(text, 'r7verspaetung_upstream_request_duration_seconds_count{source="hafas",operation="departures",outcome="success"}') >= 7);
+    assert.ok(sample(text, 'r7verspaetung_cache_requests_total{namespace="delays",result="hit"}') >= 1);
+    assert.equal(sample(text, 'r7verspaetung_data_source_mode{source="hafas",mode="live"}'), 1);
+    assert.equal(sample(text, 'r7verspaetung_data_source_mode{source="hafas",mode="fallback"}'), 0);
+    assert.equal(sample(text, 'r7verspaetung_circuit_breaker_state{state="closed"}'), 1);
+    assert.ok(sample(text, 'r7verspaetung_http_requests_total{method="GET",route="/api/v1/delays",status="200"}') >= 2);
+    assert.ok(sample(text, 'process_resident_memory_bytes') > 0);
+
+    recordStopDelays('R7', body.data);
+    const gauges = await scrape();
+    assert.equal(sample(gauges, 'r7verspaetung_stop_delay_minutes{line="R7",stop_id="1",stop="Zweibrücken Hauptbahnhof",direction="homburg"}'), 3);
+    assert.equal(sample(gauges, 'r7verspaetung_stop_delay_minutes{line="R7",stop_id="7",stop="Homburg (Saar) Hauptbahnhof",direction="zweibruecken"}'), -2);
+    assert.ok(sample(gauges, 'r7verspaetung_last_poll_timestamp_seconds{line="R7"}') > 0);
+  });
+
+  it('drops stops that no longer have a departure', async () => {
+    recordStopDelays('R7', [{ stopId: '1', stopName: 'Zweibrücken Hbf', directions: [{ id: 'homburg', scheduledDeparture: null }] }]);
+    assert.ok(!(await scrape()).includes('r7verspaetung_stop_delay_minutes{line="R7"'));
+  });
+});
@@ -0,0 +1,76 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import apiRoutes from '../routes/api.js';
+import { getOpenApiDocument } from '../openapi/document.js';
+import { validateValue, findOperation } from '../openapi/validator.js';
+
+const document = getOpenApiDocument();
+const METHODS = ['get', 'post', 'put', 'delete'];
+
+/**
+ * List the routes of the API router as [method, path]
+ */
+function listRoutes() {
+  return apiRoutes.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => [method, layer.route.path]));
+}
+
+/**
+ * Collect all $ref values of a document
+ */
+function collectRefs(node, refs = []) {
+  if (Array.isArray(node)) node.forEach(item => collectRefs(item, refs));
+  else if (node && typeof node === 'object') {
+    if (node.$ref) refs.push(node.$ref);
+    Object.values(node).forEach(value => collectRefs(value, refs));
+  }
+  return refs;
+}
+
+describe('OpenAPI document', () => {
+  it('documents every API route', () => {
+    const undocumented = listRoutes()
+      .filter(([, path]) => !['/openapi.json', '/docs'].includes(path))
+      .filter(([method, path]) => !findOperation(path, method));
+    assert.deepEqual(undocumented, []);
+  });
+
+  it('only documents existing routes', () => {
+    const routes = new Set(listRoutes().map(([method, path]) => `${method} ${path.replace(/:(\w+)/g, '{$1}')}`));
+    routes.add('get /health');
+    const documented = Object.entries(document.paths)
+      .flatMap(([path, item]) => METHODS.filter(method => item[method]).map(method => `${method} ${path}`));
+    assert.deepEqual(documented.filter(operation => !routes.has(operation)), []);
+  });
+
+  it('has unique operation IDs', () => {
+    const ids = Object.values(document.paths).flatMap(item => METHODS.filter(m => item[m]).map(m => item[m].operationId));
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  it('only references defined components', () => {
+    for (const ref of collectRefs(document)) {
+      const [, , group, name] = ref.split('/');
+      assert.ok(document.components[group][name], `${ref} is not defined`);
+    }
+  });
+});
+
+describe('schema validation', () => {
+  it('checks types, ranges and formats', () => {
+    assert.deepEqual(validateValue(5, { type: 'integer', minimum: 1, maximum: 10 }, 'x'), []);
+    assert.deepEqual(validateValue(0, { type: 'integer', minimum: 1 }, 'x'), ['x must be at least 1']);
+    assert.deepEqual(validateValue(1.5, { type: 'integer' }, 'x'), ['x must be an integer']);
+    assert.deepEqual(validateValue('soon', { type: 'string', format: 'date-time' }, 'x'), ['x must be a valid ISO date']);
+    assert.deepEqual(validateValue('b', { type: 'string', enum: ['a'] }, 'x'), ['x must be one of a']);
+    assert.deepEqual(validateValue(null, { type: 'string', nullable: true }, 'x'), []);
+    assert.deepEqual(validateValue(true, { oneOf: [{ type: 'number' }, { type: 'string' }] }, 'x'), ['x must be a number or a string']);
+  });
+
+  it('reports all problems of an object', () => {
+    const errors = validateValue({ webhookUrl: 1, weekdays: ['mon', 2] }, { $ref: '#/components/schemas/SubscriptionInput' }, 'body');
+    assert.deepEqual(errors, ['"stopId" is required', '"weekdays"[1] must be a string', '"webhookUrl" must be a string']);
+  });
+});
@@ -0,0 +1,57 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import path from 'path';
+import { dataDir } from './helpers/env.js';
+import { loadPunctualityPolicy, getPunctualityPolicy, classifyDelay } from '../config/punctuality.js';
+
+const file = path.join(dataDir, 'punctuality.json');
+
+/**
+ * Write a policy file and load it
+ */
+function loadPolicy(config) {
+  writeFileSync(file, JSON.stringify(config));
+  return loadPunctualityPolicy(file);
+}
+
+describe('punctuality policy', () => {
+  it('uses the 0/5/10-minute buckets by default', () => {
+    const policy = getPunctualityPolicy();
+    assert.deepEqual(policy.statuses.map(status => [status.id, status.minMinutes, status.maxMinutes]), [
+      ['early', null, -1],
+      ['on-time', 0, 0],
+      ['slight-delay', 1, 5],
+      ['delayed', 6, 10],
+      ['heavily-delayed', 11, null]
+    ]);
+    assert.equal(policy.statuses[1].label, 'Pünktlich');
+  });
+
+  it('classifies delays with the configured thresholds', () => {
+    const policy = loadPolicy({ earlyToleranceMinutes: 1, onTimeMaxMinutes: 3, slightDelayMaxMinutes: 5, delayedMaxMinutes: 15 });
+    const classify = minutes => classifyDelay(minutes, policy);
+
+    assert.equal(classify(-2), 'early');
+    assert.equal(classify(-1), 'on-time');
+    assert.equal(classify(3), 'on-time');
+    assert.equal(classify(3.5), 'slight-delay');
+    assert.equal(classify(4), 'slight-delay');
+    assert.equal(classify(15), 'delayed');
+    assert.equal(classify(16), 'heavily-delayed');
+  });
+
+  it('leaves out statuses without a delay range', () => {
+    const policy = loadPolicy({ earlyToleranceMinutes: 0, onTimeMaxMinutes: 5, slightDelayMaxMinutes: 5, delayedMaxMinutes: 10 });
+    assert.deepEqual(policy.statuses.map(status => status.id), ['early', 'on-time', 'delayed', 'heavily-delayed']);
+    assert.equal(classifyDelay(5, policy), 'on-time');
+    assert.equal(classifyDelay(6, policy), 'delayed');
+  });
+
+  it('rejects missing, negative and decreasing thresholds', () => {
+    assert.throws(() => loadPolicy({ onTimeMaxMinutes: 3 }), /"earlyToleranceMinutes"/);
+    assert.throws(() => loadPolicy({ earlyToleranceMinutes: 0, onTimeMaxMinutes: -1, slightDelayMaxMinutes: 5, delayedMaxMinutes: 10 }), /"onTimeMaxMinutes"/);
+    assert.throws(() => loadPolicy({ earlyToleranceMinutes: 0, onTimeMaxMinutes: 6, slightDelayMaxMinutes: 5, delayedMaxMinutes: 10 }), /must not decrease/);
+  });
+});
@@ -0,0 +1,42 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler, sleep, TimeoutError } from '../models/scheduler.js';
+
+describe('upstream scheduler', () => {
+  it('keeps the slot of a timed out request until it settles', async () => {
+    const scheduler = createScheduler({ concurrency: 1, timeoutMs: 20, retries: 1, backoffMs: 1 });
+    let running = 0;
+    let maxRunning = 0;
+    const slowRequest = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(30);
+      running--;
+    };
+
+    const first = scheduler.schedule(slowRequest);
+    const second = scheduler.schedule(async () => 'done');
+
+    await assert.rejects(first, TimeoutError);
+    assert.equal(await second, 'done');
+    assert.equal(maxRunning, 1);
+    assert.equal(scheduler.getStats().timedOut, 2);
+  });
+
+  it('frees the slot of a request that never settles after another timeout', async () => {
+    const scheduler = createScheduler({ concurrency: 1, timeoutMs: 20, retries: 0 });
+    const hung = scheduler.schedule(() => new Promise(() => {}));
+    const next = scheduler.schedule(async () => 'done');
+
+    await assert.rejects(hung, TimeoutError);
+    assert.equal(await next, 'done');
+  });
+
+  it('rejects the caller when the timeout expires, not when the request settles', async () => {
+    const scheduler = createScheduler({ timeoutMs: 20, retries: 0 });
+    const startedAt = Date.now();
+    await assert.rejects(scheduler.schedule(() => sleep(200)), TimeoutError);
+    assert.ok(Date.now() - startedAt < 150);
+  });
+});
@@ -0,0 +1,24 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStats } from '../models/stats.js';
+
+/**
+ * Build a history record of a departure at a stop
+ */
+function record(stopId, delayMinutes = 0) {
+  return { stopId, stopName: `Stop ${stopId}`, plannedDeparture: '2026-03-10T07:00:00.000Z', delayMinutes, cancelled: false };
+}
+
+describe('computeStats', () => {
+  it('orders the stops like the line', () => {
+    const line = { stops: [{ id: 'de:10:b', order: 1 }, { id: 'de:10:a', order: 2 }] };
+    const { byStop } = computeStats([record('de:10:a'), record('x:2'), record('de:10:b'), record('x:10')], line);
+    assert.deepEqual(byStop.map(stop => stop.key), ['de:10:b', 'de:10:a', 'x:2', 'x:10']);
+  });
+
+  it('orders stops by ID without a line', () => {
+    const { byStop } = computeStats([record('stop-b'), record('10'), record('stop-a'), record('9')]);
+    assert.deepEqual(byStop.map(stop => stop.key), ['9', '10', 'stop-a', 'stop-b']);
+  });
+});
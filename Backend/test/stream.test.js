@@ -0,0 +1,36 @@
+import './helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSnapshots } from '../services/stream.js';
+
+/**
+ * Build the delay object of a stop whose next departure is the one towards Homburg
+ */
+function stop(homburg, zweibruecken) {
+  return {
+    stopId: '4',
+    ...homburg,
+    directions: [{ id: 'homburg', ...homburg }, { id: 'zweibruecken', ...zweibruecken }]
+  };
+}
+
+describe('diffSnapshots', () => {
+  const next = { scheduledDeparture: '2026-03-10T08:00:00.000Z', delayMinutes: 2, status: 'slight-delay', cancelled: false };
+  const other = { scheduledDeparture: '2026-03-10T08:10:00.000Z', delayMinutes: 0, status: 'on-time', cancelled: false, platform: '1' };
+
+  it('reports new stops as added', () => {
+    assert.deepEqual(diffSnapshots([], [stop(next, other)]).map(change => change.changes), [['added']]);
+  });
+
+  it('reports changes that only affect one direction', () => {
+    const changes = diffSnapshots([stop(next, other)], [stop(next, { ...other, cancelled: true, platform: '2' })]);
+
+    assert.equal(changes.length, 1);
+    assert.deepEqual(changes[0].changes, ['cancellation', 'platform']);
+    assert.deepEqual(changes[0].directions, [{ id: 'zweibruecken', changes: ['cancellation', 'platform'] }]);
+  });
+
+  it('leaves out stops without changes', () => {
+    assert.deepEqual(diffSnapshots([stop(next, other)], [stop(next, other)]), []);
+  });
+});
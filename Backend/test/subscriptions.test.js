@@ -0,0 +1,156 @@
+import { dataDir } from './helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { readFileSync, readdirSync } from 'fs';
+import { createSubscription, recordNotification, deleteSubscription } from '../models/subscriptions.js';
+import { processUpdate, evaluateSubscription, isInSchedule } from '../services/alerts.js';
+
+describe('subscriptions file', () => {
+  it('stays valid when notifications are recorded concurrently', async () => {
+    const { subscription } = await createSubscription({ stopId: '1', webhookUrl: 'http://127.0.0.1:9/hook' });
+
+    await Promise.all(Array.from({ length: 20 }, (_, index) => recordNotification(subscription.id, {
+      deliveryId: `key-${index}`,
+      scheduledDeparture: new Date().toISOString(),
+      at: new Date().toISOString(),
+      event: 'delay',
+      message: `Meldung ${index}`,
+      delivered: true
+    })));
+
+    const [stored] = JSON.parse(readFileSync(process.env.SUBSCRIPTIONS_FILE, 'utf8'));
+    assert.equal(stored.id, subscription.id);
+    assert.equal(stored.lastNotification.message, 'Meldung 19');
+    assert.equal(stored.notifications.length, 20);
+    assert.deepEqual(readdirSync(dataDir).filter(file => file.endsWith('.tmp')), []);
+
+    await deleteSubscription(subscription.id);
+  });
+});
+
+describe('isInSchedule', () => {
+  // Tuesday, 08:00 in Saarland
+  const planned = '2026-03-10T07:00:00.000Z';
+
+  it('accepts every departure without weekdays and time window', () => {
+    assert.equal(isInSchedule({ weekdays: null, timeWindow: null }, planned), true);
+  });
+
+  it('checks the local weekday and time', () => {
+    assert.equal(isInSchedule({ weekdays: ['tue'], timeWindow: { from: '07:30', to: '08:00' } }, planned), true);
+    assert.equal(isInSchedule({ weekdays: ['mon', 'wed'], timeWindow: null }, planned), false);
+    assert.equal(isInSchedule({ weekdays: null, timeWindow: { from: '08:01', to: '09:00' } }, planned), false);
+  });
+
+  it('handles time windows across midnight', () => {
+    const night = { weekdays: null, timeWindow: { from: '22:00', to: '01:00' } };
+    assert.equal(isInSchedule(night, '2026-03-10T23:30:00.000Z'), true);
+    assert.equal(isInSchedule(night, planned), false);
+  });
+});
+
+describe('evaluateSubscription', () => {
+  const subscription = {
+    stopId: '1',
+    direction: null,
+    weekdays: null,
+    timeWindow: null,
+    delayThresholdMinutes: 5,
+    notifyOnCancellation: true
+  };
+
+  /**
+   * Build the delay data of stop 1 with the given departures
+   */
+  function delaysWith(departures, fields = {}) {
+    return [{
+      stopId: '1',
+      stopName: 'Zweibrücken Hbf',
+      ...fields,
+      upcomingDepartures: departures.map((dep, index) => ({
+        tripId: `trip-${index}`,
+        scheduledDeparture: `2026-03-10T07:${String(index * 10).padStart(2, '0')}:00.000Z`,
+        direction: 'Homburg (Saar) Hbf',
+        directionId: 'homburg',
+        delayMinutes: 0,
+        cancelled: false,
+        ...dep
+      }))
+    }];
+  }
+
+  it('raises delays from the threshold on and cancellations', () => {
+    const alerts = evaluateSubscription(subscription, delaysWith([{ delayMinutes: 4 }, { delayMinutes: 5 }, { cancelled: true }]));
+    assert.deepEqual(alerts.map(alert => [alert.event, alert.departure.tripId]), [['delay', 'trip-1'], ['cancellation', 'trip-2']]);
+  });
+
+  it('applies the direction and the cancellation setting', () => {
+    const delays = delaysWith([{ delayMinutes: 9 }, { cancelled: true, directionId: 'zweibruecken', direction: 'Zweibrücken Hbf' }]);
+    assert.equal(evaluateSubscription({ ...subscription, direction: 'zweibruecken' }, delays)[0].event, 'cancellation');
+    assert.deepEqual(evaluateSubscription({ ...subscription, notifyOnCancellation: false }, delays).map(alert => alert.event), ['delay']);
+  });
+
+  it('raises nothing for failed, outdated or simulated stops', () => {
+    const late = [{ delayMinutes: 20 }];
+    assert.equal(evaluateSubscription(subscription, delaysWith(late, { stale: true })).length, 0);
+    assert.equal(evaluateSubscription(subscription, delaysWith(late, { error: 'Timeout' })).length, 0);
+    assert.equal(evaluateSubscription(subscription, delaysWith(late, { isSimulated: true })).length, 0);
+    assert.equal(evaluateSubscription({ ...subscription, stopId: '2' }, delaysWith(late)).length, 0);
+  });
+});
+
+describe('alert notifications', () => {
+  let server;
+  let received;
+  let subscription;
+
+  const delays = [{
+    lineId: 'R7',
+    stopId: '1',
+    stopName: 'Zweibrücken Hbf',
+    upcomingDepartures: [{
+      tripId: 'trip-1',
+      lineName: 'R7',
+      direction: 'Homburg (Saar) Hbf',
+      directionId: 'homburg',
+      scheduledDeparture: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+      delayMinutes: 8,
+      cancelled: false
+    }]
+  }];
+
+  before(async () => {
+    received = [];
+    server = http.createServer((req, res) => {
+      received.push(req.headers['x-alert-delivery']);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    ({ subscription } = await createSubscription({ stopId: '1', webhookUrl: `http://127.0.0.1:${server.address().port}/hook` }));
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('sends nothing for simulated data', async () => {
+    assert.equal(await processUpdate('R7', delays, false), 0);
+    assert.equal(received.length, 0);
+  });
+
+  it('reports a delay once, also after a restart', async () => {
+    assert.equal(await processUpdate('R7', delays), 1);
+    assert.equal(await processUpdate('R7', delays), 0);
+
+    // A fresh instance of the service, as after a restart, starts from the stored log
+    const restarted = await import('../services/alerts.js?restart');
+    restarted.restoreNotified();
+    assert.equal(await restarted.processUpdate('R7', delays), 0);
+
+    assert.equal(received.length, 1);
+    const [stored] = JSON.parse(readFileSync(process.env.SUBSCRIPTIONS_FILE, 'utf8'));
+    assert.equal(stored.id, subscription.id);
+    assert.deepEqual(stored.notifications.map(entry => entry.deliveryId), received);
+  });
+});
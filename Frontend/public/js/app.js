@@ -1,21 +1,61 @@
-// Main application JavaScript for R7 Verspätung
+// Main application JavaScript for R7 Verspätung (and other configured lines)
 // Uses real data from saarfahrplan HAFAS API
 
 // API configuration
 const API_BASE_URL = 'http://localhost:3000';
+const API_URL = `${API_BASE_URL}/api/v1`;
 
-// Refresh interval (60 seconds for real data to avoid API rate limiting)
+// Refresh interval when polling (60 seconds for real data to avoid API rate limiting)
 const REFRESH_INTERVAL = 60000;
 
+// Consecutive stream errors before falling back to polling, and when to try the stream again
+const STREAM_MAX_ERRORS = 3;
+const STREAM_RETRY_INTERVAL = 300000;
+
 // State
 let autoRefreshInterval = null;
+let currentLineId = localStorage.getItem('lineId');
+let currentDirection = localStorage.getItem('direction') || 'all';
+let eventSource = null;
+let streamErrors = 0;
+let streamRetryTimeout = null;
+// Delay thresholds of the backend, used to colour delays the same way the backend classifies them
+let punctualityPolicy = null;
+
+// Service alerts: shown collapsed to the first few, details per alert on demand
+const ALERTS_COLLAPSED_COUNT = 2;
+let alertsData = [];
+let alertsExpanded = false;
+const expandedAlerts = new Set();
+
+// Offline: the service worker serves the last known data; look for the backend again this often
+const RECONNECT_INTERVAL = 15000;
+const OFFLINE_AGE_INTERVAL = 30000;
+// Time the oldest cached response on screen was stored (null while the data is live)
+let offlineDataAt = null;
+let lastUpdateAt = null;
+let reconnectTimer = null;
+let offlineAgeTimer = null;
+let installPrompt = null;
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
   console.log('R7 Verspätung App initialized');
+  registerServiceWorker();
   initializeApp();
 });
 
+/**
+ * Register the service worker (app shell and last known data for offline use)
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  
+  navigator.serviceWorker.register('sw.js').catch(error => {
+    console.warn('Service worker not registered:', error);
+  });
+}
+
 /**
  * Initialize the application
  */
@@ -26,9 +66,16 @@ async function initializeApp() {
   // Check backend health and load data
   const isConnected = await checkBackendHealth();
   
-  if (isConnected) {
-    await loadAllData();
-    startAutoRefresh();
+  // Without a connection the service worker answers with the last known data
+  await loadPunctualityPolicy();
+  await loadLines();
+  await loadAllData();
+  
+  if (isConnected && !offlineDataAt) {
+    // Live updates via Server-Sent Events; polling is only the fallback
+    connectStream();
+  } else {
+    showOfflineData();
   }
 }
 
@@ -49,11 +96,101 @@ function setupEventListeners() {
     });
   }
   
+  // Line picker
+  const lineFilter = document.getElementById('line-filter');
+  if (lineFilter) {
+    lineFilter.addEventListener('change', (e) => {
+      selectLine(e.target.value);
+    });
+  }
+  
+  // Direction toggle (buttons are rendered per line)
+  const directionToggle = document.getElementById('direction-toggle');
+  if (directionToggle) {
+    directionToggle.addEventListener('click', (e) => {
+      const button = e.target.closest('.direction-btn');
+      if (button) selectDirection(button.dataset.direction);
+    });
+  }
+  
   // Stop filter
   const stopFilter = document.getElementById('stop-filter');
   if (stopFilter) {
     stopFilter.addEventListener('change', (e) => {
       filterDelays(e.target.value);
+      updateExportLinks();
+    });
+  }
+  
+  // Export links follow the filters and the history date range
+  const exportForm = document.getElementById('export-history-form');
+  if (exportForm) {
+    exportForm.addEventListener('change', updateExportLinks);
+  }
+  
+  // Passenger rights: qualifying trips
+  const compensationForm = document.getElementById('compensation-form');
+  if (compensationForm) {
+    compensationForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      loadCompensationTrips();
+    });
+  }
+  
+  // Alerts banner: show all, details and dismiss
+  const alertsToggle = document.getElementById('alerts-toggle');
+  if (alertsToggle) {
+    alertsToggle.addEventListener('click', () => {
+      alertsExpanded = !alertsExpanded;
+      renderAlerts();
+    });
+  }
+  const alertsList = document.getElementById('alerts-list');
+  if (alertsList) {
+    alertsList.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-alert-id]');
+      if (!button) return;
+      if (button.dataset.action === 'dismiss') {
+        dismissAlert(button.dataset.alertId);
+      } else {
+        toggleAlertDetails(button.dataset.alertId);
+      }
+    });
+  }
+  
+  // Journey planner
+  const journeyForm = document.getElementById('journey-form');
+  if (journeyForm) {
+    journeyForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      planJourney();
+    });
+  }
+  
+  // Connection lost and back (e.g. in a dead spot along the line)
+  window.addEventListener('offline', () => {
+    offlineDataAt = offlineDataAt || lastUpdateAt;
+    showOfflineData();
+  });
+  window.addEventListener('online', tryReconnect);
+  
+  // Install as app (offered by the browser once the page qualifies as PWA)
+  const installBtn = document.getElementById('install-btn');
+  if (installBtn) {
+    window.addEventListener('beforeinstallprompt', (e) => {
+      e.preventDefault();
+      installPrompt = e;
+      installBtn.hidden = false;
+    });
+    installBtn.addEventListener('click', async () => {
+      if (!installPrompt) return;
+      installPrompt.prompt();
+      await installPrompt.userChoice;
+      installPrompt = null;
+      installBtn.hidden = true;
+    });
+    window.addEventListener('appinstalled', () => {
+      installBtn.hidden = true;
     });
   }
 }
@@ -66,10 +203,9 @@ async function checkBackendHealth() {
   const statusText = statusBar.querySelector('.status-text');
   
   try {
-    const response = await fetch(`${API_BASE_URL}/api/health`);
-    const data = await response.json();
+    const { data } = await fetchApi(`${API_URL}/health`);
     
-    if (data.status === 'OK') {
+    if (data && data.status === 'OK') {
       statusBar.className = 'status-bar connected';
       statusText.textContent = 'Verbunden mit saarfahrplan API (Echtzeitdaten)';
       console.log('Backend status:', data);
@@ -77,25 +213,298 @@ async function checkBackendHealth() {
     }
   } catch (error) {
     console.error('Error connecting to backend:', error);
-    statusBar.className = 'status-bar disconnected';
-    statusText.textContent = 'Verbindung fehlgeschlagen - Backend nicht erreichbar';
+    if (offlineDataAt) {
+      renderOfflineStatus();
+    } else {
+      statusBar.className = 'status-bar disconnected';
+      statusText.textContent = 'Verbindung fehlgeschlagen - Backend nicht erreichbar';
+    }
     return false;
   }
   return false;
 }
 
+/**
+ * Show that the data on screen is the last known state and look for the backend until it is back
+ */
+function showOfflineData() {
+  disconnectStream();
+  stopAutoRefresh();
+  renderOfflineStatus();
+  
+  // The data gets older while nothing new arrives
+  if (!offlineAgeTimer) {
+    offlineAgeTimer = setInterval(renderOfflineStatus, OFFLINE_AGE_INTERVAL);
+  }
+  if (!reconnectTimer) {
+    reconnectTimer = setInterval(tryReconnect, RECONNECT_INTERVAL);
+  }
+}
+
+/**
+ * Render the offline state with the age of the data on screen
+ */
+function renderOfflineStatus() {
+  const statusBar = document.getElementById('connection-status');
+  const statusText = statusBar.querySelector('.status-text');
+  const lastUpdate = document.getElementById('last-update');
+  
+  statusBar.className = 'status-bar offline';
+  if (!offlineDataAt) {
+    statusText.textContent = '📴 Offline - noch keine gespeicherten Daten. Neuer Versuch, sobald die Verbindung zurück ist.';
+    return;
+  }
+  
+  const time = new Date(offlineDataAt).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+  statusText.textContent = `📴 Offline - letzter bekannter Stand von ${time} (${formatAge(offlineDataAt)}). Die Zeiten können sich inzwischen geändert haben.`;
+  lastUpdate.textContent = `${time} (${formatAge(offlineDataAt)}, gespeichert)`;
+  lastUpdate.classList.add('stale');
+}
+
+/**
+ * Describe how long ago a timestamp was, e.g. "vor 12 Min"
+ */
+function formatAge(timestamp) {
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 1) return 'gerade eben';
+  if (minutes < 60) return `vor ${minutes} Min`;
+  if (minutes < 24 * 60) return `vor ${Math.floor(minutes / 60)} Std ${minutes % 60} Min`;
+  return `vom ${new Date(timestamp).toLocaleDateString('de-DE')}`;
+}
+
+/**
+ * Check whether the backend is back and resume the live updates if so
+ */
+async function tryReconnect() {
+  if (navigator.onLine === false) return;
+  if (!(await checkBackendHealth())) return;
+  
+  clearInterval(reconnectTimer);
+  clearInterval(offlineAgeTimer);
+  reconnectTimer = null;
+  offlineAgeTimer = null;
+  
+  // Loaded for the first time if the app started without any connection
+  if (!punctualityPolicy) await loadPunctualityPolicy();
+  if (!window.linesData) await loadLines();
+  await loadAllData();
+  
+  if (offlineDataAt) {
+    showOfflineData();
+  } else {
+    connectStream();
+  }
+}
+
+/**
+ * Request an API route and unpack the response envelope
+ * @returns {Promise<Object>} { data, meta, error } - error is the message of the first error, if any
+ */
+async function fetchApi(url) {
+  const response = await fetch(url);
+  const { data, meta, errors } = await response.json();
+  
+  // Without a connection the service worker answers with a stored response, stamped with its time
+  const cachedAt = response.headers.get('X-Cached-At');
+  if (cachedAt && (!offlineDataAt || cachedAt < offlineDataAt)) {
+    offlineDataAt = cachedAt;
+  }
+  return { data, meta, error: errors && errors.length > 0 ? errors[0].message : null };
+}
+
+/**
+ * Build the API URL for a route of the selected line
+ */
+function lineUrl(path) {
+  // Without a selected line, the unprefixed routes serve the default line
+  if (!currentLineId) return `${API_URL}${path}`;
+  return `${API_URL}/lines/${encodeURIComponent(currentLineId)}${path}`;
+}
+
+/**
+ * Build the API URL for a route of the selected line, restricted to the selected direction
+ */
+function directionUrl(path) {
+  if (currentDirection === 'all') return lineUrl(path);
+  return `${lineUrl(path)}?direction=${encodeURIComponent(currentDirection)}`;
+}
+
+/**
+ * Load configured lines for the line picker
+ */
+async function loadLines() {
+  try {
+    const { data, meta, error } = await fetchApi(`${API_URL}/lines`);
+    
+    if (!error) {
+      // Fall back to the default line if the stored line no longer exists
+      if (!data.some(line => line.id === currentLineId)) {
+        currentLineId = meta.defaultLine;
+      }
+      window.linesData = data;
+      populateLineFilter(data);
+      updateLineSubtitle();
+      renderDirectionToggle();
+    }
+  } catch (error) {
+    console.error('Error loading lines:', error);
+  }
+}
+
+/**
+ * Load the punctuality policy (delay thresholds of each status)
+ */
+async function loadPunctualityPolicy() {
+  try {
+    const { data, error } = await fetchApi(`${API_URL}/punctuality`);
+    
+    if (!error) {
+      punctualityPolicy = data;
+      renderStatusLegend();
+    }
+  } catch (error) {
+    console.error('Error loading punctuality policy:', error);
+  }
+}
+
+/**
+ * Render the legend of the delay statuses with their ranges
+ */
+function renderStatusLegend() {
+  const legend = document.getElementById('status-legend');
+  legend.innerHTML = punctualityPolicy.statuses.map(status =>
+    `<span class="status-badge ${status.id}">${status.label} (${formatStatusRange(status)})</span>`
+  ).join('') + '<span class="status-badge cancelled">Ausfall</span>';
+  
+  const onTime = punctualityPolicy.statuses.find(status => status.id === 'on-time');
+  if (onTime) {
+    document.getElementById('on-time-label').title = `Pünktlich: ${formatStatusRange(onTime)} Verspätung`;
+  }
+}
+
+/**
+ * Describe the delay range of a status (negative minutes are early)
+ */
+function formatStatusRange(status) {
+  const { minMinutes, maxMinutes } = status;
+  if (minMinutes === null) return `≤ ${maxMinutes} Min`;
+  if (maxMinutes === null) return `≥ ${minMinutes} Min`;
+  if (minMinutes === maxMinutes) return `${minMinutes} Min`;
+  return `${minMinutes} bis ${maxMinutes} Min`;
+}
+
+/**
+ * Switch to another line and reload its data
+ */
+async function selectLine(lineId) {
+  currentLineId = lineId;
+  localStorage.setItem('lineId', lineId);
+  updateLineSubtitle();
+  renderDirectionToggle();
+  document.getElementById('stop-filter').value = 'all';
+  document.getElementById('journey-results').hidden = true;
+  document.getElementById('compensation-body').innerHTML =
+    '<tr><td colspan="6" class="loading">Zeitraum wählen und Fahrten suchen</td></tr>';
+  updateExportLinks();
+  await loadAllData();
+  if (!reconnectTimer) connectStream();
+}
+
+/**
+ * Get the directions of the selected line
+ */
+function getLineDirections() {
+  const line = (window.linesData || []).find(l => l.id === currentLineId);
+  return line && line.directions ? line.directions : [];
+}
+
+/**
+ * Render the direction toggle for the selected line
+ */
+function renderDirectionToggle() {
+  const directions = getLineDirections();
+  
+  // Fall back to both directions if the stored direction doesn't exist on this line
+  if (!directions.some(d => d.id === currentDirection)) {
+    currentDirection = 'all';
+  }
+  
+  const buttons = [{ id: 'all', label: 'Beide' }]
+    .concat(directions.map(d => ({ id: d.id, label: `→ ${d.name}` })));
+  
+  document.getElementById('direction-toggle').innerHTML = buttons.map(button => `
+    <button type="button" class="direction-btn ${button.id === currentDirection ? 'active' : ''}" data-direction="${button.id}">${button.label}</button>
+  `).join('');
+}
+
+/**
+ * Switch the direction and reload the direction-dependent data
+ */
+async function selectDirection(directionId) {
+  if (directionId === currentDirection) return;
+  
+  currentDirection = directionId;
+  localStorage.setItem('direction', directionId);
+  renderDirectionToggle();
+  updateExportLinks();
+  
+  showLoadingState();
+  await Promise.all([
+    loadDelays(),
+    loadSummary(),
+    loadTrips(),
+    loadTransfers(),
+    loadAlerts()
+  ]);
+  filterDelays(document.getElementById('stop-filter').value);
+}
+
+/**
+ * Show a stop row of pushed data in the selected direction
+ */
+function applyDirection(delay) {
+  if (currentDirection === 'all') return delay;
+  
+  const entry = (delay.directions || []).find(d => d.id === currentDirection);
+  if (!entry) return delay;
+  
+  const { id, name, ...fields } = entry;
+  return { ...delay, ...fields };
+}
+
+/**
+ * Show the selected line's route in the header
+ */
+function updateLineSubtitle() {
+  const line = (window.linesData || []).find(l => l.id === currentLineId);
+  if (line) {
+    document.getElementById('line-subtitle').textContent = `${line.name}: ${line.from} ↔ ${line.to}`;
+    document.title = `${line.name} Verspätung - ${line.from} ↔ ${line.to}`;
+  }
+}
+
 /**
  * Load all data (delays, summary, stops)
  */
 async function loadAllData() {
   showLoadingState();
+  offlineDataAt = null;
   
   await Promise.all([
     loadDelays(),
     loadSummary(),
-    loadStops()
+    loadStops(),
+    loadTrips(),
+    loadTransfers(),
+    loadStats(),
+    loadAlerts()
   ]);
-  updateLastUpdateTime();
+  
+  if (offlineDataAt) {
+    showOfflineData();
+  } else {
+    updateLastUpdateTime();
+  }
 }
 
 /**
@@ -111,18 +520,17 @@ function showLoadingState() {
  */
 async function loadDelays() {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/delays`);
-    const data = await response.json();
+    const { data, meta, error } = await fetchApi(directionUrl('/delays'));
     
-    if (data.success) {
-      renderDelaysTable(data.data);
+    if (!error) {
+      renderDelaysTable(data);
       // Store data for filtering
-      window.delaysData = data.data;
+      window.delaysData = data;
       
       // Update connection status based on data source
-      updateDataSourceStatus(data.isRealData, data.dataSource);
+      updateDataSourceStatus(meta.isRealData, meta.dataSource);
     } else {
-      renderError('delays-body', data.error || 'Fehler beim Laden der Daten');
+      renderError('delays-body', error);
     }
   } catch (error) {
     console.error('Error loading delays:', error);
@@ -151,11 +559,10 @@ function updateDataSourceStatus(isRealData, dataSource) {
  */
 async function loadSummary() {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/summary`);
-    const data = await response.json();
+    const { data, error } = await fetchApi(directionUrl('/summary'));
     
-    if (data.success) {
-      renderSummary(data.summary);
+    if (!error) {
+      renderSummary(data);
     }
   } catch (error) {
     console.error('Error loading summary:', error);
@@ -167,17 +574,244 @@ async function loadSummary() {
  */
 async function loadStops() {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/stops`);
-    const data = await response.json();
+    const { data, error } = await fetchApi(lineUrl('/stops'));
     
-    if (data.success) {
-      populateStopFilter(data.data);
+    if (!error) {
+      populateStopFilter(data);
     }
   } catch (error) {
     console.error('Error loading stops:', error);
   }
 }
 
+/**
+ * Load the buses running on the line with their stop-by-stop delays
+ */
+async function loadTrips() {
+  try {
+    const { data, error } = await fetchApi(directionUrl('/trips'));
+    
+    if (!error) {
+      renderTrips(data);
+    } else {
+      renderError('trips-body', error);
+    }
+  } catch (error) {
+    console.error('Error loading trips:', error);
+    renderError('trips-body', 'Fehler beim Laden der Fahrten');
+  }
+}
+
+/**
+ * Load the connections to trains at the transfer hubs of the line
+ */
+async function loadTransfers() {
+  try {
+    const { data, error } = await fetchApi(lineUrl('/transfers'));
+    
+    if (!error) {
+      window.transfersData = data;
+      renderTransferBadges();
+    }
+  } catch (error) {
+    console.error('Error loading transfers:', error);
+  }
+}
+
+/**
+ * Search journeys between the stops selected in the journey planner
+ */
+async function planJourney() {
+  const from = document.getElementById('journey-from').value;
+  const to = document.getElementById('journey-to').value;
+  const at = document.getElementById('journey-at').value;
+  const button = document.getElementById('journey-btn');
+  const info = document.getElementById('journey-info');
+  
+  document.getElementById('journey-results').hidden = false;
+  
+  if (from === to) {
+    info.textContent = 'Bitte zwei verschiedene Haltestellen auswählen';
+    document.getElementById('journey-body').innerHTML = '';
+    return;
+  }
+  
+  const params = new URLSearchParams({ from, to });
+  if (at) params.set('at', new Date(at).toISOString());
+  
+  button.disabled = true;
+  info.textContent = 'Verbindungen werden gesucht...';
+  
+  try {
+    const { data, meta, error } = await fetchApi(`${lineUrl('/journey')}?${params}`);
+    
+    if (!error) {
+      renderJourneys(data, meta);
+    } else {
+      info.textContent = `⚠️ ${error}`;
+      document.getElementById('journey-body').innerHTML = '';
+    }
+  } catch (error) {
+    console.error('Error planning journey:', error);
+    info.textContent = '⚠️ Fehler bei der Verbindungssuche';
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Load the service alerts of the selected line and direction
+ */
+async function loadAlerts() {
+  try {
+    const { data, error } = await fetchApi(directionUrl('/alerts'));
+    
+    if (!error) {
+      alertsData = data;
+      renderAlerts();
+    }
+  } catch (error) {
+    console.error('Error loading alerts:', error);
+  }
+}
+
+/**
+ * Get the IDs of the alerts the user dismissed
+ */
+function getDismissedAlerts() {
+  try {
+    return JSON.parse(localStorage.getItem('dismissedAlerts')) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Hide an alert for good (remembered in localStorage)
+ */
+function dismissAlert(alertId) {
+  // Keep only the most recent IDs; alerts are short-lived
+  const dismissed = getDismissedAlerts().filter(id => id !== alertId).concat(alertId).slice(-100);
+  localStorage.setItem('dismissedAlerts', JSON.stringify(dismissed));
+  renderAlerts();
+}
+
+/**
+ * Show or hide the details of an alert
+ */
+function toggleAlertDetails(alertId) {
+  if (expandedAlerts.has(alertId)) {
+    expandedAlerts.delete(alertId);
+  } else {
+    expandedAlerts.add(alertId);
+  }
+  renderAlerts();
+}
+
+/**
+ * Render the alerts banner (hidden if there is nothing left to show)
+ */
+function renderAlerts() {
+  const dismissed = getDismissedAlerts();
+  const visible = alertsData.filter(alert => !dismissed.includes(alert.id));
+  const banner = document.getElementById('alerts-banner');
+  const toggle = document.getElementById('alerts-toggle');
+  
+  banner.hidden = visible.length === 0;
+  if (visible.length === 0) return;
+  
+  document.getElementById('alerts-title').textContent =
+    `${visible.length} ${visible.length === 1 ? 'Meldung' : 'Meldungen'} zu Bauarbeiten, Umleitungen und Ausfällen`;
+  toggle.hidden = visible.length <= ALERTS_COLLAPSED_COUNT;
+  toggle.textContent = alertsExpanded ? 'Weniger anzeigen' : `Alle ${visible.length} anzeigen`;
+  
+  const shown = alertsExpanded ? visible : visible.slice(0, ALERTS_COLLAPSED_COUNT);
+  document.getElementById('alerts-list').innerHTML = shown.map(renderAlertItem).join('');
+}
+
+/**
+ * Render a single alert of the banner
+ */
+function renderAlertItem(alert) {
+  const icons = { cancellation: '❌', warning: '🚧', hint: 'ℹ️' };
+  const expanded = expandedAlerts.has(alert.id);
+  const title = alert.summary || alert.text;
+  
+  const details = expanded ? `
+    <div class="alert-details">
+      ${alert.summary && alert.text !== alert.summary ? `<p>${escapeHtml(alert.text)}</p>` : ''}
+      <p><small>Haltestellen: ${alert.stops.map(stop => escapeHtml(stop.stopName)).join(', ')}</small></p>
+    </div>
+  ` : '';
+  
+  return `
+    <li class="alert-item alert-${alert.type}">
+      <span class="alert-icon">${icons[alert.type] || 'ℹ️'}</span>
+      <div class="alert-body">
+        <div class="alert-summary">${escapeHtml(title)}</div>
+        <div class="alert-meta">${escapeHtml([formatAlertStops(alert.stops), formatAlertValidity(alert)].filter(Boolean).join(' · '))}</div>
+        ${details}
+      </div>
+      <button type="button" class="alert-details-btn" data-action="details" data-alert-id="${alert.id}" aria-expanded="${expanded}">${expanded ? 'Weniger' : 'Details'}</button>
+      <button type="button" class="alert-dismiss" data-action="dismiss" data-alert-id="${alert.id}" title="Ausblenden" aria-label="Meldung ausblenden">✕</button>
+    </li>
+  `;
+}
+
+/**
+ * Describe the stops of an alert in a few words
+ */
+function formatAlertStops(stops) {
+  const line = (window.linesData || []).find(l => l.id === currentLineId);
+  if (line && stops.length >= line.totalStops) return 'Alle Haltestellen';
+  if (stops.length <= 3) return stops.map(stop => stop.stopName).join(', ');
+  return `${stops[0].stopName} – ${stops[stops.length - 1].stopName} (${stops.length} Haltestellen)`;
+}
+
+/**
+ * Describe the validity period of an alert
+ */
+function formatAlertValidity(alert) {
+  const format = iso => new Date(iso).toLocaleString('de-DE', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+  
+  // Without a period from the data source the alert covers the affected departures
+  if (alert.validity === 'departures') {
+    if (!alert.validFrom) return '';
+    return alert.validFrom === alert.validUntil
+      ? `Abfahrt ${formatTime(alert.validFrom)}`
+      : `Abfahrten ${formatTime(alert.validFrom)}–${formatTime(alert.validUntil)}`;
+  }
+  if (alert.validFrom && alert.validUntil) return `Gültig ${format(alert.validFrom)} bis ${format(alert.validUntil)}`;
+  if (alert.validUntil) return `Gültig bis ${format(alert.validUntil)}`;
+  if (alert.validFrom) return `Gültig ab ${format(alert.validFrom)}`;
+  return '';
+}
+
+/**
+ * Escape text from the data source for use in HTML
+ */
+function escapeHtml(text) {
+  const element = document.createElement('div');
+  element.textContent = text == null ? '' : String(text);
+  return element.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Load punctuality statistics from recorded history
+ */
+async function loadStats() {
+  try {
+    const { data, error } = await fetchApi(lineUrl('/stats'));
+    
+    if (!error) {
+      renderStats(data);
+    }
+  } catch (error) {
+    console.error('Error loading stats:', error);
+    document.getElementById('stats-info').textContent = 'Statistiken konnten nicht geladen werden';
+  }
+}
+
 /**
  * Render delays table
  */
@@ -189,45 +823,216 @@ function renderDelaysTable(delays) {
     return;
   }
   
-  tbody.innerHTML = delays.map(delay => {
-    const hasData = delay.scheduledDeparture && !delay.error;
-    const cancelledClass = delay.cancelled ? 'cancelled' : '';
-    
-    // Build remarks tooltip if available
-    const remarksTooltip = delay.remarks && delay.remarks.length > 0 
-      ? `title="${delay.remarks.join('; ')}"` 
-      : '';
-    
-    // Show direction if available
-    const directionInfo = delay.direction ? `<br><small class="direction">→ ${delay.direction}</small>` : '';
-    
-    if (!hasData) {
-      return `
-        <tr data-stop-id="${delay.stopId}" class="no-data">
-          <td>${delay.stopOrder}</td>
-          <td><strong>${delay.stopName}</strong>${delay.hafasName ? `<br><small class="hafas-name">${delay.hafasName}</small>` : ''}</td>
-          <td colspan="4" class="no-service">
-            ${delay.error ? `⚠️ ${delay.error}` : 'Keine R7-Verbindung gefunden'}
-          </td>
-        </tr>
-      `;
-    }
+  tbody.innerHTML = delays.map(delay => renderDelayRow(delay)).join('');
+  renderTransferBadges();
+}
+
+/**
+ * Render a single row of the delays table
+ */
+function renderDelayRow(delay) {
+  const hasData = delay.scheduledDeparture && !delay.error;
+  const cancelledClass = delay.cancelled ? 'cancelled' : '';
+  
+  // Build remarks tooltip if available
+  const remarksTooltip = delay.remarks && delay.remarks.length > 0 
+    ? `title="${escapeHtml(delay.remarks.join('; '))}"` 
+    : '';
+  
+  // Show direction if available
+  const directionInfo = delay.direction ? `<br><small class="direction">→ ${escapeHtml(delay.direction)}</small>` : '';
+  
+  // Data served from an earlier refresh because the stop timed out
+  const staleInfo = delay.stale ? `<br><small class="stale-marker">⏱ Veraltet (Stand ${formatTime(delay.lastUpdated)})</small>` : '';
+  
+  if (!hasData) {
+    let message = `Keine ${delay.lineId || 'R7'}-Verbindung gefunden`;
+    const direction = getLineDirections().find(d => d.id === currentDirection);
+    if (direction && direction.towards === delay.stopId) message = `Endhaltestelle Richtung ${direction.name}`;
+    if (delay.error) message = `⚠️ ${escapeHtml(delay.error)}`;
+    if (delay.timeout) message = '⏱ Zeitüberschreitung beim Abruf';
     
     return `
-      <tr data-stop-id="${delay.stopId}" class="${cancelledClass}" ${remarksTooltip}>
+      <tr data-stop-id="${delay.stopId}" class="no-data">
         <td>${delay.stopOrder}</td>
-        <td>
-          <strong>${delay.stopName}</strong>
-          ${delay.hafasName && delay.hafasName !== delay.stopName ? `<br><small class="hafas-name">${delay.hafasName}</small>` : ''}
-          ${directionInfo}
+        <td><strong>${delay.stopName}</strong>${delay.hafasName ? `<br><small class="hafas-name">${escapeHtml(delay.hafasName)}</small>` : ''}</td>
+        <td colspan="4" class="no-service">
+          ${message}
         </td>
-        <td>${formatTime(delay.scheduledDeparture)}</td>
-        <td>${formatTime(delay.expectedArrival)}${delay.platform ? `<br><small>Gleis ${delay.platform}</small>` : ''}</td>
-        <td class="delay-value ${getDelayClass(delay.delayMinutes)}">${delay.cancelled ? '❌ Ausfall' : formatDelay(delay.delayMinutes)}</td>
-        <td><span class="status-badge ${delay.cancelled ? 'cancelled' : delay.status}">${delay.cancelled ? 'Ausfall' : getStatusText(delay.status)}</span></td>
       </tr>
     `;
+  }
+  
+  return `
+    <tr data-stop-id="${delay.stopId}" class="${cancelledClass}" ${remarksTooltip}>
+      <td>${delay.stopOrder}</td>
+      <td>
+        <strong>${delay.stopName}</strong>
+        ${delay.hafasName && delay.hafasName !== delay.stopName ? `<br><small class="hafas-name">${escapeHtml(delay.hafasName)}</small>` : ''}
+        ${directionInfo}
+        ${staleInfo}
+      </td>
+      <td>${formatTime(delay.scheduledDeparture)}</td>
+      <td>${formatTime(delay.expectedArrival)}${delay.platform ? `<br><small>Gleis ${escapeHtml(delay.platform)}</small>` : ''}</td>
+      <td class="delay-value ${getDelayClass(delay.delayMinutes)}">${delay.cancelled ? '❌ Ausfall' : formatDelay(delay.delayMinutes)}</td>
+      <td><span class="status-badge ${delay.cancelled ? 'cancelled' : delay.status}">${delay.cancelled ? 'Ausfall' : getStatusText(delay.status)}</span></td>
+    </tr>
+  `;
+}
+
+/**
+ * Render trips table: one row per bus, one column per stop of the line
+ */
+function renderTrips(trips) {
+  const thead = document.getElementById('trips-head');
+  const tbody = document.getElementById('trips-body');
+  
+  // Columns: every stop served by any of the trips, in line order
+  const stops = [];
+  trips.forEach(trip => trip.stops.forEach(stop => {
+    if (!stops.some(s => s.stopId === stop.stopId)) stops.push(stop);
+  }));
+  stops.sort((a, b) => a.stopOrder - b.stopOrder);
+  
+  thead.innerHTML = `
+    <tr>
+      <th>Abfahrt</th>
+      <th>Richtung</th>
+      ${stops.map(stop => `<th>${stop.stopName}</th>`).join('')}
+      <th>Aktuell</th>
+    </tr>
+  `;
+  
+  if (trips.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="${stops.length + 3}" class="loading">Keine Fahrten gefunden</td></tr>`;
+    return;
+  }
+  
+  tbody.innerHTML = trips.map(trip => renderTripRow(trip, stops)).join('');
+  renderTransferBadges();
+}
+
+/**
+ * Render a single bus of the trips table
+ */
+function renderTripRow(trip, stops) {
+  const cells = stops.map(stop => {
+    const entry = trip.stops.find(s => s.stopId === stop.stopId);
+    if (!entry) return '<td class="trip-stop">–</td>';
+    
+    const nextClass = entry.stopId === trip.nextStopId ? 'next-stop' : '';
+    const delayText = entry.cancelled
+      ? '<span class="status-badge cancelled">Ausfall</span>'
+      : `<span class="delay-value ${getDelayClass(entry.delayMinutes)}">${formatDelay(entry.delayMinutes)}</span>`;
+    
+    return `<td class="trip-stop ${nextClass}" title="${escapeHtml(entry.stopName)}">${formatTime(entry.scheduledDeparture)}<br>${delayText}</td>`;
   }).join('');
+  
+  return `
+    <tr data-trip-id="${escapeHtml(trip.tripId)}" class="${trip.cancelled ? 'cancelled' : ''}">
+      <td>${formatTime(trip.scheduledDeparture)}</td>
+      <td>${trip.direction ? `→ ${escapeHtml(trip.direction)}` : '--'}</td>
+      ${cells}
+      <td><span class="status-badge ${trip.status}">${getStatusText(trip.status)}</span></td>
+    </tr>
+  `;
+}
+
+/**
+ * Render the journeys found by the journey planner
+ * @param {Array} journeys - Journeys
+ * @param {Object} meta - Search details (from, to, minTransferMinutes)
+ */
+function renderJourneys(journeys, meta) {
+  const info = document.getElementById('journey-info');
+  const tbody = document.getElementById('journey-body');
+  
+  info.textContent = `${meta.from.name} → ${meta.to.name}` +
+    (meta.to.transferHub ? ` · Anschlüsse mit mind. ${meta.minTransferMinutes} Min Umstiegszeit` : '');
+  
+  if (journeys.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="loading">Keine Verbindungen gefunden</td></tr>';
+    return;
+  }
+  
+  tbody.innerHTML = journeys.map(journey => `
+    <tr class="${journey.cancelled ? 'cancelled' : ''}">
+      <td>${formatJourneyTime(journey.plannedDeparture, journey.expectedDeparture)}${journey.departurePlatform ? `<br><small>Gleis ${journey.departurePlatform}</small>` : ''}</td>
+      <td>${formatJourneyTime(journey.plannedArrival, journey.expectedArrival)}${journey.arrivalPlatform ? `<br><small>Gleis ${journey.arrivalPlatform}</small>` : ''}</td>
+      <td>${journey.cancelled ? '--' : `${journey.expectedTravelMinutes} Min`}${journey.legs.length > 1 ? `<br><small>${journey.legs.length - 1}× umsteigen</small>` : ''}</td>
+      <td class="delay-value ${getDelayClass(journey.arrivalDelayMinutes)}">${journey.cancelled ? '❌ Ausfall' : formatDelay(journey.arrivalDelayMinutes)}</td>
+      <td>${renderConnectionRisk(journey)}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Format a planned time, with the expected time if it differs
+ */
+function formatJourneyTime(planned, expected) {
+  if (!expected || formatTime(planned) === formatTime(expected)) return formatTime(planned);
+  return `<span class="planned-time">${formatTime(planned)}</span> ${formatTime(expected)}`;
+}
+
+/**
+ * Render the connection risk badge of a journey (transfers and onward trains)
+ */
+function renderConnectionRisk(journey) {
+  if (!journey.connectionRisk) return '--';
+  
+  const riskText = {
+    'ok': 'Anschluss sicher',
+    'at-risk': 'Anschluss gefährdet',
+    'broken': 'Anschluss verpasst'
+  };
+  const details = journey.transfers
+    .map(t => `Umstieg ${t.station}: ${t.bufferMinutes !== null ? `${t.bufferMinutes} Min` : 'Ausfall'}`)
+    .concat(journey.connections.map(c => `${c.lineName} → ${c.direction} ${formatTime(c.plannedDeparture)}: ${c.bufferMinutes} Min`));
+  
+  return `<span class="status-badge risk-${journey.connectionRisk}" title="${escapeHtml(details.join('\n'))}">${riskText[journey.connectionRisk]}</span>`;
+}
+
+/**
+ * Mark the hubs in the delays table and the buses in the trips table whose
+ * connections to trains are at risk or broken
+ */
+function renderTransferBadges() {
+  document.querySelectorAll('.transfer-badge').forEach(badge => badge.remove());
+  
+  (window.transfersData || []).forEach(hub => {
+    const risky = hub.arrivals.filter(a => a.connectionRisk === 'at-risk' || a.connectionRisk === 'broken');
+    if (risky.length === 0) return;
+    
+    // The delays table shows the most severe risk at the hub
+    const hubRisk = risky.some(a => a.connectionRisk === 'broken') ? 'broken' : 'at-risk';
+    const hubDetails = risky.map(a => `${a.lineName} an ${formatTime(a.plannedArrival)}: ${getTransferDetails(a).join(', ')}`);
+    const hubCell = document.querySelector(`#delays-body tr[data-stop-id="${hub.stopId}"] td:nth-child(2)`);
+    if (hubCell) hubCell.insertAdjacentHTML('beforeend', renderTransferBadge(hubRisk, hubDetails));
+    
+    risky.forEach(arrival => {
+      const tripCell = document.querySelector(`#trips-body tr[data-trip-id="${CSS.escape(arrival.tripId)}"] td:last-child`);
+      if (tripCell) {
+        tripCell.insertAdjacentHTML('beforeend', renderTransferBadge(arrival.connectionRisk, [`${hub.stopName}:`, ...getTransferDetails(arrival)]));
+      }
+    });
+  });
+}
+
+/**
+ * Render a warning badge for connections at risk or broken
+ */
+function renderTransferBadge(risk, details) {
+  const text = risk === 'broken' ? '⚠️ Anschluss verpasst' : '⚠️ Anschluss gefährdet';
+  return `<div class="transfer-badge risk-${risk}" title="${escapeHtml(details.join('\n'))}">${text}</div>`;
+}
+
+/**
+ * Describe the connections of an arriving bus that are at risk or broken
+ */
+function getTransferDetails(arrival) {
+  return arrival.connections
+    .filter(c => c.risk !== 'ok')
+    .map(c => `${c.lineName} → ${c.direction} ${formatTime(c.plannedDeparture)} (${c.cancelled ? 'Ausfall' : `${c.bufferMinutes} Min`})`);
 }
 
 /**
@@ -240,6 +1045,104 @@ function renderSummary(summary) {
   document.getElementById('stops-on-time').textContent = `${summary.stopsOnTime} / ${summary.stopsWithData || summary.totalStops}`;
 }
 
+/**
+ * Render statistics dashboard
+ */
+function renderStats(stats) {
+  const info = document.getElementById('stats-info');
+  
+  if (!stats || stats.overall.departures === 0) {
+    info.textContent = 'Noch keine aufgezeichneten Abfahrten vorhanden';
+    document.getElementById('late-trips-body').innerHTML = '<tr><td colspan="7" class="loading">Keine Daten verfügbar</td></tr>';
+    return;
+  }
+  
+  const overall = stats.overall;
+  info.textContent = `${overall.departures} aufgezeichnete Abfahrten · Median ${overall.p50DelayMinutes} Min · p90 ${overall.p90DelayMinutes} Min · p95 ${overall.p95DelayMinutes} Min · ${overall.onTimeRate}% pünktlich · ${overall.earlyRate}% zu früh · ${overall.cancellationRate}% Ausfälle`;
+  
+  renderDelayChart('stats-by-hour', stats.byHour);
+  renderDelayChart('stats-by-weekday', stats.byWeekday);
+  renderRateChart('stats-by-stop', stats.byStop);
+  renderRateChart('stats-by-direction', stats.byDirection);
+  renderLateTrips(stats.mostDelayedTrips);
+}
+
+/**
+ * Render a bar chart of median and p90 delay per group
+ */
+function renderDelayChart(elementId, groups) {
+  const element = document.getElementById(elementId);
+  const maxValue = Math.max(1, ...groups.map(g => g.p90DelayMinutes || 0));
+  
+  element.innerHTML = groups.map(group => `
+    <div class="bar-row" title="${group.departures} Abfahrten, ${group.cancellationRate}% Ausfälle">
+      <span class="bar-label">${group.label}</span>
+      <span class="bar-track">
+        <span class="bar p90" style="width: ${((group.p90DelayMinutes || 0) / maxValue) * 100}%"></span>
+        <span class="bar p50" style="width: ${((group.p50DelayMinutes || 0) / maxValue) * 100}%"></span>
+      </span>
+      <span class="bar-value">${group.p50DelayMinutes ?? '--'} / ${group.p90DelayMinutes ?? '--'} Min</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * Render a bar chart of on-time rate per group
+ */
+function renderRateChart(elementId, groups) {
+  const element = document.getElementById(elementId);
+  
+  element.innerHTML = groups.map(group => `
+    <div class="bar-row" title="${group.departures} Abfahrten, ${group.cancellationRate}% Ausfälle">
+      <span class="bar-label">${group.label}</span>
+      <span class="bar-track">
+        <span class="bar rate" style="width: ${group.onTimeRate}%"></span>
+      </span>
+      <span class="bar-value">${group.onTimeRate}%</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * Render table of reliably late trips
+ */
+function renderLateTrips(trips) {
+  const tbody = document.getElementById('late-trips-body');
+  
+  if (!trips || trips.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" class="loading">Noch nicht genug Daten</td></tr>';
+    return;
+  }
+  
+  tbody.innerHTML = trips.map(trip => `
+    <tr>
+      <td>${trip.plannedTime}</td>
+      <td>${escapeHtml(trip.stopName)}</td>
+      <td>${trip.direction ? `→ ${escapeHtml(trip.direction)}` : '--'}</td>
+      <td class="delay-value ${getDelayClass(Math.round(trip.p50DelayMinutes))}">${trip.p50DelayMinutes} Min</td>
+      <td>${trip.p90DelayMinutes} Min</td>
+      <td>${trip.onTimeRate}%</td>
+      <td>${trip.departures}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Populate line picker dropdown
+ */
+function populateLineFilter(lines) {
+  const select = document.getElementById('line-filter');
+  
+  select.innerHTML = '';
+  lines.forEach(line => {
+    const option = document.createElement('option');
+    option.value = line.id;
+    option.textContent = `${line.name} (${line.description})`;
+    select.appendChild(option);
+  });
+  select.value = currentLineId;
+}
+
 /**
  * Populate stop filter dropdown
  */
@@ -255,6 +1158,172 @@ function populateStopFilter(stops) {
     option.textContent = stop.name;
     select.appendChild(option);
   });
+  
+  populateJourneyStops(stops);
+  populateCompensationStops(stops);
+  updateExportLinks();
+}
+
+/**
+ * Populate the from/to dropdowns of the journey planner (keeping the selection if possible)
+ */
+function populateJourneyStops(stops) {
+  ['journey-from', 'journey-to'].forEach((id, index) => {
+    const select = document.getElementById(id);
+    const previous = select.value;
+    
+    select.innerHTML = stops.map(stop => `<option value="${stop.id}">${stop.name}</option>`).join('');
+    
+    if (stops.some(stop => stop.id === previous)) {
+      select.value = previous;
+    } else if (stops.length > 0) {
+      // Default: from the first to the last stop
+      select.value = index === 0 ? stops[0].id : stops[stops.length - 1].id;
+    }
+  });
+}
+
+/**
+ * Populate the boarding/destination dropdowns of the passenger rights form (keeping the selection if possible)
+ */
+function populateCompensationStops(stops) {
+  [['compensation-boarding', 'Erste erfasste Haltestelle'], ['compensation-destination', 'Letzte erfasste Haltestelle']].forEach(([id, label]) => {
+    const select = document.getElementById(id);
+    const previous = select.value;
+    
+    select.innerHTML = `<option value="">${label}</option>` +
+      stops.map(stop => `<option value="${stop.id}">${stop.name}</option>`).join('');
+    select.value = stops.some(stop => stop.id === previous) ? previous : '';
+  });
+}
+
+/**
+ * Load the recorded trips that qualify for compensation
+ */
+async function loadCompensationTrips() {
+  const tbody = document.getElementById('compensation-body');
+  tbody.innerHTML = '<tr><td colspan="6" class="loading">Fahrten werden gesucht...</td></tr>';
+  
+  try {
+    const { data, error } = await fetchApi(withQuery(lineUrl('/compensation/trips'), {
+      stopId: document.getElementById('compensation-boarding').value,
+      direction: currentDirection === 'all' ? null : currentDirection,
+      from: toDayBoundary(document.getElementById('compensation-from-date').value, false),
+      to: toDayBoundary(document.getElementById('compensation-to-date').value, true),
+      includeSimulated: document.getElementById('compensation-simulated').checked ? 'true' : null
+    }));
+    
+    if (error) {
+      renderError('compensation-body', error);
+      return;
+    }
+    renderCompensationTrips(data);
+  } catch (error) {
+    console.error('Error loading compensation trips:', error);
+    renderError('compensation-body', 'Fahrten konnten nicht geladen werden');
+  }
+}
+
+/**
+ * Render the qualifying trips with a link to their claim
+ */
+function renderCompensationTrips(trips) {
+  const tbody = document.getElementById('compensation-body');
+  
+  if (trips.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="loading">Keine Fahrten mit Anspruch im gewählten Zeitraum</td></tr>';
+    return;
+  }
+  
+  tbody.innerHTML = trips.map(trip => `
+    <tr>
+      <td>${new Date(trip.plannedDeparture).toLocaleDateString('de-DE')}</td>
+      <td>${formatTime(trip.plannedDeparture)}</td>
+      <td>${escapeHtml(trip.direction || '--')}</td>
+      <td>${trip.cancelled ? 'Ausfall' : formatDelay(trip.delayMinutes)}</td>
+      <td>${escapeHtml(trip.rule.label)}${trip.rule.compensation ? `<br><small>${escapeHtml(trip.rule.compensation)}</small>` : ''}</td>
+      <td><a href="${getClaimUrl(trip)}" target="_blank" rel="noopener">📄 Nachweis</a></td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Build the claim URL of a trip for the selected boarding and destination stop
+ * Stops the trip was not recorded at (or in the wrong order) fall back to the first/last recorded one.
+ */
+function getClaimUrl(trip) {
+  const stopIds = trip.stops.map(stop => stop.stopId);
+  const boarding = stopIds.indexOf(document.getElementById('compensation-boarding').value);
+  const destination = stopIds.indexOf(document.getElementById('compensation-destination').value);
+  const validOrder = boarding === -1 || destination === -1 || boarding < destination;
+  
+  return withQuery(lineUrl(`/compensation/trips/${encodeURIComponent(trip.tripId)}/claim`), {
+    date: trip.date,
+    from: boarding !== -1 && validOrder ? stopIds[boarding] : null,
+    to: destination !== -1 && validOrder ? stopIds[destination] : null,
+    includeSimulated: trip.isSimulated ? 'true' : null
+  });
+}
+
+/**
+ * Build an API URL with the given query parameters (empty values are left out)
+ */
+function withQuery(url, params) {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+  return query ? `${url}?${query}` : url;
+}
+
+/**
+ * Convert the value of a date input to the start or end of that local day
+ */
+function toDayBoundary(value, endOfDay) {
+  if (!value) return null;
+  return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).toISOString();
+}
+
+/**
+ * Point the export and calendar links at the selected line, direction and stop
+ */
+function updateExportLinks() {
+  const stopFilter = document.getElementById('stop-filter').value;
+  const stopId = stopFilter === 'all' ? null : stopFilter;
+  const direction = currentDirection === 'all' ? null : currentDirection;
+  
+  ['csv', 'jsonl'].forEach(format => {
+    document.getElementById(`export-delays-${format}`).href =
+      withQuery(lineUrl('/export/delays'), { format, stopId, direction });
+    document.getElementById(`export-history-${format}`).href =
+      withQuery(lineUrl('/export/history'), {
+        format,
+        stopId,
+        direction,
+        from: toDayBoundary(document.getElementById('export-from').value, false),
+        to: toDayBoundary(document.getElementById('export-to').value, true),
+        includeSimulated: document.getElementById('export-simulated').checked ? 'true' : null
+      });
+  });
+  
+  // The calendar feed is per stop; webcal:// opens the subscription dialog of calendar apps
+  const subscribe = document.getElementById('calendar-subscribe');
+  const download = document.getElementById('calendar-download');
+  const info = document.getElementById('calendar-info');
+  if (!stopId) {
+    subscribe.hidden = true;
+    download.hidden = true;
+    info.textContent = 'Haltestelle auswählen, um ihre nächsten Abfahrten als Kalender zu abonnieren.';
+    return;
+  }
+  
+  const calendarUrl = withQuery(lineUrl(`/stops/${encodeURIComponent(stopId)}/calendar.ics`), { direction });
+  const stopName = document.getElementById('stop-filter').selectedOptions[0].textContent;
+  subscribe.href = calendarUrl.replace(/^https?:/, 'webcal:');
+  download.href = calendarUrl;
+  subscribe.hidden = false;
+  download.hidden = false;
+  info.textContent = `Nächste Abfahrten ab ${stopName} mit Echtzeit; der Kalender aktualisiert sich alle paar Minuten.`;
 }
 
 /**
@@ -286,28 +1355,36 @@ function formatTime(isoString) {
  */
 function formatDelay(minutes) {
   if (minutes === 0 || minutes === undefined) return 'Pünktlich';
+  if (minutes < 0) return `${minutes} Min (zu früh)`;
   return `+${minutes} Min`;
 }
 
+/**
+ * Classify a delay with the punctuality policy of the backend
+ * The first status whose maxMinutes is not exceeded applies (as in the backend).
+ */
+function classifyDelay(minutes) {
+  if (!punctualityPolicy) return null;
+  const status = punctualityPolicy.statuses.find(s => s.maxMinutes === null || minutes <= s.maxMinutes);
+  return status ? status.id : null;
+}
+
 /**
  * Get CSS class for delay value
  */
 function getDelayClass(minutes) {
-  if (minutes === 0 || minutes === undefined) return 'no-delay';
-  if (minutes <= 5) return 'small-delay';
-  if (minutes <= 10) return 'medium-delay';
-  return 'large-delay';
+  if (minutes === undefined) return '';
+  return classifyDelay(minutes) || '';
 }
 
 /**
  * Get German status text
  */
 function getStatusText(status) {
+  const policyStatus = punctualityPolicy && punctualityPolicy.statuses.find(s => s.id === status);
+  if (policyStatus) return policyStatus.label;
+  
   const statusMap = {
-    'on-time': 'Pünktlich',
-    'slight-delay': 'Leichte Verspätung',
-    'delayed': 'Verspätet',
-    'heavily-delayed': 'Stark verspätet',
     'unknown': 'Unbekannt',
     'cancelled': 'Ausfall'
   };
@@ -320,7 +1397,9 @@ function getStatusText(status) {
 function updateLastUpdateTime() {
   const element = document.getElementById('last-update');
   const now = new Date();
+  lastUpdateAt = now.toISOString();
   element.textContent = now.toLocaleTimeString('de-DE');
+  element.classList.remove('stale');
 }
 
 /**
@@ -337,6 +1416,143 @@ function startAutoRefresh() {
   }, REFRESH_INTERVAL);
 }
 
+/**
+ * Stop auto-refresh
+ */
+function stopAutoRefresh() {
+  if (autoRefreshInterval) {
+    clearInterval(autoRefreshInterval);
+    autoRefreshInterval = null;
+  }
+}
+
+/**
+ * Connect to the delay stream of the selected line
+ * Falls back to polling if the browser or backend does not support it
+ */
+function connectStream() {
+  disconnectStream();
+  
+  if (!window.EventSource) {
+    startAutoRefresh();
+    return;
+  }
+  
+  eventSource = new EventSource(lineUrl('/stream'));
+  
+  eventSource.addEventListener('snapshot', (e) => {
+    const snapshot = JSON.parse(e.data);
+    streamErrors = 0;
+    stopAutoRefresh();
+    
+    window.delaysData = snapshot.data.map(applyDirection);
+    renderDelaysTable(window.delaysData);
+    filterDelays(document.getElementById('stop-filter').value);
+    // The pushed summary covers both directions
+    if (currentDirection === 'all') {
+      renderSummary(snapshot.summary);
+    } else {
+      loadSummary();
+    }
+    updateDataSourceStatus(snapshot.isRealData, snapshot.dataSource);
+    updateLastUpdateTime();
+  });
+  
+  eventSource.addEventListener('diff', (e) => {
+    applyDiff(JSON.parse(e.data));
+  });
+  
+  eventSource.addEventListener('error', () => {
+    streamErrors++;
+    
+    // EventSource reconnects on its own; give up only after repeated failures
+    if (eventSource.readyState === EventSource.CLOSED || streamErrors >= STREAM_MAX_ERRORS) {
+      console.warn('Delay stream not available - falling back to polling');
+      disconnectStream();
+      startAutoRefresh();
+      streamRetryTimeout = setTimeout(connectStream, STREAM_RETRY_INTERVAL);
+    }
+  });
+}
+
+/**
+ * Close the delay stream
+ */
+function disconnectStream() {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+  if (streamRetryTimeout) {
+    clearTimeout(streamRetryTimeout);
+    streamRetryTimeout = null;
+  }
+  streamErrors = 0;
+}
+
+/**
+ * Apply a pushed diff: update changed rows in place
+ */
+function applyDiff(diff) {
+  const stopFilter = document.getElementById('stop-filter').value;
+  const delays = window.delaysData || [];
+  
+  diff.changes.forEach(change => {
+    const data = applyDirection(change.data);
+    const index = delays.findIndex(d => d.stopId === change.stopId);
+    if (index >= 0) {
+      delays[index] = data;
+    } else {
+      delays.push(data);
+    }
+    
+    const template = document.createElement('template');
+    template.innerHTML = renderDelayRow(data).trim();
+    const newRow = template.content.firstElementChild;
+    newRow.classList.add('row-updated');
+    newRow.title = newRow.title || `Geändert: ${change.changes.map(getChangeText).join(', ')}`;
+    if (stopFilter !== 'all' && change.stopId !== stopFilter) {
+      newRow.style.display = 'none';
+    }
+    
+    const oldRow = document.querySelector(`#delays-body tr[data-stop-id="${change.stopId}"]`);
+    if (oldRow) {
+      oldRow.replaceWith(newRow);
+    } else {
+      document.getElementById('delays-body').appendChild(newRow);
+    }
+  });
+  
+  window.delaysData = delays;
+  // The pushed summary covers both directions
+  if (currentDirection === 'all') {
+    renderSummary(diff.summary);
+  } else {
+    loadSummary();
+  }
+  loadTrips();
+  loadTransfers();
+  loadAlerts();
+  updateDataSourceStatus(diff.isRealData, diff.dataSource);
+  updateLastUpdateTime();
+}
+
+/**
+ * Get German text for a change type of a pushed diff
+ */
+function getChangeText(change) {
+  const changeMap = {
+    'delay': 'Verspätung',
+    'cancellation': 'Ausfall',
+    'platform': 'Gleis',
+    'departure': 'Nächste Abfahrt',
+    'stale': 'Aktualität',
+    'error': 'Fehler',
+    'added': 'Neu'
+  };
+  return changeMap[change] || change;
+}
+
 /**
  * Render error message
  */
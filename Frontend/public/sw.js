@@ -0,0 +1,130 @@
+// Service worker for R7 Verspätung
+// Keeps the app usable without a connection (e.g. on the stretch between Einöd and Bierbach):
+//   - the app shell (page, styles, script, icons) is served from the cache and updated in the background
+//   - API data is fetched from the network first; without a connection the last response is served,
+//     marked with the X-Cached-At header so the page can show how old it is
+
+// Bump the version when the list of shell files changes; the data cache survives updates
+const SHELL_CACHE = 'r7-shell-v1';
+const DATA_CACHE = 'r7-data';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'css/style.css',
+  'js/app.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png'
+];
+
+// API routes whose last response is kept for offline use (health, streams, exports and claims are not)
+const DATA_ROUTE_PATTERN = /\/api\/v1\/(lines\/[^/]+\/)?(lines|punctuality|delays|summary|stops|trips|transfers|stats|alerts)\/?$/;
+
+// Give up on the network after this long and serve the cached data instead
+const NETWORK_TIMEOUT = 8000;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== SHELL_CACHE && key !== DATA_CACHE).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (DATA_ROUTE_PATTERN.test(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request, event));
+  }
+});
+
+/**
+ * Serve API data from the network and keep a copy; fall back to the copy when offline
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(DATA_CACHE);
+  const network = fetch(request).then(async (response) => {
+    if (response.ok) {
+      await cache.put(request, await markCached(response.clone()));
+    }
+    return response;
+  });
+  // Served from the cache, a later network failure is no error
+  network.catch(() => {});
+
+  try {
+    return await withTimeout(network, NETWORK_TIMEOUT);
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    // Nothing stored yet: wait for the network after all
+    return network;
+  }
+}
+
+/**
+ * Serve a shell file from the cache and refresh the cached copy in the background
+ */
+async function staleWhileRevalidate(request, event) {
+  const cache = await caches.open(SHELL_CACHE);
+  // Navigations (with or without query string) all get the page
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' }) ||
+    (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+
+  const update = fetch(request).then(async (response) => {
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+/**
+ * Copy a response with the time it was stored in the X-Cached-At header
+ */
+async function markCached(response) {
+  const headers = new Headers(response.headers);
+  headers.set('X-Cached-At', new Date().toISOString());
+  // The API has its own origin; the page only sees headers the response exposes
+  headers.append('Access-Control-Expose-Headers', 'X-Cached-At');
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * Reject if a promise does not settle in time
+ */
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Network timeout')), ms);
+    promise.then(
+      (value) => { clearTimeout(timer); resolve(value); },
+      (error) => { clearTimeout(timer); reject(error); }
+    );
+  });
+}
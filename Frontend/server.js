@@ -5,7 +5,14 @@ const app = express();
 const PORT = process.env.PORT || 8080;
 
 // Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
+// The service worker is revalidated on every load so app updates reach installed clients
+app.use(express.static(path.join(__dirname, 'public'), {
+  setHeaders: (res, filePath) => {
+    if (path.basename(filePath) === 'sw.js') {
+      res.set('Cache-Control', 'no-cache');
+    }
+  }
+}));
 
 // Main route
 app.get('/', (req, res) => {